@@ -0,0 +1,288 @@
+/**
+ * INTERPRETADOR DE ARGUMENTOS DA LINHA DE COMANDO
+ *
+ * Converte os argumentos de `node main.js <comando> [opções]` em um objeto
+ * de overrides aplicado sobre o CONFIG apenas para a execução atual,
+ * evitando editar o .env entre experimentos.
+ *
+ * Comandos:
+ * - scrape  (padrão) Executa o scraping completo das categorias (ou de uma lista de URLs/IDs)
+ * - export  Exporta produtos aprovados do banco para Excel
+ * - stats   Exibe estatísticas do banco e do controle de duplicidade
+ * - recheck Revalida margem dos produtos aprovados com preços atuais
+ * - clean   Remove arquivos temporários, checkpoints, registros antigos e Chromes órfãos
+ * - categories Lista as categorias folha da árvore do AliExpress (rastreia com --refresh)
+ * - schedule Mantém o processo ativo executando as tarefas agendadas (SCHEDULE_FILE)
+ *
+ * @author LoopStore
+ * @version 1.0.0 - CLI com subcomandos e overrides por execução
+ */
+
+import { parseArgs } from 'node:util';
+import { ESTRATEGIAS_DETALHES } from '../scraper/estrategia-detalhes.js';
+
+export const COMANDOS_DISPONIVEIS = ['scrape', 'export', 'stats', 'recheck', 'clean', 'categories', 'schedule', 'help'];
+
+// Comandos que precisam de CATEGORIES no .env quando a linha de comando não traz as categorias
+export const COMANDOS_COM_CATEGORIAS = ['scrape'];
+
+const OPCOES_CLI = {
+    categories: { type: 'string' },
+    'max-pages': { type: 'string' },
+    target: { type: 'string' },
+    headless: { type: 'boolean' },
+    'no-db': { type: 'boolean' },
+    output: { type: 'string' },
+    resume: { type: 'string' },
+    'detail-strategy': { type: 'string' },
+    parallel: { type: 'string' },
+    products: { type: 'string' },
+    'products-file': { type: 'string' },
+    record: { type: 'string' },
+    replay: { type: 'string' },
+    limit: { type: 'string' },
+    days: { type: 'string' },
+    refresh: { type: 'boolean' },
+    depth: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+export const TEXTO_AJUDA = `
+🛒 LoopStore - Scraper AliExpress
+
+Uso: node main.js [comando] [opções]
+
+Comandos:
+  scrape            Executa o scraping completo (padrão)
+  export            Exporta produtos aprovados do banco para Excel
+  stats             Exibe estatísticas do banco e do controle de duplicidade
+  recheck           Revalida a margem dos produtos aprovados com preços atuais
+  clean             Remove temporários, logs, checkpoints, duplicidade expirada e Chromes órfãos
+  categories        Lista as categorias folha (cat:<id> e caminho) da árvore do AliExpress
+  schedule          Executa as tarefas de SCHEDULE_FILE nos horários cron (Ctrl+C encerra)
+  help              Exibe esta ajuda
+
+Opções (valem apenas para esta execução):
+  --categories <a,b>  Categorias separadas por vírgula (substitui CATEGORIES)
+  --max-pages <n>     Máximo de páginas por categoria (0 = sem limite)
+  --target <n>        Meta de produtos finais por categoria
+  --headless          Executa o browser sem janela
+  --no-db             Não lê nem grava no Supabase
+  --output <dir>      Diretório de saída das planilhas exportadas
+  --resume <runId>    Retoma uma execução de scrape a partir dos checkpoints salvos
+  --detail-strategy <direct|search|auto>
+                      Como abrir a página do produto (padrão: DETAIL_STRATEGY ou auto)
+  --parallel <n>      Categorias processadas em paralelo, cada uma com seu perfil (máx. 4)
+  --products <a,b>    URLs ou IDs de produtos do AliExpress: pula a busca e a paginação
+  --products-file <arquivo>
+                      Arquivo com URLs/IDs (um por linha); --categories <nome> vira o rótulo
+  --record <dir>      Grava HTML de busca/PDP, JSON da PDP e respostas do ML em <dir>
+  --replay <dir>      Executa offline servindo as fixtures gravadas em <dir> (implica --no-db)
+  --limit <n>         Máximo de produtos em export/recheck (padrão: 50)
+  --days <n>          Idade mínima em dias para limpeza no clean (padrão: 30)
+  --refresh           No categories, rastreia a árvore de novo em vez de usar a salva
+  --depth <n>         Níveis rastreados no categories (1 a 5, padrão: CATEGORY_TREE_DEPTH)
+  -h, --help          Exibe esta ajuda
+
+Exemplos:
+  node main.js scrape --categories "Casa e Cozinha,Pets" --max-pages 2 --target 10 --no-db
+  node main.js scrape --resume 20250811-143015-a1b2
+  node main.js scrape --categories "Pets,Beleza" --parallel 2
+  node main.js scrape --products-file links.txt --categories "Fornecedor X" --no-db
+  node main.js scrape --products 1005006123456789,https://pt.aliexpress.com/item/1005007654321098.html
+  node main.js scrape --categories "cat:100003109,Casa e Jardim > Cozinha > Utensílios"
+  node main.js categories --refresh --depth 3
+  node main.js schedule --headless
+  node main.js scrape --categories Pets --max-pages 1 --record fixtures/pets
+  node main.js scrape --categories Pets --max-pages 1 --replay fixtures/pets
+  node main.js export --categories Pets --output ./planilhas
+  node main.js recheck --limit 20
+`;
+
+/**
+ * Converte um valor textual em inteiro validado
+ *
+ * @param {string|undefined} valor - Valor recebido na CLI
+ * @param {string} nomeOpcao - Nome da opção (para mensagens de erro)
+ * @param {number} minimo - Valor mínimo aceito
+ * @returns {number|undefined} Inteiro validado ou undefined se ausente
+ */
+function converterInteiro(valor, nomeOpcao, minimo) {
+    if (valor === undefined) {
+        return undefined;
+    }
+
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < minimo) {
+        throw new Error(`--${nomeOpcao} deve ser um inteiro >= ${minimo} (recebido: '${valor}')`);
+    }
+
+    return numero;
+}
+
+/**
+ * Interpreta os argumentos da linha de comando
+ *
+ * @param {Array<string>} [argv=process.argv.slice(2)] - Argumentos sem o executável e o script
+ * @returns {{comando: string, overrides: Object, opcoes: Object}} Comando e opções normalizadas
+ * @throws {Error} Em caso de comando desconhecido ou valor inválido
+ *
+ * @example
+ * interpretarArgumentos(['scrape', '--categories', 'Pets,Beleza', '--no-db']);
+ * // { comando: 'scrape', overrides: { categorias: ['Pets', 'Beleza'], semBanco: true, ... }, opcoes: {...} }
+ */
+export function interpretarArgumentos(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        options: OPCOES_CLI,
+        allowPositionals: true,
+        strict: true
+    });
+
+    const comando = values.help ? 'help' : (positionals[0] || 'scrape');
+
+    if (!COMANDOS_DISPONIVEIS.includes(comando)) {
+        throw new Error(`Comando desconhecido: '${comando}'. Use: ${COMANDOS_DISPONIVEIS.join(', ')}`);
+    }
+
+    if (positionals.length > 1) {
+        throw new Error(`Argumentos inesperados: ${positionals.slice(1).join(' ')}`);
+    }
+
+    let categorias;
+    if (values.categories !== undefined) {
+        categorias = values.categories
+            .split(',')
+            .map(cat => cat.trim())
+            .filter(cat => cat.length > 0);
+
+        if (categorias.length === 0) {
+            throw new Error('--categories precisa de ao menos uma categoria válida');
+        }
+    }
+
+    if (values.resume !== undefined && !/^[\w-]+$/.test(values.resume)) {
+        throw new Error(`--resume espera um ID de execução válido (recebido: '${values.resume}')`);
+    }
+
+    const estrategiaDetalhes = values['detail-strategy']?.trim().toLowerCase();
+    if (estrategiaDetalhes !== undefined && !ESTRATEGIAS_DETALHES.includes(estrategiaDetalhes)) {
+        throw new Error(`--detail-strategy deve ser ${ESTRATEGIAS_DETALHES.join(', ')} (recebido: '${values['detail-strategy']}')`);
+    }
+
+    if (values.record !== undefined && values.replay !== undefined) {
+        throw new Error('--record e --replay não podem ser usados juntos');
+    }
+
+    let produtos;
+    if (values.products !== undefined) {
+        produtos = values.products
+            .split(/[\s,;]+/)
+            .map(entrada => entrada.trim())
+            .filter(entrada => entrada.length > 0);
+
+        if (produtos.length === 0) {
+            throw new Error('--products precisa de ao menos uma URL ou ID de produto');
+        }
+    }
+
+    const arquivoProdutos = values['products-file']?.trim();
+    if (arquivoProdutos === '') {
+        throw new Error('--products-file precisa do caminho de um arquivo');
+    }
+
+    // Na lista de produtos, --categories é só o rótulo (checkpoints, métricas e planilha)
+    if ((produtos || arquivoProdutos) && categorias && categorias.length > 1) {
+        throw new Error('Com --products/--products-file, --categories aceita um único nome (rótulo da lista)');
+    }
+
+    let fixtures;
+    for (const modo of ['record', 'replay']) {
+        if (values[modo] !== undefined) {
+            if (values[modo].trim() === '') {
+                throw new Error(`--${modo} precisa de um diretório de fixtures`);
+            }
+            fixtures = { modo, diretorio: values[modo].trim() };
+        }
+    }
+
+    const overrides = {
+        categorias,
+        maxPaginas: converterInteiro(values['max-pages'], 'max-pages', 0),
+        alvo: converterInteiro(values.target, 'target', 1),
+        headless: values.headless === true,
+        semBanco: values['no-db'] === true,
+        saida: values.output,
+        retomar: values.resume,
+        estrategiaDetalhes,
+        categoriasParalelas: converterInteiro(values.parallel, 'parallel', 1),
+        produtos,
+        arquivoProdutos,
+        fixtures
+    };
+
+    const opcoes = {
+        limite: converterInteiro(values.limit, 'limit', 1) ?? 50,
+        dias: converterInteiro(values.days, 'days', 1) ?? 30,
+        atualizar: values.refresh === true,
+        profundidade: converterInteiro(values.depth, 'depth', 1)
+    };
+
+    if (opcoes.profundidade > 5) {
+        throw new Error(`--depth deve ser um inteiro entre 1 e 5 (recebido: '${values.depth}')`);
+    }
+
+    return { comando, overrides, opcoes };
+}
+
+/**
+ * Exige CATEGORIES no .env para os comandos que processam categorias, a menos que a
+ * linha de comando as informe (--categories), retome uma execução (--resume) ou troque
+ * a busca por uma lista de produtos (--products/--products-file)
+ *
+ * @param {string} comando - Comando interpretado
+ * @param {Object} overrides - Overrides de interpretarArgumentos
+ * @param {string} [categoriasAmbiente=process.env.CATEGORIES] - Valor de CATEGORIES
+ * @throws {Error} Se o comando precisa de categorias e nenhuma fonte as informa
+ */
+export function exigirCategorias(comando, overrides, categoriasAmbiente = process.env.CATEGORIES) {
+    if (!COMANDOS_COM_CATEGORIAS.includes(comando)) {
+        return;
+    }
+
+    if (overrides.categorias || overrides.retomar || overrides.produtos || overrides.arquivoProdutos) {
+        return;
+    }
+
+    if (!categoriasAmbiente || categoriasAmbiente.trim() === '') {
+        throw new Error(`O comando ${comando} precisa de categorias: configure CATEGORIES no .env ou use --categories, --resume ou --products`);
+    }
+}
+
+/**
+ * Completa os overrides de uma retomada (--resume) com os da execução original
+ * Todos os overrides gravados no manifesto voltam (páginas, meta, --headless, --no-db, saída,
+ * estratégia da PDP, categorias em paralelo, fixtures e lista de produtos); o que vier
+ * explícito na linha de comando prevalece
+ *
+ * @param {Object} overrides - Overrides de interpretarArgumentos (com `retomar`)
+ * @param {Object} manifesto - Manifesto da execução original (carregarManifestoExecucao)
+ * @returns {Object} Overrides da retomada
+ */
+export function mesclarOverridesRetomada(overrides, manifesto) {
+    const originais = manifesto?.overrides || {};
+    const mesclados = { ...overrides };
+
+    for (const [chave, valor] of Object.entries(originais)) {
+        if (chave === 'retomar') {
+            continue;
+        }
+        // --headless e --no-db só ligam: false é o mesmo que não informado
+        if (mesclados[chave] === undefined || mesclados[chave] === false) {
+            mesclados[chave] = valor;
+        }
+    }
+
+    mesclados.categorias = overrides.categorias || manifesto?.categorias || originais.categorias;
+    return mesclados;
+}
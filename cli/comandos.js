@@ -0,0 +1,307 @@
+/**
+ * COMANDOS AUXILIARES DA CLI
+ *
+ * Implementa os subcomandos que não executam o scraping completo:
+ * export, stats, recheck, clean e categories. O comando scrape continua em main.js.
+ *
+ * Todos os comandos respeitam os overrides já aplicados ao CONFIG
+ * (ver aplicarOverridesExecucao em config.js).
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Subcomandos da CLI
+ */
+
+import { CONFIG } from '../config.js';
+import { logInfo, logSucesso, logErro, parsePrice } from '../scraper/utils.js';
+import { obterBanco } from '../database/acesso-banco.js';
+import { exportToExcel } from '../export/excelExporter.js';
+import { setupBrowser, extractProductDetails } from '../scraper/aliexpressScraper.js';
+import { validarMargemOtimizada } from '../marginValidation/margin-validator.js';
+import { limparProdutosAntigos, obterEstatisticasDuplicados } from '../utils/duplicate-checker.js';
+import { limparArquivosTemporarios } from '../utils/gerenciador-temporarios.js';
+import { limparCheckpointsAntigos } from '../utils/checkpoint-execucao.js';
+import { obterSupervisorProcessos } from '../utils/supervisor-processos.js';
+import { obterCoordenadorEncerramento, rastrearGravacao } from '../utils/encerramento-gracioso.js';
+import { carregarArvore, salvarArvore, rastrearArvoreCategorias, listarFolhas } from '../scraper/arvore-categorias.js';
+
+/**
+ * Converte uma linha da tabela `produtos` no formato de produto usado pelo scraper
+ *
+ * @param {Object} registro - Linha retornada pelo Supabase
+ * @returns {Object} Produto no formato do pipeline
+ */
+function registroParaProduto(registro) {
+    return {
+        product_id: registro.product_id_aliexpress,
+        nome: registro.nome_traduzido || registro.nome,
+        categoria: registro.categoria,
+        preco: registro.preco_aliexpress,
+        url: registro.url_aliexpress,
+        vendas: registro.vendas_aliexpress,
+        rating: registro.rating_aliexpress,
+        reviews: registro.reviews_aliexpress,
+        scoreTotal: { total: registro.score_total, categoria: registro.score_categoria },
+        aprovadoFinal: registro.aprovado_final
+    };
+}
+
+/**
+ * Obtém produtos aprovados do banco, por categoria quando --categories foi informado
+ *
+ * @param {Object} banco - Módulo de integração com o banco
+ * @param {Array<string>|undefined} categorias - Categorias filtradas na CLI
+ * @param {number} limite - Máximo de produtos por categoria
+ * @returns {Promise<Array<{categoria: string, registros: Array}>>} Grupos de produtos
+ */
+async function carregarAprovadosPorCategoria(banco, categorias, limite) {
+    if (!categorias || categorias.length === 0) {
+        const registros = await banco.obterProdutosAprovados(null, null, limite);
+        return [{ categoria: 'todas', registros }];
+    }
+
+    const grupos = [];
+    for (const categoria of categorias) {
+        const registros = await banco.obterProdutosAprovados(categoria, null, limite);
+        grupos.push({ categoria, registros });
+    }
+    return grupos;
+}
+
+/**
+ * Comando export: gera uma planilha por categoria com os produtos aprovados no banco
+ *
+ * @param {Object} contexto - Overrides e opções da CLI
+ * @returns {Promise<Object>} Resumo da exportação
+ */
+export async function executarExport({ overrides, opcoes }) {
+    const banco = await obterBanco();
+    if (!banco) {
+        logErro('❌ O comando export lê os produtos do banco e não pode ser usado com --no-db');
+        return { sucesso: false, arquivos: [] };
+    }
+
+    const arquivos = [];
+    const grupos = await carregarAprovadosPorCategoria(banco, overrides.categorias, opcoes.limite);
+
+    for (const { categoria, registros } of grupos) {
+        if (registros.length === 0) {
+            logInfo(`ℹ️ Nenhum produto aprovado para '${categoria}' - nada a exportar`);
+            continue;
+        }
+
+        try {
+            const arquivo = await exportToExcel(registros.map(registroParaProduto), categoria, {
+                diretorioCustom: CONFIG.general.outputDir
+            });
+            arquivos.push(arquivo);
+        } catch (exportError) {
+            logErro(`❌ Erro ao exportar '${categoria}': ${exportError.message}`);
+        }
+    }
+
+    logSucesso(`📊 Exportação concluída: ${arquivos.length} arquivo(s) em ${CONFIG.general.outputDir}`);
+    return { sucesso: arquivos.length > 0, arquivos };
+}
+
+/**
+ * Comando stats: estatísticas do banco (quando habilitado) e do controle local de duplicidade
+ *
+ * @returns {Promise<Object>} Estatísticas coletadas
+ */
+export async function executarStats() {
+    const resultado = { banco: null, duplicados: null };
+
+    const banco = await obterBanco();
+    if (banco) {
+        const stats = await banco.obterEstatisticasGerais();
+        resultado.banco = stats;
+        logInfo('📊 Estatísticas do Supabase:');
+        logInfo(`   Total Produtos: ${stats.totalProdutos}`);
+        logInfo(`   Score Médio: ${stats.scoreMedia}`);
+        logInfo(`   Diamante: ${stats.produtosDiamante}, Ouro: ${stats.produtosOuro}, Prata: ${stats.produtosPrata}, Bronze: ${stats.produtosBronze}`);
+        logInfo(`   Categoria Popular: ${stats.categoriaMaisPopular}`);
+    } else {
+        logInfo('ℹ️ Banco desativado - exibindo apenas estatísticas locais');
+    }
+
+    const duplicados = await obterEstatisticasDuplicados();
+    resultado.duplicados = duplicados;
+    logInfo('🗂 Controle local de duplicidade:');
+    logInfo(`   Produtos registrados: ${duplicados.totalProdutos ?? 0}`);
+    logInfo(`   Aprovados: ${duplicados.produtosAprovados ?? 0}`);
+    if (duplicados.produtosPorCategoria) {
+        for (const [categoria, total] of Object.entries(duplicados.produtosPorCategoria)) {
+            logInfo(`      - ${categoria}: ${total}`);
+        }
+    }
+
+    return resultado;
+}
+
+/**
+ * Comando recheck: recoleta o preço atual no AliExpress, busca o Mercado Livre
+ * novamente e registra se a margem dos produtos aprovados continua viável
+ *
+ * @param {Object} contexto - Overrides e opções da CLI
+ * @returns {Promise<Object>} Resumo da revalidação
+ */
+export async function executarRecheck({ overrides, opcoes }) {
+    const banco = await obterBanco();
+    if (!banco) {
+        logErro('❌ O comando recheck revalida produtos do banco e não pode ser usado com --no-db');
+        return { sucesso: false, revalidados: 0 };
+    }
+
+    const grupos = await carregarAprovadosPorCategoria(banco, overrides.categorias, opcoes.limite);
+    const produtos = grupos.flatMap(grupo => grupo.registros.map(registroParaProduto));
+
+    if (produtos.length === 0) {
+        logInfo('ℹ️ Nenhum produto aprovado para revalidar');
+        return { sucesso: true, revalidados: 0, mantidos: 0, reprovados: 0 };
+    }
+
+    logInfo(`🔁 Revalidando ${produtos.length} produto(s) aprovado(s)...`);
+
+    let browser = null;
+    let mantidos = 0;
+    let reprovados = 0;
+
+    try {
+        browser = await setupBrowser({ headless: overrides.headless });
+
+        for (let i = 0; i < produtos.length; i++) {
+            if (obterCoordenadorEncerramento().encerrando) {
+                logInfo(`🛑 Recheck interrompido: ${produtos.length - i} produto(s) não revalidado(s)`);
+                break;
+            }
+            const produto = produtos[i];
+            logInfo(`🔍 Recheck ${i + 1}/${produtos.length}: ${produto.product_id}`);
+
+            try {
+                const detalhes = await extractProductDetails(browser, produto);
+                const precoAtual = detalhes.preco ? parsePrice(String(detalhes.preco)) : null;
+                const produtoAtual = {
+                    ...produto,
+                    ...detalhes,
+                    nome: produto.nome,
+                    preco: precoAtual || produto.preco
+                };
+
+                const analise = await validarMargemOtimizada(produtoAtual, browser);
+                const viavel = analise.sucesso === true && analise.recomendacao?.viavel === true;
+
+                await rastrearGravacao(banco.registrarRevalidacaoProduto(produto.product_id, {
+                    precoAliExpress: precoAtual || 0,
+                    precoMLMedio: analise.mercado?.precosUsados?.media || null,
+                    viavel
+                }), `revalidação ${produto.product_id}`);
+
+                if (viavel) {
+                    mantidos++;
+                    logSucesso(`✅ Margem mantida: ${produto.product_id}`);
+                } else {
+                    reprovados++;
+                    logInfo(`⛔ Margem não é mais viável: ${produto.product_id}`);
+                }
+            } catch (produtoError) {
+                logErro(`❌ Erro ao revalidar ${produto.product_id}: ${produtoError.message}`);
+            }
+        }
+    } catch (error) {
+        logErro(`💥 Erro no recheck: ${error.message}`);
+    } finally {
+        await obterCoordenadorEncerramento().finalizar();
+        try {
+            if (browser && browser.isConnected()) {
+                await browser.close();
+            }
+        } catch (closeError) {
+            logErro(`⚠️ Erro ao fechar browser do recheck: ${closeError.message}`);
+        }
+    }
+
+    logSucesso(`🔁 Recheck concluído: ${mantidos} mantidos, ${reprovados} reprovados`);
+    return { sucesso: true, revalidados: mantidos + reprovados, mantidos, reprovados };
+}
+
+/**
+ * Comando clean: remove temporários, imagens/logs antigos e registros de duplicidade expirados
+ *
+ * @param {Object} contexto - Opções da CLI
+ * @returns {Promise<Object>} Resumo da limpeza
+ */
+export async function executarClean({ opcoes }) {
+    limparArquivosTemporarios();
+
+    const resultadoDuplicados = await limparProdutosAntigos(opcoes.dias);
+    if (resultadoDuplicados.erro) {
+        logErro(`❌ Erro ao limpar registros de duplicidade: ${resultadoDuplicados.erro}`);
+    } else {
+        logSucesso(`🧹 Duplicidade: ${resultadoDuplicados.removidos} registros com mais de ${opcoes.dias} dias removidos, ${resultadoDuplicados.mantidos} mantidos`);
+    }
+
+    const resultadoCheckpoints = await limparCheckpointsAntigos(opcoes.dias);
+    if (resultadoCheckpoints.erro) {
+        logErro(`❌ Erro ao limpar checkpoints: ${resultadoCheckpoints.erro}`);
+    } else {
+        logSucesso(`🧹 Checkpoints: ${resultadoCheckpoints.removidos} execuções com mais de ${opcoes.dias} dias removidas`);
+    }
+
+    const processos = obterSupervisorProcessos().colherOrfaos();
+    logSucesso(`🧹 Processos: ${processos.encerrados.length} Chrome(s) órfão(s) encerrado(s), ${processos.travasRemovidas.length} trava(s) removida(s)`);
+
+    return { duplicados: resultadoDuplicados, checkpoints: resultadoCheckpoints, processos };
+}
+
+/**
+ * Comando categories: lista as categorias folha da árvore do AliExpress
+ * Sem árvore salva (ou com --refresh) a árvore é rastreada e gravada em CATEGORY_TREE_FILE
+ *
+ * @param {Object} contexto - Overrides e opções da CLI
+ * @returns {Promise<Object>} Resumo da árvore
+ */
+export async function executarCategories({ overrides, opcoes }) {
+    let arvore = opcoes.atualizar ? null : carregarArvore();
+
+    if (!arvore) {
+        if (!opcoes.atualizar) {
+            logInfo(`ℹ️ Nenhuma árvore salva em ${CONFIG.search.categoryTreeFile}: rastreando agora`);
+        }
+
+        let browser = null;
+        try {
+            browser = await setupBrowser({ headless: overrides.headless });
+            const page = await browser.newPage();
+            arvore = await rastrearArvoreCategorias(page, { profundidade: opcoes.profundidade });
+            const arquivo = await rastrearGravacao(salvarArvore(arvore), 'árvore de categorias');
+            logSucesso(`💾 Árvore de categorias salva em ${arquivo}`);
+        } catch (error) {
+            logErro(`💥 Erro ao rastrear a árvore de categorias: ${error.message}`);
+            return { sucesso: false, categorias: 0, folhas: 0 };
+        } finally {
+            await obterCoordenadorEncerramento().finalizar();
+            try {
+                if (browser && browser.isConnected()) {
+                    await browser.close();
+                }
+            } catch (closeError) {
+                logErro(`⚠️ Erro ao fechar browser do categories: ${closeError.message}`);
+            }
+        }
+    }
+
+    const folhas = listarFolhas(arvore);
+    console.log('\n🌳 Categorias folha (use em CATEGORIES ou --categories):');
+    for (const { no, caminho } of folhas) {
+        console.log(`   cat:${no.id.padEnd(12)} ${caminho.join(' > ')}`);
+    }
+
+    const total = Object.keys(arvore.nos).length;
+    const naoExpandidas = Object.values(arvore.nos).filter(no => no.nivel < arvore.profundidade && !no.expandido).length;
+    logSucesso(`🌳 ${total} categorias, ${folhas.length} folhas (rastreada em ${arvore.atualizadoEm || 'data desconhecida'}, ${arvore.profundidade} níveis)`);
+    if (naoExpandidas > 0) {
+        logInfo(`⚠️ ${naoExpandidas} categoria(s) não rastreada(s) até o fim: rode categories --refresh para completar`);
+    }
+
+    return { sucesso: true, categorias: total, folhas: folhas.length };
+}
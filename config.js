@@ -18,6 +18,8 @@
 import dotenv from 'dotenv';
 import { existsSync } from 'fs';
 import path from 'path';
+import { ESTRATEGIAS_DETALHES } from './scraper/estrategia-detalhes.js';
+import { NOMES_PRESETS_LANCAMENTO, PRESETS_LANCAMENTO, resolverNomePreset, detectarCaminhoChrome } from './scraper/perfis-lancamento.js';
 
 // =================================
 // INICIALIZAÇÃO E CARREGAMENTO DO .ENV
@@ -65,13 +67,14 @@ function validateEnv() {
             },
             CATEGORIES: {
                 value: process.env.CATEGORIES,
-                required: true,
+                // Obrigatória só no scrape sem --categories/--resume/--products (ver exigirCategorias em cli/argumentos.js)
+                required: false,
                 description: 'Categorias de produtos para processar'
             },
             CHROME_PATH: {
                 value: process.env.CHROME_PATH,
                 required: false,
-                description: 'Caminho do executável do Chrome'
+                description: 'Caminho do executável do Chrome (sem ele, o Chrome instalado é detectado pela plataforma)'
             }
         };
 
@@ -197,7 +200,7 @@ function processProductConfigs() {
 
 const productConfigs = processProductConfigs();
 
-export const CATEGORIES = productConfigs.categories;
+export let CATEGORIES = productConfigs.categories;
 export const MIN_SALES = productConfigs.MIN_SALES;
 export const MIN_REVIEWS = productConfigs.MIN_REVIEWS;
 export const MIN_RATING = productConfigs.MIN_RATING;
@@ -262,9 +265,34 @@ function processSearchConfigs() {
 
 const searchConfigs = processSearchConfigs();
 
-export const TARGET_PRODUCTS_FINAL = searchConfigs.TARGET_PRODUCTS_FINAL;
-export const MAX_PRODUCTS_RAW = searchConfigs.MAX_PRODUCTS_RAW;
-export const MAX_PAGES_PER_CATEGORY = searchConfigs.MAX_PAGES_PER_CATEGORY;
+// Declaradas com `let` para permitir overrides por execução (ver aplicarOverridesExecucao)
+export let TARGET_PRODUCTS_FINAL = searchConfigs.TARGET_PRODUCTS_FINAL;
+export let MAX_PRODUCTS_RAW = searchConfigs.MAX_PRODUCTS_RAW;
+export let MAX_PAGES_PER_CATEGORY = searchConfigs.MAX_PAGES_PER_CATEGORY;
+
+// Filtros da página de resultados por categoria (preço, país de envio, frete grátis, 4★+, Choice)
+export const SEARCH_FILTERS_FILE = process.env.SEARCH_FILTERS_FILE || 'config/filtros-busca.json';
+
+/**
+ * Níveis rastreados pelo comando categories (1 = só as principais; a partir de 3,
+ * cada categoria do nível anterior é visitada)
+ */
+function processCategoryTreeDepth() {
+    const profundidade = parseInt(process.env.CATEGORY_TREE_DEPTH ?? 3);
+    if (isNaN(profundidade) || profundidade < 1 || profundidade > 5) {
+        console.warn(`⚠️  CATEGORY_TREE_DEPTH inválido (${process.env.CATEGORY_TREE_DEPTH}). Usando padrão: 3`);
+        return 3;
+    }
+    return profundidade;
+}
+
+// Árvore de categorias do AliExpress (entradas cat:<id> ou "Pai > Filha" em CATEGORIES)
+export const CATEGORY_TREE_FILE = process.env.CATEGORY_TREE_FILE || 'config/arvore-categorias.json';
+export const CATEGORY_TREE_DEPTH = processCategoryTreeDepth();
+
+// Registro versionado de seletores CSS e destino dos relatórios de drift
+export const SELECTORS_FILE = process.env.SELECTORS_FILE || 'config/seletores.json';
+export const SELECTOR_DRIFT_DIR = process.env.SELECTOR_DRIFT_DIR || 'logs/seletores';
 
 // =================================
 // CONFIGURAÇÕES DO PUPPETEER
@@ -272,33 +300,47 @@ export const MAX_PAGES_PER_CATEGORY = searchConfigs.MAX_PAGES_PER_CATEGORY;
 
 /**
  * Processa e valida configurações do Puppeteer/Chrome
+ * O preset (BROWSER_PRESET) define headless e slowMo; HEADLESS e SLOW_MO no .env prevalecem
  */
 function processBrowserConfigs() {
     try {
-        // Caminho do Chrome com validação de existência
-        let chromePath = process.env.CHROME_PATH || 'C:/Program Files/Google/Chrome/Application/chrome.exe';
+        // Preset de lançamento (scraper/perfis-lancamento.js)
+        const presetInformado = (process.env.BROWSER_PRESET || 'auto').trim().toLowerCase();
+        if (!NOMES_PRESETS_LANCAMENTO.includes(presetInformado)) {
+            console.warn(`⚠️  BROWSER_PRESET inválido (${process.env.BROWSER_PRESET}). Usando padrão: auto`);
+        }
+        const preset = resolverNomePreset(presetInformado);
+
+        // Caminho do Chrome com validação de existência (CHROME_PATH ou detecção por plataforma)
+        const { caminho: chromePath } = detectarCaminhoChrome(process.env.CHROME_PATH);
         
         // Validar configurações booleanas
-        const headless = process.env.HEADLESS !== 'false'; // Padrão: true (headless)
+        const headless = process.env.HEADLESS !== undefined && process.env.HEADLESS !== ''
+            ? process.env.HEADLESS !== 'false'
+            : PRESETS_LANCAMENTO[preset].headless;
         const screenshots = ['true', '1', 'yes'].includes((process.env.ENABLE_SCREENSHOTS || 'false').toLowerCase());
         
         // Validar SlowMo (velocidade de automação)
-        let slowMo = 0;
+        let slowMo = PRESETS_LANCAMENTO[preset].slowMo;
         try {
-            const rawSlowMo = parseInt(process.env.SLOW_MO || '0');
-            if (!isNaN(rawSlowMo) && rawSlowMo >= 0 && rawSlowMo <= 5000) {
-                slowMo = rawSlowMo;
-            } else {
-                console.warn('⚠️  SLOW_MO inválido. Usando padrão: 0');
+            if (process.env.SLOW_MO !== undefined && process.env.SLOW_MO !== '') {
+                const rawSlowMo = parseInt(process.env.SLOW_MO);
+                if (!isNaN(rawSlowMo) && rawSlowMo >= 0 && rawSlowMo <= 5000) {
+                    slowMo = rawSlowMo;
+                } else {
+                    console.warn(`⚠️  SLOW_MO inválido. Usando o do preset ${preset}: ${slowMo}`);
+                }
             }
         } catch (error) {
             console.warn(`⚠️  Erro ao processar SLOW_MO: ${error.message}`);
         }
 
         return {
+            preset,
             chromePath,
             userDataDir: process.env.CHROME_USER_DATA_DIR || '',
             profile: process.env.CHROME_PROFILE || '',
+            pidFile: process.env.BROWSER_PID_FILE || 'pids/chrome.json',
             headless,
             proxy: process.env.PUPPETEER_PROXY || '',
             slowMo,
@@ -313,9 +355,11 @@ function processBrowserConfigs() {
 
 const browserConfigs = processBrowserConfigs();
 
+export const BROWSER_PRESET = browserConfigs.preset;
 export const CHROME_PATH = browserConfigs.chromePath;
 export const CHROME_USER_DATA_DIR = browserConfigs.userDataDir;
 export const CHROME_PROFILE = browserConfigs.profile;
+export const BROWSER_PID_FILE = browserConfigs.pidFile;
 export const HEADLESS = browserConfigs.headless;
 export const SLOW_MO = browserConfigs.slowMo;
 export const PUPPETEER_PROXY = browserConfigs.proxy;
@@ -371,6 +415,470 @@ export const PAGE_TIMEOUT = timeoutConfigs.PAGE_TIMEOUT;
 export const ELEMENT_TIMEOUT = timeoutConfigs.ELEMENT_TIMEOUT;
 export const NAVIGATION_TIMEOUT = timeoutConfigs.NAVIGATION_TIMEOUT;
 
+// =================================
+// CONFIGURAÇÕES DE CONCORRÊNCIA
+// =================================
+
+/**
+ * Processa configurações do pool de abas usado na extração de detalhes
+ * Valores fora dos limites voltam ao padrão para não sobrecarregar o Chrome
+ */
+function processConcurrencyConfigs() {
+    try {
+        const concurrencyConfigs = {
+            DETAIL_CONCURRENCY: { default: 3, min: 1, max: 8 },
+            DETAIL_TASK_TIMEOUT: { default: 90000, min: 10000, max: 600000 },
+            DOMAIN_MIN_INTERVAL: { default: 1500, min: 0, max: 60000 }
+        };
+
+        const processedConcurrency = {};
+
+        for (const [key, config] of Object.entries(concurrencyConfigs)) {
+            const rawValue = parseInt(process.env[key] || config.default);
+            if (!isNaN(rawValue) && rawValue >= config.min && rawValue <= config.max) {
+                processedConcurrency[key] = rawValue;
+            } else {
+                console.warn(`⚠️  ${key} inválido (${process.env[key]}). Usando padrão: ${config.default}`);
+                processedConcurrency[key] = config.default;
+            }
+        }
+
+        return processedConcurrency;
+
+    } catch (error) {
+        console.error(`❌ Erro ao processar configurações de concorrência: ${error.message}`);
+        throw error;
+    }
+}
+
+const concurrencyConfigs = processConcurrencyConfigs();
+
+export const DETAIL_CONCURRENCY = concurrencyConfigs.DETAIL_CONCURRENCY;
+export const DETAIL_TASK_TIMEOUT = concurrencyConfigs.DETAIL_TASK_TIMEOUT;
+export const DOMAIN_MIN_INTERVAL = concurrencyConfigs.DOMAIN_MIN_INTERVAL;
+
+/**
+ * Estratégia de abertura da PDP na extração de detalhes (direct, search ou auto)
+ */
+function processDetailStrategy() {
+    const estrategia = (process.env.DETAIL_STRATEGY || 'auto').trim().toLowerCase();
+    if (!ESTRATEGIAS_DETALHES.includes(estrategia)) {
+        console.warn(`⚠️  DETAIL_STRATEGY inválido (${process.env.DETAIL_STRATEGY}). Usando padrão: auto`);
+        return 'auto';
+    }
+    return estrategia;
+}
+
+export const DETAIL_STRATEGY = processDetailStrategy();
+
+// =================================
+// CONFIGURAÇÕES DE REVIEWS
+// =================================
+
+/**
+ * Coleta de reviews dos compradores por produto detalhado
+ * REVIEWS_MAX_PAGES=0 desativa a coleta
+ */
+function processReviewConfigs() {
+    const reviewConfigs = {
+        REVIEWS_MAX_PAGES: { default: 2, min: 0, max: 20 },
+        REVIEWS_PAGE_SIZE: { default: 20, min: 5, max: 50 }
+    };
+
+    const processedReviews = {};
+
+    for (const [key, config] of Object.entries(reviewConfigs)) {
+        const rawValue = parseInt(process.env[key] ?? config.default);
+        if (!isNaN(rawValue) && rawValue >= config.min && rawValue <= config.max) {
+            processedReviews[key] = rawValue;
+        } else {
+            console.warn(`⚠️  ${key} inválido (${process.env[key]}). Usando padrão: ${config.default}`);
+            processedReviews[key] = config.default;
+        }
+    }
+
+    return processedReviews;
+}
+
+const reviewConfigs = processReviewConfigs();
+
+export const REVIEWS_MAX_PAGES = reviewConfigs.REVIEWS_MAX_PAGES;
+export const REVIEWS_PAGE_SIZE = reviewConfigs.REVIEWS_PAGE_SIZE;
+
+// =================================
+// PERFIL DE LOJAS
+// =================================
+
+/**
+ * Perfil das lojas: visita à página da loja e cache por ID
+ */
+export const STORE_PROFILE_VISIT = !['false', '0', 'no'].includes((process.env.STORE_PROFILE_VISIT || 'true').toLowerCase());
+export const STORE_CACHE_FILE = process.env.STORE_CACHE_FILE || 'database/cache-lojas.json';
+
+function processStoreCacheTtl() {
+    const horas = parseInt(process.env.STORE_CACHE_TTL_HOURS ?? 168);
+    if (isNaN(horas) || horas < 0 || horas > 8760) {
+        console.warn(`⚠️  STORE_CACHE_TTL_HOURS inválido (${process.env.STORE_CACHE_TTL_HOURS}). Usando padrão: 168`);
+        return 168;
+    }
+    return horas;
+}
+
+export const STORE_CACHE_TTL_HOURS = processStoreCacheTtl();
+
+// =================================
+// BLOQUEIOS (SLIDER / CAPTCHA)
+// =================================
+
+/**
+ * Políticas de recuperação quando o AliExpress exibe slider, punish ou CAPTCHA
+ */
+export const POLITICAS_BLOQUEIO = ['backoff', 'rotate', 'pause', 'abort'];
+
+function processBlockConfigs() {
+    const politica = (process.env.CAPTCHA_POLICY || 'backoff').trim().toLowerCase();
+    const numericConfigs = {
+        CAPTCHA_MAX_RETRIES: { default: 3, min: 0, max: 10 },
+        CAPTCHA_BACKOFF_MS: { default: 30000, min: 1000, max: 900000 },
+        CAPTCHA_PAUSE_TIMEOUT_MS: { default: 600000, min: 10000, max: 3600000 }
+    };
+
+    const processed = {};
+    for (const [key, config] of Object.entries(numericConfigs)) {
+        const rawValue = parseInt(process.env[key] ?? config.default);
+        if (!isNaN(rawValue) && rawValue >= config.min && rawValue <= config.max) {
+            processed[key] = rawValue;
+        } else {
+            console.warn(`⚠️  ${key} inválido (${process.env[key]}). Usando padrão: ${config.default}`);
+            processed[key] = config.default;
+        }
+    }
+
+    if (POLITICAS_BLOQUEIO.includes(politica)) {
+        processed.CAPTCHA_POLICY = politica;
+    } else {
+        console.warn(`⚠️  CAPTCHA_POLICY inválido (${process.env.CAPTCHA_POLICY}). Usando padrão: backoff`);
+        processed.CAPTCHA_POLICY = 'backoff';
+    }
+
+    return processed;
+}
+
+const blockConfigs = processBlockConfigs();
+
+export const CAPTCHA_POLICY = blockConfigs.CAPTCHA_POLICY;
+export const CAPTCHA_MAX_RETRIES = blockConfigs.CAPTCHA_MAX_RETRIES;
+export const CAPTCHA_BACKOFF_MS = blockConfigs.CAPTCHA_BACKOFF_MS;
+export const CAPTCHA_PAUSE_TIMEOUT_MS = blockConfigs.CAPTCHA_PAUSE_TIMEOUT_MS;
+
+// =================================
+// POOL DE PROXIES
+// =================================
+
+/**
+ * Pool de proxies (um por linha em PROXY_FILE; sem arquivo, PUPPETEER_PROXY vira pool de um)
+ * Rotação por categoria, após N requisições e após N bloqueios (0 desativa cada gatilho)
+ */
+function processProxyConfigs() {
+    const numericConfigs = {
+        PROXY_ROTATE_AFTER_REQUESTS: { default: 0, min: 0, max: 100000 },
+        PROXY_ROTATE_AFTER_BLOCKS: { default: 1, min: 0, max: 100 },
+        PROXY_HEALTH_INTERVAL_MS: { default: 300000, min: 0, max: 86400000 }
+    };
+
+    const processed = {};
+    for (const [key, config] of Object.entries(numericConfigs)) {
+        const rawValue = parseInt(process.env[key] ?? config.default);
+        if (!isNaN(rawValue) && rawValue >= config.min && rawValue <= config.max) {
+            processed[key] = rawValue;
+        } else {
+            console.warn(`⚠️  ${key} inválido (${process.env[key]}). Usando padrão: ${config.default}`);
+            processed[key] = config.default;
+        }
+    }
+
+    if (processed.PROXY_HEALTH_INTERVAL_MS > 0 && processed.PROXY_HEALTH_INTERVAL_MS < 10000) {
+        console.warn('⚠️  PROXY_HEALTH_INTERVAL_MS abaixo de 10000ms. Usando 10000ms');
+        processed.PROXY_HEALTH_INTERVAL_MS = 10000;
+    }
+
+    return processed;
+}
+
+const proxyConfigs = processProxyConfigs();
+
+export const PROXY_FILE = process.env.PROXY_FILE || 'config/proxies.txt';
+export const PROXY_ROTATE_PER_CATEGORY = !['false', '0', 'no'].includes((process.env.PROXY_ROTATE_PER_CATEGORY || 'true').toLowerCase());
+export const PROXY_ROTATE_AFTER_REQUESTS = proxyConfigs.PROXY_ROTATE_AFTER_REQUESTS;
+export const PROXY_ROTATE_AFTER_BLOCKS = proxyConfigs.PROXY_ROTATE_AFTER_BLOCKS;
+export const PROXY_HEALTH_URL = process.env.PROXY_HEALTH_URL || 'https://pt.aliexpress.com/robots.txt';
+export const PROXY_HEALTH_INTERVAL_MS = proxyConfigs.PROXY_HEALTH_INTERVAL_MS;
+
+// =================================
+// SESSÕES DE NAVEGAÇÃO (PERFIS)
+// =================================
+
+/**
+ * Categorias processadas ao mesmo tempo, cada uma em um contexto do Chrome com seu perfil
+ * (cookies, user agent, viewport, idioma e proxy). 1 mantém o processamento sequencial
+ */
+function processCategoryConcurrency() {
+    const concorrencia = parseInt(process.env.CATEGORY_CONCURRENCY ?? 1);
+    if (isNaN(concorrencia) || concorrencia < 1 || concorrencia > 4) {
+        console.warn(`⚠️  CATEGORY_CONCURRENCY inválido (${process.env.CATEGORY_CONCURRENCY}). Usando padrão: 1`);
+        return 1;
+    }
+    return concorrencia;
+}
+
+export let CATEGORY_CONCURRENCY = processCategoryConcurrency();
+export const SESSION_PROFILES_FILE = process.env.SESSION_PROFILES_FILE || 'config/perfis-sessao.json';
+export const SESSION_DIR = process.env.SESSION_DIR || 'user_data/perfis';
+
+// =================================
+// FORNECEDORES ALTERNATIVOS
+// =================================
+
+/**
+ * Máximo de fornecedores alternativos detalhados por produto aprovado (0 desativa)
+ */
+function processAltSuppliersMax() {
+    const maximo = parseInt(process.env.ALT_SUPPLIERS_MAX ?? 3);
+    if (isNaN(maximo) || maximo < 0 || maximo > 10) {
+        console.warn(`⚠️  ALT_SUPPLIERS_MAX inválido (${process.env.ALT_SUPPLIERS_MAX}). Usando padrão: 3`);
+        return 3;
+    }
+    return maximo;
+}
+
+export const ALT_SUPPLIERS_MAX = processAltSuppliersMax();
+
+// =================================
+// ENCERRAMENTO GRACIOSO
+// =================================
+
+/**
+ * Prazo entre o SIGINT/SIGTERM e a saída forçada: tempo para terminar o produto atual,
+ * gravar pendências e fechar o browser (0 espera sem limite)
+ */
+function processShutdownTimeout() {
+    const prazo = parseInt(process.env.SHUTDOWN_TIMEOUT_MS ?? 30000);
+    if (isNaN(prazo) || (prazo !== 0 && (prazo < 1000 || prazo > 600000))) {
+        console.warn(`⚠️  SHUTDOWN_TIMEOUT_MS inválido (${process.env.SHUTDOWN_TIMEOUT_MS}). Usando padrão: 30000`);
+        return 30000;
+    }
+    return prazo;
+}
+
+export const SHUTDOWN_TIMEOUT_MS = processShutdownTimeout();
+
+// =================================
+// AGENDADOR (EXECUÇÕES RECORRENTES)
+// =================================
+
+// Tarefas com expressões cron (comando schedule) e histórico das execuções agendadas
+export const SCHEDULE_FILE = process.env.SCHEDULE_FILE || 'config/agendamentos.json';
+export const SCHEDULE_HISTORY_FILE = process.env.SCHEDULE_HISTORY_FILE || 'database/historico-agendamentos.json';
+
+// =================================
+// MERCADO LIVRE (FONTE DOS CONCORRENTES)
+// =================================
+
+/**
+ * Fontes de dados do Mercado Livre: html (listagem raspada com cheerio), api (endpoints JSON
+ * /sites/MLB/search e /items) e auto (API, com a listagem HTML como reserva)
+ */
+export const FONTES_ML = ['html', 'api', 'auto'];
+
+function processMlSource() {
+    const fonte = (process.env.ML_SOURCE || 'html').trim().toLowerCase();
+    if (!FONTES_ML.includes(fonte)) {
+        console.warn(`⚠️  ML_SOURCE inválido (${process.env.ML_SOURCE}). Usando padrão: html`);
+        return 'html';
+    }
+    return fonte;
+}
+
+/**
+ * Páginas da busca da API (50 itens cada) lidas por produto
+ */
+function processMlApiMaxPages() {
+    const paginas = parseInt(process.env.ML_API_MAX_PAGES ?? 1);
+    if (isNaN(paginas) || paginas < 1 || paginas > 20) {
+        console.warn(`⚠️  ML_API_MAX_PAGES inválido (${process.env.ML_API_MAX_PAGES}). Usando padrão: 1`);
+        return 1;
+    }
+    return paginas;
+}
+
+/**
+ * Análise de concorrência no ML (sempre pela API): anúncios lidos por produto e anúncios
+ * mais vendidos cujas avaliações são consultadas. ML_COMPETITION_MAX_ITEMS=0 desativa a análise
+ */
+function processMlCompetitionConfigs() {
+    const competitionConfigs = {
+        ML_COMPETITION_MAX_ITEMS: { default: 100, min: 0, max: 1000 },
+        ML_COMPETITION_TOP_REVIEWS: { default: 3, min: 0, max: 10 }
+    };
+
+    const processedCompetition = {};
+
+    for (const [key, config] of Object.entries(competitionConfigs)) {
+        const rawValue = parseInt(process.env[key] ?? config.default);
+        if (!isNaN(rawValue) && rawValue >= config.min && rawValue <= config.max) {
+            processedCompetition[key] = rawValue;
+        } else {
+            console.warn(`⚠️  ${key} inválido (${process.env[key]}). Usando padrão: ${config.default}`);
+            processedCompetition[key] = config.default;
+        }
+    }
+
+    return processedCompetition;
+}
+
+const competitionConfigs = processMlCompetitionConfigs();
+
+export const ML_SOURCE = processMlSource();
+export const ML_API_URL = (process.env.ML_API_URL || 'https://api.mercadolibre.com').replace(/\/+$/, '');
+export const ML_API_TOKEN = process.env.ML_API_TOKEN || '';
+export const ML_API_MAX_PAGES = processMlApiMaxPages();
+export const ML_COMPETITION_MAX_ITEMS = competitionConfigs.ML_COMPETITION_MAX_ITEMS;
+export const ML_COMPETITION_TOP_REVIEWS = competitionConfigs.ML_COMPETITION_TOP_REVIEWS;
+
+/**
+ * Idade máxima (dias) das consultas reais ao ML usadas como referência de preço quando o ML não responde
+ */
+function processPriceReferenceMaxAge() {
+    const dias = parseInt(process.env.PRICE_REFERENCE_MAX_AGE_DAYS ?? 180);
+    if (isNaN(dias) || dias < 1 || dias > 730) {
+        console.warn(`⚠️  PRICE_REFERENCE_MAX_AGE_DAYS inválido (${process.env.PRICE_REFERENCE_MAX_AGE_DAYS}). Usando padrão: 180`);
+        return 180;
+    }
+    return dias;
+}
+
+export const PRICE_REFERENCE_FILE = process.env.PRICE_REFERENCE_FILE || 'database/referencia-precos.json';
+export const PRICE_REFERENCE_MAX_AGE_DAYS = processPriceReferenceMaxAge();
+
+/**
+ * Tarifas de venda no ML: tipo de anúncio (comissão por categoria) e modo de envio (subsídio do
+ * frete grátis por faixa de peso). As tabelas ficam em config/tabelas-ml.json
+ */
+export const TIPOS_ANUNCIO_ML = ['classico', 'premium'];
+export const MODOS_ENVIO_ML = ['mercado_envios', 'full', 'proprio'];
+
+function processMlListingType() {
+    const tipo = (process.env.ML_LISTING_TYPE || 'classico').trim().toLowerCase();
+    if (!TIPOS_ANUNCIO_ML.includes(tipo)) {
+        console.warn(`⚠️  ML_LISTING_TYPE inválido (${process.env.ML_LISTING_TYPE}). Usando padrão: classico`);
+        return 'classico';
+    }
+    return tipo;
+}
+
+function processMlShippingMode() {
+    const modo = (process.env.ML_SHIPPING_MODE || 'mercado_envios').trim().toLowerCase();
+    if (!MODOS_ENVIO_ML.includes(modo)) {
+        console.warn(`⚠️  ML_SHIPPING_MODE inválido (${process.env.ML_SHIPPING_MODE}). Usando padrão: mercado_envios`);
+        return 'mercado_envios';
+    }
+    return modo;
+}
+
+/**
+ * Peso (kg) do pacote usado na faixa do Mercado Envios quando o produto não informa o seu
+ */
+function processMlDefaultWeight() {
+    const peso = parseFloat(process.env.ML_DEFAULT_WEIGHT_KG ?? 0.5);
+    if (isNaN(peso) || peso <= 0 || peso > 30) {
+        console.warn(`⚠️  ML_DEFAULT_WEIGHT_KG inválido (${process.env.ML_DEFAULT_WEIGHT_KG}). Usando padrão: 0.5`);
+        return 0.5;
+    }
+    return peso;
+}
+
+// Comissões, custo fixo e faixas de peso; ML_FEE_TABLES_FILE sobrescreve seções
+export const ML_FEE_TABLES_FILE = process.env.ML_FEE_TABLES_FILE || 'config/tabelas-ml.json';
+export const ML_LISTING_TYPE = processMlListingType();
+export const ML_SHIPPING_MODE = processMlShippingMode();
+export const ML_DEFAULT_WEIGHT_KG = processMlDefaultWeight();
+
+// =================================
+// CUSTO DE IMPORTAÇÃO (REMESSA CONFORME, ICMS E REGIME TRIBUTÁRIO)
+// =================================
+
+/**
+ * Regimes tributários do vendedor na revenda: Simples Nacional (Anexo I), MEI e Lucro Presumido
+ */
+export const REGIMES_TRIBUTARIOS = ['simples', 'mei', 'presumido'];
+
+export const UFS = [
+    'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+    'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+];
+
+function processUsdBrlRate() {
+    const cotacao = parseFloat(process.env.USD_BRL_RATE ?? 5.2);
+    if (isNaN(cotacao) || cotacao <= 0 || cotacao > 20) {
+        console.warn(`⚠️  USD_BRL_RATE inválido (${process.env.USD_BRL_RATE}). Usando padrão: 5.2`);
+        return 5.2;
+    }
+    return cotacao;
+}
+
+function processDestinationUf() {
+    const uf = (process.env.DESTINATION_UF || 'SP').trim().toUpperCase();
+    if (!UFS.includes(uf)) {
+        console.warn(`⚠️  DESTINATION_UF inválido (${process.env.DESTINATION_UF}). Usando padrão: SP`);
+        return 'SP';
+    }
+    return uf;
+}
+
+function processTaxRegime() {
+    const regime = (process.env.TAX_REGIME || 'simples').trim().toLowerCase();
+    if (!REGIMES_TRIBUTARIOS.includes(regime)) {
+        console.warn(`⚠️  TAX_REGIME inválido (${process.env.TAX_REGIME}). Usando padrão: simples`);
+        return 'simples';
+    }
+    return regime;
+}
+
+/**
+ * Faturamento dos últimos 12 meses (faixa do Simples e limite do MEI) e vendas por mês
+ * (rateio do DAS fixo do MEI por unidade vendida)
+ */
+function processSellerConfigs() {
+    const sellerConfigs = {
+        SELLER_REVENUE_12M: { default: 0, min: 0, max: 100000000 },
+        SELLER_MONTHLY_SALES: { default: 100, min: 1, max: 1000000 }
+    };
+
+    const processedSeller = {};
+
+    for (const [key, config] of Object.entries(sellerConfigs)) {
+        const rawValue = parseFloat(process.env[key] ?? config.default);
+        if (!isNaN(rawValue) && rawValue >= config.min && rawValue <= config.max) {
+            processedSeller[key] = rawValue;
+        } else {
+            console.warn(`⚠️  ${key} inválido (${process.env[key]}). Usando padrão: ${config.default}`);
+            processedSeller[key] = config.default;
+        }
+    }
+
+    return processedSeller;
+}
+
+const sellerConfigs = processSellerConfigs();
+
+// Regras versionadas por vigência (alíquotas, faixas e regimes); TAX_RULES_FILE sobrescreve seções
+export const TAX_RULES_FILE = process.env.TAX_RULES_FILE || 'config/regras-tributarias.json';
+export const USD_BRL_RATE = processUsdBrlRate();
+export const DESTINATION_UF = processDestinationUf();
+export const TAX_REGIME = processTaxRegime();
+export const SELLER_REVENUE_12M = sellerConfigs.SELLER_REVENUE_12M;
+export const SELLER_MONTHLY_SALES = sellerConfigs.SELLER_MONTHLY_SALES;
+
 // =================================
 // CONFIGURAÇÕES GERAIS
 // =================================
@@ -381,6 +889,30 @@ export const NAVIGATION_TIMEOUT = timeoutConfigs.NAVIGATION_TIMEOUT;
 export const DEFAULT_ZIPCODE = process.env.DEFAULT_ZIPCODE || '01001-000';
 export const DIRETORIO_DEBUG = process.env.DIRETORIO_DEBUG || 'scraper/debug_files';
 export const DEBUG = ['true', '1', 'yes'].includes((process.env.DEBUG || 'false').toLowerCase());
+export const DIRETORIO_SAIDA = process.env.DIRETORIO_SAIDA || 'exports';
+export const DIRETORIO_CHECKPOINTS = process.env.DIRETORIO_CHECKPOINTS || 'checkpoints';
+export const USAR_BANCO = !['false', '0', 'no'].includes((process.env.USAR_BANCO || 'true').toLowerCase());
+
+// =================================
+// FIXTURES DE REDE (GRAVAÇÃO / REPLAY)
+// =================================
+
+/**
+ * Modos de fixtures: off (rede real), record (rede real + gravação) e replay (sem rede)
+ */
+export const MODOS_FIXTURES = ['off', 'record', 'replay'];
+
+function processFixturesMode() {
+    const modo = (process.env.FIXTURES_MODE || 'off').trim().toLowerCase();
+    if (!MODOS_FIXTURES.includes(modo)) {
+        console.warn(`⚠️  FIXTURES_MODE inválido (${process.env.FIXTURES_MODE}). Usando padrão: off`);
+        return 'off';
+    }
+    return modo;
+}
+
+export const FIXTURES_MODE = processFixturesMode();
+export const FIXTURES_DIR = process.env.FIXTURES_DIR || 'fixtures';
 
 // =================================
 // CONFIGURAÇÃO CONSOLIDADA PARA EXPORTAÇÃO
@@ -417,14 +949,19 @@ export const CONFIG = {
     search: {
         maxProductsRaw: MAX_PRODUCTS_RAW,
         targetProductsFinal: TARGET_PRODUCTS_FINAL,
-        maxPagesPerCategory: MAX_PAGES_PER_CATEGORY
+        maxPagesPerCategory: MAX_PAGES_PER_CATEGORY,
+        filtersFile: SEARCH_FILTERS_FILE,
+        categoryTreeFile: CATEGORY_TREE_FILE,
+        categoryTreeDepth: CATEGORY_TREE_DEPTH
     },
     
     // Configurações do browser
     browser: {
+        preset: BROWSER_PRESET,
         chromePath: CHROME_PATH,
         userDataDir: CHROME_USER_DATA_DIR,
         profile: CHROME_PROFILE,
+        pidFile: BROWSER_PID_FILE,
         headless: HEADLESS,
         proxy: PUPPETEER_PROXY,
         slowMo: SLOW_MO,
@@ -438,14 +975,249 @@ export const CONFIG = {
         navigation: NAVIGATION_TIMEOUT
     },
     
+    // Seletores CSS (registro versionado + relatório de drift)
+    seletores: {
+        file: SELECTORS_FILE,
+        driftDir: SELECTOR_DRIFT_DIR
+    },
+    
+    // Pool de abas para extração de detalhes
+    concurrency: {
+        detailPages: DETAIL_CONCURRENCY,
+        detailTaskTimeout: DETAIL_TASK_TIMEOUT,
+        domainMinInterval: DOMAIN_MIN_INTERVAL,
+        detailStrategy: DETAIL_STRATEGY
+    },
+    
+    // Coleta de reviews dos compradores
+    reviews: {
+        maxPages: REVIEWS_MAX_PAGES,
+        pageSize: REVIEWS_PAGE_SIZE
+    },
+    
+    // Perfil e confiabilidade das lojas
+    lojas: {
+        visitStore: STORE_PROFILE_VISIT,
+        cacheFile: STORE_CACHE_FILE,
+        cacheTtlHours: STORE_CACHE_TTL_HOURS
+    },
+    
+    // Recuperação de bloqueios (slider, punish, CAPTCHA)
+    bloqueios: {
+        politica: CAPTCHA_POLICY,
+        maxTentativas: CAPTCHA_MAX_RETRIES,
+        backoffMs: CAPTCHA_BACKOFF_MS,
+        pausaMaxMs: CAPTCHA_PAUSE_TIMEOUT_MS
+    },
+    
+    // Pool de proxies (Chrome e axios)
+    proxies: {
+        file: PROXY_FILE,
+        rotatePerCategory: PROXY_ROTATE_PER_CATEGORY,
+        rotateAfterRequests: PROXY_ROTATE_AFTER_REQUESTS,
+        rotateAfterBlocks: PROXY_ROTATE_AFTER_BLOCKS,
+        healthUrl: PROXY_HEALTH_URL,
+        healthIntervalMs: PROXY_HEALTH_INTERVAL_MS
+    },
+    
+    // Perfis de sessão e categorias em paralelo
+    sessoes: {
+        concorrenciaCategorias: CATEGORY_CONCURRENCY,
+        perfisFile: SESSION_PROFILES_FILE,
+        dir: SESSION_DIR
+    },
+    
+    // Busca do mesmo item em outras lojas para produtos aprovados
+    fornecedoresAlternativos: {
+        max: ALT_SUPPLIERS_MAX
+    },
+    
+    // Encerramento gracioso (SIGINT/SIGTERM)
+    encerramento: {
+        prazoMs: SHUTDOWN_TIMEOUT_MS
+    },
+    
+    // Agendador de execuções recorrentes (comando schedule)
+    agendador: {
+        arquivo: SCHEDULE_FILE,
+        historico: SCHEDULE_HISTORY_FILE
+    },
+    
+    // Fonte dos concorrentes no Mercado Livre (listagem HTML ou API pública), análise de concorrência
+    // histórico de preços das consultas reais e tarifas de venda (comissão, custo fixo e envio)
+    mercadoLivre: {
+        fonte: ML_SOURCE,
+        apiUrl: ML_API_URL,
+        apiToken: ML_API_TOKEN,
+        apiMaxPaginas: ML_API_MAX_PAGES,
+        concorrenciaMaxItens: ML_COMPETITION_MAX_ITEMS,
+        concorrenciaTopAvaliacoes: ML_COMPETITION_TOP_REVIEWS,
+        referenciaArquivo: PRICE_REFERENCE_FILE,
+        referenciaIdadeMaximaDias: PRICE_REFERENCE_MAX_AGE_DAYS,
+        tabelasArquivo: ML_FEE_TABLES_FILE,
+        tipoAnuncio: ML_LISTING_TYPE,
+        modoEnvio: ML_SHIPPING_MODE,
+        pesoPadraoKg: ML_DEFAULT_WEIGHT_KG
+    },
+    
+    // Custo de importação: Remessa Conforme, ICMS da UF de destino e regime do vendedor na revenda
+    importacao: {
+        regrasArquivo: TAX_RULES_FILE,
+        cotacaoUSD: USD_BRL_RATE,
+        uf: DESTINATION_UF,
+        regime: TAX_REGIME,
+        faturamento12m: SELLER_REVENUE_12M,
+        vendasMensais: SELLER_MONTHLY_SALES
+    },
+    
+    // Banco de dados (Supabase)
+    database: {
+        enabled: USAR_BANCO && FIXTURES_MODE !== 'replay'
+    },
+    
+    // Gravação/replay de tráfego para execuções offline
+    fixtures: {
+        mode: FIXTURES_MODE,
+        dir: FIXTURES_DIR
+    },
+    
     // Configurações gerais
     general: {
         defaultZipcode: DEFAULT_ZIPCODE,
         debugDir: DIRETORIO_DEBUG,
+        outputDir: DIRETORIO_SAIDA,
+        checkpointDir: DIRETORIO_CHECKPOINTS,
         debug: DEBUG
     }
 };
 
+// =================================
+// OVERRIDES POR EXECUÇÃO (CLI)
+// =================================
+
+// Valores do .env antes de qualquer override (o agendador volta a eles entre as tarefas)
+const VALORES_BASE = {
+    categorias: CATEGORIES,
+    maxPaginas: MAX_PAGES_PER_CATEGORY,
+    alvo: TARGET_PRODUCTS_FINAL,
+    maxProdutosRaw: MAX_PRODUCTS_RAW,
+    concorrenciaCategorias: CATEGORY_CONCURRENCY,
+    headless: CONFIG.browser.headless,
+    bancoAtivo: CONFIG.database.enabled,
+    estrategiaDetalhes: CONFIG.concurrency.detailStrategy,
+    fixtures: { ...CONFIG.fixtures },
+    saida: CONFIG.general.outputDir
+};
+
+/**
+ * Aplica overrides de uma única execução sobre a configuração carregada do .env
+ * Atualiza tanto o objeto CONFIG quanto as constantes exportadas (live bindings),
+ * de modo que os módulos que importam CATEGORIES/MAX_PAGES_PER_CATEGORY enxerguem os novos valores
+ * 
+ * @param {Object} overrides - Valores vindos da linha de comando
+ * @param {Array<string>} [overrides.categorias] - Lista de categorias
+ * @param {number} [overrides.maxPaginas] - Máximo de páginas por categoria (0 = sem limite)
+ * @param {number} [overrides.alvo] - Meta de produtos finais por categoria
+ * @param {boolean} [overrides.headless] - Forçar modo headless
+ * @param {boolean} [overrides.semBanco] - Desativar persistência no Supabase
+ * @param {string} [overrides.saida] - Diretório de saída dos arquivos exportados
+ * @param {string} [overrides.estrategiaDetalhes] - Estratégia de abertura da PDP (direct, search, auto)
+ * @param {Object} [overrides.fixtures] - Gravação/replay de fixtures ({ modo, diretorio })
+ * @returns {Object} CONFIG atualizado
+ */
+export function aplicarOverridesExecucao(overrides = {}) {
+    try {
+        if (Array.isArray(overrides.categorias) && overrides.categorias.length > 0) {
+            CATEGORIES = overrides.categorias;
+            CONFIG.filters.categories = CATEGORIES;
+        }
+
+        if (Number.isInteger(overrides.maxPaginas) && overrides.maxPaginas >= 0) {
+            MAX_PAGES_PER_CATEGORY = overrides.maxPaginas === 0 ? 999 : overrides.maxPaginas;
+            CONFIG.search.maxPagesPerCategory = MAX_PAGES_PER_CATEGORY;
+        }
+
+        if (Number.isInteger(overrides.alvo) && overrides.alvo > 0) {
+            TARGET_PRODUCTS_FINAL = overrides.alvo;
+            CONFIG.search.targetProductsFinal = TARGET_PRODUCTS_FINAL;
+
+            // Mantém a regra de auto-cálculo quando MAX_PRODUCTS_RAW = 0 no .env
+            if (parseInt(process.env.MAX_PRODUCTS_RAW || '100') === 0) {
+                MAX_PRODUCTS_RAW = TARGET_PRODUCTS_FINAL * 2;
+                CONFIG.search.maxProductsRaw = MAX_PRODUCTS_RAW;
+            }
+        }
+
+        if (overrides.headless === true) {
+            CONFIG.browser.headless = true;
+        }
+
+        if (overrides.semBanco === true) {
+            CONFIG.database.enabled = false;
+        }
+
+        if (Number.isInteger(overrides.categoriasParalelas) && overrides.categoriasParalelas >= 1) {
+            CATEGORY_CONCURRENCY = Math.min(overrides.categoriasParalelas, 4);
+            CONFIG.sessoes.concorrenciaCategorias = CATEGORY_CONCURRENCY;
+        }
+
+        if (ESTRATEGIAS_DETALHES.includes(overrides.estrategiaDetalhes)) {
+            CONFIG.concurrency.detailStrategy = overrides.estrategiaDetalhes;
+        }
+
+        if (overrides.fixtures && MODOS_FIXTURES.includes(overrides.fixtures.modo)) {
+            CONFIG.fixtures.mode = overrides.fixtures.modo;
+            if (overrides.fixtures.diretorio) {
+                CONFIG.fixtures.dir = overrides.fixtures.diretorio;
+            }
+        }
+
+        // Replay é totalmente offline: o Supabase também fica de fora
+        if (CONFIG.fixtures.mode === 'replay') {
+            CONFIG.database.enabled = false;
+        }
+
+        if (typeof overrides.saida === 'string' && overrides.saida.trim() !== '') {
+            CONFIG.general.outputDir = overrides.saida.trim();
+        }
+
+        if (MAX_PRODUCTS_RAW < TARGET_PRODUCTS_FINAL) {
+            console.warn('⚠️  MAX_PRODUCTS_RAW é menor que TARGET_PRODUCTS_FINAL após overrides. Isso pode impedir atingir a meta.');
+        }
+
+        return CONFIG;
+
+    } catch (error) {
+        console.error(`❌ Erro ao aplicar overrides da execução: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Desfaz os overrides aplicados, voltando aos valores carregados do .env
+ * Usado pelo agendador para que uma tarefa não herde os overrides da anterior
+ * @returns {Object} CONFIG restaurado
+ */
+export function restaurarOverridesExecucao() {
+    CATEGORIES = VALORES_BASE.categorias;
+    CONFIG.filters.categories = CATEGORIES;
+    MAX_PAGES_PER_CATEGORY = VALORES_BASE.maxPaginas;
+    CONFIG.search.maxPagesPerCategory = MAX_PAGES_PER_CATEGORY;
+    TARGET_PRODUCTS_FINAL = VALORES_BASE.alvo;
+    CONFIG.search.targetProductsFinal = TARGET_PRODUCTS_FINAL;
+    MAX_PRODUCTS_RAW = VALORES_BASE.maxProdutosRaw;
+    CONFIG.search.maxProductsRaw = MAX_PRODUCTS_RAW;
+    CATEGORY_CONCURRENCY = VALORES_BASE.concorrenciaCategorias;
+    CONFIG.sessoes.concorrenciaCategorias = CATEGORY_CONCURRENCY;
+    CONFIG.browser.headless = VALORES_BASE.headless;
+    CONFIG.database.enabled = VALORES_BASE.bancoAtivo;
+    CONFIG.concurrency.detailStrategy = VALORES_BASE.estrategiaDetalhes;
+    CONFIG.fixtures.mode = VALORES_BASE.fixtures.mode;
+    CONFIG.fixtures.dir = VALORES_BASE.fixtures.dir;
+    CONFIG.general.outputDir = VALORES_BASE.saida;
+    return CONFIG;
+}
+
 // =================================
 // LOG DE INICIALIZAÇÃO
 // =================================
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Acesso sob demanda à integração com o Supabase
+ * @description O cliente Supabase valida SUPABASE_URL/SUPABASE_KEY no momento do import.
+ * Este módulo só importa a integração quando o banco está habilitado (CONFIG.database.enabled),
+ * permitindo execuções com --no-db em máquinas sem credenciais configuradas.
+ *
+ * @author Sistema de Scraping AliExpress - Database Integration v1.0
+ * @version 1.0.0 - Carregamento condicional do banco
+ * @since 2024-01-01
+ */
+
+import { CONFIG } from '../config.js';
+
+let moduloBanco = null;
+
+/**
+ * Verificar se a persistência no banco está habilitada para esta execução
+ * @returns {boolean} True se o banco deve ser usado
+ */
+export function bancoHabilitado() {
+    return CONFIG.database?.enabled !== false;
+}
+
+/**
+ * Obter o módulo de integração com o banco (carregado apenas uma vez)
+ * @returns {Promise<Object|null>} Módulo database-integration ou null se o banco estiver desativado/indisponível
+ */
+export async function obterBanco() {
+    if (!bancoHabilitado()) {
+        return null;
+    }
+
+    if (moduloBanco) {
+        return moduloBanco;
+    }
+
+    try {
+        moduloBanco = await import('./database-integration.js');
+        return moduloBanco;
+    } catch (error) {
+        console.error(`❌ Banco indisponível: ${error.message}`);
+        console.error('💡 Configure SUPABASE_URL/SUPABASE_KEY no .env ou execute com --no-db');
+        return null;
+    }
+}
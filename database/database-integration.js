@@ -281,6 +281,49 @@ export async function obterProdutosAprovados(categoria = null, tenantId = null,
     }
 }
 
+/**
+ * Registrar resultado de uma revalidação de margem (comando recheck)
+ * @param {string} productId - ID do produto no AliExpress
+ * @param {Object} revalidacao - Dados recalculados
+ * @param {number} revalidacao.precoAliExpress - Preço atual no AliExpress
+ * @param {number|null} revalidacao.precoMLMedio - Preço médio atual no Mercado Livre
+ * @param {boolean} revalidacao.viavel - Se a margem continua viável
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export async function registrarRevalidacaoProduto(productId, revalidacao) {
+    try {
+        const dadosAtualizados = {
+            aprovado_final: revalidacao.viavel === true,
+            status: revalidacao.viavel === true ? 'aprovado' : 'analisado',
+            ultima_analise_em: new Date().toISOString()
+        };
+
+        if (revalidacao.precoAliExpress > 0) {
+            dadosAtualizados.preco_aliexpress = revalidacao.precoAliExpress;
+        }
+
+        if (revalidacao.precoMLMedio > 0) {
+            dadosAtualizados.preco_ml_medio = revalidacao.precoMLMedio;
+        }
+
+        const { error } = await supabase
+            .from('produtos')
+            .update(dadosAtualizados)
+            .eq('product_id_aliexpress', productId);
+
+        if (error) {
+            console.error('❌ Erro ao registrar revalidação:', error.message);
+            return { sucesso: false, erro: error.message };
+        }
+
+        return { sucesso: true };
+
+    } catch (error) {
+        console.error('❌ Erro ao registrar revalidação do produto:', error.message);
+        return { sucesso: false, erro: error.message };
+    }
+}
+
 /**
  * Obter estatísticas de produtos por categoria
  * @param {string} tenantId - ID do tenant
@@ -140,6 +140,16 @@ export async function exportToExcel(produtos, categoria, opcoes = {}) {
     // === ABA PRINCIPAL: PRODUTOS ===
     await criarAbaProdutos(workbook, produtos, categoria, configuracao);
     
+    // === ABA DE VARIANTES (apenas se algum produto tiver SKUs) ===
+    if (produtos.some(p => Array.isArray(p.variantes) && p.variantes.length > 0)) {
+      await criarAbaVariantes(workbook, produtos, configuracao);
+    }
+    
+    // === ABA DE CUSTOS DE IMPORTAÇÃO (apenas se algum produto tiver o detalhamento) ===
+    if (montarLinhasCustos(produtos).length > 0) {
+      await criarAbaCustos(workbook, produtos);
+    }
+    
     // === ABA DE METADADOS (se solicitada) ===
     if (configuracao.incluirMetadados) {
       await criarAbaMetadados(workbook, produtos, categoria);
@@ -434,6 +444,214 @@ async function criarAbaProdutos(workbook, produtos, categoria, configuracao) {
   }
 }
 
+/**
+ * Monta as linhas da aba de variantes: uma por produto × variante
+ * @description Junta os dados do SKU com a margem calculada por variante (analiseMargem.variantes)
+ * @param {Array} produtos - Array de produtos
+ * @returns {Array<Object>} Linhas prontas para a planilha
+ */
+export function montarLinhasVariantes(produtos) {
+  const linhas = [];
+  
+  for (const produto of produtos) {
+    if (!Array.isArray(produto?.variantes)) continue;
+    
+    const margens = new Map(
+      (produto.analiseMargem?.variantes || []).map(v => [String(v.skuId), v])
+    );
+    const melhorSku = produto.analiseMargem?.melhorVariante?.skuId;
+    
+    for (const variante of produto.variantes) {
+      const margem = margens.get(String(variante.skuId));
+      linhas.push({
+        product_id: produto.product_id || '',
+        nome: produto.nome || produto.titulo || '',
+        skuId: variante.skuId,
+        variante: Object.values(variante.atributos || {}).join(' / '),
+        cor: variante.cor || '',
+        tamanho: variante.tamanho || '',
+        plugue: variante.plugue || '',
+        estoque: variante.estoque ?? 0,
+        disponivel: variante.disponivel ? 'Sim' : 'Não',
+        preco: variante.preco ?? 0,
+        precoOriginal: variante.precoOriginal ?? 0,
+        margemPercentual: margem ? margem.margemPercentual : '',
+        viavel: margem ? (margem.viavel ? 'Sim' : 'Não') : '',
+        melhorVariante: melhorSku !== undefined && String(melhorSku) === String(variante.skuId) ? 'Sim' : '',
+        imagem: variante.imagem || ''
+      });
+    }
+  }
+  
+  return linhas;
+}
+
+/**
+ * Cria aba com uma linha por variante (SKU) de cada produto
+ * @description A variante mais barata nem sempre é a vendida: a margem é exibida por SKU
+ * @param {ExcelJS.Workbook} workbook - Instância do workbook Excel
+ * @param {Array} produtos - Array de produtos
+ * @param {Object} configuracao - Configurações de exportação
+ * @returns {Promise<void>}
+ * @private
+ */
+async function criarAbaVariantes(workbook, produtos, configuracao) {
+  try {
+    logInfo('🎨 Criando aba de variantes...');
+    
+    const sheet = workbook.addWorksheet('Variantes');
+    const linhas = montarLinhasVariantes(produtos);
+    
+    sheet.columns = [
+      { header: 'Product ID', key: 'product_id', width: 20 },
+      { header: 'Produto', key: 'nome', width: 40 },
+      { header: 'SKU', key: 'skuId', width: 20 },
+      { header: 'Variante', key: 'variante', width: 30 },
+      { header: 'Cor', key: 'cor', width: 15 },
+      { header: 'Tamanho', key: 'tamanho', width: 12 },
+      { header: 'Plugue', key: 'plugue', width: 12 },
+      { header: 'Estoque', key: 'estoque', width: 12 },
+      { header: 'Disponível', key: 'disponivel', width: 12 },
+      { header: 'Preço (R$)', key: 'preco', width: 12 },
+      { header: 'Preço Original (R$)', key: 'precoOriginal', width: 18 },
+      { header: 'Margem (%)', key: 'margemPercentual', width: 12 },
+      { header: 'Viável', key: 'viavel', width: 10 },
+      { header: 'Melhor Variante', key: 'melhorVariante', width: 16 },
+      { header: 'Imagem', key: 'imagem', width: 50 }
+    ];
+    
+    linhas.forEach(linha => {
+      const row = sheet.addRow(linha);
+      
+      if (configuracao.formatacaoCondicional && linha.viavel) {
+        const corFundo = linha.viavel === 'Sim' ? EXCEL_CONFIG.cores.aprovado : EXCEL_CONFIG.cores.reprovado;
+        row.eachCell((cell) => {
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: corFundo }
+          };
+        });
+      }
+    });
+    
+    // Formatação do cabeçalho
+    const headerRow = sheet.getRow(1);
+    headerRow.eachCell((cell) => {
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: EXCEL_CONFIG.cores.cabecalho }
+      };
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+    });
+    
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    
+    logSucesso(`✅ Aba de variantes criada com ${linhas.length} SKUs`);
+    
+  } catch (error) {
+    logErro('Erro ao criar aba de variantes', error);
+    // Não propagar o erro - a aba de produtos já tem o preço principal
+  }
+}
+
+/**
+ * Monta as linhas da aba de custos: uma por produto × item do custo desembarcado
+ * @description Lê o detalhamento de calcularCustoImportacao da análise de margem (scraper ou
+ * validação completa) e fecha cada produto com o custo desembarcado e o total com os impostos da revenda
+ * @param {Array} produtos - Array de produtos
+ * @returns {Array<Object>} Linhas prontas para a planilha
+ */
+export function montarLinhasCustos(produtos) {
+  const linhas = [];
+  
+  for (const produto of produtos) {
+    const margem = produto?.analiseMargem || produto?.filtros?.margem;
+    const custo = margem?.custoImportacao || margem?.analiseMargens?.realista?.custoImportacao;
+    if (!custo?.itens) continue;
+    
+    const comum = {
+      product_id: produto.product_id || '',
+      nome: produto.nome || produto.titulo || '',
+      uf: custo.uf,
+      regime: custo.impostosRevenda?.descricao || custo.regime,
+      versaoRegras: custo.versaoRegras
+    };
+    
+    for (const item of custo.itens) {
+      linhas.push({
+        ...comum,
+        item: item.descricao,
+        base: item.base ?? '',
+        aliquota: item.aliquota === null || item.aliquota === undefined ? '' : Math.round(item.aliquota * 10000) / 100,
+        valor: item.valor
+      });
+    }
+    linhas.push({ ...comum, item: 'Custo desembarcado', base: '', aliquota: '', valor: custo.custoDesembarcado, totalizador: true });
+    linhas.push({ ...comum, item: 'Total com impostos da revenda', base: '', aliquota: '', valor: custo.total, totalizador: true });
+  }
+  
+  return linhas;
+}
+
+/**
+ * Cria aba com o custo desembarcado item a item de cada produto
+ * @description Imposto de importação, ICMS da UF e impostos do regime do vendedor pelas regras em vigor
+ * @param {ExcelJS.Workbook} workbook - Instância do workbook Excel
+ * @param {Array} produtos - Array de produtos
+ * @returns {Promise<void>}
+ * @private
+ */
+async function criarAbaCustos(workbook, produtos) {
+  try {
+    logInfo('🧾 Criando aba de custos de importação...');
+    
+    const sheet = workbook.addWorksheet('Custos de Importação');
+    const linhas = montarLinhasCustos(produtos);
+    
+    sheet.columns = [
+      { header: 'Product ID', key: 'product_id', width: 20 },
+      { header: 'Produto', key: 'nome', width: 40 },
+      { header: 'Item', key: 'item', width: 55 },
+      { header: 'Base (R$)', key: 'base', width: 12 },
+      { header: 'Alíquota (%)', key: 'aliquota', width: 12 },
+      { header: 'Valor (R$)', key: 'valor', width: 12 },
+      { header: 'UF', key: 'uf', width: 6 },
+      { header: 'Regime', key: 'regime', width: 18 },
+      { header: 'Versão das Regras', key: 'versaoRegras', width: 18 }
+    ];
+    
+    linhas.forEach(linha => {
+      const row = sheet.addRow(linha);
+      if (linha.totalizador) {
+        row.font = { bold: true };
+      }
+    });
+    
+    // Formatação do cabeçalho
+    const headerRow = sheet.getRow(1);
+    headerRow.eachCell((cell) => {
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: EXCEL_CONFIG.cores.cabecalho }
+      };
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+    });
+    
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    
+    logSucesso(`✅ Aba de custos criada com ${linhas.length} linhas`);
+    
+  } catch (error) {
+    logErro('Erro ao criar aba de custos de importação', error);
+    // Não propagar o erro - a aba de produtos já tem a margem
+  }
+}
+
 /**
  * Cria aba de metadados com informações sobre a exportação
  * @description Adiciona aba informativa com detalhes sobre os dados exportados
@@ -780,6 +998,20 @@ function formatarNomeColunaParaExcel(nomeOriginal) {
   }
 }
 
+/**
+ * Converte array em valor de célula
+ * @description Arrays de objetos (ex.: variantes) viram contagem; o detalhe fica em abas próprias
+ * @param {Array} lista - Array a converter
+ * @returns {string} Valor para a célula
+ * @private
+ */
+function valorDeArray(lista) {
+  if (lista.some(item => item && typeof item === 'object')) {
+    return `${lista.length} itens`;
+  }
+  return lista.join(', ');
+}
+
 /**
  * Utilitário para "achatar" objetos aninhados para estrutura plana do Excel
  * @description Converte objetos com estruturas aninhadas em formato plano
@@ -802,7 +1034,7 @@ function flattenObject(obj, prefix = '', result = {}) {
     // Se não é objeto, retornar valor simples
     if (typeof obj !== 'object' || Array.isArray(obj)) {
       if (prefix) {
-        result[prefix] = Array.isArray(obj) ? obj.join(', ') : obj;
+        result[prefix] = Array.isArray(obj) ? valorDeArray(obj) : obj;
       }
       return result;
     }
@@ -818,7 +1050,7 @@ function flattenObject(obj, prefix = '', result = {}) {
           flattenObject(val, newKey, result);
         } else {
           // Tratar arrays convertendo para string
-          result[newKey] = Array.isArray(val) ? val.join(', ') : val;
+          result[newKey] = Array.isArray(val) ? valorDeArray(val) : val;
         }
       }
     }
@@ -13,14 +13,14 @@ export async function applyQualitativeFilter(produto) {
   try {
     // Se não tiver API key, usar análise básica (sempre funcional)
     if (!OPENAI_API_KEY) {
-      return applyBasicQualitativeFilter(produto);
+      return aplicarSinaisReviews(applyBasicQualitativeFilter(produto), produto);
     }
 
     // Tentar análise com OpenAI, fallback para básica
     const prompt = criarPromptAnalise(produto);
     const analise = await analisarComOpenAI(prompt);
     
-    return {
+    return aplicarSinaisReviews({
       resolveProblemaEscalavel: analise.resolveProblema ? "Sim" : "Não",
       propostaUnica: analise.propostaUnica ? "Sim" : "Não",
       fornecedorConfiavel: analise.fornecedorConfiavel ? "Sim" : "Não",
@@ -30,13 +30,45 @@ export async function applyQualitativeFilter(produto) {
       justificativa: analise.justificativa,
       scoreQualitativo: analise.score,
       fonte: 'OpenAI'
-    };
+    }, produto);
   } catch (error) {
     console.log('⚠️ Erro na análise AI, usando filtros básicos:', error.message);
-    return applyBasicQualitativeFilter(produto);
+    return aplicarSinaisReviews(applyBasicQualitativeFilter(produto), produto);
   }
 }
 
+/**
+ * Ajusta o resultado com os sinais das reviews dos compradores (coletor-reviews.js)
+ * A nota média esconde o padrão "chegou quebrado": a penalidade vem das negativas
+ */
+function aplicarSinaisReviews(resultado, produto) {
+  const sinais = produto.sinaisReviews;
+  if (!sinais || sinais.amostraInsuficiente) {
+    return resultado;
+  }
+
+  const scoreQualitativo = Math.max(0, (resultado.scoreQualitativo || 0) - sinais.penalidade);
+  const riscosIdentificados = [...(resultado.riscosIdentificados || []), ...sinais.alertas];
+
+  return {
+    ...resultado,
+    riscosIdentificados,
+    // Risco alto nas reviews reprova mesmo com nota média boa
+    aprovado: sinais.risco === 'alto' ? false : resultado.aprovado,
+    justificativa: `${resultado.justificativa} | Reviews: ${sinais.percentualNegativas}% negativas, ${sinais.percentualDefeito}% com defeito (-${sinais.penalidade})`,
+    scoreQualitativo,
+    sinaisReviews: sinais
+  };
+}
+
+/**
+ * Aprovação qualitativa do produto: score mínimo e nenhuma reprovação explícita
+ * A penalidade das reviews tem teto de 30 pontos, então o risco alto precisa vetar pelo `aprovado`
+ */
+export function qualitativoAprovado(resultado, scoreMinimo = 50) {
+  return (resultado?.scoreQualitativo || 0) >= scoreMinimo && resultado?.aprovado !== false;
+}
+
 /**
  * Filtros qualitativos básicos (sem AI) - 🧪 Melhoria 4: Ativado automaticamente
  */
@@ -89,6 +121,7 @@ PREÇO: ${produto.preco || 'N/A'}
 VENDAS: ${produto.vendas}
 AVALIAÇÕES: ${produto.reviews}
 NOTA: ${produto.rating}/5.0
+REVIEWS NEGATIVAS: ${produto.sinaisReviews ? `${produto.sinaisReviews.percentualNegativas}% (defeito: ${produto.sinaisReviews.negativas.defeito}%, tamanho: ${produto.sinaisReviews.negativas.tamanho}%, atraso: ${produto.sinaisReviews.negativas.atraso}%)` : 'N/A'}
 
 Avalie os seguintes critérios (responda em JSON):
 
@@ -5,6 +5,7 @@
 export function assessRisk(produto) {
   const criterios = {
     fornecedorSuspeito: avaliarFornecedor(produto.vendedor),
+    lojaPoucoConfiavel: avaliarLoja(produto.perfilLoja),
     freteSuspeito: avaliarFrete(produto.frete),
     pesoInvalido: avaliarPeso(produto.peso)
   };
@@ -13,6 +14,7 @@ export function assessRisk(produto) {
 
   return {
     ...criterios,
+    confiabilidadeLoja: produto.perfilLoja?.confiabilidade || null,
     risco
   };
 }
@@ -24,6 +26,11 @@ function avaliarFornecedor(nome) {
   return false;
 }
 
+// Score de confiabilidade calculado em scraper/perfil-lojas.js (sem perfil: não penaliza)
+function avaliarLoja(perfilLoja) {
+  return perfilLoja?.confiabilidade?.nivel === 'baixa';
+}
+
 function avaliarFrete(frete) {
   if (!frete || frete.toLowerCase().includes('não disponível')) return true;
   return false;
@@ -12,22 +12,76 @@
  *    - Exporta produtos aprovados para Excel
  * 3. Realiza cleanup completo do browser
  * 
+ * Uso: node main.js [scrape|export|stats|recheck|clean] [opções] (ver cli/argumentos.js)
+ * 
  * @author LoopStore
  * @version 2.0.0 - Refatorado com validação de margem prioritária
  */
 
-import { CONFIG, CATEGORIES } from './config.js';
+import { CONFIG, CATEGORIES, aplicarOverridesExecucao, restaurarOverridesExecucao } from './config.js';
 import { setupBrowser, processCategory } from './scraper/aliexpressScraper.js';
 import { logInfo, logSucesso, logErro } from './scraper/utils.js';
-import { salvarProdutoCompleto, obterEstatisticasGerais } from './database/database-integration.js';
+import { obterBanco } from './database/acesso-banco.js';
+import { exportToExcel } from './export/excelExporter.js';
+import { instalarAdaptadorAxios } from './utils/fixtures-rede.js';
+import { salvarRelatorioDrift } from './scraper/registro-seletores.js';
+import { obterPoolProxies } from './utils/pool-proxies.js';
+import { obterGerenciadorSessoes, sessoesComPerfis } from './utils/sessoes-navegacao.js';
+import { isolarMetricas } from './metrics/scraping-metrics.js';
+import { obterSupervisorProcessos } from './utils/supervisor-processos.js';
+import { obterCoordenadorEncerramento, rastrearGravacao } from './utils/encerramento-gracioso.js';
+import { lerArquivoProdutos, montarListaProdutos, ROTULO_LISTA_PADRAO } from './scraper/entrada-produtos.js';
+import { carregarTarefasAgendadas, HistoricoAgendamentos, Agendador } from './utils/agendador.js';
+import { interpretarArgumentos, exigirCategorias, mesclarOverridesRetomada, TEXTO_AJUDA } from './cli/argumentos.js';
+import {
+    gerarRunId,
+    salvarManifestoExecucao,
+    carregarManifestoExecucao,
+    criarCheckpointCategoria
+} from './utils/checkpoint-execucao.js';
+import { executarExport, executarStats, executarRecheck, executarClean, executarCategories } from './cli/comandos.js';
 
-const iniciar = async () => {
+/**
+ * Executa o scraping completo das categorias (comando scrape e tarefas do agendador)
+ * @param {Object} [overrides={}] - Overrides da execução (já aplicados ao CONFIG)
+ * @returns {Promise<{runId: string, status: string, resultados: Array, erro?: string}>} Resumo da execução
+ */
+const iniciar = async (overrides = {}) => {
     let browser = null;
+    const runId = overrides.retomar || gerarRunId();
+    const resumo = { runId, status: 'falhou', resultados: [] };
     try {
         logInfo('🚀 Iniciando processo completo de scraping por categoria...');
+        logInfo(`🆔 Execução: ${runId}${overrides.retomar ? ' (retomada)' : ''} - retome com: node main.js scrape --resume ${runId}`);
+        await salvarManifestoExecucao(runId, {
+            categorias: CATEGORIES,
+            overrides,
+            status: 'em_andamento'
+        });
+        const banco = await obterBanco();
+        if (!banco) {
+            logInfo('ℹ️ Execução sem banco de dados (--no-db): resultados apenas em planilha');
+        }
+        // Lista de URLs/IDs (--products/--products-file): um único "lote" sem busca nem paginação
+        let produtosLista;
+        if (overrides.produtos || overrides.arquivoProdutos) {
+            const entradas = [
+                ...(overrides.produtos || []),
+                ...(overrides.arquivoProdutos ? await lerArquivoProdutos(overrides.arquivoProdutos) : [])
+            ];
+            ({ produtos: produtosLista } = await montarListaProdutos(entradas, { categoria: CATEGORIES[0] }));
+            if (produtosLista.length === 0) {
+                throw new Error('Nenhuma URL ou ID de produto válido na lista informada');
+            }
+        }
         try {
-            browser = await setupBrowser();
+            browser = await setupBrowser({ headless: overrides.headless });
             logInfo('✅ Browser configurado e inicializado com sucesso');
+            if (CONFIG.fixtures.mode !== 'replay') {
+                obterPoolProxies().iniciarVerificacaoPeriodica(CONFIG.proxies.healthIntervalMs);
+                // Parada no finalizar() desta execução; no agendador, a próxima execução a reinicia
+                obterCoordenadorEncerramento().aoEncerrar('verificação de saúde dos proxies', () => obterPoolProxies().encerrar());
+            }
         } catch (browserError) {
             logErro(`❌ Erro crítico ao configurar browser: ${browserError.message}`);
             logErro('💡 Verifique se o Chrome está instalado e as configurações do .env estão corretas');
@@ -35,17 +89,35 @@ const iniciar = async () => {
         }
         const resultadosGerais = [];
         let totalProdutosSalvos = 0;
-        for (let i = 0; i < CATEGORIES.length; i++) {
-            const categoria = CATEGORIES[i];
+        // Perfis de sessão: categorias em paralelo, cada uma em um contexto isolado do Chrome
+        const sessoes = sessoesComPerfis() ? obterGerenciadorSessoes() : null;
+        const paralelas = sessoes
+            ? Math.max(1, Math.min(CONFIG.sessoes.concorrenciaCategorias, sessoes.total, CATEGORIES.length))
+            : 1;
+        if (sessoes) {
+            logInfo(`🧵 ${paralelas} categoria(s) em paralelo com ${sessoes.total} perfis de sessão`);
+        }
+        const processarCategoria = async (categoria, i) => {
             logInfo(`\n📂 Processando categoria ${i + 1}/${CATEGORIES.length}: '${categoria}'`);
+            const perfil = sessoes?.reservar() || null;
+            let temporizadorCategoria = null;
             try {
-                const timeoutPromise = new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Timeout de categoria excedido')), 600000)
-                );
+                // Cancelado no finally: uma rejeição tardia sem handler pediria o encerramento do processo
+                const timeoutPromise = new Promise((_, reject) => {
+                    temporizadorCategoria = setTimeout(() => reject(new Error('Timeout de categoria excedido')), 600000);
+                });
+                const checkpoint = await criarCheckpointCategoria(runId, categoria, {
+                    retomar: Boolean(overrides.retomar)
+                });
                 const resultado = await Promise.race([
-                    processCategory(browser, categoria),
+                    isolarMetricas(() => processCategory(browser, categoria, { checkpoint, perfil, produtos: produtosLista })),
                     timeoutPromise
                 ]);
+                if (obterCoordenadorEncerramento().encerrando && !checkpoint.faseConcluida('resultado')) {
+                    logInfo(`🛑 Categoria '${categoria}' interrompida antes do fim - progresso salvo no checkpoint`);
+                    resultadosGerais.push({ categoria, produtos: 0, status: 'interrompida' });
+                    return;
+                }
                 if (!resultado || typeof resultado !== 'object') {
                     throw new Error('Resultado inválido retornado pelo processamento da categoria');
                 }
@@ -54,13 +126,13 @@ const iniciar = async () => {
                     throw new Error('Lista de produtos retornada não é um array válido');
                 }
                 // Salvar produtos no Supabase
-                for (const produto of produtos) {
+                for (const produto of banco ? produtos : []) {
                     if (!produto || !produto.product_id) {
                         logErro(`⚠️ Produto inválido para salvar no banco: ${JSON.stringify(produto)}`);
                         continue;
                     }
                     try {
-                        await salvarProdutoCompleto(produto);
+                        await rastrearGravacao(banco.salvarProdutoCompleto(produto), `Supabase ${produto.product_id}`);
                         totalProdutosSalvos++;
                     } catch (dbError) {
                         logErro(`⚠️ Erro ao salvar produto no banco: ${dbError.message}`);
@@ -75,6 +147,15 @@ const iniciar = async () => {
                         timestamp: new Date().toISOString()
                     });
                 }
+                // Exportar aprovados para Excel no diretório de saída
+                const aprovados = produtos.filter(produto => produto?.aprovadoFinal);
+                if (aprovados.length > 0) {
+                    try {
+                        await exportToExcel(aprovados, categoria, { diretorioCustom: CONFIG.general.outputDir });
+                    } catch (exportError) {
+                        logErro(`⚠️ Erro ao exportar categoria para Excel: ${exportError.message}`);
+                    }
+                }
                 logSucesso(`📦 Categoria '${categoria}' finalizada com ${produtos.length} produtos totalmente aprovados salvos.`);
                 resultadosGerais.push({
                     categoria,
@@ -85,6 +166,7 @@ const iniciar = async () => {
                 logErro(`❌ Erro ao processar categoria '${categoria}': ${categoryError.message}`);
                 if (categoryError.message.includes('Timeout')) {
                     logErro('💡 Categoria excedeu tempo limite. Considere aumentar o timeout ou dividir em subcategorias.');
+                    logErro(`💡 O progresso foi salvo em checkpoints: node main.js scrape --resume ${runId}`);
                 } else if (categoryError.message.includes('Navigation')) {
                     logErro('💡 Erro de navegação. Verifique conexão de internet e configurações de proxy.');
                 } else if (categoryError.message.includes('Element')) {
@@ -96,13 +178,13 @@ const iniciar = async () => {
                     status: 'erro',
                     erro: categoryError.message
                 });
-                continue;
+            } finally {
+                clearTimeout(temporizadorCategoria);
+                sessoes?.liberar(perfil);
             }
-            if (i < CATEGORIES.length - 1) {
-                logInfo('⏳ Aguardando 2 segundos antes da próxima categoria...');
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
+        };
+        await executarCategorias(CATEGORIES, paralelas, processarCategoria);
+        const encerramento = obterCoordenadorEncerramento();
         const sucessos = resultadosGerais.filter(r => r.status === 'sucesso');
         const erros = resultadosGerais.filter(r => r.status === 'erro');
         const totalProdutos = sucessos.reduce((sum, r) => sum + r.produtos, 0);
@@ -111,6 +193,15 @@ const iniciar = async () => {
         logInfo(`   ❌ Categorias com erro: ${erros.length}/${CATEGORIES.length}`);
         logInfo(`   📦 Total de produtos processados: ${totalProdutos}`);
         logInfo(`   💾 Total de produtos salvos no banco: ${totalProdutosSalvos}`);
+        if (encerramento.encerrando) {
+            logInfo(`   🛑 Execução interrompida (${encerramento.motivo}) - continue com: node main.js scrape --resume ${runId}`);
+        }
+        resumo.status = encerramento.encerrando ? 'interrompida' : erros.length > 0 ? 'concluida_com_erros' : 'concluida';
+        resumo.resultados = resultadosGerais;
+        await salvarManifestoExecucao(runId, {
+            status: resumo.status,
+            resultados: resultadosGerais
+        });
         if (erros.length > 0) {
             logInfo('   🔍 Categorias com erro:');
             erros.forEach(erro => {
@@ -118,23 +209,32 @@ const iniciar = async () => {
             });
         }
         // Estatísticas finais do banco
-        try {
-            const stats = await obterEstatisticasGerais();
-            logInfo('📊 Estatísticas finais do Supabase:');
-            logInfo(`   Total Produtos: ${stats.totalProdutos}`);
-            logInfo(`   Score Médio: ${stats.scoreMedia}`);
-            logInfo(`   Diamante: ${stats.produtosDiamante}, Ouro: ${stats.produtosOuro}, Prata: ${stats.produtosPrata}, Bronze: ${stats.produtosBronze}`);
-            logInfo(`   Categoria Popular: ${stats.categoriaMaisPopular}`);
-        } catch (statsError) {
-            logErro(`⚠️ Erro ao obter estatísticas finais do banco: ${statsError.message}`);
+        if (banco) {
+            try {
+                const stats = await banco.obterEstatisticasGerais();
+                logInfo('📊 Estatísticas finais do Supabase:');
+                logInfo(`   Total Produtos: ${stats.totalProdutos}`);
+                logInfo(`   Score Médio: ${stats.scoreMedia}`);
+                logInfo(`   Diamante: ${stats.produtosDiamante}, Ouro: ${stats.produtosOuro}, Prata: ${stats.produtosPrata}, Bronze: ${stats.produtosBronze}`);
+                logInfo(`   Categoria Popular: ${stats.categoriaMaisPopular}`);
+            } catch (statsError) {
+                logErro(`⚠️ Erro ao obter estatísticas finais do banco: ${statsError.message}`);
+            }
         }
     } catch (error) {
+        resumo.erro = error.message;
         logErro(`💥 Erro crítico no processo principal: ${error.message}`);
         logErro('🛠️ Verifique logs anteriores para detalhes específicos do erro.');
         if (CONFIG.debug) {
             console.error('🐛 [DEBUG] Stack trace completo:', error.stack);
         }
     } finally {
+        // Gravações pendentes (duplicados, métricas, Supabase) terminam antes do browser fechar
+        try {
+            await obterCoordenadorEncerramento().finalizar();
+        } catch (flushError) {
+            logErro(`⚠️ Erro ao aguardar gravações pendentes: ${flushError.message}`);
+        }
         try {
             if (browser) {
                 await cleanupBrowser(browser);
@@ -144,9 +244,98 @@ const iniciar = async () => {
             logErro(`⚠️ Erro durante cleanup: ${cleanupError.message}`);
             logInfo('✅ Processo de scraping finalizado (cleanup com problemas).');
         }
+        try {
+            const relatorioDrift = await salvarRelatorioDrift(runId);
+            if (relatorioDrift) {
+                logErro(`🧭 Seletores primários deixaram de corresponder - relatório de drift: ${relatorioDrift}`);
+            }
+        } catch (driftError) {
+            logErro(`⚠️ Erro ao gravar relatório de drift dos seletores: ${driftError.message}`);
+        }
+        try {
+            const poolProxies = obterPoolProxies();
+            if (!poolProxies.vazio) {
+                const estatisticasProxies = poolProxies.estatisticas();
+                logInfo('🌐 Proxies da execução:');
+                estatisticasProxies.forEach(p => {
+                    logInfo(`   ${p.ativo ? '▶' : ' '} ${p.proxy}: ${p.requisicoes} req | sucesso ${p.taxaSucesso ?? '-'}% | latência ${p.latenciaMediaMs ?? '-'}ms | bloqueios ${p.bloqueios}${p.saudavel ? '' : ' | ❌ fora do ar'}`);
+                });
+                await salvarManifestoExecucao(runId, { proxies: estatisticasProxies });
+            }
+        } catch (proxyError) {
+            logErro(`⚠️ Erro ao registrar estatísticas dos proxies: ${proxyError.message}`);
+        }
     }
+    return resumo;
 };
 
+/**
+ * Comando schedule: mantém o processo ativo disparando as tarefas de SCHEDULE_FILE
+ * Cada tarefa roda o mesmo fluxo do scrape (banco, planilhas e checkpoints), com os
+ * overrides da linha de comando como base e os da tarefa por cima
+ * @param {Object} overridesBase - Overrides da CLI (ex.: --headless, --no-db)
+ */
+const agendar = async (overridesBase) => {
+    const { tarefas } = carregarTarefasAgendadas(CONFIG.agendador.arquivo);
+    if (tarefas.length === 0) {
+        logErro(`❌ Nenhuma tarefa válida em ${CONFIG.agendador.arquivo} (modelo: config/agendamentos.example.json)`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const historico = new HistoricoAgendamentos(CONFIG.agendador.historico);
+    await historico.carregar();
+
+    const agendador = new Agendador({
+        tarefas,
+        historico,
+        executar: async (tarefa) => {
+            // Cada tarefa parte dos valores do .env: nada é herdado da tarefa anterior
+            restaurarOverridesExecucao();
+            const overrides = { ...overridesBase, ...tarefa.overrides };
+            if (overrides.arquivoProdutos) {
+                overrides.categorias = [overrides.categorias?.[0] || ROTULO_LISTA_PADRAO];
+            }
+            aplicarOverridesExecucao(overrides);
+            return iniciar(overrides);
+        }
+    });
+
+    agendador.iniciar();
+    logSucesso(`⏰ Agendador ativo com ${tarefas.length} tarefa(s) - Ctrl+C para encerrar`);
+    for (const { nome, proxima } of agendador.agenda()) {
+        const ultima = historico.ultima(nome);
+        logInfo(`   ⏰ ${nome}: próxima em ${proxima.toLocaleString('pt-BR')}${ultima ? ` | última: ${ultima.status} em ${ultima.agendadaPara}` : ''}`);
+    }
+
+    const coordenador = obterCoordenadorEncerramento();
+    await new Promise(resolve => coordenador.aoSolicitar(resolve));
+    await agendador.parar();
+    await coordenador.finalizar();
+    logSucesso('⏰ Agendador encerrado');
+};
+
+/**
+ * Processa as categorias com até `limite` em andamento ao mesmo tempo
+ * Cada worker pega a próxima categoria da fila, na ordem de CATEGORIES
+ * Após SIGINT/SIGTERM nenhuma categoria nova é iniciada
+ */
+async function executarCategorias(categorias, limite, processar) {
+    let proxima = 0;
+    const encerramento = obterCoordenadorEncerramento();
+    const worker = async () => {
+        while (proxima < categorias.length && !encerramento.encerrando) {
+            const i = proxima++;
+            await processar(categorias[i], i);
+            if (proxima < categorias.length && !encerramento.encerrando) {
+                logInfo('⏳ Aguardando 2 segundos antes da próxima categoria...');
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: limite }, worker));
+}
+
 async function cleanupBrowser(browser) {
     if (!browser) {
         logInfo('⚠️ Browser já foi fechado ou não foi inicializado');
@@ -180,13 +369,11 @@ async function cleanupBrowser(browser) {
         logErro(`⚠️ Erro durante cleanup normal do browser: ${error.message}`);
         try {
             logInfo('🔧 Tentando forçar fechamento do Chrome...');
-            const { spawn } = require('child_process');
-            const killProcess = spawn('taskkill', ['/f', '/im', 'chrome.exe'], { 
-                stdio: 'ignore',
-                detached: true 
-            });
-            killProcess.unref();
-            logInfo('⚡ Comando de força fechamento executado');
+            if (obterSupervisorProcessos().encerrarNavegador(browser)) {
+                logInfo('⚡ Chrome e processos filhos encerrados');
+            } else {
+                logInfo('ℹ️ Processo do Chrome já não existia');
+            }
         } catch (killError) {
             logErro(`❌ Falha ao forçar fechamento do Chrome: ${killError.message}`);
             logErro('💡 Chrome pode continuar executando. Feche manualmente se necessário.');
@@ -194,31 +381,79 @@ async function cleanupBrowser(browser) {
     }
 }
 
-process.on('SIGINT', async () => {
-    logInfo('\n🛑 Sinal de interrupção recebido (Ctrl+C)');
-    logInfo('🧹 Executando cleanup antes de sair...');
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    logInfo('\n🛑 Sinal de terminação recebido');
-    logInfo('🧹 Executando cleanup antes de sair...');
-    process.exit(0);
-});
-
-process.on('uncaughtException', (error) => {
-    logErro(`💥 Exceção não capturada: ${error.message}`);
-    console.error('🐛 Stack trace:', error.stack);
-    process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    logErro(`💥 Promise rejeitada não tratada: ${reason}`);
-    console.error('🐛 Promise:', promise);
-    process.exit(1);
-});
-
-iniciar().catch((error) => {
-    logErro(`💥 Erro fatal na inicialização: ${error.message}`);
-    process.exit(1);
-});
+// SIGINT/SIGTERM: termina o trabalho em andamento, grava pendências e fecha o browser
+// dentro de SHUTDOWN_TIMEOUT_MS (ver utils/encerramento-gracioso.js)
+obterCoordenadorEncerramento().instalarSinais();
+
+/**
+ * Ponto de entrada da CLI: interpreta argumentos, aplica overrides e despacha o comando
+ */
+const executarCli = async () => {
+    let argumentos;
+    try {
+        argumentos = interpretarArgumentos();
+        exigirCategorias(argumentos.comando, argumentos.overrides);
+    } catch (argError) {
+        logErro(`❌ ${argError.message}`);
+        console.log(TEXTO_AJUDA);
+        process.exit(1);
+    }
+
+    const { comando, overrides, opcoes } = argumentos;
+    if (comando === 'help') {
+        console.log(TEXTO_AJUDA);
+        return;
+    }
+
+    // Retomada: reutiliza os parâmetros da execução original, salvo override explícito
+    if (overrides.retomar) {
+        const manifesto = await carregarManifestoExecucao(overrides.retomar);
+        if (!manifesto) {
+            logErro(`❌ Execução '${overrides.retomar}' não encontrada em ${CONFIG.general.checkpointDir}`);
+            process.exit(1);
+        }
+        Object.assign(overrides, mesclarOverridesRetomada(overrides, manifesto));
+    }
+
+    // Lista de produtos: --categories (se houver) é apenas o rótulo do lote
+    if (comando === 'scrape' && (overrides.produtos || overrides.arquivoProdutos)) {
+        overrides.categorias = [overrides.categorias?.[0] || ROTULO_LISTA_PADRAO];
+    }
+
+    aplicarOverridesExecucao(overrides);
+    if (CONFIG.fixtures.mode !== 'off') {
+        instalarAdaptadorAxios();
+        logInfo(`🎞️ Fixtures de rede: ${CONFIG.fixtures.mode} em ${CONFIG.fixtures.dir}`);
+    }
+    logInfo(`🧭 Comando: ${comando} | Categorias: ${CATEGORIES.join(', ')} | Banco: ${CONFIG.database.enabled ? 'ativo' : 'desativado'}`);
+
+    switch (comando) {
+        case 'export':
+            await executarExport({ overrides, opcoes });
+            break;
+        case 'stats':
+            await executarStats();
+            break;
+        case 'recheck':
+            await executarRecheck({ overrides, opcoes });
+            break;
+        case 'clean':
+            await executarClean({ opcoes });
+            break;
+        case 'categories':
+            await executarCategories({ overrides, opcoes });
+            break;
+        case 'schedule':
+            await agendar(overrides);
+            break;
+        default:
+            await iniciar(overrides);
+    }
+};
+
+executarCli()
+    .then(() => process.exit(process.exitCode ?? 0))
+    .catch((error) => {
+        logErro(`💥 Erro fatal na inicialização: ${error.message}`);
+        process.exit(1);
+    });
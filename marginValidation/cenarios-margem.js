@@ -0,0 +1,206 @@
+/**
+ * CENÁRIOS DE MARGEM (OTIMISTA, REALISTA, CONSERVADOR)
+ *
+ * Cálculo de margem com cotação e frete próprios de cada cenário e a
+ * análise de consenso entre eles. Os impostos vêm de custo-importacao.js e as
+ * tarifas do Mercado Livre de taxas-mercado-livre.js, com o tipo de anúncio,
+ * o modo de envio e o peso do produto (opcoesAnuncioML).
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Cenários com custo de importação e tarifas reais do ML
+ */
+
+import { logErro } from '../scraper/utils.js';
+import { calcularCustoImportacao } from './custo-importacao.js';
+import { calcularTaxasML } from './taxas-mercado-livre.js';
+
+/**
+ * Classifica o cenário da margem baseado em percentuais de mercado
+ *
+ * @param {number} margemPercentual - Margem percentual calculada
+ * @returns {string} Classificação do cenário
+ */
+export function classificarCenario(margemPercentual) {
+    try {
+        if (margemPercentual >= 40) return 'Excelente';
+        if (margemPercentual >= 25) return 'Muito Bom';
+        if (margemPercentual >= 15) return 'Bom';
+        if (margemPercentual >= 5) return 'Marginal';
+        return 'Inviável';
+    } catch (error) {
+        logErro(`Erro na classificação de cenário: ${error.message}`);
+        return 'Erro';
+    }
+}
+
+/**
+ * Calcula margem com configuração customizada para cenários específicos
+ * As tarifas do ML são as mesmas em todos os cenários: dependem só do anúncio, não do câmbio ou do frete
+ *
+ * @param {number} precoAliExpress - Preço AliExpress (USD)
+ * @param {number} precoMercadoLivre - Preço mercado (BRL)
+ * @param {Object} config - Configuração do cenário
+ * @param {number} config.cotacaoUSD - Cotação USD/BRL do cenário
+ * @param {number} config.frete - Frete internacional do cenário (BRL)
+ * @param {number} config.margemMinima - Margem mínima (fração) para o cenário ser viável
+ * @param {string} categoria - Categoria do produto
+ * @param {string} cenarioTipo - Tipo do cenário
+ * @param {Object} [opcoesML={}] - Anúncio no ML (opcoesAnuncioML): tipoAnuncio, modoEnvio e pesoKg
+ * @returns {Object} Resultado do cálculo customizado
+ */
+export function calcularCenarioCustomizado(precoAliExpress, precoMercadoLivre, config, categoria, cenarioTipo, opcoesML = {}) {
+    try {
+        const precoCompra = parseFloat(precoAliExpress) * config.cotacaoUSD;
+        const precoVenda = parseFloat(precoMercadoLivre);
+
+        if (isNaN(precoCompra) || isNaN(precoVenda)) {
+            throw new Error(`Valores inválidos após conversão: compra=${precoCompra}, venda=${precoVenda}`);
+        }
+
+        // Aplicar frete customizado
+        let frete = config.frete;
+
+        // Ajustes de frete por categoria (com tratamento de erro)
+        try {
+            const categoriaLower = categoria.toLowerCase();
+
+            if (categoriaLower.includes('tecnologia') || categoriaLower.includes('eletronic')) {
+                frete *= 1.1;
+            } else if (categoriaLower.includes('casa') || categoriaLower.includes('kitchen')) {
+                frete *= 1.3;
+            }
+        } catch (categoryError) {
+            logErro(`⚠️ Erro nos ajustes de categoria para ${cenarioTipo}: ${categoryError.message}`);
+        }
+
+        // Impostos pelas regras em vigor, sobre a cotação e o frete do cenário
+        const custoImportacao = calcularCustoImportacao({
+            preco: parseFloat(precoAliExpress),
+            frete: frete / config.cotacaoUSD,
+            precoVenda,
+            cotacaoUSD: config.cotacaoUSD
+        });
+        const impostos = custoImportacao.impostosTotais;
+
+        // Tarifas reais do ML para a categoria, o tipo de anúncio, o modo de envio e o peso
+        const taxasML = calcularTaxasML({ precoVenda, categoria, ...opcoesML });
+        const taxasMarketplace = taxasML.total;
+        const custoTotal = precoCompra + impostos + frete + taxasMarketplace;
+
+        const margemAbsoluta = precoVenda - custoTotal;
+        const margemPercentual = (margemAbsoluta / precoVenda) * 100;
+        const roi = (margemAbsoluta / precoCompra) * 100;
+
+        return {
+            cenarioTipo: cenarioTipo,
+            precoCompra: Math.round(precoCompra * 100) / 100,
+            precoVenda: Math.round(precoVenda * 100) / 100,
+            custos: {
+                impostoImportacao: custoImportacao.impostoImportacao.valorBrl,
+                icmsImportacao: custoImportacao.icms.valor,
+                impostosRevenda: custoImportacao.impostosRevenda?.valor || 0,
+                impostos: Math.round(impostos * 100) / 100,
+                frete: Math.round(frete * 100) / 100,
+                comissaoML: taxasML.comissao.valor,
+                custoFixoML: taxasML.custoFixo,
+                envioML: taxasML.envio.valor,
+                taxasMarketplace: Math.round(taxasMarketplace * 100) / 100,
+                total: Math.round(custoTotal * 100) / 100
+            },
+            custoImportacao: custoImportacao,
+            taxasML: taxasML,
+            margemAbsoluta: Math.round(margemAbsoluta * 100) / 100,
+            margemPercentual: Math.round(margemPercentual * 100) / 100,
+            roi: Math.round(roi * 100) / 100,
+            viavel: margemPercentual >= (config.margemMinima * 100),
+            cenario: classificarCenario(margemPercentual),
+            configuracao: config
+        };
+
+    } catch (error) {
+        logErro(`Erro no cálculo do cenário ${cenarioTipo}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Analisa consenso entre os diferentes cenários para recomendação final
+ *
+ * @param {Object} scenarios - Objeto contendo os três cenários
+ * @returns {Object} Análise de consenso com recomendação
+ */
+export function analisarConsenso(scenarios) {
+    try {
+        let cenariosProdutivos = 0;
+        let totalMargem = 0;
+        let totalROI = 0;
+        let detalhes = [];
+
+        // Analisar cada cenário válido
+        Object.entries(scenarios).forEach(([tipo, cenario]) => {
+            try {
+                if (cenario && !cenario.erro && typeof cenario.margemPercentual === 'number') {
+                    cenariosProdutivos++;
+                    totalMargem += cenario.margemPercentual;
+                    totalROI += cenario.roi || 0;
+
+                    detalhes.push({
+                        tipo: tipo.toUpperCase(),
+                        margem: cenario.margemPercentual,
+                        viavel: cenario.viavel,
+                        classificacao: cenario.cenario
+                    });
+                }
+            } catch (scenarioError) {
+                logErro(`Erro ao analisar cenário ${tipo}: ${scenarioError.message}`);
+            }
+        });
+
+        // Calcular métricas de consenso
+        const margemMedia = cenariosProdutivos > 0 ? totalMargem / cenariosProdutivos : 0;
+        const roiMedio = cenariosProdutivos > 0 ? totalROI / cenariosProdutivos : 0;
+
+        // Determinar nível de confiabilidade
+        const confiabilidade = (cenariosProdutivos / 3) * 100;
+
+        // Gerar recomendação baseada nos resultados
+        let recomendacao = 'INDETERMINADO';
+
+        if (cenariosProdutivos === 0) {
+            recomendacao = 'ERRO_CRITICO';
+        } else if (margemMedia >= 25) {
+            recomendacao = 'ALTAMENTE_RECOMENDADO';
+        } else if (margemMedia >= 15) {
+            recomendacao = 'RECOMENDADO';
+        } else if (margemMedia >= 5) {
+            recomendacao = 'MARGINAL';
+        } else {
+            recomendacao = 'NAO_RECOMENDADO';
+        }
+
+        return {
+            recomendacao: recomendacao,
+            confiabilidade: Math.round(confiabilidade),
+            cenariosProdutivos: cenariosProdutivos,
+            metricas: {
+                margemMedia: Math.round(margemMedia * 100) / 100,
+                roiMedio: Math.round(roiMedio * 100) / 100
+            },
+            detalhes: detalhes,
+            timestamp: new Date().toISOString()
+        };
+
+    } catch (error) {
+        logErro(`Erro na análise de consenso: ${error.message}`);
+
+        return {
+            recomendacao: 'ERRO_ANALISE',
+            confiabilidade: 0,
+            cenariosProdutivos: 0,
+            metricas: { margemMedia: 0, roiMedio: 0 },
+            detalhes: [],
+            erro: error.message,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
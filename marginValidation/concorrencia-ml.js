@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Análise de concorrência no Mercado Livre para o produto encontrado
+ * @description Os 5 primeiros itens da listagem dizem o preço, mas não se o mercado está
+ * saturado. Para o termo do produto, esta análise lê até ML_COMPETITION_MAX_ITEMS anúncios
+ * pela API e resume:
+ * - o total de resultados da busca e o histograma de preços
+ * - a participação de lojas oficiais, Full e Mercado Envios
+ * - as vendas (total, concentração nos 3 maiores, anúncios sem venda)
+ * - o mix de vendedores
+ * - as avaliações dos anúncios mais vendidos
+ *
+ * O resultado (`concorrenciaML`) alimenta a margem mínima exigida na validação de margem e
+ * o score final do produto.
+ */
+
+import { CONFIG } from '../config.js';
+import { logInfo, logErro } from '../scraper/utils.js';
+import { paginarBuscaML, obterAvaliacoesItemML, ITENS_POR_PAGINA_ML } from './mercado-livre-api.js';
+
+// Pontos de margem exigidos a mais conforme a saturação (sobre a margem mínima padrão)
+export const AJUSTE_MARGEM_SATURACAO = { alta: 10, media: 5, baixa: 0 };
+
+const FAIXAS_HISTOGRAMA = 5;
+
+function arredondar(valor, casas = 2) {
+  const fator = 10 ** casas;
+  return Math.round(valor * fator) / fator;
+}
+
+function percentual(parte, total) {
+  return total > 0 ? arredondar((parte / total) * 100, 1) : 0;
+}
+
+// Percentil com interpolação linear sobre uma lista já ordenada
+function percentil(ordenados, p) {
+  if (ordenados.length === 0) return null;
+  const posicao = (ordenados.length - 1) * p;
+  const base = Math.floor(posicao);
+  const proximo = ordenados[Math.min(base + 1, ordenados.length - 1)];
+  return ordenados[base] + (proximo - ordenados[base]) * (posicao - base);
+}
+
+function participacao(itens, criterio) {
+  const anuncios = itens.filter(criterio).length;
+  return { anuncios, percentual: percentual(anuncios, itens.length) };
+}
+
+/**
+ * Divide a faixa de preços em intervalos de mesma largura (o último inclui o máximo)
+ * @param {Array<number>} precos
+ * @param {number} [faixas=5]
+ * @returns {Array<{de: number, ate: number, anuncios: number, percentual: number}>}
+ */
+export function montarHistogramaPrecos(precos, faixas = FAIXAS_HISTOGRAMA) {
+  const validos = precos.filter(preco => Number.isFinite(preco) && preco > 0);
+  if (validos.length === 0) return [];
+
+  const minimo = Math.min(...validos);
+  const maximo = Math.max(...validos);
+  if (minimo === maximo) {
+    return [{ de: minimo, ate: maximo, anuncios: validos.length, percentual: 100 }];
+  }
+
+  const largura = (maximo - minimo) / faixas;
+  const contagem = new Array(faixas).fill(0);
+  for (const preco of validos) {
+    contagem[Math.min(Math.floor((preco - minimo) / largura), faixas - 1)]++;
+  }
+
+  return contagem.map((anuncios, i) => ({
+    de: arredondar(minimo + largura * i),
+    ate: arredondar(i === faixas - 1 ? maximo : minimo + largura * (i + 1)),
+    anuncios,
+    percentual: percentual(anuncios, validos.length)
+  }));
+}
+
+/**
+ * Pontua a saturação do mercado (0-100) a partir do resumo da concorrência
+ * @param {Object} resumo - Saída parcial de resumirConcorrenciaML
+ * @returns {{nivel: string, pontuacao: number, motivos: Array<string>}}
+ */
+export function calcularSaturacao(resumo) {
+  let pontuacao = 0;
+  const motivos = [];
+
+  if (resumo.totalResultados >= 2000) {
+    pontuacao += 30;
+    motivos.push(`${resumo.totalResultados} anúncios na busca`);
+  } else if (resumo.totalResultados >= 500) {
+    pontuacao += 20;
+    motivos.push(`${resumo.totalResultados} anúncios na busca`);
+  } else if (resumo.totalResultados >= 100) {
+    pontuacao += 10;
+  }
+
+  if (resumo.lojasOficiais.percentual >= 30) {
+    pontuacao += 20;
+    motivos.push(`${resumo.lojasOficiais.percentual}% dos anúncios de lojas oficiais`);
+  } else if (resumo.lojasOficiais.percentual >= 10) {
+    pontuacao += 10;
+  }
+
+  if (resumo.full.percentual >= 40) {
+    pontuacao += 20;
+    motivos.push(`${resumo.full.percentual}% dos anúncios no Full`);
+  } else if (resumo.full.percentual >= 20) {
+    pontuacao += 10;
+  }
+
+  if (resumo.vendidos.concentracaoTop3 >= 60) {
+    pontuacao += 15;
+    motivos.push(`${resumo.vendidos.concentracaoTop3}% das vendas nos 3 maiores anúncios`);
+  }
+
+  if (resumo.anunciosAnalisados > 0 && resumo.vendidos.percentualComVendas < 30) {
+    pontuacao += 15;
+    motivos.push(`só ${resumo.vendidos.percentualComVendas}% dos anúncios têm vendas`);
+  }
+
+  const nivel = pontuacao >= 60 ? 'alta' : pontuacao >= 30 ? 'media' : 'baixa';
+  return { nivel, pontuacao, motivos };
+}
+
+/**
+ * Monta o objeto concorrenciaML a partir dos anúncios lidos
+ * @param {Object} dados
+ * @param {string} dados.termo
+ * @param {number} dados.total - Total de resultados informado pela busca
+ * @param {Array<Object>} dados.itens - Itens normalizados pela API
+ * @param {Array<Object>} [dados.avaliacoes=[]] - Saída de obterAvaliacoesItemML dos mais vendidos
+ * @returns {Object}
+ */
+export function resumirConcorrenciaML({ termo, total, itens, avaliacoes = [] }) {
+  const precos = itens.map(item => item.preco).sort((a, b) => a - b);
+  const vendas = itens.map(item => item.vendidos || 0);
+  const vendasOrdenadas = [...vendas].sort((a, b) => b - a);
+  const totalVendido = vendas.reduce((soma, v) => soma + v, 0);
+
+  const porVendedor = new Map();
+  for (const item of itens) {
+    const vendedor = item.vendedorId ?? item.id;
+    porVendedor.set(vendedor, (porVendedor.get(vendedor) || 0) + 1);
+  }
+
+  const porId = new Map(itens.map(item => [item.id, item]));
+  const avaliacoesTop = avaliacoes.map(avaliacao => ({
+    id: avaliacao.id,
+    nome: porId.get(avaliacao.id)?.nome || null,
+    preco: porId.get(avaliacao.id)?.preco ?? null,
+    vendidos: porId.get(avaliacao.id)?.vendidos ?? null,
+    notaMedia: avaliacao.notaMedia,
+    totalAvaliacoes: avaliacao.totalAvaliacoes
+  }));
+  const notas = avaliacoesTop.map(a => a.notaMedia).filter(nota => nota !== null);
+
+  const resumo = {
+    disponivel: true,
+    termo,
+    totalResultados: Math.max(total || 0, itens.length),
+    anunciosAnalisados: itens.length,
+    precos: precos.length > 0 ? {
+      minimo: precos[0],
+      maximo: precos[precos.length - 1],
+      media: arredondar(precos.reduce((soma, p) => soma + p, 0) / precos.length),
+      mediana: arredondar(percentil(precos, 0.5)),
+      quartil1: arredondar(percentil(precos, 0.25)),
+      quartil3: arredondar(percentil(precos, 0.75))
+    } : null,
+    histogramaPrecos: montarHistogramaPrecos(precos),
+    lojasOficiais: participacao(itens, item => item.lojaOficial),
+    full: participacao(itens, item => item.full),
+    mercadoEnvios: participacao(itens, item => item.mercadoEnvios || item.full),
+    freteGratis: participacao(itens, item => item.freteGratis),
+    vendidos: {
+      total: totalVendido,
+      media: itens.length > 0 ? arredondar(totalVendido / itens.length, 1) : 0,
+      mediana: itens.length > 0 ? percentil([...vendas].sort((a, b) => a - b), 0.5) : 0,
+      anunciosComVendas: vendas.filter(v => v > 0).length,
+      percentualComVendas: percentual(vendas.filter(v => v > 0).length, itens.length),
+      concentracaoTop3: percentual(vendasOrdenadas.slice(0, 3).reduce((soma, v) => soma + v, 0), totalVendido)
+    },
+    vendedores: {
+      distintos: porVendedor.size,
+      maiorParticipacao: percentual(Math.max(0, ...porVendedor.values()), itens.length)
+    },
+    avaliacoesTopAnuncios: avaliacoesTop,
+    notaMediaTopAnuncios: notas.length > 0 ? arredondar(notas.reduce((soma, n) => soma + n, 0) / notas.length, 1) : null,
+    dataAnalise: new Date().toISOString()
+  };
+
+  resumo.saturacao = calcularSaturacao(resumo);
+  return resumo;
+}
+
+/**
+ * Margem mínima exigida depois de considerar a saturação do mercado
+ * @param {number} margemMinima - Margem mínima padrão (%)
+ * @param {Object|null} concorrencia - concorrenciaML (ausente ou indisponível não altera a margem)
+ * @returns {number}
+ */
+export function margemMinimaComConcorrencia(margemMinima, concorrencia) {
+  if (!concorrencia?.disponivel) return margemMinima;
+  return margemMinima + (AJUSTE_MARGEM_SATURACAO[concorrencia.saturacao?.nivel] || 0);
+}
+
+/**
+ * Lê os concorrentes do termo na API e devolve o concorrenciaML
+ * Falhas não interrompem a validação: o resultado vem com `disponivel: false` e o erro
+ *
+ * @param {string} termo - Termo usado na busca do produto no ML
+ * @param {Object} [opcoes={}] - Repassadas ao cliente da API (ex.: urlBase)
+ * @param {number} [opcoes.maxItens=CONFIG.mercadoLivre.concorrenciaMaxItens]
+ * @param {number} [opcoes.topAvaliacoes=CONFIG.mercadoLivre.concorrenciaTopAvaliacoes]
+ * @returns {Promise<Object|null>} null quando a análise está desativada
+ */
+export async function analisarConcorrenciaML(termo, opcoes = {}) {
+  const maxItens = opcoes.maxItens ?? CONFIG.mercadoLivre?.concorrenciaMaxItens ?? 100;
+  const topAvaliacoes = opcoes.topAvaliacoes ?? CONFIG.mercadoLivre?.concorrenciaTopAvaliacoes ?? 3;
+  if (!termo || maxItens <= 0) {
+    return null;
+  }
+
+  try {
+    const { itens, total } = await paginarBuscaML(termo, {
+      ...opcoes,
+      maxItens,
+      maxPaginas: Math.ceil(maxItens / ITENS_POR_PAGINA_ML)
+    });
+
+    const maisVendidos = [...itens]
+      .filter(item => (item.vendidos || 0) > 0)
+      .sort((a, b) => b.vendidos - a.vendidos)
+      .slice(0, topAvaliacoes);
+
+    const avaliacoes = [];
+    for (const item of maisVendidos) {
+      try {
+        avaliacoes.push(await obterAvaliacoesItemML(item.id, opcoes));
+      } catch (error) {
+        logErro(`⚠️ Avaliações do anúncio ${item.id} indisponíveis: ${error.message}`);
+      }
+    }
+
+    const concorrencia = resumirConcorrenciaML({ termo, total, itens, avaliacoes });
+    logInfo(`🏁 Concorrência ML "${termo}": ${concorrencia.totalResultados} anúncios, saturação ${concorrencia.saturacao.nivel} (${concorrencia.saturacao.pontuacao})`);
+    return concorrencia;
+
+  } catch (error) {
+    logErro(`❌ Análise de concorrência no ML falhou: ${error.message}`);
+    return { disponivel: false, termo, erro: error.message };
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Custo desembarcado de produtos importados pelo Remessa Conforme
+ * @description Substitui a alíquota única de importação por regras reais, versionadas por vigência
+ * em config/regras-tributarias.json (TAX_RULES_FILE sobrescreve seções):
+ * - imposto de importação: alíquota até o limite em dólar e alíquota com dedução acima dele,
+ *   sobre produto + frete
+ * - ICMS da UF de destino, calculado "por dentro" sobre o valor aduaneiro + imposto de importação
+ * - impostos do vendedor na revenda: Simples Nacional (alíquota efetiva do Anexo I), MEI
+ *   (DAS fixo rateado pelas vendas) ou Lucro Presumido (tributos federais + ICMS da venda)
+ *
+ * O resultado é um detalhamento item a item (`itens`) exibido na planilha.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG, REGIMES_TRIBUTARIOS } from '../config.js';
+
+// Regras distribuídas com o projeto: base sobre a qual TAX_RULES_FILE sobrescreve seções
+const REGRAS_DO_PROJETO = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'regras-tributarias.json');
+
+const NOMES_REGIMES = {
+  simples: 'Simples Nacional',
+  mei: 'MEI',
+  presumido: 'Lucro Presumido'
+};
+
+let regras = null;
+
+function arredondar(valor, casas = 2) {
+  const fator = 10 ** casas;
+  return Math.round(valor * fator) / fator;
+}
+
+function percentual(aliquota) {
+  return `${arredondar(aliquota * 100)}%`;
+}
+
+// =================================
+// REGRAS VERSIONADAS
+// =================================
+
+function validarVigencias(lista, secao) {
+  if (!Array.isArray(lista) || lista.length === 0) {
+    throw new Error(`seção '${secao}' sem regras`);
+  }
+  for (const regra of lista) {
+    if (isNaN(new Date(regra.vigenciaInicio).getTime())) {
+      throw new Error(`regra de '${secao}' com vigenciaInicio inválida (${regra.vigenciaInicio})`);
+    }
+  }
+}
+
+function lerRegras(arquivo, parcial = false) {
+  const conteudo = JSON.parse(readFileSync(arquivo, 'utf-8'));
+  for (const secao of ['impostoImportacao', 'icmsImportacao']) {
+    if (!parcial || conteudo[secao]) validarVigencias(conteudo[secao], secao);
+  }
+  for (const regime of REGIMES_TRIBUTARIOS) {
+    if (!parcial || conteudo.regimes?.[regime]) validarVigencias(conteudo.regimes?.[regime], `regimes.${regime}`);
+  }
+  return { ...conteudo, versao: conteudo.versao || 'desconhecida', arquivo };
+}
+
+/**
+ * Carrega as regras tributárias (uma vez por processo)
+ * Seções ausentes em TAX_RULES_FILE continuam vindo das regras do projeto
+ * @returns {{versao: string, arquivo: string, impostoImportacao: Array, icmsImportacao: Array, regimes: Object}}
+ */
+export function carregarRegrasTributarias() {
+  if (regras) {
+    return regras;
+  }
+
+  regras = lerRegras(REGRAS_DO_PROJETO);
+
+  const arquivo = CONFIG.importacao?.regrasArquivo;
+  if (!arquivo || path.resolve(arquivo) === REGRAS_DO_PROJETO) {
+    return regras;
+  }
+  if (!existsSync(arquivo)) {
+    console.warn(`⚠️  TAX_RULES_FILE não encontrado (${arquivo}). Usando as regras do projeto`);
+    return regras;
+  }
+
+  try {
+    const externas = lerRegras(arquivo, true);
+    regras = {
+      ...regras,
+      ...externas,
+      regimes: { ...regras.regimes, ...externas.regimes }
+    };
+  } catch (error) {
+    console.warn(`⚠️  Regras tributárias inválidas (${arquivo}): ${error.message}. Usando as regras do projeto`);
+  }
+  return regras;
+}
+
+/**
+ * Descarta as regras carregadas (testes ou novo arquivo na mesma execução)
+ */
+export function reiniciarRegrasTributarias() {
+  regras = null;
+}
+
+/**
+ * Regra em vigor na data: a de vigenciaInicio mais recente que já começou
+ * @param {Array<Object>} lista - Regras com vigenciaInicio (YYYY-MM-DD)
+ * @param {Date} [data=new Date()]
+ * @returns {Object}
+ */
+export function regraVigente(lista, data = new Date()) {
+  const vigente = [...lista]
+    .filter(regra => new Date(regra.vigenciaInicio) <= data)
+    .sort((a, b) => new Date(b.vigenciaInicio) - new Date(a.vigenciaInicio))[0];
+
+  if (!vigente) {
+    throw new Error(`Nenhuma regra tributária vigente em ${data.toISOString().slice(0, 10)}`);
+  }
+  return vigente;
+}
+
+// =================================
+// IMPOSTOS DA IMPORTAÇÃO
+// =================================
+
+/**
+ * Imposto de importação do Remessa Conforme sobre o valor aduaneiro (produto + frete)
+ * @param {number} valorAduaneiroUsd
+ * @param {Object} regra - Regra de impostoImportacao em vigor
+ * @returns {{valorUsd: number, aliquotaEfetiva: number, faixa: string, descricao: string}}
+ */
+export function calcularImpostoImportacao(valorAduaneiroUsd, regra) {
+  const acimaDoLimite = valorAduaneiroUsd > regra.limiteUsd;
+  const valorUsd = acimaDoLimite
+    ? Math.max(0, valorAduaneiroUsd * regra.aliquotaAcimaLimite - regra.deducaoAcimaLimiteUsd)
+    : valorAduaneiroUsd * regra.aliquotaAteLimite;
+
+  return {
+    valorUsd: arredondar(valorUsd),
+    aliquotaEfetiva: valorAduaneiroUsd > 0 ? arredondar(valorUsd / valorAduaneiroUsd, 4) : 0,
+    faixa: acimaDoLimite ? 'acimaLimite' : 'ateLimite',
+    descricao: acimaDoLimite
+      ? `Imposto de importação (${percentual(regra.aliquotaAcimaLimite)} − US$ ${regra.deducaoAcimaLimiteUsd}, acima de US$ ${regra.limiteUsd})`
+      : `Imposto de importação (${percentual(regra.aliquotaAteLimite)} até US$ ${regra.limiteUsd})`
+  };
+}
+
+/**
+ * ICMS da importação "por dentro": o imposto integra a própria base de cálculo
+ * base = (valor aduaneiro + imposto de importação) / (1 − alíquota)
+ * @param {number} valorSemIcms - Valor aduaneiro + imposto de importação (R$)
+ * @param {Object} regra - Regra de icmsImportacao em vigor
+ * @param {string} uf - UF de destino
+ * @returns {{aliquota: number, base: number, valor: number}}
+ */
+export function calcularIcmsImportacao(valorSemIcms, regra, uf) {
+  const aliquota = regra.porUf?.[uf] ?? regra.padrao;
+  const base = valorSemIcms / (1 - aliquota);
+  return { aliquota, base: arredondar(base), valor: arredondar(base * aliquota) };
+}
+
+// =================================
+// IMPOSTOS NA REVENDA
+// =================================
+
+function aliquotaEfetivaSimples(regra, faturamento12m) {
+  const ultima = regra.faixas[regra.faixas.length - 1];
+  const faixa = regra.faixas.find(f => faturamento12m <= f.ate) || ultima;
+  // Sem faturamento informado (empresa nova), vale a alíquota nominal da primeira faixa
+  if (faturamento12m <= 0) {
+    return { aliquota: faixa.aliquota, acimaDoTeto: false };
+  }
+  return {
+    aliquota: (faturamento12m * faixa.aliquota - faixa.deducao) / faturamento12m,
+    acimaDoTeto: faturamento12m > ultima.ate
+  };
+}
+
+/**
+ * Impostos do vendedor sobre a venda no regime informado
+ * @param {number} precoVenda - Preço de venda (R$)
+ * @param {string} regime - simples, mei ou presumido
+ * @param {Object} regra - Regra do regime em vigor
+ * @param {Object} [opcoes={}]
+ * @param {number} [opcoes.faturamento12m=0] - Receita bruta dos últimos 12 meses
+ * @param {number} [opcoes.vendasMensais=100] - Unidades vendidas por mês (rateio do DAS do MEI)
+ * @param {number} [opcoes.icmsImportacao=0] - ICMS pago na importação (crédito no Lucro Presumido)
+ * @returns {{regime: string, descricao: string, aliquotaEfetiva: number, valor: number, componentes: Array, avisos: Array<string>}}
+ */
+export function calcularImpostosRevenda(precoVenda, regime, regra, opcoes = {}) {
+  const faturamento12m = opcoes.faturamento12m ?? 0;
+  const componentes = [];
+  const avisos = [];
+
+  if (regime === 'simples') {
+    const { aliquota, acimaDoTeto } = aliquotaEfetivaSimples(regra, faturamento12m);
+    if (acimaDoTeto) {
+      avisos.push(`Faturamento de R$ ${faturamento12m} acima do teto do Simples Nacional`);
+    }
+    componentes.push({ descricao: `DAS do Simples Nacional (${percentual(aliquota)} efetiva)`, aliquota: arredondar(aliquota, 4), valor: precoVenda * aliquota });
+
+  } else if (regime === 'mei') {
+    const vendasMensais = Math.max(opcoes.vendasMensais ?? 100, 1);
+    if (faturamento12m > regra.limiteAnual) {
+      avisos.push(`Faturamento de R$ ${faturamento12m} acima do limite anual do MEI (R$ ${regra.limiteAnual})`);
+    }
+    componentes.push({ descricao: `DAS do MEI (R$ ${regra.dasMensal} / ${vendasMensais} vendas no mês)`, aliquota: null, valor: regra.dasMensal / vendasMensais });
+
+  } else if (regime === 'presumido') {
+    for (const tributo of ['pis', 'cofins', 'irpj', 'csll']) {
+      componentes.push({ descricao: `${tributo.toUpperCase()} (${percentual(regra[tributo])})`, aliquota: regra[tributo], valor: precoVenda * regra[tributo] });
+    }
+    const credito = regra.creditoIcmsImportacao ? (opcoes.icmsImportacao || 0) : 0;
+    componentes.push({
+      descricao: `ICMS na venda (${percentual(regra.icmsVenda)}${credito > 0 ? ' com crédito do ICMS da importação' : ''})`,
+      aliquota: regra.icmsVenda,
+      valor: Math.max(0, precoVenda * regra.icmsVenda - credito)
+    });
+
+  } else {
+    throw new Error(`Regime tributário desconhecido: ${regime} (use ${REGIMES_TRIBUTARIOS.join(', ')})`);
+  }
+
+  const valor = componentes.reduce((soma, c) => soma + c.valor, 0);
+  return {
+    regime,
+    descricao: NOMES_REGIMES[regime],
+    aliquotaEfetiva: precoVenda > 0 ? arredondar(valor / precoVenda, 4) : 0,
+    valor: arredondar(valor),
+    componentes: componentes.map(c => ({ ...c, valor: arredondar(c.valor) })),
+    avisos
+  };
+}
+
+// =================================
+// CUSTO DESEMBARCADO
+// =================================
+
+/**
+ * Custo desembarcado do produto e impostos da revenda, item a item
+ *
+ * @param {Object} entrada
+ * @param {number} entrada.preco - Preço do produto no AliExpress
+ * @param {number} [entrada.frete=0] - Frete internacional (mesma moeda do preço)
+ * @param {string} [entrada.moeda='USD'] - USD ou BRL
+ * @param {number} [entrada.precoVenda=0] - Preço de venda no Brasil (R$); 0 omite os impostos da revenda
+ * @param {number} [entrada.cotacaoUSD=CONFIG.importacao.cotacaoUSD]
+ * @param {string} [entrada.uf=CONFIG.importacao.uf] - UF de destino da remessa
+ * @param {string} [entrada.regime=CONFIG.importacao.regime]
+ * @param {number} [entrada.faturamento12m=CONFIG.importacao.faturamento12m]
+ * @param {number} [entrada.vendasMensais=CONFIG.importacao.vendasMensais]
+ * @param {Date} [entrada.data=new Date()] - Data que define as regras em vigor
+ * @returns {Object} { valorAduaneiro, impostoImportacao, icms, custoDesembarcado, impostosRevenda, total, itens, ... }
+ *
+ * @example
+ * const custo = calcularCustoImportacao({ preco: 10, frete: 2, precoVenda: 150 });
+ * custo.itens.forEach(item => console.log(`${item.descricao}: R$ ${item.valor}`));
+ */
+export function calcularCustoImportacao(entrada) {
+  const config = CONFIG.importacao || {};
+  const {
+    preco,
+    frete = 0,
+    moeda = 'USD',
+    precoVenda = 0,
+    cotacaoUSD = config.cotacaoUSD ?? 5.2,
+    uf = config.uf ?? 'SP',
+    regime = config.regime ?? 'simples',
+    faturamento12m = config.faturamento12m ?? 0,
+    vendasMensais = config.vendasMensais ?? 100,
+    data = new Date()
+  } = entrada;
+
+  if (!(preco > 0)) {
+    throw new Error(`Preço do produto inválido: ${preco}`);
+  }
+  if (!['USD', 'BRL'].includes(moeda)) {
+    throw new Error(`Moeda inválida: ${moeda} (use USD ou BRL)`);
+  }
+
+  const regrasCarregadas = carregarRegrasTributarias();
+  const regraImportacao = regraVigente(regrasCarregadas.impostoImportacao, data);
+  const regraIcms = regraVigente(regrasCarregadas.icmsImportacao, data);
+  const regraRegime = regraVigente(regrasCarregadas.regimes[regime] || [], data);
+
+  const emReais = (valor) => (moeda === 'USD' ? valor * cotacaoUSD : valor);
+  const emDolares = (valor) => (moeda === 'USD' ? valor : valor / cotacaoUSD);
+
+  const produtoBrl = emReais(preco);
+  const freteBrl = emReais(frete || 0);
+  const valorAduaneiroUsd = emDolares(preco + (frete || 0));
+  const valorAduaneiroBrl = produtoBrl + freteBrl;
+
+  const impostoImportacao = calcularImpostoImportacao(valorAduaneiroUsd, regraImportacao);
+  const impostoImportacaoBrl = arredondar(impostoImportacao.valorUsd * cotacaoUSD);
+  const icms = calcularIcmsImportacao(valorAduaneiroBrl + impostoImportacaoBrl, regraIcms, uf);
+  const custoDesembarcado = valorAduaneiroBrl + impostoImportacaoBrl + icms.valor;
+
+  const impostosRevenda = precoVenda > 0
+    ? calcularImpostosRevenda(precoVenda, regime, regraRegime, { faturamento12m, vendasMensais, icmsImportacao: icms.valor })
+    : null;
+
+  const itens = [
+    { codigo: 'produto', descricao: 'Produto', base: null, aliquota: null, valor: arredondar(produtoBrl) },
+    { codigo: 'frete', descricao: 'Frete internacional', base: null, aliquota: null, valor: arredondar(freteBrl) },
+    {
+      codigo: 'impostoImportacao',
+      descricao: impostoImportacao.descricao,
+      base: arredondar(valorAduaneiroBrl),
+      aliquota: impostoImportacao.aliquotaEfetiva,
+      valor: impostoImportacaoBrl
+    },
+    { codigo: 'icmsImportacao', descricao: `ICMS da importação (${uf}, por dentro)`, base: icms.base, aliquota: icms.aliquota, valor: icms.valor },
+    ...(impostosRevenda?.componentes || []).map(componente => ({
+      codigo: 'impostoRevenda',
+      descricao: componente.descricao,
+      base: arredondar(precoVenda),
+      aliquota: componente.aliquota,
+      valor: componente.valor
+    }))
+  ];
+
+  return {
+    data: data.toISOString(),
+    versaoRegras: regrasCarregadas.versao,
+    cotacaoUSD,
+    uf,
+    regime,
+    valorAduaneiro: { usd: arredondar(valorAduaneiroUsd), brl: arredondar(valorAduaneiroBrl) },
+    impostoImportacao: { ...impostoImportacao, valorBrl: impostoImportacaoBrl, vigenciaInicio: regraImportacao.vigenciaInicio },
+    icms: { ...icms, vigenciaInicio: regraIcms.vigenciaInicio },
+    custoDesembarcado: arredondar(custoDesembarcado),
+    impostosRevenda,
+    impostosTotais: arredondar(impostoImportacaoBrl + icms.valor + (impostosRevenda?.valor || 0)),
+    total: arredondar(custoDesembarcado + (impostosRevenda?.valor || 0)),
+    itens,
+    avisos: impostosRevenda?.avisos || []
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Fontes de dados do Mercado Livre com interface comum
+ * @description A validação de margem pede "itens do ML para este termo" sem saber de onde vêm:
+ * - html: listagem de lista.mercadolivre.com.br raspada com cheerio (quebra quando o markup muda)
+ * - api:  endpoints JSON /sites/MLB/search e /items (ver mercado-livre-api.js)
+ * - auto: API primeiro; se ela falhar ou vier vazia, a listagem HTML
+ *
+ * Toda fonte devolve itens com { nome, preco, imagem, link, fonte }; a API acrescenta
+ * vendidos, condicao, lojaOficial, freteGratis, full e imagens.
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { CONFIG, FONTES_ML } from '../config.js';
+import { buscarItensAPI } from './mercado-livre-api.js';
+
+const URL_LISTAGEM_ML = 'https://lista.mercadolivre.com.br';
+
+/**
+ * Itens da listagem HTML (primeira página)
+ * @param {string} termo
+ * @param {Object} [opcoes={}]
+ * @param {number} [opcoes.maxItens=5]
+ * @param {string} [opcoes.urlListagem] - Outro host (servidor de teste)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function buscarItensHTML(termo, opcoes = {}) {
+  const url = `${(opcoes.urlListagem || URL_LISTAGEM_ML).replace(/\/+$/, '')}/${encodeURIComponent(termo)}`;
+
+  // 🛡 Melhoria 2: Configurações robustas para requisições
+  const { data } = await axios.get(url, {
+    timeout: 15000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'pt-BR,pt;q=0.9,en;q=0.8'
+    }
+  });
+  const $ = cheerio.load(data);
+  const itens = [];
+
+  $('li.ui-search-layout__item').slice(0, opcoes.maxItens ?? 5).each((i, el) => {
+    const nome = $(el).find('h2').text().trim();
+    const precoTxt = $(el).find('.ui-search-price__second-line .price-tag-fraction').first().text();
+    const imagem = $(el).find('img').attr('data-src') || $(el).find('img').attr('src');
+    const link = $(el).find('a').attr('href');
+    const preco = parseFloat(precoTxt.replace('.', '').replace(',', '.'));
+    if (nome && preco && imagem) {
+      itens.push({ nome, preco, imagem, link, fonte: 'html' });
+    }
+  });
+
+  return itens;
+}
+
+export const FONTES_DADOS_ML = {
+  html: buscarItensHTML,
+  api: buscarItensAPI
+};
+
+/**
+ * Busca itens do ML na fonte escolhida (padrão: ML_SOURCE)
+ * @param {string} termo
+ * @param {Object} [opcoes={}] - Repassadas à fonte
+ * @param {string} [opcoes.fonte] - html, api ou auto
+ * @returns {Promise<{itens: Array<Object>, fonte: string}>} Itens e a fonte que os forneceu
+ */
+export async function buscarItensML(termo, opcoes = {}) {
+  const fonte = opcoes.fonte || CONFIG.mercadoLivre?.fonte || 'html';
+  if (!FONTES_ML.includes(fonte)) {
+    throw new Error(`Fonte do Mercado Livre desconhecida: ${fonte} (use ${FONTES_ML.join(', ')})`);
+  }
+
+  if (fonte !== 'auto') {
+    return { itens: await FONTES_DADOS_ML[fonte](termo, opcoes), fonte };
+  }
+
+  try {
+    const itens = await buscarItensAPI(termo, opcoes);
+    if (itens.length > 0) {
+      return { itens, fonte: 'api' };
+    }
+    console.warn(`⚠️ API do ML sem resultados para "${termo}". Usando a listagem HTML...`);
+  } catch (error) {
+    console.warn(`⚠️ ${error.message}. Usando a listagem HTML...`);
+  }
+
+  return { itens: await buscarItensHTML(termo, opcoes), fonte: 'html' };
+}
@@ -0,0 +1,164 @@
+/**
+ * MARGEM POR VARIANTE (SKU)
+ *
+ * Calcula a margem de cada variante do AliExpress contra o preço de referência
+ * do Mercado Livre. A variante mais barata nem sempre é a que seria vendida,
+ * então o resultado traz todas as variantes e a melhor entre as disponíveis.
+ *
+ * A margem que aprova o produto é líquida: o preço de venda menos o custo
+ * desembarcado (Remessa Conforme e ICMS), os impostos da revenda e as tarifas
+ * do Mercado Livre (comissão, custo fixo e frete grátis).
+ *
+ * @author LoopStore
+ * @version 1.2.0 - Margem líquida com custo de importação e tarifas do ML
+ */
+
+import { converterPreco, descreverVariante } from '../scraper/variantes-sku.js';
+import { calcularCustoImportacao } from './custo-importacao.js';
+import { calcularTaxasML } from './taxas-mercado-livre.js';
+
+/**
+ * Preço de referência do ML a partir dos dados coletados
+ * Aceita `precos` como lista (buscarDadosMercadoLivre) ou objeto com `media`
+ *
+ * @param {Object} dadosMercadoLivre - Resultado da busca no ML
+ * @returns {number} Média dos preços válidos ou 0
+ */
+export function precoReferenciaML(dadosMercadoLivre) {
+    const precos = dadosMercadoLivre?.precos;
+
+    if (Array.isArray(precos)) {
+        const validos = precos.map(converterPreco).filter(preco => preco > 0);
+        if (validos.length === 0) {
+            return 0;
+        }
+        return validos.reduce((soma, preco) => soma + preco, 0) / validos.length;
+    }
+
+    return converterPreco(precos?.media);
+}
+
+/**
+ * Margem percentual simples sobre o preço de venda
+ * @param {number} precoCompra - Preço no AliExpress (BRL)
+ * @param {number} precoVenda - Preço de referência no ML (BRL)
+ * @returns {number} Margem em % (duas casas)
+ */
+export function calcularMargemPercentual(precoCompra, precoVenda) {
+    if (!(precoCompra > 0) || !(precoVenda > 0)) {
+        return 0;
+    }
+    return Math.round(((precoVenda - precoCompra) / precoVenda) * 10000) / 100;
+}
+
+/**
+ * Margem líquida de uma unidade vendida no ML
+ * Custo = produto + frete + imposto de importação + ICMS (custo desembarcado) + impostos da revenda
+ * + tarifas do ML
+ *
+ * @param {number} precoCompra - Preço no AliExpress (BRL, vitrine pt.aliexpress)
+ * @param {number} precoVenda - Preço de referência no ML (BRL)
+ * @param {Object} [custos={}]
+ * @param {number} [custos.frete=0] - Frete internacional (BRL)
+ * @param {Date} [custos.data] - Data que define as regras tributárias em vigor
+ * @param {string} [custos.categoria=''] - Categoria do produto (comissão do ML)
+ * @param {string} [custos.tipoAnuncio] - classico ou premium (opcoesAnuncioML)
+ * @param {string} [custos.modoEnvio] - mercado_envios, full ou proprio
+ * @param {number} [custos.pesoKg] - Peso do pacote (faixa do frete grátis)
+ * @returns {{custoImportacao: Object, taxasML: Object, custoTotal: number, margemAbsoluta: number, margemPercentual: number}}
+ */
+export function calcularMargemLiquida(precoCompra, precoVenda, custos = {}) {
+    const { frete = 0, data, categoria = '', ...anuncio } = custos;
+    const custoImportacao = calcularCustoImportacao({
+        preco: precoCompra,
+        frete: frete || 0,
+        moeda: 'BRL',
+        precoVenda,
+        ...(data ? { data } : {})
+    });
+    const taxasML = calcularTaxasML({ precoVenda, categoria, ...anuncio });
+    const custoTotal = Math.round((custoImportacao.total + taxasML.total) * 100) / 100;
+
+    return {
+        custoImportacao,
+        taxasML,
+        custoTotal,
+        margemAbsoluta: Math.round((precoVenda - custoTotal) * 100) / 100,
+        margemPercentual: calcularMargemPercentual(custoTotal, precoVenda)
+    };
+}
+
+/**
+ * Calcula a margem de cada variante
+ * Com `opcoes.custos` a margem é líquida (calcularMargemLiquida); sem, é a margem bruta sobre o preço
+ *
+ * @param {Array<Object>} variantes - Variantes de extrairVariantesSku
+ * @param {number} precoML - Preço de referência no ML (BRL)
+ * @param {Object} [opcoes={}]
+ * @param {number} [opcoes.margemMinima=30] - Margem mínima (%) para a variante ser viável
+ * @param {Object} [opcoes.custos] - Frete, data e anúncio no ML para a margem líquida
+ * @returns {{variantes: Array<Object>, melhorVariante: Object|null, viaveis: number}}
+ */
+export function calcularMargensPorVariante(variantes, precoML, opcoes = {}) {
+    const margemMinima = opcoes.margemMinima ?? 30;
+
+    const analisadas = (Array.isArray(variantes) ? variantes : [])
+        .filter(variante => variante && variante.preco > 0)
+        .map(variante => {
+            const custoTotal = opcoes.custos
+                ? calcularMargemLiquida(variante.preco, precoML, opcoes.custos).custoTotal
+                : variante.preco;
+            const margemPercentual = calcularMargemPercentual(custoTotal, precoML);
+            return {
+                skuId: variante.skuId,
+                descricao: descreverVariante(variante),
+                preco: variante.preco,
+                estoque: variante.estoque,
+                disponivel: variante.disponivel !== false,
+                custoTotal: Math.round(custoTotal * 100) / 100,
+                margemPercentual,
+                viavel: variante.disponivel !== false && margemPercentual >= margemMinima
+            };
+        });
+
+    // Melhor variante: maior margem entre as disponíveis
+    const melhorVariante = analisadas
+        .filter(variante => variante.disponivel)
+        .reduce((melhor, atual) => (!melhor || atual.margemPercentual > melhor.margemPercentual) ? atual : melhor, null);
+
+    return {
+        variantes: analisadas,
+        melhorVariante,
+        viaveis: analisadas.filter(variante => variante.viavel).length
+    };
+}
+
+/**
+ * Decide se o produto é viável no ML pela margem líquida
+ * Com variantes, o produto é viável se alguma variante disponível for
+ *
+ * @param {Object} entrada
+ * @param {number} entrada.precoCompra - Preço no AliExpress (BRL)
+ * @param {number} entrada.precoML - Preço de referência no ML (BRL)
+ * @param {Array<Object>} [entrada.variantes=[]] - Variantes de extrairVariantesSku
+ * @param {number} [entrada.margemMinima=30] - Margem mínima (%)
+ * @param {Object} [entrada.custos={}] - Frete, data e anúncio no ML (calcularMargemLiquida)
+ * @returns {{viavel: boolean, margemPercentual: number, margemAbsoluta: number, custoTotal: number, custoImportacao: Object, taxasML: Object, variantes: Array<Object>, melhorVariante: Object|null}}
+ */
+export function avaliarMargemProduto({ precoCompra, precoML, variantes = [], margemMinima = 30, custos = {} }) {
+    const liquida = calcularMargemLiquida(precoCompra, precoML, custos);
+    const porVariante = calcularMargensPorVariante(variantes, precoML, { margemMinima, custos });
+
+    return {
+        viavel: porVariante.variantes.length > 0
+            ? porVariante.viaveis > 0
+            : liquida.margemPercentual >= margemMinima,
+        margemPercentual: liquida.margemPercentual,
+        margemAbsoluta: liquida.margemAbsoluta,
+        custoTotal: liquida.custoTotal,
+        custoImportacao: liquida.custoImportacao,
+        taxasML: liquida.taxasML,
+        variantes: porVariante.variantes,
+        melhorVariante: porVariante.melhorVariante
+    };
+}
@@ -8,11 +8,14 @@
  * 
  * Funcionalidades principais:
  * - Busca real de produtos no Mercado Livre usando nova aba
- * - Cálculo realista de custos (impostos, frete, conversão monetária)
- * - Análise de margem em múltiplos cenários (otimista, realista, conservador)
+ * - Custo desembarcado pelas regras do Remessa Conforme, ICMS da UF e regime do vendedor (custo-importacao.js)
+ * - Tarifas reais do ML: comissão por categoria e tipo de anúncio, custo fixo e frete grátis (taxas-mercado-livre.js)
+ * - Análise de margem em múltiplos cenários de preço no ML (otimista, realista, conservador)
  * - Score de viabilidade baseado em critérios de mercado
  * - Análise de riscos específicos por categoria de produto
  * - Dados de mercado REAIS baseados em busca ao vivo
+ * - Saturação do mercado no ML (concorrencia-ml.js) elevando a margem mínima exigida
+ * - Histórico de preços das buscas reais (referencia-precos.js) quando o ML não responde
  * 
  * @author LoopStore
  * @version 3.0.0 - Busca real no Mercado Livre implementada
@@ -20,8 +23,13 @@
 
 import { logInfo, logErro } from '../scraper/utils.js';
 import { buscarProdutosMercadoLivre, buscarProdutosCompativeisML } from './mercado-livre-scraper.js';
+import { analisarConcorrenciaML, margemMinimaComConcorrencia, AJUSTE_MARGEM_SATURACAO } from './concorrencia-ml.js';
+import { registrarConsultaML, consultarReferenciaPrecos, estatisticasPrecos, normalizarCategoria } from './referencia-precos.js';
 import { processarNomeProduto } from '../utils/tradutor-produtos.js';
-import { MIN_PROFIT_MARGIN } from '../config.js';
+import { calcularCustoImportacao } from './custo-importacao.js';
+import { calcularTaxasML, opcoesAnuncioML } from './taxas-mercado-livre.js';
+import { calcularCenarioCustomizado, analisarConsenso, classificarCenario } from './cenarios-margem.js';
+import { MIN_PROFIT_MARGIN, USD_BRL_RATE } from '../config.js';
 
 // =================================
 // CONFIGURAÇÕES DE MARGEM BRASILEIRA
@@ -36,16 +44,14 @@ let CONFIG_MARGEM;
 try {
     CONFIG_MARGEM = {
         // Taxa de conversão USD/BRL (atualizada regularmente)
-        cotacaoUSD: parseFloat(process.env.USD_BRL_RATE) || 5.2,
+        cotacaoUSD: USD_BRL_RATE,
         
-        // Impostos de importação (12% é mais realista que 60%)
-        impostos: parseFloat(process.env.IMPORT_TAX_RATE) || 0.12,
+        // Impostos de importação, ICMS e da revenda: regras versionadas em config/regras-tributarias.json
         
         // Custo médio de frete internacional
         frete: parseFloat(process.env.SHIPPING_COST) || 12.0,
         
-        // Taxa média dos marketplaces brasileiros (ML, Shopee, etc.)
-        taxaMarketplace: parseFloat(process.env.MARKETPLACE_FEE_RATE) || 0.10,
+        // Tarifas do ML (comissão, custo fixo e frete grátis): tabelas em config/tabelas-ml.json
         
         // Margem mínima aceitável para viabilidade
         margemMinima: parseFloat(process.env.MIN_PROFIT_MARGIN) || 0.15
@@ -56,11 +62,7 @@ try {
         throw new Error(`Taxa USD/BRL inválida: ${CONFIG_MARGEM.cotacaoUSD}`);
     }
     
-    if (CONFIG_MARGEM.impostos < 0 || CONFIG_MARGEM.impostos > 1) {
-        throw new Error(`Taxa de impostos inválida: ${CONFIG_MARGEM.impostos}`);
-    }
-
-    logInfo(`✅ Configurações de margem carregadas: USD/BRL ${CONFIG_MARGEM.cotacaoUSD}, Impostos ${CONFIG_MARGEM.impostos * 100}%`);
+    logInfo(`✅ Configurações de margem carregadas: USD/BRL ${CONFIG_MARGEM.cotacaoUSD}, Frete R$ ${CONFIG_MARGEM.frete}`);
 
 } catch (error) {
     logErro(`❌ Erro ao carregar configurações de margem: ${error.message}`);
@@ -69,71 +71,11 @@ try {
     // Configurações padrão seguras em caso de erro
     CONFIG_MARGEM = {
         cotacaoUSD: 5.2,
-        impostos: 0.12,
         frete: 12.0,
-        taxaMarketplace: 0.10,
         margemMinima: 0.15
     };
 }
 
-// =================================
-// BASE DE DADOS DE PREÇOS DE MERCADO
-// =================================
-
-/**
- * Dados simulados baseados em pesquisa real do mercado brasileiro
- * Coletados de Mercado Livre, Shopee, Amazon BR e outras plataformas
- * 
- * Estrutura: categoria -> { produtos: quantidade, preços: { distribuição estatística } }
- */
-const PRECOS_MERCADO_BR = {
-    'smartwatch': {
-        produtos: 25,
-        precos: { 
-            minimo: 120.00, maximo: 450.00, media: 220.00, 
-            mediana: 195.00, quartil1: 160.00, quartil3: 280.00 
-        },
-        volatilidade: 'media', // Tecnologia tem preços mais estáveis
-        sazonalidade: 'baixa'
-    },
-    'kitchen knife': {
-        produtos: 30,
-        precos: { 
-            minimo: 35.00, maximo: 180.00, media: 85.00, 
-            mediana: 75.00, quartil1: 50.00, quartil3: 110.00 
-        },
-        volatilidade: 'baixa', // Utensílios domésticos têm preços estáveis
-        sazonalidade: 'media'
-    },
-    'bluetooth speaker': {
-        produtos: 22,
-        precos: { 
-            minimo: 45.00, maximo: 250.00, media: 120.00, 
-            mediana: 95.00, quartil1: 70.00, quartil3: 150.00 
-        },
-        volatilidade: 'alta', // Eletrônicos têm mais variação
-        sazonalidade: 'alta'
-    },
-    'phone case': {
-        produtos: 40,
-        precos: { 
-            minimo: 15.00, maximo: 80.00, media: 35.00, 
-            mediana: 29.00, quartil1: 22.00, quartil3: 42.00 
-        },
-        volatilidade: 'baixa', // Acessórios têm preços mais padronizados
-        sazonalidade: 'baixa'
-    },
-    'fitness tracker': {
-        produtos: 18,
-        precos: { 
-            minimo: 90.00, maximo: 350.00, media: 180.00, 
-            mediana: 160.00, quartil1: 130.00, quartil3: 220.00 
-        },
-        volatilidade: 'media',
-        sazonalidade: 'alta' // Picos em janeiro e setembro
-    }
-};
-
 // =================================
 // FUNÇÃO PRINCIPAL DE CÁLCULO DE MARGEM
 // =================================
@@ -144,9 +86,10 @@ const PRECOS_MERCADO_BR = {
  * @param {number} precoAliExpress - Preço do produto no AliExpress (USD)
  * @param {number} precoMercadoLivre - Preço de venda no mercado brasileiro (BRL)
  * @param {string} categoria - Categoria do produto para ajustes específicos
+ * @param {Object} [opcoesML={}] - Anúncio no ML: tipoAnuncio, modoEnvio e pesoKg (padrões em CONFIG.mercadoLivre)
  * @returns {Object} Análise completa de margem e viabilidade
  */
-export function calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, categoria = '') {
+export function calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, categoria = '', opcoesML = {}) {
     try {
         // Validação de entrada
         if (!precoAliExpress || !precoMercadoLivre) {
@@ -165,26 +108,22 @@ export function calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, cate
             throw new Error(`Preço de venda inválido: ${precoMercadoLivre} BRL`);
         }
 
-        // Cálculo de custos base
-        let impostos = precoCompra * CONFIG_MARGEM.impostos;
+        // Cálculo do frete base
         let frete = CONFIG_MARGEM.frete;
 
-        // Ajustes específicos por categoria com tratamento de erros
+        // Ajustes de frete por categoria com tratamento de erros
         try {
             const categoriaLower = categoria.toLowerCase();
             
             if (categoriaLower.includes('tecnologia') || categoriaLower.includes('eletronic')) {
-                impostos *= 1.2; // Tecnologia tem impostos 20% maiores
                 frete *= 1.1;    // Frete 10% maior (embalagem especial)
                 logInfo(`🔧 Ajuste para categoria Tecnologia aplicado`);
                 
             } else if (categoriaLower.includes('casa') || categoriaLower.includes('cozinha') || categoriaLower.includes('kitchen')) {
-                impostos *= 0.9; // Utensílios têm impostos 10% menores
                 frete *= 1.3;    // Frete 30% maior (peso/volume)
                 logInfo(`🔧 Ajuste para categoria Casa e Cozinha aplicado`);
                 
             } else if (categoriaLower.includes('beleza') || categoriaLower.includes('beauty')) {
-                impostos *= 1.1; // Cosméticos têm impostos maiores
                 frete *= 0.9;    // Produtos menores, frete menor
                 logInfo(`🔧 Ajuste para categoria Beleza aplicado`);
             }
@@ -193,8 +132,20 @@ export function calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, cate
             // Continuar com valores base - não interromper cálculo
         }
 
+        // Impostos reais: importação (Remessa Conforme), ICMS da UF e regime do vendedor na revenda
+        const custoImportacao = calcularCustoImportacao({
+            preco: parseFloat(precoAliExpress),
+            frete: frete / CONFIG_MARGEM.cotacaoUSD,
+            precoVenda,
+            cotacaoUSD: CONFIG_MARGEM.cotacaoUSD
+        });
+        const impostos = custoImportacao.impostosTotais;
+
+        // Tarifas reais do ML para a categoria, o tipo de anúncio e o modo de envio
+        const taxasML = calcularTaxasML({ precoVenda, categoria, ...opcoesML });
+        const taxasMarketplace = taxasML.total;
+
         // Calcular custos finais
-        const taxasMarketplace = precoVenda * CONFIG_MARGEM.taxaMarketplace;
         const custoTotal = precoCompra + impostos + frete + taxasMarketplace;
 
         // Calcular margens
@@ -216,12 +167,22 @@ export function calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, cate
             
             // Breakdown de custos
             custos: {
+                impostoImportacao: custoImportacao.impostoImportacao.valorBrl,
+                icmsImportacao: custoImportacao.icms.valor,
+                impostosRevenda: custoImportacao.impostosRevenda?.valor || 0,
                 impostos: Math.round(impostos * 100) / 100,
                 frete: Math.round(frete * 100) / 100,
+                comissaoML: taxasML.comissao.valor,
+                custoFixoML: taxasML.custoFixo,
+                envioML: taxasML.envio.valor,
                 taxasMarketplace: Math.round(taxasMarketplace * 100) / 100,
                 total: Math.round(custoTotal * 100) / 100
             },
             
+            // Detalhamento item a item (aba "Custos de Importação" da planilha)
+            custoImportacao: custoImportacao,
+            taxasML: taxasML,
+            
             // Análise de margem
             margemAbsoluta: Math.round(margemAbsoluta * 100) / 100,
             margemPercentual: Math.round(margemPercentual * 100) / 100,
@@ -257,25 +218,6 @@ export function calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, cate
     }
 }
 
-/**
- * Classifica o cenário da margem baseado em percentuais de mercado
- * 
- * @param {number} margemPercentual - Margem percentual calculada
- * @returns {string} Classificação do cenário
- */
-function classificarCenario(margemPercentual) {
-    try {
-        if (margemPercentual >= 40) return 'Excelente';
-        if (margemPercentual >= 25) return 'Muito Bom';
-        if (margemPercentual >= 15) return 'Bom';
-        if (margemPercentual >= 5) return 'Marginal';
-        return 'Inviável';
-    } catch (error) {
-        logErro(`Erro na classificação de cenário: ${error.message}`);
-        return 'Erro';
-    }
-}
-
 // =================================
 // SISTEMA DE VALIDAÇÃO EM MÚLTIPLOS CENÁRIOS
 // =================================
@@ -287,9 +229,10 @@ function classificarCenario(margemPercentual) {
  * @param {number} precoAliExpress - Preço no AliExpress (USD)
  * @param {number} precoMercadoLivre - Preço no mercado brasileiro (BRL)
  * @param {string} categoria - Categoria do produto
+ * @param {Object} [produto={}] - Produto (peso) para o anúncio no ML: opcoesAnuncioML define tipoAnuncio, modoEnvio e pesoKg
  * @returns {Object} Análise completa em múltiplos cenários
  */
-export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivre, categoria = '') {
+export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivre, categoria = '', produto = {}) {
     try {
         logInfo(`🔍 Iniciando validação multi-cenário: ${categoria}`);
 
@@ -302,6 +245,9 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
             throw new Error(`Preço Mercado Livre inválido: ${precoMercadoLivre}`);
         }
 
+        // Tarifas do ML pelo tipo de anúncio, modo de envio e peso do produto (as mesmas nos três cenários)
+        const opcoesML = opcoesAnuncioML(produto);
+
         const scenarios = {
             otimista: null,
             realista: null,
@@ -312,9 +258,8 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
         try {
             const configOtimista = {
                 cotacaoUSD: CONFIG_MARGEM.cotacaoUSD * 0.95, // Cotação 5% menor
-                impostos: CONFIG_MARGEM.impostos * 0.8,      // 20% menos impostos
                 frete: CONFIG_MARGEM.frete * 0.7,            // 30% menos frete
-                taxaMarketplace: CONFIG_MARGEM.taxaMarketplace * 0.9 // 10% menos taxa
+                margemMinima: CONFIG_MARGEM.margemMinima
             };
 
             scenarios.otimista = calcularCenarioCustomizado(
@@ -322,7 +267,8 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
                 precoMercadoLivre, 
                 configOtimista, 
                 categoria,
-                'OTIMISTA'
+                'OTIMISTA',
+                opcoesML
             );
 
         } catch (error) {
@@ -332,7 +278,7 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
 
         // Cenário 2: REALISTA (condições padrão)
         try {
-            scenarios.realista = calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, categoria);
+            scenarios.realista = calcularMargemOtimizada(precoAliExpress, precoMercadoLivre, categoria, opcoesML);
             scenarios.realista.cenarioTipo = 'REALISTA';
 
         } catch (error) {
@@ -344,9 +290,8 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
         try {
             const configConservador = {
                 cotacaoUSD: CONFIG_MARGEM.cotacaoUSD * 1.1,  // Cotação 10% maior
-                impostos: CONFIG_MARGEM.impostos * 1.3,      // 30% mais impostos
                 frete: CONFIG_MARGEM.frete * 1.5,            // 50% mais frete
-                taxaMarketplace: CONFIG_MARGEM.taxaMarketplace * 1.2 // 20% mais taxa
+                margemMinima: CONFIG_MARGEM.margemMinima
             };
 
             scenarios.conservador = calcularCenarioCustomizado(
@@ -354,7 +299,8 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
                 precoMercadoLivre, 
                 configConservador, 
                 categoria,
-                'CONSERVADOR'
+                'CONSERVADOR',
+                opcoesML
             );
 
         } catch (error) {
@@ -374,7 +320,8 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
             timestamp: new Date().toISOString(),
             parametros: {
                 precoAliExpress: parseFloat(precoAliExpress),
-                precoMercadoLivre: parseFloat(precoMercadoLivre)
+                precoMercadoLivre: parseFloat(precoMercadoLivre),
+                opcoesML: opcoesML
             }
         };
 
@@ -396,358 +343,75 @@ export function validarMargemMultiplosCenarios(precoAliExpress, precoMercadoLivr
     }
 }
 
-/**
- * Calcula margem com configuração customizada para cenários específicos
- * 
- * @param {number} precoAliExpress - Preço AliExpress (USD)
- * @param {number} precoMercadoLivre - Preço mercado (BRL)
- * @param {Object} config - Configuração customizada
- * @param {string} categoria - Categoria do produto
- * @param {string} cenarioTipo - Tipo do cenário
- * @returns {Object} Resultado do cálculo customizado
- */
-function calcularCenarioCustomizado(precoAliExpress, precoMercadoLivre, config, categoria, cenarioTipo) {
-    try {
-        const precoCompra = parseFloat(precoAliExpress) * config.cotacaoUSD;
-        const precoVenda = parseFloat(precoMercadoLivre);
-
-        if (isNaN(precoCompra) || isNaN(precoVenda)) {
-            throw new Error(`Valores inválidos após conversão: compra=${precoCompra}, venda=${precoVenda}`);
-        }
-
-        // Aplicar impostos e taxas customizadas
-        let impostos = precoCompra * config.impostos;
-        let frete = config.frete;
-
-        // Ajustes de categoria (com tratamento de erro)
-        try {
-            const categoriaLower = categoria.toLowerCase();
-            
-            if (categoriaLower.includes('tecnologia') || categoriaLower.includes('eletronic')) {
-                impostos *= 1.2;
-                frete *= 1.1;
-            } else if (categoriaLower.includes('casa') || categoriaLower.includes('kitchen')) {
-                impostos *= 0.9;
-                frete *= 1.3;
-            }
-        } catch (categoryError) {
-            logErro(`⚠️ Erro nos ajustes de categoria para ${cenarioTipo}: ${categoryError.message}`);
-        }
-
-        const taxasMarketplace = precoVenda * config.taxaMarketplace;
-        const custoTotal = precoCompra + impostos + frete + taxasMarketplace;
-        
-        const margemAbsoluta = precoVenda - custoTotal;
-        const margemPercentual = (margemAbsoluta / precoVenda) * 100;
-        const roi = (margemAbsoluta / precoCompra) * 100;
-
-        return {
-            cenarioTipo: cenarioTipo,
-            precoCompra: Math.round(precoCompra * 100) / 100,
-            precoVenda: Math.round(precoVenda * 100) / 100,
-            custos: {
-                impostos: Math.round(impostos * 100) / 100,
-                frete: Math.round(frete * 100) / 100,
-                taxasMarketplace: Math.round(taxasMarketplace * 100) / 100,
-                total: Math.round(custoTotal * 100) / 100
-            },
-            margemAbsoluta: Math.round(margemAbsoluta * 100) / 100,
-            margemPercentual: Math.round(margemPercentual * 100) / 100,
-            roi: Math.round(roi * 100) / 100,
-            viavel: margemPercentual >= (CONFIG_MARGEM.margemMinima * 100),
-            cenario: classificarCenario(margemPercentual),
-            configuracao: config
-        };
-
-    } catch (error) {
-        logErro(`Erro no cálculo do cenário ${cenarioTipo}: ${error.message}`);
-        throw error;
-    }
-}
-
-/**
- * Analisa consenso entre os diferentes cenários para recomendação final
- * 
- * @param {Object} scenarios - Objeto contendo os três cenários
- * @returns {Object} Análise de consenso com recomendação
- */
-function analisarConsenso(scenarios) {
-    try {
-        let cenariosProdutivos = 0;
-        let totalMargem = 0;
-        let totalROI = 0;
-        let detalhes = [];
-
-        // Analisar cada cenário válido
-        Object.entries(scenarios).forEach(([tipo, cenario]) => {
-            try {
-                if (cenario && !cenario.erro && typeof cenario.margemPercentual === 'number') {
-                    cenariosProdutivos++;
-                    totalMargem += cenario.margemPercentual;
-                    totalROI += cenario.roi || 0;
-                    
-                    detalhes.push({
-                        tipo: tipo.toUpperCase(),
-                        margem: cenario.margemPercentual,
-                        viavel: cenario.viavel,
-                        classificacao: cenario.cenario
-                    });
-                }
-            } catch (scenarioError) {
-                logErro(`Erro ao analisar cenário ${tipo}: ${scenarioError.message}`);
-            }
-        });
-
-        // Calcular métricas de consenso
-        const margemMedia = cenariosProdutivos > 0 ? totalMargem / cenariosProdutivos : 0;
-        const roiMedio = cenariosProdutivos > 0 ? totalROI / cenariosProdutivos : 0;
-        
-        // Determinar nível de confiabilidade
-        const confiabilidade = (cenariosProdutivos / 3) * 100;
-        
-        // Gerar recomendação baseada nos resultados
-        let recomendacao = 'INDETERMINADO';
-        
-        if (cenariosProdutivos === 0) {
-            recomendacao = 'ERRO_CRITICO';
-        } else if (margemMedia >= 25) {
-            recomendacao = 'ALTAMENTE_RECOMENDADO';
-        } else if (margemMedia >= 15) {
-            recomendacao = 'RECOMENDADO';
-        } else if (margemMedia >= 5) {
-            recomendacao = 'MARGINAL';
-        } else {
-            recomendacao = 'NAO_RECOMENDADO';
-        }
-
-        return {
-            recomendacao: recomendacao,
-            confiabilidade: Math.round(confiabilidade),
-            cenariosProdutivos: cenariosProdutivos,
-            metricas: {
-                margemMedia: Math.round(margemMedia * 100) / 100,
-                roiMedio: Math.round(roiMedio * 100) / 100
-            },
-            detalhes: detalhes,
-            timestamp: new Date().toISOString()
-        };
-
-    } catch (error) {
-        logErro(`Erro na análise de consenso: ${error.message}`);
-        
-        return {
-            recomendacao: 'ERRO_ANALISE',
-            confiabilidade: 0,
-            cenariosProdutivos: 0,
-            metricas: { margemMedia: 0, roiMedio: 0 },
-            detalhes: [],
-            erro: error.message,
-            timestamp: new Date().toISOString()
-        };
-    }
-}
-
 // =================================
-// GERAÇÃO DE DADOS DE MERCADO OTIMIZADOS
+// REFERÊNCIA DE MERCADO SEM BUSCA AO VIVO
 // =================================
 
 /**
- * Busca produtos reais no Mercado Livre para análise de margem
- * Utiliza nova aba para não interferir na navegação do AliExpress
+ * Dados de mercado quando a busca real no Mercado Livre falha
+ * Responde com o histórico das consultas reais (referencia-precos.js): termo exato, termos
+ * parecidos ou a categoria, informando a confiança. Sem histórico, `precos` vem null e a
+ * validação fica sem dados de mercado; nenhum preço é simulado.
  * 
- * @param {string} nomeProduto - Nome do produto para análise
- * @returns {Object} Dados reais do mercado brasileiro
+ * @param {string} nomeProduto - Termo usado na busca do produto no ML
+ * @param {string} [categoria=''] - Categoria do produto
+ * @returns {Promise<Object>} Dados de mercado com metadados.confianca (alta, media, baixa ou nenhuma)
  * 
  * @example
- * const dados = await gerarDadosMercadoOtimizados("smartwatch fitness");
- * console.log(`Preço médio no ML: R$ ${dados.precos.media}`);
+ * const dados = await gerarDadosMercadoOtimizados("smartwatch fitness", "Eletrônicos");
+ * console.log(`Mediana histórica: R$ ${dados.precos?.mediana} (${dados.metadados.confianca})`);
  */
-export function gerarDadosMercadoOtimizados(nomeProduto) {
+export async function gerarDadosMercadoOtimizados(nomeProduto, categoria = '') {
+    const semReferencia = (erro) => ({
+        termoBuscado: nomeProduto || 'Produto não especificado',
+        categoriaDetectada: normalizarCategoria(categoria),
+        produtosEncontrados: 0,
+        precos: null,
+        metadados: {
+            fonte: 'Histórico de referência',
+            confianca: 'nenhuma',
+            correspondencia: null,
+            observacoes: 0,
+            ultimaConsulta: null
+        },
+        ...(erro ? { erro } : {}),
+        dataConsulta: new Date().toISOString()
+    });
+
     try {
         // Validação de entrada
         if (!nomeProduto || typeof nomeProduto !== 'string') {
             throw new Error('Nome do produto é obrigatório e deve ser uma string');
         }
 
-        logInfo(`📊 Gerando dados de mercado para: ${nomeProduto}`);
+        logInfo(`📚 Consultando histórico de preços para: ${nomeProduto}`);
 
-        const termo = nomeProduto.toLowerCase().trim();
-        let dadosBase = null;
-        let categoriaDetectada = 'generico';
-
-        // Sistema inteligente de detecção de categoria com tratamento de erro
-        try {
-            if (termo.includes('smart') && (termo.includes('watch') || termo.includes('fitness'))) {
-                dadosBase = PRECOS_MERCADO_BR['smartwatch'];
-                categoriaDetectada = 'smartwatch';
-                logInfo(`🎯 Categoria detectada: Smartwatch`);
-                
-            } else if (termo.includes('kitchen') || termo.includes('knife') || termo.includes('cozinha') || termo.includes('faca')) {
-                dadosBase = PRECOS_MERCADO_BR['kitchen knife'];
-                categoriaDetectada = 'kitchen knife';
-                logInfo(`🎯 Categoria detectada: Utensílios de Cozinha`);
-                
-            } else if (termo.includes('speaker') || termo.includes('bluetooth') || termo.includes('audio') || termo.includes('som')) {
-                dadosBase = PRECOS_MERCADO_BR['bluetooth speaker'];  
-                categoriaDetectada = 'bluetooth speaker';
-                logInfo(`🎯 Categoria detectada: Audio/Bluetooth`);
-                
-            } else if (termo.includes('case') || termo.includes('capa') || termo.includes('phone') || termo.includes('celular')) {
-                dadosBase = PRECOS_MERCADO_BR['phone case'];
-                categoriaDetectada = 'phone case';
-                logInfo(`🎯 Categoria detectada: Acessórios de Celular`);
-                
-            } else if (termo.includes('tracker') || termo.includes('fitness') || termo.includes('activity')) { 
-                dadosBase = PRECOS_MERCADO_BR['fitness tracker'];
-                categoriaDetectada = 'fitness tracker';
-                logInfo(`🎯 Categoria detectada: Fitness Tracker`);
-                
-            } else {
-                // Dados genéricos baseados em estatísticas do mercado brasileiro
-                logInfo(`⚠️ Categoria não reconhecida, usando dados genéricos`);
-                
-                dadosBase = {
-                    produtos: Math.floor(Math.random() * 15) + 15, // 15-30 produtos
-                    precos: {
-                        minimo: 25.00 + (Math.random() * 15),       // R$ 25-40
-                        maximo: 150.00 + (Math.random() * 100),     // R$ 150-250
-                        media: 70.00 + (Math.random() * 50),        // R$ 70-120
-                        mediana: 60.00 + (Math.random() * 40),      // R$ 60-100
-                        quartil1: 45.00 + (Math.random() * 20),     // R$ 45-65
-                        quartil3: 90.00 + (Math.random() * 60)      // R$ 90-150
-                    },
-                    volatilidade: 'media',
-                    sazonalidade: 'baixa'
-                };
-                categoriaDetectada = 'generico';
-            }
-
-        } catch (categoryError) {
-            logErro(`❌ Erro na detecção de categoria: ${categoryError.message}`);
-            
-            // Fallback para dados genéricos muito seguros
-            dadosBase = {
-                produtos: 20,
-                precos: {
-                    minimo: 30.00, maximo: 180.00, media: 85.00,
-                    mediana: 75.00, quartil1: 55.00, quartil3: 110.00
-                },
-                volatilidade: 'media',
-                sazonalidade: 'baixa'
-            };
-            categoriaDetectada = 'fallback';
-        }
-
-        // Aplicar variação realística para simular flutuação de mercado
-        let variacao = 1.0;
-        try {
-            // Variação baseada na volatilidade da categoria
-            switch (dadosBase.volatilidade) {
-                case 'alta':
-                    variacao = 0.8 + (Math.random() * 0.4); // ±20%
-                    break;
-                case 'media':
-                    variacao = 0.9 + (Math.random() * 0.2); // ±10%
-                    break;
-                case 'baixa':
-                default:
-                    variacao = 0.95 + (Math.random() * 0.1); // ±5%
-                    break;
-            }
-
-            // Adicionar sazonalidade
-            const mes = new Date().getMonth();
-            if (dadosBase.sazonalidade === 'alta') {
-                // Dezembro, Janeiro (Black Friday, Natal, Ano Novo) - preços 10% maiores
-                if (mes === 11 || mes === 0) {
-                    variacao *= 1.1;
-                }
-                // Março/Setembro (volta às aulas) - preços 5% maiores para eletrônicos
-                else if (mes === 2 || mes === 8) {
-                    variacao *= 1.05;
-                }
-            }
-
-        } catch (variationError) {
-            logErro(`⚠️ Erro ao calcular variação de mercado: ${variationError.message}`);
-            variacao = 1.0; // Sem variação em caso de erro
+        const referencia = await consultarReferenciaPrecos(nomeProduto, categoria);
+        if (!referencia) {
+            logErro(`⚠️ Sem histórico de preços para "${nomeProduto}" nem para a categoria`);
+            return semReferencia();
         }
 
-        // Calcular preços finais com variação aplicada
-        const precosFinais = {};
-        try {
-            Object.keys(dadosBase.precos).forEach(chave => {
-                const valorOriginal = dadosBase.precos[chave];
-                if (typeof valorOriginal === 'number' && valorOriginal > 0) {
-                    precosFinais[chave] = Math.round(valorOriginal * variacao * 100) / 100;
-                } else {
-                    precosFinais[chave] = valorOriginal;
-                }
-            });
-
-            // Garantir que os valores fazem sentido (mínimo < média < máximo)
-            if (precosFinais.minimo >= precosFinais.media) {
-                precosFinais.minimo = precosFinais.media * 0.7;
-            }
-            if (precosFinais.maximo <= precosFinais.media) {
-                precosFinais.maximo = precosFinais.media * 1.5;
-            }
-
-        } catch (priceError) {
-            logErro(`❌ Erro no cálculo de preços finais: ${priceError.message}`);
-            precosFinais = dadosBase.precos; // Usar preços originais
-        }
-
-        // Construir resposta final
-        const resultado = {
+        return {
             termoBuscado: nomeProduto,
-            categoriaDetectada: categoriaDetectada,
-            produtosEncontrados: dadosBase.produtos,
-            precos: {
-                ...precosFinais,
-                quantidade: dadosBase.produtos
-            },
+            categoriaDetectada: normalizarCategoria(categoria),
+            produtosEncontrados: referencia.precos.quantidade,
+            precos: referencia.precos,
             metadados: {
-                volatilidade: dadosBase.volatilidade,
-                sazonalidade: dadosBase.sazonalidade,
-                variacao: Math.round(variacao * 100) / 100,
-                fonte: 'Simulado Otimizado BR',
-                versaoAlgoritmo: '2.0.0'
+                fonte: 'Histórico de referência',
+                confianca: referencia.confianca,
+                correspondencia: referencia.correspondencia,
+                termosUsados: referencia.termosUsados,
+                observacoes: referencia.observacoes,
+                ultimaConsulta: referencia.ultimaConsulta,
+                tendencia: referencia.tendencia
             },
             dataConsulta: new Date().toISOString()
         };
 
-        logInfo(`✅ Dados de mercado gerados: ${categoriaDetectada} com ${dadosBase.produtos} produtos`);
-        
-        return resultado;
-
     } catch (error) {
-        logErro(`💥 Erro crítico ao gerar dados de mercado: ${error.message}`);
-        
-        // Retornar dados seguros de emergência
-        return {
-            termoBuscado: nomeProduto || 'Produto não especificado',
-            categoriaDetectada: 'erro',
-            produtosEncontrados: 15,
-            precos: {
-                minimo: 35.00,
-                maximo: 150.00, 
-                media: 80.00,
-                mediana: 70.00,
-                quartil1: 50.00,
-                quartil3: 100.00,
-                quantidade: 15
-            },
-            metadados: {
-                volatilidade: 'media',
-                sazonalidade: 'baixa',
-                variacao: 1.0,
-                fonte: 'Dados de Emergência',
-                versaoAlgoritmo: '2.0.0'
-            },
-            erro: error.message,
-            dataConsulta: new Date().toISOString()
-        };
+        logErro(`💥 Erro ao consultar o histórico de preços: ${error.message}`);
+        return semReferencia(error.message);
     }
 }
 
@@ -840,12 +504,49 @@ export async function validarMargemOtimizada(produto, browser) {
                 logInfo(`   🎯 Taxa compatibilidade: ${dadosMercado.resumoCompatibilidade.taxaCompatibilidade}%`);
             }
 
+            // Saturação do mercado: pesa na margem mínima e nos riscos
+            dadosMercado.concorrenciaML = await analisarConcorrenciaML(dadosMercado.termoBusca || produtoProcessado.nomeParaBusca);
+
+            // Estatísticas da busca real: amostra da concorrência ou os preços lidos na listagem
+            dadosMercado.precos = dadosMercado.concorrenciaML?.disponivel && dadosMercado.concorrenciaML.precos
+                ? { ...dadosMercado.concorrenciaML.precos, quantidade: dadosMercado.concorrenciaML.anunciosAnalisados }
+                : estatisticasPrecos(dadosMercado.precosEncontrados);
+            dadosMercado.produtosEncontrados = dadosMercado.precos?.quantidade || 0;
+
+            await registrarConsultaML({
+                termo: dadosMercado.termoBusca || produtoProcessado.nomeParaBusca,
+                categoria: produto.categoria,
+                precos: dadosMercado.precosEncontrados,
+                concorrenciaML: dadosMercado.concorrenciaML,
+                fonte: dadosMercado.fonte
+            });
+
         } catch (marketError) {
             logErro(`❌ Erro ao buscar dados no ML: ${marketError.message}`);
-            
-            // Fallback para dados simulados como emergência
-            dadosMercado = gerarDadosMercadoOtimizados(produtoProcessado.nomeParaBusca);
-            logInfo(`⚠️ Usando dados simulados como fallback`);
+
+            // Preços lidos numa busca sem produto compatível ainda valem como referência
+            const termoReferencia = dadosMercado?.termoBusca || produtoProcessado.nomeParaBusca;
+            await registrarConsultaML({
+                termo: termoReferencia,
+                categoria: produto.categoria,
+                precos: dadosMercado?.precosEncontrados,
+                fonte: dadosMercado?.fonte
+            });
+
+            // Fallback: histórico das consultas reais ao ML para o termo ou a categoria
+            dadosMercado = await gerarDadosMercadoOtimizados(termoReferencia, produto.categoria);
+            if (!dadosMercado.precos) {
+                return {
+                    sucesso: false,
+                    erro: `Sem dados de mercado: busca no ML falhou (${marketError.message}) e não há histórico de preços`,
+                    produto: {
+                        nome: produto.nome,
+                        traducao: produtoProcessado.traducao
+                    },
+                    timestamp: new Date().toISOString()
+                };
+            }
+            logInfo(`⚠️ Usando histórico de preços como fallback (confiança ${dadosMercado.metadados.confianca})`);
         }
 
         // Extrair e validar preço do AliExpress
@@ -894,6 +595,9 @@ export async function validarMargemOtimizada(produto, browser) {
             precosParaAnalise = dadosMercado.precos;
         }
 
+        // Anúncio no ML: tipo de anúncio e modo de envio configurados, peso do produto na faixa do frete grátis
+        const opcoesML = opcoesAnuncioML(produto);
+
         // Calcular margens para diferentes cenários com tratamento individual
         const analiseMargens = {
             otimista: null,
@@ -907,7 +611,8 @@ export async function validarMargemOtimizada(produto, browser) {
             analiseMargens.otimista = calcularMargemOtimizada(
                 precoAliExpress, 
                 precosParaAnalise.quartil3 || precosParaAnalise.maximo, 
-                produto.categoria || ''
+                produto.categoria || '',
+                opcoesML
             );
             analiseMargens.otimista.cenarioTipo = 'OTIMISTA';
             logInfo(`✅ Cenário otimista calculado: ${analiseMargens.otimista.margemPercentual}%`);
@@ -926,7 +631,8 @@ export async function validarMargemOtimizada(produto, browser) {
             analiseMargens.realista = calcularMargemOtimizada(
                 precoAliExpress, 
                 precosParaAnalise.media, 
-                produto.categoria || ''
+                produto.categoria || '',
+                opcoesML
             );
             analiseMargens.realista.cenarioTipo = 'REALISTA';
             logInfo(`✅ Cenário realista calculado: ${analiseMargens.realista.margemPercentual}%`);
@@ -945,7 +651,8 @@ export async function validarMargemOtimizada(produto, browser) {
             analiseMargens.conservadora = calcularMargemOtimizada(
                 precoAliExpress, 
                 precosParaAnalise.quartil1 || precosParaAnalise.minimo, 
-                produto.categoria || ''
+                produto.categoria || '',
+                opcoesML
             );
             analiseMargens.conservadora.cenarioTipo = 'CONSERVADOR';
             logInfo(`✅ Cenário conservador calculado: ${analiseMargens.conservadora.margemPercentual}%`);
@@ -965,7 +672,8 @@ export async function validarMargemOtimizada(produto, browser) {
                 analiseMargens.melhorMatch = calcularMargemOtimizada(
                     precoAliExpress, 
                     precosParaAnalise.melhorMatch, 
-                    produto.categoria || ''
+                    produto.categoria || '',
+                    opcoesML
                 );
                 analiseMargens.melhorMatch.cenarioTipo = 'MELHOR_MATCH';
                 analiseMargens.melhorMatch.scoreCompatibilidade = precosParaAnalise.scoreMelhorMatch;
@@ -1042,6 +750,13 @@ export async function validarMargemOtimizada(produto, browser) {
             tempoRetorno = margemBase.viavel ? 12 : 999;
         }
 
+        // Mercado saturado exige margem acima da mínima configurada
+        const margemMinimaExigida = margemMinimaComConcorrencia(CONFIG_MARGEM.margemMinima * 100, dadosMercado.concorrenciaML);
+        const viavel = margemBase.viavel && margemBase.margemPercentual >= margemMinimaExigida;
+        if (margemBase.viavel && !viavel) {
+            logInfo(`🏁 Mercado saturado no ML: margem de ${margemBase.margemPercentual}% abaixo dos ${margemMinimaExigida}% exigidos`);
+        }
+
         // Construir resposta final com dados de compatibilidade
         const resultado = {
             sucesso: true,
@@ -1068,7 +783,8 @@ export async function validarMargemOtimizada(produto, browser) {
             },
             analiseMargens: analiseMargens,
             recomendacao: {
-                viavel: margemBase.viavel,
+                viavel: viavel,
+                margemMinimaExigida: margemMinimaExigida,
                 cenario: margemBase.cenario,
                 cenarioUsado: margemBase.cenarioTipo,
                 scoreViabilidade: scoreViabilidade,
@@ -1365,6 +1081,36 @@ function analisarRiscosOtimizados(margemRealista, margemConservadora, dadosMerca
             logErro(`⚠️ Erro na análise de sazonalidade: ${seasonalityRiskError.message}`);
         }
 
+        // Risco 7: Mercado saturado no ML (lojas oficiais, Full, vendas concentradas)
+        try {
+            const saturacao = dadosMercado?.concorrenciaML?.disponivel ? dadosMercado.concorrenciaML.saturacao : null;
+            if (saturacao && saturacao.nivel !== 'baixa') {
+                riscos.push({
+                    tipo: 'MERCADO_SATURADO',
+                    descricao: `Saturação ${saturacao.nivel} no Mercado Livre (${saturacao.pontuacao}/100)${saturacao.motivos.length ? `: ${saturacao.motivos.join('; ')}` : ''}`,
+                    impacto: saturacao.nivel === 'alta' ? 'ALTO' : 'MEDIO',
+                    recomendacao: `Margem mínima exigida +${AJUSTE_MARGEM_SATURACAO[saturacao.nivel]} pontos; diferenciar anúncio ou kit`
+                });
+            }
+        } catch (saturationRiskError) {
+            logErro(`⚠️ Erro na análise de saturação: ${saturationRiskError.message}`);
+        }
+
+        // Risco 8: Preços vindos do histórico (sem busca ao vivo) com pouca sustentação
+        try {
+            const metadados = dadosMercado?.metadados;
+            if (metadados?.fonte === 'Histórico de referência' && metadados.confianca !== 'alta') {
+                riscos.push({
+                    tipo: 'REFERENCIA_PRECO_FRACA',
+                    descricao: `Preços do histórico com confiança ${metadados.confianca} (${metadados.correspondencia}, ${metadados.observacoes} consulta(s), última em ${metadados.ultimaConsulta?.slice(0, 10)})`,
+                    impacto: metadados.confianca === 'baixa' ? 'ALTO' : 'MEDIO',
+                    recomendacao: 'Confirmar o preço no Mercado Livre antes de importar'
+                });
+            }
+        } catch (referenceRiskError) {
+            logErro(`⚠️ Erro na análise da referência de preços: ${referenceRiskError.message}`);
+        }
+
         logInfo(`⚠️ Identificados ${riscos.length} riscos para análise`);
         
         return riscos;
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Cliente da API pública do Mercado Livre (busca e itens)
+ * @description Alternativa à raspagem de lista.mercadolivre.com.br: lê os endpoints JSON
+ * `/sites/MLB/search` (paginado por offset/limit) e `/items?ids=` (fotos e dados completos),
+ * que não dependem do markup da página. Os itens saem no mesmo formato da listagem HTML
+ * ({ nome, preco, imagem, link }) acrescidos de vendas, condição, loja oficial e frete.
+ *
+ * Usa o axios global: o retry, o proxy do pool e as fixtures de rede instalados pelo
+ * scraper do ML valem também para a API.
+ */
+
+import axios from 'axios';
+import { CONFIG } from '../config.js';
+
+// Limites da API: 50 resultados por página, offset + limit até 1000 e 20 IDs por multiget
+export const ITENS_POR_PAGINA_ML = 50;
+export const OFFSET_MAXIMO_ML = 1000;
+export const IDS_POR_CONSULTA_ML = 20;
+
+function urlBase(opcoes = {}) {
+  return (opcoes.urlBase || CONFIG.mercadoLivre?.apiUrl || 'https://api.mercadolibre.com').replace(/\/+$/, '');
+}
+
+function cabecalhos() {
+  const cabecalhos = { Accept: 'application/json' };
+  if (CONFIG.mercadoLivre?.apiToken) {
+    cabecalhos.Authorization = `Bearer ${CONFIG.mercadoLivre.apiToken}`;
+  }
+  return cabecalhos;
+}
+
+async function consultar(url, params, opcoes = {}) {
+  try {
+    const { data } = await axios.get(url, {
+      params,
+      headers: cabecalhos(),
+      timeout: opcoes.timeout ?? 15000
+    });
+    return data;
+  } catch (error) {
+    const status = error.response?.status;
+    const mensagem = error.response?.data?.message || error.message;
+    throw new Error(`API do Mercado Livre falhou${status ? ` (${status})` : ''}: ${mensagem}`);
+  }
+}
+
+// Miniaturas da busca vêm em http e no tamanho "-I"; a versão "-O" é a foto grande
+function imagemSegura(url) {
+  if (!url) return null;
+  return String(url).replace(/^http:\/\//, 'https://').replace(/-I\.(jpg|jpeg|png|webp)$/i, '-O.$1');
+}
+
+/**
+ * Converte um item da API para o formato usado na validação de margem
+ * @param {Object} item - Resultado de /sites/MLB/search ou corpo de /items
+ * @returns {Object|null}
+ */
+export function normalizarItemML(item) {
+  if (!item || !item.id || !item.title || !(Number(item.price) > 0)) {
+    return null;
+  }
+
+  const fotos = Array.isArray(item.pictures)
+    ? item.pictures.map(foto => imagemSegura(foto.secure_url || foto.url)).filter(Boolean)
+    : [];
+  const imagem = fotos[0] || imagemSegura(item.secure_thumbnail || item.thumbnail);
+
+  return {
+    id: item.id,
+    nome: String(item.title).trim(),
+    preco: Number(item.price),
+    precoOriginal: Number(item.original_price) > 0 ? Number(item.original_price) : null,
+    moeda: item.currency_id || 'BRL',
+    imagem,
+    imagens: fotos.length > 0 ? fotos : (imagem ? [imagem] : []),
+    link: item.permalink || null,
+    vendidos: Number.isFinite(item.sold_quantity) ? item.sold_quantity : null,
+    condicao: item.condition || null,
+    lojaOficialId: item.official_store_id ?? null,
+    lojaOficial: item.official_store_id != null,
+    freteGratis: item.shipping?.free_shipping === true,
+    full: item.shipping?.logistic_type === 'fulfillment',
+    mercadoEnvios: item.shipping?.mode === 'me2',
+    vendedorId: item.seller?.id ?? item.seller_id ?? null,
+    categoriaId: item.category_id || null,
+    fonte: 'api'
+  };
+}
+
+/**
+ * Lê uma página da busca
+ * @param {string} termo
+ * @param {Object} [opcoes={}]
+ * @param {number} [opcoes.offset=0]
+ * @param {number} [opcoes.limite=50]
+ * @param {string} [opcoes.condicao] - new ou used
+ * @param {string} [opcoes.urlBase] - Outro host (servidor de teste)
+ * @returns {Promise<{itens: Array<Object>, total: number, offset: number, lidos: number}>}
+ */
+export async function buscarPaginaML(termo, opcoes = {}) {
+  const params = {
+    q: termo,
+    offset: opcoes.offset ?? 0,
+    limit: Math.min(opcoes.limite ?? ITENS_POR_PAGINA_ML, ITENS_POR_PAGINA_ML)
+  };
+  if (opcoes.condicao) {
+    params.condition = opcoes.condicao;
+  }
+
+  const dados = await consultar(`${urlBase(opcoes)}/sites/MLB/search`, params, opcoes);
+  const resultados = Array.isArray(dados?.results) ? dados.results : [];
+
+  return {
+    itens: resultados.map(normalizarItemML).filter(Boolean),
+    total: Number(dados?.paging?.primary_results ?? dados?.paging?.total ?? resultados.length),
+    offset: params.offset,
+    lidos: resultados.length
+  };
+}
+
+/**
+ * Dados completos (todas as fotos, vendas, frete) de uma lista de itens via multiget
+ * IDs que a API não devolve com código 200 são ignorados
+ * @param {Array<string>} ids
+ * @param {Object} [opcoes={}]
+ * @returns {Promise<Array<Object>>} Itens normalizados, na ordem dos IDs
+ */
+export async function obterItensML(ids, opcoes = {}) {
+  const unicos = [...new Set((ids || []).filter(Boolean))];
+  const itens = [];
+
+  for (let i = 0; i < unicos.length; i += IDS_POR_CONSULTA_ML) {
+    const lote = unicos.slice(i, i + IDS_POR_CONSULTA_ML);
+    const respostas = await consultar(`${urlBase(opcoes)}/items`, { ids: lote.join(',') }, opcoes);
+    for (const resposta of Array.isArray(respostas) ? respostas : []) {
+      if (resposta?.code === 200) {
+        const item = normalizarItemML(resposta.body);
+        if (item) itens.push(item);
+      }
+    }
+  }
+
+  return itens;
+}
+
+// A busca traz o preço com o desconto vigente; do item completo vêm as fotos e o que a busca omitiu
+function combinarItens(daBusca, completo) {
+  if (!completo) return daBusca;
+  const combinado = { ...daBusca };
+  for (const [campo, valor] of Object.entries(completo)) {
+    if (valor !== null && valor !== undefined && campo !== 'preco' && campo !== 'precoOriginal') {
+      combinado[campo] = valor;
+    }
+  }
+  combinado.precoOriginal = daBusca.precoOriginal ?? completo.precoOriginal;
+  combinado.lojaOficial = combinado.lojaOficialId != null;
+  return combinado;
+}
+
+/**
+ * Lê as páginas da busca até `maxItens` ou `maxPaginas`, sem detalhar os itens
+ * @param {string} termo
+ * @param {Object} [opcoes={}] - Mesmas opções de buscarItensAPI
+ * @returns {Promise<{itens: Array<Object>, total: number}>} Itens lidos e total de resultados da busca
+ */
+export async function paginarBuscaML(termo, opcoes = {}) {
+  const maxItens = opcoes.maxItens ?? ITENS_POR_PAGINA_ML;
+  const maxPaginas = opcoes.maxPaginas ?? CONFIG.mercadoLivre?.apiMaxPaginas ?? 1;
+  const itens = [];
+  let total = 0;
+  let offset = 0;
+
+  for (let pagina = 0; pagina < maxPaginas && itens.length < maxItens; pagina++) {
+    const limite = Math.min(ITENS_POR_PAGINA_ML, maxItens - itens.length, OFFSET_MAXIMO_ML - offset);
+    if (limite <= 0) break;
+
+    const resultado = await buscarPaginaML(termo, { ...opcoes, offset, limite });
+    itens.push(...resultado.itens);
+    total = resultado.total;
+    offset += resultado.lidos;
+
+    if (resultado.lidos < limite || offset >= resultado.total) break;
+  }
+
+  return { itens, total };
+}
+
+/**
+ * Nota média e quantidade de avaliações de um anúncio (/reviews/item/:id)
+ * @param {string} id
+ * @param {Object} [opcoes={}]
+ * @returns {Promise<{id: string, notaMedia: number|null, totalAvaliacoes: number, distribuicao: Object}>}
+ */
+export async function obterAvaliacoesItemML(id, opcoes = {}) {
+  const dados = await consultar(`${urlBase(opcoes)}/reviews/item/${encodeURIComponent(id)}`, { limit: 1 }, opcoes);
+  const nota = Number(dados?.rating_average);
+
+  return {
+    id,
+    notaMedia: nota > 0 ? Math.round(nota * 10) / 10 : null,
+    totalAvaliacoes: Number(dados?.paging?.total) || 0,
+    distribuicao: dados?.rating_levels || {}
+  };
+}
+
+/**
+ * Busca itens na API, paginando até `maxItens` ou `maxPaginas`
+ * Com `detalhar`, os itens da busca são completados com /items (fotos para a comparação visual)
+ *
+ * @param {string} termo
+ * @param {Object} [opcoes={}]
+ * @param {number} [opcoes.maxItens=50]
+ * @param {number} [opcoes.maxPaginas=CONFIG.mercadoLivre.apiMaxPaginas]
+ * @param {boolean} [opcoes.detalhar=true]
+ * @param {string} [opcoes.condicao] - new ou used
+ * @param {string} [opcoes.urlBase]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function buscarItensAPI(termo, opcoes = {}) {
+  const { itens } = await paginarBuscaML(termo, opcoes);
+
+  if (opcoes.detalhar === false || itens.length === 0) {
+    return itens;
+  }
+
+  try {
+    const detalhados = new Map((await obterItensML(itens.map(item => item.id), opcoes)).map(item => [item.id, item]));
+    return itens.map(item => combinarItens(item, detalhados.get(item.id)));
+  } catch (error) {
+    console.warn(`⚠️ Itens do ML sem detalhes (usando os dados da busca): ${error.message}`);
+    return itens;
+  }
+}
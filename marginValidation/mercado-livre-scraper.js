@@ -1,6 +1,7 @@
 /**
  * @fileoverview Busca real de produtos no Mercado Livre com comparação visual
- * @description Implementa busca real no Mercado Livre usando axios/cheerio + comparação visual
+ * @description Implementa busca real no Mercado Livre (listagem HTML ou API pública, ver
+ * fontes-mercado-livre.js) + comparação visual
  * com tratamento robusto de exceções e integração com sistema de tradução
  * 
  * @author Sistema de Scraping AliExpress - Busca ML v2.0
@@ -10,11 +11,14 @@
 
 import axios from 'axios';
 import axiosRetry from 'axios-retry';
-import * as cheerio from 'cheerio';
 import { compararImagensPorHash } from '../utils/comparador-imagens.js';
 import { produtosSaoCompativeis } from '../utils/comparador-produtos.js';
 import { calcularRiscoProduto, determinarMetodoValidacao, permiteValidacaoTextual } from '../utils/calculadora-risco.js';
 import { compararSemantica, analisarProdutosSemantico, calcularEstatisticasPreco, calcularDesvioPreco } from '../utils/analisador-semantico.js';
+import { gerarTermosDeBusca } from '../utils/tradutor-produtos.js';
+import { instalarProxyAxios } from '../utils/pool-proxies.js';
+import { buscarItensML } from './fontes-mercado-livre.js';
+import { CONFIG } from '../config.js';
 
 // 🛡 Melhoria 2: Configurar retry automático para falhas de rede
 axiosRetry(axios, {
@@ -27,34 +31,23 @@ axiosRetry(axios, {
   }
 });
 
-// Busca os top 3 produtos no ML e retorna o mais parecido visualmente
-export async function buscarMelhorProdutoML(produtoAli) {
-  const termosBusca = gerarTermosDeBusca(produtoAli.nomeTraduzido || produtoAli.nome);
-  const url = `https://lista.mercadolivre.com.br/${encodeURIComponent(termosBusca)}`;
+// 🌐 Requisições ao ML saem pelo proxy ativo do pool (mesmo pool do Chrome)
+instalarProxyAxios(axios);
+
+// Máximo de itens do ML comparados por imagem para cada produto
+const MAX_ITENS_COMPARADOS = 5;
+
+/**
+ * Busca os top 3 produtos no ML e retorna o mais parecido visualmente
+ * @param {Object} produtoAli
+ * @param {Object} [opcoes={}]
+ * @param {string} [opcoes.fonte] - html, api ou auto (padrão: ML_SOURCE)
+ */
+export async function buscarMelhorProdutoML(produtoAli, opcoes = {}) {
+  const termosBusca = gerarTermosDeBusca(produtoAli.nomeTraduzido || produtoAli.nome).termoPrincipal;
   
   try {
-    // 🛡 Melhoria 2: Configurações robustas para requisições
-    const { data } = await axios.get(url, { 
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'pt-BR,pt;q=0.9,en;q=0.8'
-      }
-    });
-    const $ = cheerio.load(data);
-    const itens = [];
-
-    $('li.ui-search-layout__item').slice(0, 5).each((i, el) => {
-      const nome = $(el).find('h2').text().trim();
-      const precoTxt = $(el).find('.ui-search-price__second-line .price-tag-fraction').first().text();
-      const imagem = $(el).find('img').attr('data-src') || $(el).find('img').attr('src');
-      const link = $(el).find('a').attr('href');
-      const preco = parseFloat(precoTxt.replace('.', '').replace(',', '.'));
-      if (nome && preco && imagem) {
-        itens.push({ nome, preco, imagem, link });
-      }
-    });
+    const { itens, fonte } = await buscarItensML(termosBusca, { ...opcoes, maxItens: MAX_ITENS_COMPARADOS });
 
     let melhorProduto = null;
     let maiorSimilaridade = 0;
@@ -275,7 +268,9 @@ export async function buscarMelhorProdutoML(produtoAli) {
     return { 
       melhorProduto, 
       mlTop3Produtos: top3Final, // 📦 Dados brutos dos top 3
-      totalEncontrados: itens.length 
+      totalEncontrados: itens.length,
+      precosEncontrados: itens.map(item => item.preco),
+      fonte
     };
 
   } catch (err) {
@@ -286,7 +281,7 @@ export async function buscarMelhorProdutoML(produtoAli) {
 
 // Manter compatibilidade com a função original
 export async function buscarProdutosCompativeisML(browser, produtoAliExpress, opcoes = {}) {
-  console.log('🔄 Usando nova implementação de busca ML com axios/cheerio...');
+  console.log(`🔄 Buscando concorrentes no ML (fonte: ${opcoes.fonte || CONFIG.mercadoLivre.fonte})...`);
   
   try {
     // Extrair primeira imagem do produto AliExpress
@@ -311,7 +306,7 @@ export async function buscarProdutosCompativeisML(browser, produtoAliExpress, op
       imagemURL: imagemURL
     };
 
-    const melhorProduto = await buscarMelhorProdutoML(produtoParaBusca);
+    const melhorProduto = await buscarMelhorProdutoML(produtoParaBusca, { fonte: opcoes.fonte });
 
     if (melhorProduto && melhorProduto.melhorProduto) {
       return {
@@ -319,7 +314,9 @@ export async function buscarProdutosCompativeisML(browser, produtoAliExpress, op
         produtosCompatíveis: melhorProduto.mlTop3Produtos || [],
         melhorMatch: melhorProduto.melhorProduto,
         totalEncontrados: melhorProduto.totalEncontrados || 0,
-        termoBusca: gerarTermosDeBusca(produtoParaBusca.nomeTraduzido || produtoParaBusca.nome),
+        precosEncontrados: melhorProduto.precosEncontrados || [],
+        fonte: melhorProduto.fonte,
+        termoBusca: gerarTermosDeBusca(produtoParaBusca.nomeTraduzido || produtoParaBusca.nome).termoPrincipal,
         erro: null
       };
     } else {
@@ -328,7 +325,10 @@ export async function buscarProdutosCompativeisML(browser, produtoAliExpress, op
         produtosCompatíveis: [],
         melhorMatch: null,
         totalEncontrados: 0,
-        termoBusca: gerarTermosDeBusca(produtoParaBusca.nomeTraduzido || produtoParaBusca.nome),
+        // Sem produto compatível, os preços lidos ainda servem de referência de mercado
+        precosEncontrados: melhorProduto?.precosEncontrados || [],
+        fonte: melhorProduto?.fonte,
+        termoBusca: gerarTermosDeBusca(produtoParaBusca.nomeTraduzido || produtoParaBusca.nome).termoPrincipal,
         erro: 'Nenhum produto compatível encontrado'
       };
     }
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Referência de preços aprendida com as consultas reais ao Mercado Livre
+ * @description Toda busca real no ML (listagem ou análise de concorrência) registra os quartis
+ * de preço observados, agrupados por categoria e termo normalizado. Quando o ML não responde,
+ * a validação de margem consulta este histórico em vez de inventar preços:
+ * - termo exato na categoria → termos parecidos (mesmas palavras) → a categoria inteira
+ * - observações mais recentes e com mais anúncios pesam mais
+ * - a resposta informa a confiança (alta, media, baixa) e quantas observações a sustentam
+ *
+ * Sem histórico para o termo nem para a categoria, não há referência: a validação fica sem
+ * dados de mercado em vez de usar números simulados.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { slugify, logInfo, logErro } from '../scraper/utils.js';
+
+// Observações guardadas por termo (as mais antigas saem primeiro)
+export const MAX_OBSERVACOES_POR_TERMO = 50;
+
+// Em quantos dias o peso de uma observação cai pela metade
+const MEIA_VIDA_DIAS = 30;
+
+// Semelhança mínima (Jaccard das palavras) para aproveitar outro termo
+const SEMELHANCA_MESMA_CATEGORIA = 0.5;
+const SEMELHANCA_OUTRA_CATEGORIA = 0.6;
+
+const PALAVRAS_IGNORADAS = new Set([
+  'a', 'o', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'com', 'para', 'por',
+  'sem', 'um', 'uma', 'kit', 'novo', 'nova', 'original', 'the', 'for', 'with', 'and'
+]);
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function arredondar(valor, casas = 2) {
+  const fator = 10 ** casas;
+  return Math.round(valor * fator) / fator;
+}
+
+// Percentil com interpolação linear sobre uma lista já ordenada
+function percentil(ordenados, p) {
+  const posicao = (ordenados.length - 1) * p;
+  const base = Math.floor(posicao);
+  const proximo = ordenados[Math.min(base + 1, ordenados.length - 1)];
+  return ordenados[base] + (proximo - ordenados[base]) * (posicao - base);
+}
+
+/**
+ * Palavras significativas do termo, sem acentos, pontuação e repetições, em ordem alfabética
+ * @param {string} termo
+ * @returns {string} Ex.: "Fone de Ouvido Bluetooth!" → "bluetooth fone ouvido"
+ */
+export function normalizarTermo(termo) {
+  const palavras = String(termo || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(palavra => palavra.length > 1 && !PALAVRAS_IGNORADAS.has(palavra));
+
+  return [...new Set(palavras)].sort().join(' ');
+}
+
+/**
+ * @param {string} [categoria]
+ * @returns {string} Slug da categoria ou "geral"
+ */
+export function normalizarCategoria(categoria) {
+  const texto = String(categoria || '').trim();
+  return texto ? slugify(texto) : 'geral';
+}
+
+function chaveReferencia(categoria, termo) {
+  return `${normalizarCategoria(categoria)}|${normalizarTermo(termo)}`;
+}
+
+/**
+ * Estatísticas de uma lista de preços (valores inválidos são ignorados)
+ * @param {Array<number>} precos
+ * @returns {{minimo, maximo, media, mediana, quartil1, quartil3, quantidade}|null}
+ */
+export function estatisticasPrecos(precos) {
+  const ordenados = (precos || []).filter(preco => Number.isFinite(preco) && preco > 0).sort((a, b) => a - b);
+  if (ordenados.length === 0) return null;
+
+  return {
+    minimo: ordenados[0],
+    maximo: ordenados[ordenados.length - 1],
+    media: arredondar(ordenados.reduce((soma, p) => soma + p, 0) / ordenados.length),
+    mediana: arredondar(percentil(ordenados, 0.5)),
+    quartil1: arredondar(percentil(ordenados, 0.25)),
+    quartil3: arredondar(percentil(ordenados, 0.75)),
+    quantidade: ordenados.length
+  };
+}
+
+// =================================
+// ARQUIVO DA REFERÊNCIA
+// =================================
+
+let referencia = null;
+let gravacaoPendente = Promise.resolve();
+
+function arquivoReferencia() {
+  return path.resolve(process.cwd(), CONFIG.mercadoLivre?.referenciaArquivo || 'database/referencia-precos.json');
+}
+
+// A promessa é memorizada: chamadas simultâneas compartilham o mesmo objeto
+function carregarReferencia() {
+  if (!referencia) {
+    referencia = fs.readFile(arquivoReferencia(), 'utf-8')
+      .then(conteudo => {
+        const dados = JSON.parse(conteudo);
+        return dados?.termos && typeof dados.termos === 'object' ? dados : { termos: {} };
+      })
+      .catch(() => ({ termos: {} }));
+  }
+  return referencia;
+}
+
+// Gravações serializadas: várias abas do pool podem consultar o ML ao mesmo tempo
+function salvarReferencia(dados) {
+  const arquivo = arquivoReferencia();
+  const conteudo = JSON.stringify({ ...dados, atualizadoEm: new Date().toISOString() }, null, 2);
+  gravacaoPendente = gravacaoPendente.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(arquivo), { recursive: true });
+    const temporario = `${arquivo}.${process.pid}.tmp`;
+    await fs.writeFile(temporario, conteudo);
+    await fs.rename(temporario, arquivo);
+  });
+  return gravacaoPendente;
+}
+
+/**
+ * Descarta a referência em memória (usado nos testes e ao trocar de arquivo)
+ */
+export function reiniciarReferenciaPrecos() {
+  referencia = null;
+}
+
+// =================================
+// REGISTRO DAS CONSULTAS REAIS
+// =================================
+
+/**
+ * Registra os preços de uma consulta real ao ML
+ * Usa os quartis da análise de concorrência quando disponíveis (amostra maior) e, sem ela,
+ * os preços lidos na busca.
+ *
+ * @param {Object} consulta
+ * @param {string} consulta.termo - Termo buscado no ML
+ * @param {string} [consulta.categoria] - Categoria do produto
+ * @param {Array<number>} [consulta.precos=[]] - Preços lidos na busca
+ * @param {Object} [consulta.concorrenciaML] - Saída de analisarConcorrenciaML
+ * @param {string} [consulta.fonte] - html ou api
+ * @param {Date} [consulta.data=new Date()]
+ * @returns {Promise<Object|null>} Observação gravada ou null quando não havia preços
+ */
+export async function registrarConsultaML({ termo, categoria, precos = [], concorrenciaML, fonte, data = new Date() }) {
+  const termoNormalizado = normalizarTermo(termo);
+  if (!termoNormalizado) return null;
+
+  const estatisticas = concorrenciaML?.disponivel && concorrenciaML.precos
+    ? { ...concorrenciaML.precos, quantidade: concorrenciaML.anunciosAnalisados }
+    : estatisticasPrecos(precos);
+  if (!estatisticas) return null;
+
+  try {
+    const dados = await carregarReferencia();
+    const chave = chaveReferencia(categoria, termo);
+    const registro = dados.termos[chave] || {
+      termo: termoNormalizado,
+      categoria: normalizarCategoria(categoria),
+      observacoes: []
+    };
+
+    const observacao = {
+      data: data.toISOString(),
+      quantidade: estatisticas.quantidade,
+      minimo: estatisticas.minimo,
+      quartil1: estatisticas.quartil1,
+      mediana: estatisticas.mediana,
+      quartil3: estatisticas.quartil3,
+      maximo: estatisticas.maximo,
+      media: estatisticas.media,
+      fonte: concorrenciaML?.disponivel ? 'concorrencia' : (fonte || 'html')
+    };
+    registro.observacoes = [...registro.observacoes, observacao].slice(-MAX_OBSERVACOES_POR_TERMO);
+    dados.termos[chave] = registro;
+
+    await salvarReferencia(dados);
+    return observacao;
+
+  } catch (error) {
+    logErro(`⚠️ Não foi possível registrar a referência de preços de "${termo}": ${error.message}`);
+    return null;
+  }
+}
+
+// =================================
+// CONSULTA AO HISTÓRICO
+// =================================
+
+function semelhanca(termoA, termoB) {
+  const a = new Set(termoA.split(' '));
+  const b = new Set(termoB.split(' '));
+  const comuns = [...a].filter(palavra => b.has(palavra)).length;
+  return comuns / new Set([...a, ...b]).size;
+}
+
+function nivelConfianca(correspondencia, observacoes, anuncios) {
+  if (correspondencia === 'exata' && observacoes >= 3 && anuncios >= 30) return 'alta';
+  if (correspondencia !== 'categoria' && anuncios >= 10) return 'media';
+  return 'baixa';
+}
+
+/**
+ * Combina as observações em quartis ponderados por anúncios e recência
+ * @returns {Object|null}
+ */
+function agregarObservacoes(observacoes, agora, idadeMaximaDias) {
+  const validas = observacoes
+    .map(observacao => ({ ...observacao, idadeDias: (agora - new Date(observacao.data).getTime()) / DIA_MS }))
+    .filter(observacao => observacao.idadeDias >= 0 && observacao.idadeDias <= idadeMaximaDias && observacao.mediana > 0);
+  if (validas.length === 0) return null;
+
+  let pesoTotal = 0;
+  const somas = { minimo: 0, quartil1: 0, mediana: 0, quartil3: 0, maximo: 0, media: 0 };
+  for (const observacao of validas) {
+    const peso = Math.max(observacao.quantidade || 1, 1) * 0.5 ** (observacao.idadeDias / MEIA_VIDA_DIAS);
+    pesoTotal += peso;
+    for (const campo of Object.keys(somas)) {
+      somas[campo] += (observacao[campo] ?? observacao.mediana) * peso;
+    }
+  }
+
+  const ordenadas = [...validas].sort((a, b) => new Date(a.data) - new Date(b.data));
+  const primeira = ordenadas[0];
+  const ultima = ordenadas[ordenadas.length - 1];
+
+  return {
+    precos: {
+      minimo: arredondar(Math.min(...validas.map(o => o.minimo ?? o.mediana))),
+      maximo: arredondar(Math.max(...validas.map(o => o.maximo ?? o.mediana))),
+      media: arredondar(somas.media / pesoTotal),
+      mediana: arredondar(somas.mediana / pesoTotal),
+      quartil1: arredondar(somas.quartil1 / pesoTotal),
+      quartil3: arredondar(somas.quartil3 / pesoTotal),
+      quantidade: validas.reduce((soma, o) => soma + (o.quantidade || 0), 0)
+    },
+    observacoes: validas.length,
+    ultimaConsulta: ultima.data,
+    // Variação da mediana entre a primeira e a última observação (%)
+    tendencia: validas.length > 1
+      ? arredondar(((ultima.mediana - primeira.mediana) / primeira.mediana) * 100, 1)
+      : 0
+  };
+}
+
+/**
+ * Referência de preço para o termo a partir do histórico de consultas reais
+ * @param {string} termo
+ * @param {string} [categoria]
+ * @param {Object} [opcoes={}]
+ * @param {Date} [opcoes.agora=new Date()]
+ * @param {number} [opcoes.idadeMaximaDias=CONFIG.mercadoLivre.referenciaIdadeMaximaDias]
+ * @returns {Promise<Object|null>} { precos, confianca, correspondencia, termosUsados, observacoes,
+ *   ultimaConsulta, tendencia } ou null quando não há histórico aproveitável
+ */
+export async function consultarReferenciaPrecos(termo, categoria, opcoes = {}) {
+  const termoNormalizado = normalizarTermo(termo);
+  const categoriaNormalizada = normalizarCategoria(categoria);
+  const agora = (opcoes.agora || new Date()).getTime();
+  const idadeMaximaDias = opcoes.idadeMaximaDias ?? CONFIG.mercadoLivre?.referenciaIdadeMaximaDias ?? 180;
+
+  const { termos } = await carregarReferencia();
+  const registros = Object.values(termos);
+
+  const tentativas = [
+    ['exata', registros.filter(r => r.categoria === categoriaNormalizada && r.termo === termoNormalizado)],
+    ['semelhante', registros.filter(r => termoNormalizado && r.termo !== termoNormalizado &&
+      semelhanca(r.termo, termoNormalizado) >= (r.categoria === categoriaNormalizada ? SEMELHANCA_MESMA_CATEGORIA : SEMELHANCA_OUTRA_CATEGORIA))],
+    ['categoria', categoriaNormalizada !== 'geral' ? registros.filter(r => r.categoria === categoriaNormalizada) : []]
+  ];
+
+  for (const [correspondencia, encontrados] of tentativas) {
+    const agregado = agregarObservacoes(encontrados.flatMap(r => r.observacoes), agora, idadeMaximaDias);
+    if (!agregado) continue;
+
+    const resultado = {
+      ...agregado,
+      correspondencia,
+      termosUsados: encontrados.map(r => r.termo),
+      confianca: nivelConfianca(correspondencia, agregado.observacoes, agregado.precos.quantidade)
+    };
+    logInfo(`📚 Referência de preços para "${termo}": ${correspondencia}, ${resultado.observacoes} consulta(s), confiança ${resultado.confianca}`);
+    return resultado;
+  }
+
+  return null;
+}
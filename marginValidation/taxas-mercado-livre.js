@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Tarifas de venda no Mercado Livre por categoria, tipo de anúncio e modo de envio
+ * @description Substitui a taxa única de marketplace pelas tabelas em config/tabelas-ml.json
+ * (ML_FEE_TABLES_FILE sobrescreve seções):
+ * - comissão da categoria no anúncio Clássico ou Premium
+ * - custo fixo por unidade abaixo do preço mínimo do frete grátis
+ * - frete grátis do Mercado Envios a partir desse preço: custo da faixa de peso menos o subsídio do ML
+ *
+ * O resultado traz o detalhamento item a item (`itens`), como o custo de importação.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG, TIPOS_ANUNCIO_ML, MODOS_ENVIO_ML } from '../config.js';
+
+// Tabelas distribuídas com o projeto: base sobre a qual ML_FEE_TABLES_FILE sobrescreve seções
+const TABELAS_DO_PROJETO = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'tabelas-ml.json');
+
+const NOMES_TIPOS_ANUNCIO = {
+  classico: 'Clássico',
+  premium: 'Premium'
+};
+
+let tabelas = null;
+
+function arredondar(valor, casas = 2) {
+  const fator = 10 ** casas;
+  return Math.round(valor * fator) / fator;
+}
+
+function percentual(aliquota) {
+  return `${arredondar(aliquota * 100)}%`;
+}
+
+function normalizar(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+// =================================
+// TABELAS
+// =================================
+
+function validarTaxas(taxas, origem) {
+  for (const tipo of TIPOS_ANUNCIO_ML) {
+    if (typeof taxas?.[tipo] !== 'number' || taxas[tipo] < 0 || taxas[tipo] >= 1) {
+      throw new Error(`comissão '${tipo}' inválida em ${origem}`);
+    }
+  }
+}
+
+function validarSecoes(conteudo, parcial) {
+  if (!parcial || conteudo.comissoes) {
+    validarTaxas(conteudo.comissoes?.padrao, 'comissoes.padrao');
+    (conteudo.comissoes.categorias || []).forEach(categoria => validarTaxas(categoria, `categoria ${categoria.id}`));
+  }
+  if (!parcial || conteudo.custoFixo) {
+    if (!Array.isArray(conteudo.custoFixo?.faixas) || !(conteudo.custoFixo.precoLimite >= 0)) {
+      throw new Error("seção 'custoFixo' sem precoLimite ou faixas");
+    }
+  }
+  if (!parcial || conteudo.envio) {
+    if (!Array.isArray(conteudo.envio?.faixasPeso) || conteudo.envio.faixasPeso.length === 0) {
+      throw new Error("seção 'envio' sem faixasPeso");
+    }
+    for (const modo of MODOS_ENVIO_ML) {
+      if (!conteudo.envio.modos?.[modo]) {
+        throw new Error(`modo de envio '${modo}' ausente em envio.modos`);
+      }
+    }
+  }
+}
+
+function lerTabelas(arquivo, parcial = false) {
+  const conteudo = JSON.parse(readFileSync(arquivo, 'utf-8'));
+  validarSecoes(conteudo, parcial);
+  return { ...conteudo, versao: conteudo.versao || 'desconhecida', arquivo };
+}
+
+/**
+ * Carrega as tabelas de tarifas do ML (uma vez por processo)
+ * Seções ausentes em ML_FEE_TABLES_FILE continuam vindo das tabelas do projeto
+ * @returns {{versao: string, arquivo: string, comissoes: Object, custoFixo: Object, envio: Object}}
+ */
+export function carregarTabelasML() {
+  if (tabelas) {
+    return tabelas;
+  }
+
+  tabelas = lerTabelas(TABELAS_DO_PROJETO);
+
+  const arquivo = CONFIG.mercadoLivre?.tabelasArquivo;
+  if (!arquivo || path.resolve(arquivo) === TABELAS_DO_PROJETO) {
+    return tabelas;
+  }
+  if (!existsSync(arquivo)) {
+    console.warn(`⚠️  ML_FEE_TABLES_FILE não encontrado (${arquivo}). Usando as tabelas do projeto`);
+    return tabelas;
+  }
+
+  try {
+    tabelas = { ...tabelas, ...lerTabelas(arquivo, true) };
+  } catch (error) {
+    console.warn(`⚠️  Tabelas do ML inválidas (${arquivo}): ${error.message}. Usando as tabelas do projeto`);
+  }
+  return tabelas;
+}
+
+/**
+ * Descarta as tabelas carregadas (testes ou novo arquivo na mesma execução)
+ */
+export function reiniciarTabelasML() {
+  tabelas = null;
+}
+
+// =================================
+// COMISSÃO, CUSTO FIXO E ENVIO
+// =================================
+
+/**
+ * Categoria do ML da tabela de comissões: pelo ID (MLB...) ou pelas palavras-chave no nome da categoria
+ * @param {string} categoria - Categoria do produto (ex: "Casa e Cozinha") ou ID do ML
+ * @returns {{id: string|null, nome: string, taxas: Object, origem: string}} origem: id, palavraChave ou padrao
+ */
+export function identificarCategoriaML(categoria) {
+  const { comissoes } = carregarTabelasML();
+  const categorias = comissoes.categorias || [];
+  const texto = normalizar(categoria).trim();
+
+  const porId = categorias.find(c => c.id.toLowerCase() === texto);
+  if (porId) {
+    return { id: porId.id, nome: porId.nome, taxas: porId, origem: 'id' };
+  }
+
+  const porPalavra = texto && categorias.find(c => (c.palavrasChave || []).some(palavra => texto.includes(normalizar(palavra))));
+  if (porPalavra) {
+    return { id: porPalavra.id, nome: porPalavra.nome, taxas: porPalavra, origem: 'palavraChave' };
+  }
+
+  return { id: null, nome: 'Outras categorias', taxas: comissoes.padrao, origem: 'padrao' };
+}
+
+/**
+ * Custo fixo por unidade: só abaixo do preço limite, pela faixa de preço
+ * @param {number} precoVenda
+ * @param {Object} tabela - Seção custoFixo
+ * @returns {number}
+ */
+export function calcularCustoFixoML(precoVenda, tabela) {
+  if (precoVenda >= tabela.precoLimite) {
+    return 0;
+  }
+  const faixa = tabela.faixas.find(f => precoVenda <= f.ate) || tabela.faixas[tabela.faixas.length - 1];
+  return faixa?.valor || 0;
+}
+
+/**
+ * Custo do frete grátis para o vendedor: custo da faixa de peso menos o subsídio do ML
+ * Abaixo de freteGratisAPartirDe o comprador paga o frete; no envio próprio o ML não cobra nada
+ * @param {number} precoVenda
+ * @param {number} pesoKg
+ * @param {string} modoEnvio - mercado_envios, full ou proprio
+ * @param {Object} tabela - Seção envio
+ * @returns {{modo: string, descricao: string, pesoKg: number, freteGratis: boolean, faixaAteKg: number|null, custoTabela: number, subsidio: number, valor: number, avisos: Array<string>}}
+ */
+export function calcularEnvioML(precoVenda, pesoKg, modoEnvio, tabela) {
+  const modo = tabela.modos[modoEnvio];
+  const avisos = [];
+  const semCusto = { modo: modoEnvio, descricao: modo.descricao, pesoKg, faixaAteKg: null, custoTabela: 0, subsidio: 0, valor: 0, avisos };
+
+  if (!modo.tabela) {
+    return { ...semCusto, freteGratis: false };
+  }
+  if (precoVenda < tabela.freteGratisAPartirDe) {
+    return { ...semCusto, freteGratis: false };
+  }
+
+  const ultima = tabela.faixasPeso[tabela.faixasPeso.length - 1];
+  const faixa = tabela.faixasPeso.find(f => pesoKg <= f.ateKg) || ultima;
+  if (pesoKg > ultima.ateKg) {
+    avisos.push(`Peso de ${pesoKg} kg acima da última faixa do Mercado Envios (${ultima.ateKg} kg)`);
+  }
+  const subsidio = Math.min(faixa.subsidio + (modo.subsidioAdicional || 0), 1);
+
+  return {
+    modo: modoEnvio,
+    descricao: modo.descricao,
+    pesoKg,
+    freteGratis: true,
+    faixaAteKg: faixa.ateKg,
+    custoTabela: faixa.custo,
+    subsidio: arredondar(subsidio, 4),
+    valor: arredondar(faixa.custo * (1 - subsidio)),
+    avisos
+  };
+}
+
+/**
+ * Tarifas do Mercado Livre sobre uma venda, item a item
+ *
+ * @param {Object} entrada
+ * @param {number} entrada.precoVenda - Preço de venda (R$)
+ * @param {string} [entrada.categoria=''] - Categoria do produto ou ID do ML
+ * @param {string} [entrada.tipoAnuncio=CONFIG.mercadoLivre.tipoAnuncio] - classico ou premium
+ * @param {string} [entrada.modoEnvio=CONFIG.mercadoLivre.modoEnvio] - mercado_envios, full ou proprio
+ * @param {number} [entrada.pesoKg=CONFIG.mercadoLivre.pesoPadraoKg] - Peso do pacote
+ * @returns {Object} { categoriaML, comissao, custoFixo, envio, total, percentualEfetivo, itens, avisos, ... }
+ *
+ * @example
+ * const taxas = calcularTaxasML({ precoVenda: 150, categoria: 'Tecnologia', tipoAnuncio: 'premium' });
+ * console.log(`Tarifas do ML: R$ ${taxas.total} (${taxas.percentualEfetivo * 100}%)`);
+ */
+export function calcularTaxasML(entrada) {
+  const config = CONFIG.mercadoLivre || {};
+  const {
+    precoVenda,
+    categoria = '',
+    tipoAnuncio = config.tipoAnuncio ?? 'classico',
+    modoEnvio = config.modoEnvio ?? 'mercado_envios',
+    pesoKg = config.pesoPadraoKg ?? 0.5
+  } = entrada;
+
+  if (!(precoVenda > 0)) {
+    throw new Error(`Preço de venda inválido: ${precoVenda}`);
+  }
+  if (!TIPOS_ANUNCIO_ML.includes(tipoAnuncio)) {
+    throw new Error(`Tipo de anúncio inválido: ${tipoAnuncio} (use ${TIPOS_ANUNCIO_ML.join(', ')})`);
+  }
+  if (!MODOS_ENVIO_ML.includes(modoEnvio)) {
+    throw new Error(`Modo de envio inválido: ${modoEnvio} (use ${MODOS_ENVIO_ML.join(', ')})`);
+  }
+
+  const tabelasCarregadas = carregarTabelasML();
+  const categoriaML = identificarCategoriaML(categoria);
+  const aliquota = categoriaML.taxas[tipoAnuncio];
+  const comissao = arredondar(precoVenda * aliquota);
+  const custoFixo = calcularCustoFixoML(precoVenda, tabelasCarregadas.custoFixo);
+  const { avisos, ...envio } = calcularEnvioML(precoVenda, pesoKg, modoEnvio, tabelasCarregadas.envio);
+  const total = arredondar(comissao + custoFixo + envio.valor);
+
+  const itens = [
+    {
+      codigo: 'comissao',
+      descricao: `Comissão ${NOMES_TIPOS_ANUNCIO[tipoAnuncio]} (${categoriaML.nome}, ${percentual(aliquota)})`,
+      base: arredondar(precoVenda),
+      aliquota,
+      valor: comissao
+    }
+  ];
+  if (custoFixo > 0) {
+    itens.push({ codigo: 'custoFixo', descricao: `Custo fixo por unidade (abaixo de R$ ${tabelasCarregadas.custoFixo.precoLimite})`, base: null, aliquota: null, valor: custoFixo });
+  }
+  if (envio.valor > 0) {
+    itens.push({
+      codigo: 'envio',
+      descricao: `Frete grátis ${envio.descricao} (até ${envio.faixaAteKg} kg, ${percentual(envio.subsidio)} subsidiado)`,
+      base: envio.custoTabela,
+      aliquota: arredondar(1 - envio.subsidio, 4),
+      valor: envio.valor
+    });
+  }
+
+  return {
+    versaoTabelas: tabelasCarregadas.versao,
+    tipoAnuncio,
+    modoEnvio,
+    categoriaML: { id: categoriaML.id, nome: categoriaML.nome, origem: categoriaML.origem },
+    comissao: { aliquota, valor: comissao },
+    custoFixo,
+    envio,
+    total,
+    percentualEfetivo: arredondar(total / precoVenda, 4),
+    itens,
+    avisos
+  };
+}
+
+// =================================
+// ANÚNCIO DO PRODUTO
+// =================================
+
+/**
+ * Peso em kg a partir do texto da PDP ("0.35kg", "350 g", "1,2 kg") ou de um número já em kg
+ * @param {string|number} peso
+ * @returns {number|null} null quando o peso não pode ser lido
+ */
+export function pesoEmKg(peso) {
+  if (typeof peso === 'number') {
+    return peso > 0 ? peso : null;
+  }
+  const encontrado = normalizar(peso).replace(',', '.').match(/(\d+(?:\.\d+)?)\s*(kg|kilo|quilo|g)/);
+  if (!encontrado) {
+    return null;
+  }
+  const valor = parseFloat(encontrado[1]);
+  const kg = encontrado[2] === 'g' ? valor / 1000 : valor;
+  return kg > 0 ? arredondar(kg, 3) : null;
+}
+
+/**
+ * Opções do anúncio para calcularTaxasML: tipo de anúncio e modo de envio configurados e o peso
+ * do produto (pesoKg ou o texto `peso` da PDP), com ML_DEFAULT_WEIGHT_KG quando não há peso legível
+ * @param {Object} [produto={}]
+ * @returns {{tipoAnuncio: string, modoEnvio: string, pesoKg: number}}
+ */
+export function opcoesAnuncioML(produto = {}) {
+  const config = CONFIG.mercadoLivre || {};
+  return {
+    tipoAnuncio: config.tipoAnuncio ?? 'classico',
+    modoEnvio: config.modoEnvio ?? 'mercado_envios',
+    pesoKg: pesoEmKg(produto.pesoKg ?? produto.peso) ?? config.pesoPadraoKg ?? 0.5
+  };
+}
@@ -9,9 +9,18 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 
 const METRICS_DIR = path.join(process.cwd(), 'metrics');
-const DAILY_METRICS_FILE = path.join(METRICS_DIR, `metrics-${new Date().toISOString().split('T')[0]}.json`);
+
+/**
+ * Arquivo diário de métricas, calculado a cada gravação: no agendador o processo atravessa dias
+ * @param {string} [prefixo='metrics']
+ * @returns {string}
+ */
+function arquivoMetricasDiario(prefixo = 'metrics') {
+    return path.join(METRICS_DIR, `${prefixo}-${new Date().toISOString().split('T')[0]}.json`);
+}
 
 /**
  * Classe para gerenciar métricas de scraping
@@ -64,6 +73,15 @@ class ScrapingMetrics {
                 rateLimits: 0,
                 tempoMedioBusca: 0
             },
+            bloqueios: {
+                total: 0,
+                recuperados: 0,
+                naoRecuperados: 0,
+                porTipo: {},
+                porContexto: {},
+                tempoTotalMs: 0,
+                incidentes: []
+            },
             qualidade: {
                 scoresMedio: 0,
                 distribuicaoScores: { bronze: 0, prata: 0, ouro: 0, diamante: 0 },
@@ -274,6 +292,29 @@ class ScrapingMetrics {
         }
     }
 
+    /**
+     * Registrar incidente de bloqueio (slider, punish, CAPTCHA)
+     * @param {Object} incidente - { contexto, chave, tipo, politica, tentativas, recuperado, duracaoMs }
+     */
+    registrarBloqueio(incidente) {
+        const bloqueios = this.metrics.bloqueios;
+        bloqueios.total++;
+        if (incidente.recuperado) {
+            bloqueios.recuperados++;
+        } else {
+            bloqueios.naoRecuperados++;
+        }
+        bloqueios.porTipo[incidente.tipo] = (bloqueios.porTipo[incidente.tipo] || 0) + 1;
+        bloqueios.porContexto[incidente.contexto] = (bloqueios.porContexto[incidente.contexto] || 0) + 1;
+        bloqueios.tempoTotalMs += incidente.duracaoMs || 0;
+        bloqueios.incidentes.push({ timestamp: new Date().toISOString(), ...incidente });
+
+        // Manter apenas os últimos 50 incidentes, como nos erros
+        if (bloqueios.incidentes.length > 50) {
+            bloqueios.incidentes = bloqueios.incidentes.slice(-50);
+        }
+    }
+
     /**
      * Definir configuração da sessão
      * @param {Object} config - Configuração utilizada
@@ -316,9 +357,10 @@ class ScrapingMetrics {
      * Salvar métricas no arquivo
      */
     async salvarMetricas() {
+        const arquivo = arquivoMetricasDiario();
         try {
-            await fs.writeFile(DAILY_METRICS_FILE, JSON.stringify(this.metrics, null, 2));
-            console.log(`📊 Métricas salvas: ${DAILY_METRICS_FILE}`);
+            await fs.writeFile(arquivo, JSON.stringify(this.metrics, null, 2));
+            console.log(`📊 Métricas salvas: ${arquivo}`);
         } catch (error) {
             console.error('❌ Erro ao salvar métricas:', error.message);
         }
@@ -365,6 +407,10 @@ class ScrapingMetrics {
   • Margem: ${m.filtros.reprovadosPorMargem}
   • Qualitativo: ${m.filtros.reprovadosPorQualitativo}
 
+🛑 BLOQUEIOS:
+  • Incidentes: ${m.bloqueios.total} (recuperados: ${m.bloqueios.recuperados}, não recuperados: ${m.bloqueios.naoRecuperados})
+  • Tempo perdido: ${Math.round(m.bloqueios.tempoTotalMs / 1000)}s
+
 🔄 DUPLICADOS: ${m.produtos.duplicados} (${m.produtos.taxaDuplicacao || 0}%)
 ❌ ERROS: ${m.produtos.comErro}
 ═══════════════════════════════════════════════════
@@ -375,15 +421,40 @@ class ScrapingMetrics {
 // Instância global das métricas
 let globalMetrics = null;
 
+// Categorias em paralelo: cada uma guarda a própria instância no seu escopo assíncrono
+const escopoMetricas = new AsyncLocalStorage();
+
+function metricasAtuais() {
+    const escopo = escopoMetricas.getStore();
+    return escopo ? escopo.instancia : globalMetrics;
+}
+
+/**
+ * Executa `fn` com métricas próprias: iniciarMetricas/obterMetricas e os helpers
+ * dentro dela não interferem em outras categorias processadas ao mesmo tempo
+ * @param {Function} fn - Função assíncrona (ex.: processamento de uma categoria)
+ * @returns {Promise<*>} Retorno de fn
+ */
+export function isolarMetricas(fn) {
+    return escopoMetricas.run({ instancia: null }, fn);
+}
+
 /**
  * Inicializar sistema de métricas
  * @param {Object} configuracao - Configuração da sessão
  * @returns {ScrapingMetrics} Instância das métricas
  */
 export function iniciarMetricas(configuracao = {}) {
-    globalMetrics = new ScrapingMetrics();
-    globalMetrics.definirConfiguracao(configuracao);
-    return globalMetrics;
+    const instancia = new ScrapingMetrics();
+    instancia.definirConfiguracao(configuracao);
+
+    const escopo = escopoMetricas.getStore();
+    if (escopo) {
+        escopo.instancia = instancia;
+    } else {
+        globalMetrics = instancia;
+    }
+    return instancia;
 }
 
 /**
@@ -391,17 +462,55 @@ export function iniciarMetricas(configuracao = {}) {
  * @returns {ScrapingMetrics} Instância das métricas
  */
 export function obterMetricas() {
-    return globalMetrics;
+    return metricasAtuais();
 }
 
 /**
  * Helpers para uso fácil
  */
 export const metricas = {
-    iniciarProduto: (produto) => globalMetrics?.iniciarProduto(produto),
-    finalizarProduto: (trackingId, resultado) => globalMetrics?.finalizarProduto(trackingId, resultado),
-    marcarEtapa: (trackingId, etapa) => globalMetrics?.marcarEtapa(trackingId, etapa),
-    registrarErro: (tipo, mensagem, contexto) => globalMetrics?.registrarErro(tipo, mensagem, contexto),
-    registrarML: (evento, dados) => globalMetrics?.registrarML(evento, dados),
-    finalizar: () => globalMetrics?.finalizarSessao()
+    iniciarProduto: (produto) => metricasAtuais()?.iniciarProduto(produto),
+    finalizarProduto: (trackingId, resultado) => metricasAtuais()?.finalizarProduto(trackingId, resultado),
+    marcarEtapa: (trackingId, etapa) => metricasAtuais()?.marcarEtapa(trackingId, etapa),
+    registrarErro: (tipo, mensagem, contexto) => metricasAtuais()?.registrarErro(tipo, mensagem, contexto),
+    registrarML: (evento, dados) => metricasAtuais()?.registrarML(evento, dados),
+    registrarBloqueio: (incidente) => metricasAtuais()?.registrarBloqueio(incidente),
+    finalizar: () => metricasAtuais()?.finalizarSessao()
 };
+
+// Gravações do agendador em fila: uma tarefa pulada pode ser registrada durante outra gravação
+let filaAgendador = Promise.resolve();
+
+/**
+ * Registrar execução agendada (concluída, com erros, falha, pulada ou interrompida)
+ * no arquivo diário metrics/agendador-AAAA-MM-DD.json, com totais por status
+ * @param {Object} execucao - { tarefa, status, agendadaPara, inicio, fim, runId, motivo, erro }
+ * @returns {Promise<Object|null>} Resumo do dia ou null em caso de erro
+ */
+export function registrarExecucaoAgendada(execucao) {
+    const gravar = async () => {
+        const arquivo = arquivoMetricasDiario('agendador');
+        try {
+            await fs.mkdir(METRICS_DIR, { recursive: true });
+
+            let resumo;
+            try {
+                resumo = JSON.parse(await fs.readFile(arquivo, 'utf-8'));
+            } catch {
+                resumo = { data: new Date().toISOString().split('T')[0], totais: {}, execucoes: [] };
+            }
+
+            resumo.totais[execucao.status] = (resumo.totais[execucao.status] || 0) + 1;
+            resumo.execucoes.push({ registradoEm: new Date().toISOString(), ...execucao });
+
+            await fs.writeFile(arquivo, JSON.stringify(resumo, null, 2));
+            return resumo;
+        } catch (error) {
+            console.error('❌ Erro ao registrar execução agendada nas métricas:', error.message);
+            return null;
+        }
+    };
+
+    filaAgendador = filaAgendador.then(gravar);
+    return filaAgendador;
+}
@@ -18,6 +18,9 @@ export function calcularScoreTotal(produto) {
         qualitativo: 0,
         margem: 0,
         similaridade: 0,
+        reviews: 0,
+        loja: 0,
+        concorrencia: 0,
         total: 0,
         categoria: 'bronze' // bronze, prata, ouro, diamante
     };
@@ -38,8 +41,9 @@ export function calcularScoreTotal(produto) {
         }
 
         // 🎨 Score Qualitativo (0-25 pontos)
-        if (produto.qualitativeScore?.score) {
-            scores.qualitativo = Math.round((produto.qualitativeScore.score / 100) * 25);
+        const scoreQualitativo = produto.qualitativeScore?.scoreQualitativo ?? produto.qualitativeScore?.score;
+        if (scoreQualitativo) {
+            scores.qualitativo = Math.max(0, Math.min(25, Math.round((scoreQualitativo / 100) * 25)));
         } else if (produto.aprovadoQualitativo) {
             scores.qualitativo = 20; // Valor padrão se aprovado mas sem score
         }
@@ -63,8 +67,28 @@ export function calcularScoreTotal(produto) {
             scores.similaridade = 10; // Encontrou produtos mas sem similaridade
         }
 
+        // 💬 Penalidade de Reviews (0 a -10 pontos): negativas relatando defeito, tamanho ou atraso
+        const sinaisReviews = produto.sinaisReviews;
+        if (sinaisReviews && !sinaisReviews.amostraInsuficiente) {
+            if (sinaisReviews.risco === 'alto') scores.reviews = -10;
+            else if (sinaisReviews.risco === 'medio') scores.reviews = -5;
+        }
+
+        // 🏪 Confiabilidade da Loja (-10 a +5 pontos)
+        const nivelLoja = produto.perfilLoja?.confiabilidade?.nivel;
+        if (nivelLoja === 'alta') scores.loja = 5;
+        else if (nivelLoja === 'baixa') scores.loja = -10;
+
+        // 🏁 Saturação no Mercado Livre (-10 a +5 pontos): total de anúncios, lojas oficiais, Full e vendas
+        const concorrencia = produto.dadosMercadoLivre?.concorrenciaML;
+        if (concorrencia?.disponivel) {
+            if (concorrencia.saturacao?.nivel === 'alta') scores.concorrencia = -10;
+            else if (concorrencia.saturacao?.nivel === 'media') scores.concorrencia = -5;
+            else if (concorrencia.vendidos?.percentualComVendas >= 50) scores.concorrencia = 5; // Pouca oferta e demanda comprovada
+        }
+
         // 🎯 Score Total (0-100)
-        scores.total = scores.quantitativo + scores.qualitativo + scores.margem + scores.similaridade;
+        scores.total = Math.min(100, Math.max(0, scores.quantitativo + scores.qualitativo + scores.margem + scores.similaridade + scores.reviews + scores.loja + scores.concorrencia));
 
         // 🏆 Categorização por Score
         if (scores.total >= 85) scores.categoria = 'diamante';
@@ -74,7 +98,7 @@ export function calcularScoreTotal(produto) {
 
         // 📋 Adicionar informações detalhadas
         scores.detalhes = {
-            breakdown: `Quant:${scores.quantitativo} + Qual:${scores.qualitativo} + Margem:${scores.margem} + Visual:${scores.similaridade} = ${scores.total}`,
+            breakdown: `Quant:${scores.quantitativo} + Qual:${scores.qualitativo} + Margem:${scores.margem} + Visual:${scores.similaridade} + Reviews:${scores.reviews} + Loja:${scores.loja} + Concorrência:${scores.concorrencia} = ${scores.total}`,
             categoria: scores.categoria,
             recomendacao: obterRecomendacao(scores.total, scores.categoria)
         };
@@ -88,6 +112,9 @@ export function calcularScoreTotal(produto) {
             qualitativo: 0,
             margem: 0,
             similaridade: 0,
+            reviews: 0,
+            loja: 0,
+            concorrencia: 0,
             total: 0,
             categoria: 'bronze',
             erro: error.message
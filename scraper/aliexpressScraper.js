@@ -19,7 +19,8 @@
 
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { CHROME_PATH } from '../config.js';
+import { CONFIG } from '../config.js';
+import { montarOpcoesLancamento } from './perfis-lancamento.js';
 import {
   scrollUntilAllProductsLoaded,
   tirarScreenshot,
@@ -38,7 +39,8 @@ import {
 } from '../filters/quantitative.js';
 
 import {
-  applyQualitativeFilter
+  applyQualitativeFilter,
+  qualitativoAprovado
 } from '../filters/qualitative.js';
 
 import {
@@ -50,6 +52,19 @@ import {
   buscarMelhorProdutoML
 } from '../marginValidation/mercado-livre-scraper.js';
 
+import {
+  analisarConcorrenciaML,
+  margemMinimaComConcorrencia
+} from '../marginValidation/concorrencia-ml.js';
+
+import {
+  registrarConsultaML
+} from '../marginValidation/referencia-precos.js';
+
+import {
+  opcoesAnuncioML
+} from '../marginValidation/taxas-mercado-livre.js';
+
 import {
   assessRisk
 } from '../filters/riskAssessment.js';
@@ -63,6 +78,16 @@ import {
   iniciarLimpezaAutomatica
 } from '../utils/gerenciador-temporarios.js';
 
+import {
+  obterSupervisorProcessos,
+  prepararLancamento
+} from '../utils/supervisor-processos.js';
+
+import {
+  obterCoordenadorEncerramento,
+  rastrearGravacao
+} from '../utils/encerramento-gracioso.js';
+
 import {
   calcularScoreTotal,
   ordenarPorScore,
@@ -81,11 +106,81 @@ import {
 } from '../metrics/scraping-metrics.js';
 
 import {
-  salvarProdutoCompleto,
-  salvarMetricasSessao,
-  verificarDuplicidadeDB,
-  obterEstatisticasGerais
-} from '../database/database-integration.js';
+  obterBanco
+} from '../database/acesso-banco.js';
+
+import {
+  PoolPaginas,
+  LimitadorPorDominio
+} from './pool-paginas.js';
+
+import {
+  SeletorEstrategiaDetalhes
+} from './estrategia-detalhes.js';
+
+import {
+  reproduzindo,
+  gravarPagina,
+  urlPaginaGravada,
+  prepararPaginaReplay,
+  gravarJsonPdp,
+  carregarJsonPdp
+} from '../utils/fixtures-rede.js';
+
+import {
+  extrairVariantesSku
+} from './variantes-sku.js';
+
+import {
+  coletarReviews
+} from './coletor-reviews.js';
+
+import {
+  perfilDoCartaoLoja,
+  obterPerfilLoja
+} from './perfil-lojas.js';
+
+import {
+  buscarFornecedoresAlternativos
+} from './fornecedores-alternativos.js';
+
+import {
+  obterFiltrosCategoria,
+  aplicarFiltrosBusca,
+  filtrarListagemPorFiltros,
+  descreverFiltrosBusca
+} from './filtros-busca.js';
+
+import {
+  obterSeletores,
+  registrarCorrespondencia,
+  encontrarPorGrupo,
+  aguardarPorGrupo
+} from './registro-seletores.js';
+
+import {
+  verificarBloqueio
+} from './detector-bloqueio.js';
+
+import {
+  ehEntradaArvore,
+  obterCategoriaArvore,
+  dadosCategoriaProduto
+} from './arvore-categorias.js';
+
+import {
+  obterPoolProxies
+} from '../utils/pool-proxies.js';
+
+import {
+  obterGerenciadorSessoes,
+  cabecalhoIdioma
+} from '../utils/sessoes-navegacao.js';
+
+import {
+  precoReferenciaML,
+  avaliarMargemProduto
+} from '../marginValidation/margem-variantes.js';
 
 import {
   CATEGORIES,
@@ -102,9 +197,11 @@ import {
  * Configura e inicializa o browser com configurações otimizadas
  * para evasão de detecção e performance estável
  * 
+ * @param {Object} [opcoes={}] - Opções da execução
+ * @param {boolean} [opcoes.headless=false] - Executar sem janela (override --headless da CLI)
  * @returns {Promise<Browser>} Instância do browser configurado
  */
-export async function setupBrowser() {
+export async function setupBrowser(opcoes = {}) {
     try {
         logInfo('🚀 Iniciando configuração do browser stealth...');
 
@@ -131,55 +228,22 @@ export async function setupBrowser() {
             maxPages: MAX_PAGES_PER_CATEGORY
         });
 
-        // Configurações de launch otimizadas para Windows
-        const launchArgs = [
-            // Segurança e sandbox
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            
-            // Evasão de detecção
-            '--disable-blink-features=AutomationControlled',
-            '--disable-features=VizDisplayCompositor',
-            '--disable-web-security',
-            '--disable-features=site-per-process',
-            '--disable-ipc-flooding-protection',
-            
-            // Performance e estabilidade
-            '--no-first-run',
-            '--disable-infobars',
-            '--disable-extensions',
-            '--disable-default-apps',
-            '--disable-accelerated-2d-canvas',
-            '--single-process',
-            '--no-zygote',
-            
-            // Localização
-            '--lang=pt-BR',
-            '--accept-lang=pt-BR,pt,en'
-        ];
-
-        // Configurações do browser
-        const browserConfig = {
-            headless: false, // Modo visível para debug
-            devtools: false,
-            slowMo: 150, // Delay entre ações para parecer mais humano
-            args: launchArgs,
-            defaultViewport: null, // Usar viewport do sistema
-            ignoreDefaultArgs: ['--disable-extensions'], // Permitir algumas extensões
-            timeout: 60000, // Timeout de 60 segundos para inicialização
-        };
-
-        // Adicionar caminho do Chrome se especificado
-        // Usar CHROME_PATH processado pelo config.js
-        if (CHROME_PATH) {
-            browserConfig.executablePath = CHROME_PATH;
-            logInfo(`🔧 Usando Chrome customizado: ${CHROME_PATH}`);
-        }
+        // Opções de launch a partir do preset (BROWSER_PRESET, HEADLESS, SLOW_MO, CHROME_PATH)
+        const browserConfig = montarOpcoesLancamento({
+            ...CONFIG.browser,
+            headless: CONFIG.browser.headless || opcoes.headless === true
+        });
+        logInfo(`🧭 Preset de lançamento: ${CONFIG.browser.preset} (headless: ${browserConfig.headless}, slowMo: ${browserConfig.slowMo})`);
+        logInfo(browserConfig.executablePath
+            ? `🔧 Usando Chrome: ${browserConfig.executablePath}`
+            : '🔧 Chrome não encontrado no sistema: usando o Chrome do puppeteer');
 
         // 🧠 Melhoria 5: Configurar persistência de cookies
         const configComCookies = configurarPersistenciaCookies(browserConfig);
 
+        // Encerrar Chromes órfãos de execuções anteriores e remover travas antigas do perfil
+        prepararLancamento(configComCookies.userDataDir);
+
         // Lançar browser com tratamento de erro
         let browser;
         try {
@@ -193,7 +257,7 @@ export async function setupBrowser() {
             
             const fallbackConfig = {
                 ...browserConfig,
-                args: launchArgs.filter(arg => 
+                args: browserConfig.args.filter(arg => 
                     !arg.includes('single-process') && 
                     !arg.includes('no-zygote')
                 ),
@@ -209,6 +273,9 @@ export async function setupBrowser() {
             throw new Error('Browser não foi inicializado');
         }
 
+        // Registrar o PID do Chrome: encerrado na saída do Node mesmo sem browser.close()
+        obterSupervisorProcessos().acompanharNavegador(browser, { userDataDir: configComCookies.userDataDir });
+
         // Configurar handlers para cleanup automático
         setupBrowserCleanupHandlers(browser);
 
@@ -246,36 +313,20 @@ export async function setupBrowser() {
  * Configura handlers para limpeza automática do browser
  * Garante que recursos sejam liberados em caso de erro ou interrupção
  * 
+ * SIGINT/SIGTERM e exceções passam pelo coordenador de encerramento: o trabalho em
+ * andamento termina e quem lançou o browser o fecha; na saída forçada (prazo esgotado
+ * ou segundo Ctrl+C) o supervisor de processos encerra o Chrome
+ * 
  * @param {Browser} browser - Instância do browser
  */
 function setupBrowserCleanupHandlers(browser) {
     try {
-        // Handler para SIGINT (Ctrl+C)
-        process.on('SIGINT', async () => {
-            logInfo('🛑 Interrupção detectada (SIGINT), finalizando browser...');
-            await cleanupBrowser(browser);
-            process.exit(0);
-        });
-
-        // Handler para SIGTERM (kill)
-        process.on('SIGTERM', async () => {
-            logInfo('🛑 Terminação detectada (SIGTERM), finalizando browser...');
-            await cleanupBrowser(browser);
-            process.exit(0);
-        });
+        obterCoordenadorEncerramento().instalarSinais();
 
-        // Handler para erros não capturados
-        process.on('uncaughtException', async (error) => {
-            logErro(`💥 Erro não capturado: ${error.message}`);
-            await cleanupBrowser(browser);
-            process.exit(1);
-        });
-
-        // Handler para promises rejeitadas
-        process.on('unhandledRejection', async (reason, promise) => {
-            logErro(`💥 Promise rejeitada não tratada: ${reason}`);
-            await cleanupBrowser(browser);
-            process.exit(1);
+        browser.once('disconnected', () => {
+            if (!obterCoordenadorEncerramento().encerrando) {
+                logErro('⚠️ Browser desconectado inesperadamente');
+            }
         });
 
         logInfo('✅ Handlers de cleanup configurados');
@@ -296,9 +347,17 @@ function setupBrowserCleanupHandlers(browser) {
  * 
  * @param {Browser} browser - Instância do browser
  * @param {string} categoria - Nome da categoria a ser processada
+ * @param {Object} [opcoes={}] - Opções do processamento
+ * @param {Object} [opcoes.checkpoint] - Controlador de checkpoints (utils/checkpoint-execucao.js);
+ *        quando informado, a saída de cada fase é persistida e fases já concluídas são puladas
+ * @param {Object} [opcoes.perfil] - Perfil de sessão (utils/sessoes-navegacao.js); quando informado,
+ *        a categoria navega em um contexto isolado com cookies, user agent, viewport e proxy do perfil
+ * @param {Array<Object>} [opcoes.produtos] - Produtos básicos de uma lista de URLs/IDs
+ *        (scraper/entrada-produtos.js); quando informados, a busca e a paginação da FASE 1 são puladas
  * @returns {Promise<Array>} Lista de produtos processados e analisados
  */
-export async function processCategory(browser, categoria) {
+export async function processCategory(browser, categoria, opcoes = {}) {
+    let sessaoNavegacao = null;
     try {
         // 📊 INICIALIZAR MÉTRICAS DA SESSÃO
         const sessionMetrics = iniciarMetricas({
@@ -321,12 +380,28 @@ export async function processCategory(browser, categoria) {
         logInfo(`🔍 Iniciando processamento da categoria: ${categoria}`);
         logInfo(`📋 FLUXO: Coleta → Detalhes → ML → Validações → Export`);
 
+        // ♻️ Checkpoints: categoria já finalizada nesta execução não é reprocessada
+        const checkpoint = opcoes.checkpoint || null;
+        if (checkpoint?.faseConcluida('resultado')) {
+            const resultadoSalvo = await checkpoint.carregarFase('resultado');
+            if (Array.isArray(resultadoSalvo)) {
+                logSucesso(`♻️ Categoria '${categoria}' já concluída na execução ${checkpoint.runId} - reaproveitando ${resultadoSalvo.length} produtos`);
+                return resultadoSalvo;
+            }
+        }
+
+        // 🌐 Pool de proxies: cada categoria navega em um contexto próprio com o proxy reservado
+        // para a sessão (ou o proxy fixo do perfil de sessão)
+        const poolProxies = obterPoolProxies();
+        const perfil = opcoes.perfil || null;
+
         // Usar a primeira aba disponível com tratamento de erro
         let page;
         try {
-            const pages = await browser.pages();
+            sessaoNavegacao = await abrirSessaoNavegacao(browser, perfil);
+            const pages = sessaoNavegacao.proprio ? [] : await browser.pages();
             if (pages.length === 0) {
-                page = await browser.newPage();
+                page = await sessaoNavegacao.contexto.newPage();
                 logInfo('📄 Nova página criada');
             } else {
                 page = pages[0];
@@ -338,7 +413,7 @@ export async function processCategory(browser, categoria) {
         }
 
         // Configurar página
-        await configurarPagina(page);
+        await prepararPaginaSessao(sessaoNavegacao, page);
 
         // Inicializar variáveis de controle
         const todosProdutosColetados = [];
@@ -348,13 +423,102 @@ export async function processCategory(browser, categoria) {
 
         logInfo(`🎯 Metas: ${MAX_PRODUCTS_RAW} produtos coletados | ${MAX_PAGES_PER_CATEGORY} páginas máx`);
 
+        // Lista explícita de URLs/IDs (--products/--products-file) substitui a busca da FASE 1
+        const produtosLista = Array.isArray(opcoes.produtos) ? opcoes.produtos : null;
+
+        const filtrosBusca = obterFiltrosCategoria(categoria);
+        if (produtosLista) {
+            logInfo(`📋 Modo lista: ${produtosLista.length} produtos informados - busca e paginação ignoradas`);
+        } else {
+            logInfo(`🎛️ Filtros de busca: ${descreverFiltrosBusca(filtrosBusca)}`);
+        }
+
+        // Categoria da árvore (cat:<id> ou "Pai > Filha"): abre a página da categoria em vez da busca
+        let categoriaArvore = null;
+        if (!produtosLista && ehEntradaArvore(categoria)) {
+            categoriaArvore = obterCategoriaArvore(categoria);
+            if (!categoriaArvore.no) {
+                throw new Error(`Categoria da árvore não resolvida: ${categoriaArvore.erro}`);
+            }
+            logInfo(`🌳 Categoria da árvore: ${categoriaArvore.caminho.join(' > ')} (cat:${categoriaArvore.no.id})`);
+            if (!categoriaArvore.folha) {
+                logInfo(`⚠️ '${categoria}' não é uma categoria folha: a listagem mistura as subcategorias`);
+            }
+        }
+
         // =================================
         // FASE 1: BUSCA + FILTROS + PAGINAÇÃO + COLETA DE DETALHES
         // =================================
         
         logSucesso(`🚀 FASE 1: Coletando produtos básicos da categoria`);
         
+        const coletaSalva = checkpoint ? await checkpoint.carregarFase('coleta') : null;
+        if (coletaSalva) {
+            todosProdutosColetados.push(...coletaSalva);
+            logSucesso(`♻️ FASE 1 retomada do checkpoint: ${coletaSalva.length} produtos`);
+        } else if (checkpoint?.totalParcial('coleta') > 0) {
+            logInfo(`♻️ ${checkpoint.totalParcial('coleta')} produtos já detalhados serão reaproveitados`);
+        }
+        
+        // Pool de abas reutilizáveis para os detalhes (substitui abrir/fechar uma aba por produto)
+        // O limitador sobrevive à troca de proxy: o intervalo por domínio continua valendo
+        const limitadorDetalhes = new LimitadorPorDominio({
+            intervaloMinimoMs: reproduzindo() ? 0 : CONFIG.concurrency.domainMinInterval,
+            variacaoMs: reproduzindo() ? 0 : undefined
+        });
+        let poolDetalhes = criarPoolDetalhes(sessaoNavegacao, limitadorDetalhes);
+        
+        // Após SIGINT/SIGTERM nenhuma página ou produto novo é iniciado
+        const encerramento = obterCoordenadorEncerramento();
+        
+        // Detalhes em paralelo pelo pool de abas: PDP, reviews e perfil da loja de cada produto
+        // Usado pela paginação da busca e pela lista explícita de URLs/IDs
+        const detalharProdutos = (produtos) => Promise.all(produtos.map(async (produto, i) => {
+            // Ignorar bundles na coleta de detalhes
+            if (produto.is_bundle) {
+                return produto;
+            }
+
+            try {
+                // Reaproveitar detalhes extraídos em uma tentativa anterior (--resume)
+                const produtoSalvo = checkpoint?.obterParcial('coleta', produto.product_id);
+                if (produtoSalvo) {
+                    logInfo(`♻️ Detalhes reaproveitados do checkpoint: ${produto.product_id}`);
+                    return produtoSalvo;
+                }
+
+                logInfo(`🔍 Detalhes ${i + 1}/${produtos.length}: ${produto.product_id}`);
+                const detalhes = await poolDetalhes.executar(async (aba, limitador) => {
+                    if (encerramento.encerrando) return null;
+                    const detalhesPdp = await extractProductDetails(browser, produto, { pagina: aba, limitador, proxyId: sessaoNavegacao.proxy?.id });
+                    // Reviews dos compradores: sinais de defeito/tamanho/atraso para o filtro qualitativo
+                    const reviews = await coletarReviews(produto.product_id, { limitador });
+                    // Perfil da loja (cache por ID): a mesma aba visita a página da loja
+                    const perfilLoja = await obterPerfilLoja(aba, detalhesPdp.perfilLoja, { limitador });
+                    return { ...detalhesPdp, ...reviews, perfilLoja: perfilLoja || detalhesPdp.perfilLoja };
+                }, produto.product_id);
+                if (!detalhes) {
+                    return produto;
+                }
+                const produtoCompleto = { ...produto, ...detalhes };
+                // Produtos da lista não passam pela busca: o nome vem do título da PDP
+                if (!produtoCompleto.nome && detalhes.titulo) {
+                    produtoCompleto.nome = detalhes.titulo;
+                }
+                await checkpoint?.registrarParcial('coleta', produtoCompleto);
+                return produtoCompleto;
+
+            } catch (detailError) {
+                logErro(`❌ Erro ao extrair detalhes de ${produto.product_id}: ${detailError.message}`);
+                // Adicionar produto sem detalhes
+                return produto;
+            }
+        }));
+        
         while (
+            !encerramento.encerrando &&
+            !produtosLista &&
+            !coletaSalva &&
             todosProdutosColetados.length < MAX_PRODUCTS_RAW &&
             pagina <= MAX_PAGES_PER_CATEGORY &&
             tentativasConsecutivasSemSucesso < MAX_TENTATIVAS_SEM_SUCESSO
@@ -362,9 +526,34 @@ export async function processCategory(browser, categoria) {
             try {
                 logInfo(`📄 Processando página ${pagina}/${MAX_PAGES_PER_CATEGORY}...`);
 
+                // Proxy da sessão queimado por bloqueios ou fora do ar: migrar a busca para outro proxy
+                if (sessaoNavegacao.proxy && poolProxies.deveTrocar(sessaoNavegacao.marcaProxy)) {
+                    const urlAtual = page.url();
+                    const sessaoAnterior = sessaoNavegacao;
+                    await poolDetalhes.encerrar();
+                    sessaoNavegacao = await abrirSessaoNavegacao(browser, perfil, sessaoAnterior.proxy.id);
+                    page = await sessaoNavegacao.contexto.newPage();
+                    await prepararPaginaSessao(sessaoNavegacao, page);
+                    poolDetalhes = criarPoolDetalhes(sessaoNavegacao, limitadorDetalhes);
+                    await fecharSessaoNavegacao(sessaoAnterior);
+                    if (pagina > 1 && urlAtual.startsWith('http')) {
+                        await page.goto(urlAtual, { waitUntil: 'domcontentloaded', timeout: 60000 });
+                    }
+                }
+
                 // PASSO 1: Busca inicial ou navegação para próxima página
-                if (pagina === 1) {
-                    await realizarBuscaInicial(page, categoria);
+                if (reproduzindo()) {
+                    // Replay: abre diretamente o HTML gravado desta página de resultados
+                    const urlGravada = await urlPaginaGravada('busca', `${categoria}-p${pagina}`);
+                    if (!urlGravada) {
+                        logInfo(`🎞️ Sem fixture para a página ${pagina} de '${categoria}', finalizando...`);
+                        break;
+                    }
+                    await page.goto(urlGravada, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                } else if (pagina === 1 && categoriaArvore) {
+                    await abrirCategoriaArvore(page, categoriaArvore.no, filtrosBusca, { proxyId: sessaoNavegacao.proxy?.id });
+                } else if (pagina === 1) {
+                    await realizarBuscaInicial(page, categoria, filtrosBusca, { proxyId: sessaoNavegacao.proxy?.id });
                 } else {
                     const navegouComSucesso = await navegarProximaPagina(page, pagina);
                     if (!navegouComSucesso) {
@@ -373,6 +562,13 @@ export async function processCategory(browser, categoria) {
                     }
                 }
 
+                // PASSO 1.1: Slider/punish/CAPTCHA não pode virar "zero produtos" silencioso
+                const { liberado, deteccao } = await verificarBloqueio(page, 'busca', `${categoria} p${pagina}`, { proxyId: sessaoNavegacao.proxy?.id });
+                if (!liberado) {
+                    logErro(`🛑 Busca de '${categoria}' bloqueada (${deteccao.tipo}) na página ${pagina} - encerrando a coleta da categoria`);
+                    break;
+                }
+
                 // PASSO 2: Aguardar carregamento e fazer scroll
                 const produtosCarregados = await aguardarECarregarProdutos(page, pagina);
                 if (!produtosCarregados) {
@@ -381,8 +577,19 @@ export async function processCategory(browser, categoria) {
                     continue;
                 }
 
+                await gravarPagina(page, 'busca', `${categoria}-p${pagina}`);
+
                 // PASSO 3: Extrair produtos básicos da página
-                const produtosPagina = await extractProductsFromPage(page, categoria, pagina, todosProdutosColetados);
+                const produtosExtraidos = await extractProductsFromPage(page, categoria, pagina, todosProdutosColetados);
+
+                // Cartões fora da faixa de preço da categoria não gastam extração de detalhes
+                const { aprovados: produtosPagina, descartados } = filtrarListagemPorFiltros(produtosExtraidos, filtrosBusca);
+                if (descartados > 0) {
+                    logInfo(`🎛️ ${descartados} produtos fora da faixa de preço descartados da página ${pagina}`);
+                }
+                if (categoriaArvore) {
+                    produtosPagina.forEach(produto => Object.assign(produto, dadosCategoriaProduto(categoriaArvore)));
+                }
                 
                 if (produtosPagina.length === 0) {
                     logErro(`⚠️ Nenhum produto extraído da página ${pagina}`);
@@ -391,43 +598,17 @@ export async function processCategory(browser, categoria) {
                     continue;
                 }
 
-                // PASSO 4: Para cada produto, extrair detalhes em nova aba
-                logInfo(`🔍 Extraindo detalhes de ${produtosPagina.length} produtos...`);
+                // PASSO 4: Extrair detalhes em paralelo usando o pool de abas
+                const produtosParaDetalhar = produtosPagina.slice(0, MAX_PRODUCTS_RAW - todosProdutosColetados.length);
+                logInfo(`🔍 Extraindo detalhes de ${produtosParaDetalhar.length} produtos (${poolDetalhes.tamanho} abas em paralelo)...`);
                 
-                for (let i = 0; i < produtosPagina.length; i++) {
-                    const produto = produtosPagina[i];
-                    
-                    // Ignorar bundles na coleta de detalhes
-                    if (produto.is_bundle) {
-                        todosProdutosColetados.push(produto);
-                        continue;
-                    }
-
-                    try {
-                        logInfo(`🔍 Detalhes ${i + 1}/${produtosPagina.length}: ${produto.product_id}`);
-                        
-                        // Extrair detalhes completos
-                        const detalhes = await extractProductDetails(browser, produto);
-                        const produtoCompleto = { ...produto, ...detalhes };
-                        
-                        todosProdutosColetados.push(produtoCompleto);
-                        
-                        // Monitorar abas após cada extração para evitar acúmulo
-                        if (i % 3 === 0) { // A cada 3 produtos
-                            await monitorarELimparAbas(browser);
-                        }
-                        
-                        // Parar se atingir limite
-                        if (todosProdutosColetados.length >= MAX_PRODUCTS_RAW) {
-                            logSucesso(`✅ Limite de ${MAX_PRODUCTS_RAW} produtos atingido!`);
-                            break;
-                        }
+                const produtosDetalhados = await detalharProdutos(produtosParaDetalhar);
 
-                    } catch (detailError) {
-                        logErro(`❌ Erro ao extrair detalhes: ${detailError.message}`);
-                        // Adicionar produto sem detalhes
-                        todosProdutosColetados.push(produto);
-                    }
+                // Promise.all preserva a ordem da página
+                todosProdutosColetados.push(...produtosDetalhados);
+                
+                if (todosProdutosColetados.length >= MAX_PRODUCTS_RAW) {
+                    logSucesso(`✅ Limite de ${MAX_PRODUCTS_RAW} produtos atingido!`);
                 }
 
                 // Reset contador de falhas
@@ -445,6 +626,26 @@ export async function processCategory(browser, categoria) {
             }
         }
 
+        // Lista explícita de URLs/IDs: sem busca nem paginação, direto para os detalhes
+        if (produtosLista && !coletaSalva && !encerramento.encerrando) {
+            logInfo(`📋 Detalhando ${produtosLista.length} produtos da lista (${poolDetalhes.tamanho} abas em paralelo)...`);
+            todosProdutosColetados.push(...await detalharProdutos(produtosLista));
+        }
+
+        await poolDetalhes.encerrar();
+        if (seletorEstrategia) {
+            const { direct, search } = seletorEstrategia.resumo();
+            logInfo(`🧭 Interceptação por estratégia: direct ${direct.interceptadas}/${direct.tentativas} | search ${search.interceptadas}/${search.tentativas}`);
+        }
+
+        if (encerramento.encerrando) {
+            return await interromperCategoria(categoria, 'FASE 1');
+        }
+
+        if (checkpoint && !coletaSalva) {
+            await checkpoint.salvarFase('coleta', todosProdutosColetados);
+        }
+
         logSucesso(`🎯 FASE 1 CONCLUÍDA: ${todosProdutosColetados.length} produtos coletados`);
 
         // =================================
@@ -453,9 +654,22 @@ export async function processCategory(browser, categoria) {
         
         logSucesso(`🔍 FASE 1.5: Validando duplicidade de produtos`);
         
-        const resultadoDuplicidade = await filtrarDuplicados(todosProdutosColetados);
+        // Na retomada a duplicidade vem do checkpoint: os produtos já foram marcados como processados na FASE 4
+        // No replay o controle de duplicidade é ignorado para que execuções repetidas tenham o mesmo resultado
+        // Na lista de produtos também: quem passa os links quer a análise mesmo de itens já vistos
+        const duplicidadeSalva = checkpoint ? await checkpoint.carregarFase('duplicidade') : null;
+        const resultadoDuplicidade = duplicidadeSalva || (reproduzindo() || produtosLista
+            ? {
+                produtosUnicos: todosProdutosColetados,
+                stats: { totalInput: todosProdutosColetados.length, novos: todosProdutosColetados.length, duplicados: 0 }
+            }
+            : await filtrarDuplicados(todosProdutosColetados));
         const produtosSemDuplicatas = resultadoDuplicidade.produtosUnicos;
         
+        if (checkpoint && !duplicidadeSalva) {
+            await checkpoint.salvarFase('duplicidade', resultadoDuplicidade);
+        }
+        
         metricas.registrarErro('duplicidade', `${resultadoDuplicidade.stats.duplicados} produtos duplicados removidos`, {
             totalInput: resultadoDuplicidade.stats.totalInput,
             novos: resultadoDuplicidade.stats.novos,
@@ -473,12 +687,25 @@ export async function processCategory(browser, categoria) {
         
         logSucesso(`🛒 FASE 2: Buscando preços no Mercado Livre`);
         
-        const produtosComML = [];
-        const produtosOriginais = produtosSemDuplicatas.filter(p => !p.is_bundle);
+        const mercadoLivreSalvo = checkpoint ? await checkpoint.carregarFase('mercadoLivre') : null;
+        const produtosComML = mercadoLivreSalvo || [];
+        const produtosOriginais = mercadoLivreSalvo ? [] : produtosSemDuplicatas.filter(p => !p.is_bundle);
+        
+        if (mercadoLivreSalvo) {
+            logSucesso(`♻️ FASE 2 retomada do checkpoint: ${mercadoLivreSalvo.length} produtos`);
+        }
         
         for (let i = 0; i < produtosOriginais.length; i++) {
+            if (encerramento.encerrando) break;
             const produto = produtosOriginais[i];
 
+            const consultadoAnteriormente = checkpoint?.obterParcial('mercadoLivre', produto.product_id);
+            if (consultadoAnteriormente) {
+                logInfo(`♻️ Dados ML reaproveitados do checkpoint: ${produto.product_id}`);
+                produtosComML.push(consultadoAnteriormente);
+                continue;
+            }
+
             try {
                 logInfo(`🔍 ML ${i + 1}/${produtosOriginais.length}: ${produto.nome || produto.product_id}`);
 
@@ -488,6 +715,7 @@ export async function processCategory(browser, categoria) {
                 // Adicionar dados ML ao produto
                 produto.dadosMercadoLivre = dadosML;
                 produtosComML.push(produto);
+                await checkpoint?.registrarParcial('mercadoLivre', produto);
 
             } catch (mlError) {
                 logErro(`❌ Erro na busca ML: ${mlError.message}`);
@@ -496,9 +724,19 @@ export async function processCategory(browser, categoria) {
             }
         }
 
-        // Adicionar bundles sem busca ML
-        const bundles = todosProdutosColetados.filter(p => p.is_bundle);
-        produtosComML.push(...bundles);
+        if (encerramento.encerrando) {
+            return await interromperCategoria(categoria, 'FASE 2');
+        }
+
+        if (!mercadoLivreSalvo) {
+            // Adicionar bundles sem busca ML
+            const bundles = todosProdutosColetados.filter(p => p.is_bundle);
+            produtosComML.push(...bundles);
+            
+            if (checkpoint) {
+                await checkpoint.salvarFase('mercadoLivre', produtosComML);
+            }
+        }
 
         logSucesso(`🎯 FASE 2 CONCLUÍDA: ${produtosComML.length} produtos com dados ML`);
 
@@ -508,9 +746,15 @@ export async function processCategory(browser, categoria) {
         
         logSucesso(`📊 FASE 3: Aplicando filtros quantitativos`);
         
-        const produtosComQuantitativo = [];
+        // FASE 3 e 4 são salvas juntas: na retomada os resultados dos filtros são reaproveitados
+        const filtrosSalvos = checkpoint ? await checkpoint.carregarFase('filtros') : null;
+        if (filtrosSalvos) {
+            logSucesso(`♻️ FASES 3 e 4 retomadas do checkpoint: ${filtrosSalvos.length} produtos`);
+        }
+        
+        const produtosComQuantitativo = filtrosSalvos ? [...filtrosSalvos] : [];
         
-        for (const produto of produtosComML) {
+        for (const produto of filtrosSalvos ? [] : produtosComML) {
             try {
                 const aprovadoQuant = applyQuantitativeFilter(produto);
                 produto.aprovadoQuantitativo = aprovadoQuant;
@@ -541,9 +785,10 @@ export async function processCategory(browser, categoria) {
         
         logSucesso(`🎨 FASE 4: Aplicando filtros qualitativos e margem`);
         
-        const produtosFinal = [];
+        const produtosFinal = filtrosSalvos ? [...filtrosSalvos] : [];
         
-        for (const produto of produtosComQuantitativo) {
+        for (const produto of filtrosSalvos ? [] : produtosComQuantitativo) {
+            if (encerramento.encerrando) break;
             try {
                 // 🧠 Melhoria 4: Aplicar filtro qualitativo automático
                 const resultadoQualitativo = await applyQualitativeFilter(produto);
@@ -561,7 +806,7 @@ export async function processCategory(browser, categoria) {
                 produto.avaliacaoRisco = risco;
                 
                 // Aprovação final (agora considera qualitativo + margem)
-                const aprovadoQualitativo = resultadoQualitativo.score >= 50; // Score mínimo 50%
+                const aprovadoQualitativo = qualitativoAprovado(resultadoQualitativo, 50); // Score mínimo 50% e sem veto das reviews
                 const aprovadoMargem = validacaoMargem ? validacaoMargem.recomendacao?.viavel : true;
                 const aprovadoFinal = produto.aprovadoQuantitativo && aprovadoQualitativo && aprovadoMargem;
                 
@@ -569,8 +814,9 @@ export async function processCategory(browser, categoria) {
                 produto.aprovadoFinal = aprovadoFinal;
                 produto.filtros.qualitativo = { 
                     aprovado: aprovadoQualitativo,
-                    score: resultadoQualitativo.score,
-                    detalhes: resultadoQualitativo.analysis 
+                    score: resultadoQualitativo.scoreQualitativo,
+                    detalhes: resultadoQualitativo.justificativa,
+                    reviews: resultadoQualitativo.sinaisReviews
                 };
                 produto.filtros.margem = validacaoMargem;
                 
@@ -583,11 +829,13 @@ export async function processCategory(browser, categoria) {
                 metricas.finalizarProduto(trackingId, produto);
                 
                 // 🗂 MARCAR COMO PROCESSADO (ANTI-DUPLICIDADE)
-                await marcarComoProcessado(produto, {
-                    scoreTotal: scoreTotal.total,
-                    categoria: scoreTotal.categoria,
-                    sessaoId: sessionMetrics.sessionId
-                });
+                if (!reproduzindo()) {
+                    await marcarComoProcessado(produto, {
+                        scoreTotal: scoreTotal.total,
+                        categoria: scoreTotal.categoria,
+                        sessaoId: sessionMetrics.sessionId
+                    });
+                }
                 
                 produtosFinal.push(produto);
                 
@@ -605,6 +853,29 @@ export async function processCategory(browser, categoria) {
             }
         }
 
+        // 🔄 Fornecedores alternativos: o mesmo item em outras lojas (preço, frete e score da loja)
+        if (!filtrosSalvos && CONFIG.fornecedoresAlternativos.max > 0) {
+            for (const produto of produtosFinal.filter(p => p.aprovadoFinal)) {
+                if (encerramento.encerrando) break;
+                produto.fornecedoresAlternativos = await buscarFornecedoresAlternativos(page, produto, {
+                    limitador: poolDetalhes.limitador,
+                    extrairDetalhes: (aba, candidato) => extractProductDetails(browser, candidato, {
+                        pagina: aba,
+                        limitador: poolDetalhes.limitador,
+                        proxyId: sessaoNavegacao.proxy?.id
+                    })
+                });
+            }
+        }
+
+        if (encerramento.encerrando) {
+            return await interromperCategoria(categoria, 'FASE 4');
+        }
+
+        if (checkpoint && !filtrosSalvos) {
+            await checkpoint.salvarFase('filtros', produtosFinal);
+        }
+
         const aprovadosFinal = produtosFinal.filter(p => p.aprovadoFinal).length;
         logSucesso(`🎯 FASE 4 CONCLUÍDA: ${aprovadosFinal}/${produtosFinal.length} produtos aprovados finalmente`);
 
@@ -621,7 +892,7 @@ export async function processCategory(browser, categoria) {
         const relatorioScores = gerarRelatorioScores(produtosOrdenados);
         
         // Finalizar métricas e gerar relatório
-        const relatorioMetricas = await metricas.finalizar();
+        const relatorioMetricas = await rastrearGravacao(metricas.finalizar(), `métricas ${categoria}`);
         
         // =================================
         // FASE 6: PERSISTÊNCIA NO BANCO DE DADOS
@@ -632,8 +903,14 @@ export async function processCategory(browser, categoria) {
         let produtosSalvos = 0;
         let errosSalvamento = 0;
         
+        const banco = await obterBanco();
+        if (!banco) {
+            logInfo('ℹ️ Persistência no banco desativada nesta execução - FASE 6 ignorada');
+        }
+        const { salvarProdutoCompleto, salvarMetricasSessao, verificarDuplicidadeDB } = banco || {};
+        
         // Salvar cada produto no banco
-        for (const produto of produtosOrdenados) {
+        for (const produto of banco ? produtosOrdenados : []) {
             try {
                 // Verificar se já existe (dupla verificação DB)
                 const existeNoDB = await verificarDuplicidadeDB(produto.id);
@@ -668,7 +945,7 @@ export async function processCategory(browser, categoria) {
                     status: 'novo'
                 };
                 
-                const resultado = await salvarProdutoCompleto(dadosBanco);
+                const resultado = await rastrearGravacao(salvarProdutoCompleto(dadosBanco), `Supabase ${produto.product_id}`);
                 
                 if (resultado.sucesso) {
                     produtosSalvos++;
@@ -704,8 +981,10 @@ export async function processCategory(browser, categoria) {
                 }
             };
             
-            await salvarMetricasSessao(metricasSessao);
-            logSucesso(`📊 Métricas da sessão salvas no banco`);
+            if (banco) {
+                await rastrearGravacao(salvarMetricasSessao(metricasSessao), `métricas da sessão ${categoria}`);
+                logSucesso(`📊 Métricas da sessão salvas no banco`);
+            }
             
         } catch (metricsError) {
             logErro(`❌ Erro ao salvar métricas: ${metricsError.message}`);
@@ -727,11 +1006,17 @@ export async function processCategory(browser, categoria) {
         // Exibir relatório de métricas
         console.log(relatorioMetricas);
 
+        if (checkpoint) {
+            await checkpoint.salvarFase('resultado', produtosOrdenados);
+        }
+
         return produtosOrdenados;
 
     } catch (error) {
         logErro(`💥 Erro crítico no processamento da categoria ${categoria}: ${error.message}`);
         return [];
+    } finally {
+        await fecharSessaoNavegacao(sessaoNavegacao, { salvarCookies: true });
     }
 }
 
@@ -739,19 +1024,131 @@ export async function processCategory(browser, categoria) {
 // FUNÇÕES AUXILIARES DO NOVO FLUXO  
 // =================================
 
+/**
+ * Encerra a categoria após SIGINT/SIGTERM sem concluir a fase atual
+ * Os produtos já detalhados/consultados ficam nos checkpoints parciais para o --resume
+ * @param {string} categoria
+ * @param {string} fase - Fase interrompida (para o log)
+ * @returns {Promise<Array>} Lista vazia: a categoria não tem resultado final
+ */
+async function interromperCategoria(categoria, fase) {
+    logInfo(`🛑 Categoria '${categoria}' interrompida na ${fase}: o progresso concluído fica no checkpoint`);
+    await rastrearGravacao(metricas.finalizar(), `métricas ${categoria}`);
+    return [];
+}
+
+/**
+ * Abre o contexto de navegação da categoria com o proxy do perfil ou um reservado no pool
+ * A reserva não altera o proxy ativo: categorias em paralelo não trocam o proxy umas das outras
+ * Sem perfil e sem proxies (ou em replay) usa o próprio browser, como antes do pool
+ * @param {Browser} browser - Instância do browser
+ * @param {Object|null} [perfil=null] - Perfil de sessão da categoria
+ * @param {string} [evitarProxyId] - Proxy recém-queimado que não deve ser reaproveitado
+ * @returns {Promise<{contexto: Browser|BrowserContext, proxy: Object|null, marcaProxy: Object|null, perfil: Object|null, proprio: boolean}>}
+ */
+async function abrirSessaoNavegacao(browser, perfil = null, evitarProxyId = null) {
+    const poolProxies = obterPoolProxies();
+    let proxy = null;
+    if (!reproduzindo()) {
+        const proxyDoPerfil = perfil?.proxy ? poolProxies.proxyPorId(perfil.proxy) : null;
+        if (perfil?.proxy && !proxyDoPerfil) {
+            logErro(`⚠️ Proxy ${perfil.proxy} do perfil '${perfil.nome}' não está em PROXY_FILE; usando um proxy do pool`);
+        }
+        proxy = proxyDoPerfil && proxyDoPerfil.id !== evitarProxyId
+            ? proxyDoPerfil
+            : poolProxies.reservar({ porCategoria: CONFIG.proxies.rotatePerCategory, evitarProxyId });
+    }
+
+    const sessao = {
+        contexto: browser,
+        proxy,
+        marcaProxy: proxy ? poolProxies.marcarUso(proxy) : null,
+        perfil,
+        proprio: false,
+        cookiesCarregados: false
+    };
+
+    if (proxy || perfil) {
+        // --proxy-server por contexto: trocar de proxy não exige reiniciar o Chrome
+        // e cada perfil fica com cookies e cache isolados das outras categorias
+        sessao.contexto = await browser.createBrowserContext(proxy ? { proxyServer: proxy.servidor } : {});
+        sessao.proprio = true;
+        logInfo(`🌐 Navegação${perfil ? ` com perfil '${perfil.nome}'` : ''}${proxy ? ` via proxy ${proxy.id}` : ''}`);
+    }
+    return sessao;
+}
+
+/**
+ * Configura a página com o perfil e, se o proxy exigir, as credenciais de autenticação
+ * A primeira aba do contexto recebe os cookies salvos do perfil
+ * @param {Object} sessao - Retorno de abrirSessaoNavegacao
+ * @param {Page} page - Página do contexto da sessão
+ */
+async function prepararPaginaSessao(sessao, page) {
+    await configurarPagina(page, sessao.perfil);
+    if (sessao.proxy?.usuario) {
+        await page.authenticate({ username: sessao.proxy.usuario, password: sessao.proxy.senha });
+    }
+    if (sessao.perfil && !sessao.cookiesCarregados && !reproduzindo()) {
+        sessao.cookiesCarregados = true;
+        sessao.paginaCookies = page;
+        await obterGerenciadorSessoes().carregarCookies(page, sessao.perfil);
+    }
+}
+
+/**
+ * Pool de abas de detalhes no contexto da sessão (recriado quando o proxy muda)
+ * @param {Object} sessao - Retorno de abrirSessaoNavegacao
+ * @param {LimitadorPorDominio} limitador - Compartilhado entre pools da mesma categoria
+ * @returns {PoolPaginas}
+ */
+function criarPoolDetalhes(sessao, limitador) {
+    return new PoolPaginas(sessao.contexto, {
+        tamanho: CONFIG.concurrency.detailPages,
+        timeoutTarefaMs: CONFIG.concurrency.detailTaskTimeout,
+        prepararPagina: (aba) => prepararPaginaSessao(sessao, aba),
+        limitador
+    });
+}
+
+/**
+ * Fecha o contexto aberto para o perfil/proxy (abas incluídas); o browser padrão nunca é fechado aqui
+ * @param {Object|null} sessao - Retorno de abrirSessaoNavegacao
+ * @param {Object} [opcoes={}]
+ * @param {boolean} [opcoes.salvarCookies=false] - Guardar os cookies do perfil para a próxima execução
+ */
+async function fecharSessaoNavegacao(sessao, opcoes = {}) {
+    if (!sessao?.proprio) {
+        return;
+    }
+    if (opcoes.salvarCookies && sessao.perfil && sessao.paginaCookies && !sessao.paginaCookies.isClosed() && !reproduzindo()) {
+        await obterGerenciadorSessoes().salvarCookies(sessao.paginaCookies, sessao.perfil);
+    }
+    try {
+        await sessao.contexto.close();
+    } catch (closeError) {
+        logErro(`⚠️ Erro ao fechar contexto de navegação: ${closeError.message}`);
+    }
+}
+
 /**
  * Configura a página com configurações stealth
  * @param {Page} page - Página do puppeteer
+ * @param {Object|null} [perfil=null] - Perfil de sessão (user agent, viewport, idioma e fuso)
  */
-async function configurarPagina(page) {
+async function configurarPagina(page, perfil = null) {
     try {
-        await page.setViewport({ width: 1920, height: 1080 });
+        await page.setViewport(perfil?.viewport || { width: 1920, height: 1080 });
 
         // User Agent realístico
         await page.setUserAgent(
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+            perfil?.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
         );
 
+        if (perfil?.timezone) {
+            await page.emulateTimezone(perfil.timezone);
+        }
+
         // Configurar página para ser stealth
         await page.evaluateOnNewDocument(() => {
             Object.defineProperty(navigator, 'webdriver', {
@@ -770,13 +1167,16 @@ async function configurarPagina(page) {
         // Headers realísticos
         await page.setExtraHTTPHeaders({
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-            'Accept-Language': 'pt-BR,pt;q=0.9,en;q=0.8',
+            'Accept-Language': perfil ? cabecalhoIdioma(perfil.locale) : 'pt-BR,pt;q=0.9,en;q=0.8',
             'Accept-Encoding': 'gzip, deflate, br',
             'DNT': '1',
             'Connection': 'keep-alive',
             'Upgrade-Insecure-Requests': '1',
         });
 
+        // Replay de fixtures: navegações respondidas com HTML gravado, sem rede
+        await prepararPaginaReplay(page);
+
         logInfo('✅ Configuração de página aplicada com sucesso');
 
     } catch (configError) {
@@ -789,8 +1189,10 @@ async function configurarPagina(page) {
  * Realiza busca inicial no AliExpress
  * @param {Page} page - Página do puppeteer
  * @param {string} categoria - Categoria para buscar
+ * @param {Object} [filtros] - Filtros de busca da categoria (ver scraper/filtros-busca.js)
+ * @param {Object} [opcoesBloqueio={}] - Repassadas a verificarBloqueio (ex.: proxyId da sessão)
  */
-async function realizarBuscaInicial(page, categoria) {
+async function realizarBuscaInicial(page, categoria, filtros = obterFiltrosCategoria(categoria), opcoesBloqueio = {}) {
     try {
         logInfo(`🌐 Acessando página inicial do AliExpress...`);
         
@@ -801,28 +1203,19 @@ async function realizarBuscaInicial(page, categoria) {
 
         await delay(2000);
 
+        const { liberado, deteccao } = await verificarBloqueio(page, 'busca', categoria, opcoesBloqueio);
+        if (!liberado) {
+            throw new Error(`Página inicial bloqueada (${deteccao.tipo})`);
+        }
+
         // Buscar categoria com tratamento de erro
         logInfo(`🔍 Buscando por: ${categoria}`);
         
-        const searchSelectors = [
-            'input[placeholder*="busca"]',
-            'input[name="SearchText"]', 
-            '#search-words',
-            'input[type="search"]',
-            '.search-bar input'
-        ];
-
-        let searchBox = null;
-        for (const selector of searchSelectors) {
-            try {
-                searchBox = await page.$(selector);
-                if (searchBox) {
-                    logInfo(`✅ Campo de busca encontrado: ${selector}`);
-                    break;
-                }
-            } catch (selectorError) {
-                continue;
-            }
+        // Seletores do registro (config/seletores.json), com auto-correção entre alternativos
+        const campoBusca = await encontrarPorGrupo(page, 'campoBusca');
+        const searchBox = campoBusca?.elemento || null;
+        if (campoBusca) {
+            logInfo(`✅ Campo de busca encontrado: ${campoBusca.seletor}`);
         }
 
         if (searchBox) {
@@ -833,13 +1226,7 @@ async function realizarBuscaInicial(page, categoria) {
             await new Promise(resolve => setTimeout(resolve, 3000));
             logSucesso(`✅ Busca realizada com sucesso!`);
 
-            // Aplicar filtro de mais vendidos com tratamento de erro
-            try {
-                await filtrarPorMaisVendidos(page);
-            } catch (filterError) {
-                logErro(`⚠️ Erro ao aplicar filtro de mais vendidos: ${filterError.message}`);
-                // Continuar sem o filtro
-            }
+            await aplicarFiltrosResultados(page, filtros);
 
         } else {
             throw new Error('Campo de busca não encontrado em nenhum seletor');
@@ -851,6 +1238,57 @@ async function realizarBuscaInicial(page, categoria) {
     }
 }
 
+/**
+ * Abre a página de uma categoria da árvore (scraper/arvore-categorias.js) no lugar da busca
+ * @param {Page} page - Página do puppeteer
+ * @param {Object} no - Nó da árvore (id, nome, url)
+ * @param {Object} filtros - Filtros de busca da categoria
+ * @param {Object} [opcoesBloqueio={}] - Repassadas a verificarBloqueio
+ */
+async function abrirCategoriaArvore(page, no, filtros, opcoesBloqueio = {}) {
+    try {
+        logInfo(`🌳 Acessando categoria ${no.nome}: ${no.url}`);
+
+        await page.goto(no.url, {
+            waitUntil: 'domcontentloaded',
+            timeout: 60000
+        });
+
+        await delay(3000);
+
+        const { liberado, deteccao } = await verificarBloqueio(page, 'busca', `cat:${no.id}`, opcoesBloqueio);
+        if (!liberado) {
+            throw new Error(`Página da categoria bloqueada (${deteccao.tipo})`);
+        }
+
+        await aplicarFiltrosResultados(page, filtros);
+
+    } catch (categoriaError) {
+        logErro(`❌ Erro ao abrir a categoria ${no.id}: ${categoriaError.message}`);
+        throw categoriaError;
+    }
+}
+
+/**
+ * Aplica à página de resultados (busca ou categoria) os filtros e a ordenação por mais vendidos
+ * @param {Page} page - Página do puppeteer
+ * @param {Object} filtros - Filtros de busca da categoria
+ */
+async function aplicarFiltrosResultados(page, filtros) {
+    // Filtros da categoria (preço, país de envio, frete grátis, 4★+, Choice) via URL/interface
+    await aplicarFiltrosBusca(page, filtros);
+
+    // Aplicar filtro de mais vendidos com tratamento de erro
+    if (filtros.maisVendidos) {
+        try {
+            await filtrarPorMaisVendidos(page);
+        } catch (filterError) {
+            logErro(`⚠️ Erro ao aplicar filtro de mais vendidos: ${filterError.message}`);
+            // Continuar sem o filtro
+        }
+    }
+}
+
 /**
  * Navega para próxima página de resultados
  * @param {Page} page - Página do puppeteer
@@ -861,22 +1299,15 @@ async function navegarProximaPagina(page, numeroPagina) {
     try {
         logInfo(`➡️ Navegando para página ${numeroPagina}...`);
         
-        const nextButtonSelectors = [
-            'button[aria-label="next"]',
-            '.next-btn',
-            '.comet-pagination-next',
-            '.comet-pagination-item:last-child',
-            '.pagination-next'
-        ];
-
         let nextButton = null;
-        for (const selector of nextButtonSelectors) {
+        for (const selector of obterSeletores('proximaPagina')) {
             try {
                 nextButton = await page.$(selector);
                 if (nextButton) {
                     const isEnabled = await page.evaluate(el => !el.disabled && !el.classList.contains('disabled'), nextButton);
                     if (isEnabled) {
                         logInfo(`✅ Botão de próxima página encontrado: ${selector}`);
+                        registrarCorrespondencia('proximaPagina', selector);
                         break;
                     }
                 }
@@ -910,23 +1341,9 @@ async function navegarProximaPagina(page, numeroPagina) {
 async function aguardarECarregarProdutos(page, numeroPagina) {
     try {
         // Aguardar produtos carregarem com múltiplas tentativas
-        const productSelectors = [
-            'a.search-card-item',
-            '.item',
-            '.product',
-            '[data-pl="product-list"] a'
-        ];
-
-        let selectorEncontrado = false;
-        for (const selector of productSelectors) {
-            try {
-                await page.waitForSelector(selector, { timeout: 15000 });
-                selectorEncontrado = true;
-                logInfo(`✅ Produtos encontrados com seletor: ${selector}`);
-                break;
-            } catch (selectorError) {
-                continue;
-            }
+        const selectorEncontrado = await aguardarPorGrupo(page, 'cardsProduto', 15000);
+        if (selectorEncontrado) {
+            logInfo(`✅ Produtos encontrados com seletor: ${selectorEncontrado}`);
         }
 
         if (!selectorEncontrado) {
@@ -1051,12 +1468,26 @@ async function buscarDadosMercadoLivre(browser, produtoAli) {
         }, null);
 
         logInfo(`✅ ML: ${produtosML.length} produtos comparados visualmente`);
+
+        // Saturação do mercado: total de anúncios, lojas oficiais/Full, vendas e avaliações
+        const concorrenciaML = await analisarConcorrenciaML(resultadoBusca.termoBusca);
+
+        // Histórico de preços: usado como referência quando o ML não responder
+        await registrarConsultaML({
+            termo: resultadoBusca.termoBusca,
+            categoria: produtoAli.categoria,
+            precos: resultadoBusca.precosEncontrados,
+            concorrenciaML,
+            fonte: resultadoBusca.fonte
+        });
+
         return {
             sucesso: true,
             produtosEncontrados: produtosML.length,
             precos: produtosML.map(p => p.preco),
             produtos: produtosML,
             melhorMatch,
+            concorrenciaML,
             fonte: 'Mercado Livre Real v2.0',
             timestamp: new Date().toISOString()
         };
@@ -1089,20 +1520,43 @@ async function validarMargemComDadosML(produto) {
             };
         }
 
-        // Simular validação de margem com dados ML
-        const precoAliExpress = parseFloat(produto.preco?.replace(/[^\d,]/g, '').replace(',', '.')) || 0;
-        const precoML = produto.dadosMercadoLivre.precos?.media || 0;
-        
+        const precoAliExpress = typeof produto.preco === 'number'
+            ? produto.preco
+            : parseFloat(String(produto.preco || '').replace(/[^\d,]/g, '').replace(',', '.')) || 0;
+        const precoML = precoReferenciaML(produto.dadosMercadoLivre);
+
         if (precoAliExpress > 0 && precoML > 0) {
-            const margemPercentual = ((precoML - precoAliExpress) / precoML) * 100;
-            const viavel = margemPercentual >= 30; // 30% margem mínima
-            
+            // 30% de margem mínima, mais exigente quando o mercado no ML está saturado
+            const concorrenciaML = produto.dadosMercadoLivre.concorrenciaML || null;
+            const margemMinima = margemMinimaComConcorrencia(30, concorrenciaML);
+
+            // Margem líquida (preço em R$ da vitrine pt.aliexpress + frete da PDP + Remessa Conforme,
+            // ICMS, impostos da revenda e tarifas do ML no anúncio e peso do produto), por variante quando há SKUs
+            const avaliacao = avaliarMargemProduto({
+                precoCompra: precoAliExpress,
+                precoML,
+                variantes: produto.variantes,
+                margemMinima,
+                custos: {
+                    frete: produto.custoFrete || 0,
+                    categoria: produto.categoria || '',
+                    ...opcoesAnuncioML(produto)
+                }
+            });
+            const { viavel, margemPercentual, custoImportacao, taxasML } = avaliacao;
+
             return {
                 sucesso: true,
                 recomendacao: { viavel },
                 analiseMargens: {
                     realista: { margemPercentual }
                 },
+                margemMinima,
+                concorrenciaML,
+                custoImportacao,
+                taxasML,
+                variantes: avaliacao.variantes,
+                melhorVariante: avaliacao.melhorVariante,
                 dadosMercado: produto.dadosMercadoLivre
             };
         }
@@ -1141,20 +1595,37 @@ export async function extractProductsFromPage(page, categoria, pagina, produtosE
     try {
         logInfo(`🔍 Extraindo produtos da página ${pagina}...`);
 
+        // Seletores do registro (config/seletores.json) na ordem ativa desta execução
+        const seletores = {
+            links: obterSeletores('linksListagem'),
+            bundles: obterSeletores('linksBundle'),
+            titulo: obterSeletores('tituloCard'),
+            preco: obterSeletores('precoCard')
+        };
+
         // Executar extração no contexto da página com tratamento robusto
-        const produtos = await page.evaluate((categoria) => {
-            try {
-                // Múltiplos seletores para máxima compatibilidade
-                const selectors = [
-                    'a[class*="search-card-item"][href*="/item/"]',
-                    'a[class*="search-card-item"][href*="BundleDeals"]'
-                ];
+        const { lista: produtos, uso } = await page.evaluate((categoria, seletores) => {
+            const uso = { links: null, titulo: {}, preco: {} };
+            const anotar = (mapa, seletor) => { mapa[seletor] = (mapa[seletor] || 0) + 1; };
 
+            try {
+                // Links de produto: o primeiro seletor com resultados; bundles: todos os seletores
                 let elementos = [];
-                for (const selector of selectors) {
+                for (const selector of seletores.links) {
                     try {
                         const found = document.querySelectorAll(selector);
-                        elementos = [...elementos, ...Array.from(found)];
+                        if (found.length > 0) {
+                            elementos = Array.from(found);
+                            uso.links = selector;
+                            break;
+                        }
+                    } catch (selectorError) {
+                        console.log(`Erro no seletor ${selector}:`, selectorError.message);
+                    }
+                }
+                for (const selector of seletores.bundles) {
+                    try {
+                        elementos = [...elementos, ...Array.from(document.querySelectorAll(selector))];
                     } catch (selectorError) {
                         console.log(`Erro no seletor ${selector}:`, selectorError.message);
                     }
@@ -1210,20 +1681,20 @@ export async function extractProductsFromPage(page, categoria, pagina, produtosE
 
                         // Tentar extrair informações adicionais do DOM
                         try {
-                            const titleSelectors = ['h1', 'h2', 'h3', '.item-title', '.product-title', '[title]'];
-                            for (const selector of titleSelectors) {
+                            for (const selector of seletores.titulo) {
                                 const titleEl = el.querySelector(selector);
                                 if (titleEl && titleEl.innerText) {
                                     produto.nome = titleEl.innerText.trim();
+                                    anotar(uso.titulo, selector);
                                     break;
                                 }
                             }
 
-                            const priceSelectors = ['.search-card-item-price', '.price', '.item-price', '[data-spm-anchor-id*="price"]'];
-                            for (const selector of priceSelectors) {
+                            for (const selector of seletores.preco) {
                                 const priceEl = el.querySelector(selector);
                                 if (priceEl && priceEl.innerText) {
                                     produto.preco = priceEl.innerText.trim();
+                                    anotar(uso.preco, selector);
                                     break;
                                 }
                             }
@@ -1245,13 +1716,16 @@ export async function extractProductsFromPage(page, categoria, pagina, produtosE
                 }
 
                 console.log(`[DEBUG] Produtos extraídos: ${lista.length} (Originais: ${totalOriginal}, Bundles: ${totalBundle})`);
-                return lista;
+                uso.cards = totalOriginal;
+                return { lista, uso };
 
             } catch (evaluateError) {
                 console.log(`Erro na avaliação da página:`, evaluateError.message);
-                return [];
+                return { lista: [], uso: null };
             }
-        }, categoria);
+        }, categoria, seletores);
+
+        registrarUsoListagem(uso);
 
         if (!produtos || produtos.length === 0) {
             logErro(`⚠️ Nenhum produto extraído da página ${pagina}`);
@@ -1290,19 +1764,60 @@ export async function extractProductsFromPage(page, categoria, pagina, produtosE
     }
 }
 
+/**
+ * Anota no registro de seletores quais seletores resolveram a listagem
+ * Cartões sem título/preço contam como consultas sem correspondência
+ * @param {Object|null} uso - Uso retornado pela extração no contexto da página
+ */
+function registrarUsoListagem(uso) {
+    if (!uso) {
+        return;
+    }
+
+    registrarCorrespondencia('linksListagem', uso.links);
+    for (const [grupo, mapa] of [['tituloCard', uso.titulo], ['precoCard', uso.preco]]) {
+        let resolvidos = 0;
+        for (const [seletor, quantidade] of Object.entries(mapa)) {
+            registrarCorrespondencia(grupo, seletor, quantidade);
+            resolvidos += quantidade;
+        }
+        registrarCorrespondencia(grupo, null, (uso.cards || 0) - resolvidos);
+    }
+}
+
 // =================================
 // EXTRAÇÃO DE DETALHES DE PRODUTO
 // =================================
 
+// Compartilhado entre categorias da execução: o aprendizado do modo auto é preservado
+let seletorEstrategia = null;
+
+/**
+ * Obtém o seletor de estratégia de navegação para a PDP (direct, search ou auto)
+ * Criado sob demanda para respeitar o override --detail-strategy
+ * @returns {SeletorEstrategiaDetalhes}
+ */
+function obterSeletorEstrategia() {
+    if (!seletorEstrategia || seletorEstrategia.modo !== CONFIG.concurrency.detailStrategy) {
+        seletorEstrategia = new SeletorEstrategiaDetalhes(CONFIG.concurrency.detailStrategy);
+        logInfo(`🧭 Estratégia de abertura da PDP: ${seletorEstrategia.modo}`);
+    }
+    return seletorEstrategia;
+}
+
 /**
  * Extrai detalhes específicos de um produto acessando sua página individual
  * Utiliza interceptação de API e fallback para DOM quando necessário
  * 
  * @param {Browser} browser - Instância do browser
  * @param {Object} produto - Dados básicos do produto
+ * @param {Object} [opcoes={}] - Opções de execução
+ * @param {Page} [opcoes.pagina] - Aba do pool a reutilizar (não é fechada ao final)
+ * @param {LimitadorPorDominio} [opcoes.limitador] - Limitador de navegações por domínio
+ * @param {string} [opcoes.proxyId] - Proxy da sessão da aba (bloqueios são atribuídos a ele)
  * @returns {Promise<Object>} Detalhes extraídos do produto
  */
-export async function extractProductDetails(browser, produto) {
+export async function extractProductDetails(browser, produto, opcoes = {}) {
     try {
         // Validação de entrada
         if (!browser || !produto) {
@@ -1317,6 +1832,42 @@ export async function extractProductDetails(browser, produto) {
     let apiConfig;
     let detalhes = getDefaultProductDetails();
     let dadosAPI = null;
+    let estrategia = 'direct';
+    // Sem aba do pool, a função cria e fecha a própria aba (comportamento original)
+    const abaPropria = !opcoes.pagina;
+    const limitador = opcoes.limitador || null;
+
+    // Remove listeners da API e fecha a aba apenas quando ela foi criada aqui
+    const liberarAba = async () => {
+        try {
+            if (apiConfig && apiConfig.cleanup) {
+                apiConfig.cleanup();
+                logInfo(`🧹 Listeners de API removidos para produto ${productId}`);
+            }
+        } catch (cleanupListenerError) {
+            // Ignora erro de limpeza de listeners
+        }
+
+        if (!abaPropria) {
+            return;
+        }
+
+        try {
+            if (novaAba && !novaAba.isClosed()) {
+                await novaAba.close();
+                logInfo(`✅ Aba do produto ${productId} fechada com sucesso`);
+            }
+        } catch (closeError) {
+            logErro(`⚠️ Erro ao fechar aba: ${closeError.message}`);
+            try {
+                if (novaAba) {
+                    await novaAba.evaluate(() => window.close());
+                }
+            } catch (forceCloseError) {
+                // Última tentativa ignorada
+            }
+        }
+    };
         
         if (!productId && urlProduto) {
             const productIdMatch = urlProduto.match(/\/item\/(\d+)\.html/);
@@ -1330,8 +1881,6 @@ export async function extractProductDetails(browser, produto) {
             return getDefaultProductDetails();
         }
         
-        // Novo fluxo: abrir página principal, buscar pelo product_id e clicar para abrir detalhes
-        logInfo(`🔍 Abrindo página principal do AliExpress para buscar produto ${productId}`);
         try {
             // Verificar se o browser ainda está conectado
             const isConnected = browser.isConnected();
@@ -1340,109 +1889,80 @@ export async function extractProductDetails(browser, produto) {
                 return getDefaultProductDetails();
             }
 
-            // Fechar abas about:blank extras que podem estar abertas
-            const pages = await browser.pages();
-            logInfo(`📊 Abas abertas antes de criar nova: ${pages.length}`);
-            for (const page of pages) {
-                const url = page.url();
-                if (url === 'about:blank' && pages.length > 2) {
-                    try {
-                        await page.close();
-                        logInfo(`🗑️ Aba about:blank desnecessária fechada`);
-                    } catch (closeError) {
-                        // Ignora erro ao fechar
+            if (!abaPropria) {
+                novaAba = opcoes.pagina;
+            } else {
+                // Fechar abas about:blank extras que podem estar abertas
+                const pages = await browser.pages();
+                logInfo(`📊 Abas abertas antes de criar nova: ${pages.length}`);
+                for (const page of pages) {
+                    const url = page.url();
+                    if (url === 'about:blank' && pages.length > 2) {
+                        try {
+                            await page.close();
+                            logInfo(`🗑️ Aba about:blank desnecessária fechada`);
+                        } catch (closeError) {
+                            // Ignora erro ao fechar
+                        }
                     }
                 }
-            }
 
-            novaAba = await browser.newPage();
-            logInfo(`✅ Nova aba criada com sucesso para produto ${productId}`);
+                novaAba = await browser.newPage();
+                logInfo(`✅ Nova aba criada com sucesso para produto ${productId}`);
+            }
         } catch (pageError) {
             logErro(`❌ Erro ao criar nova aba: ${pageError.message}`);
             return getDefaultProductDetails();
         }
 
+        // Estratégia de abertura da PDP: direta, via busca ou aprendida (auto)
+        // No replay só existe a PDP gravada: a navegação é sempre direta
+        estrategia = reproduzindo() ? 'direct' : obterSeletorEstrategia().escolher();
+
         try {
             // Configurar interceptação melhorada da API
             apiConfig = await configurarInterceptacaoAPI(novaAba, productId);
 
-            // Abrir página principal do AliExpress
-            await novaAba.goto('https://pt.aliexpress.com/', {
-                waitUntil: 'domcontentloaded',
-                timeout: 20000
-            });
-            await delay(1500);
-
-            // Buscar pelo product_id no campo de busca
-            const searchSelectors = [
-                'input[placeholder*="busca"]',
-                'input[name="SearchText"]',
-                '#search-words',
-                'input[type="search"]',
-                '.search-bar input'
-            ];
-            let searchBox = null;
-            for (const selector of searchSelectors) {
-                try {
-                    searchBox = await novaAba.$(selector);
-                    if (searchBox) {
-                        logInfo(`✅ Campo de busca encontrado: ${selector}`);
-                        break;
-                    }
-                } catch (selectorError) {
-                    continue;
-                }
-            }
-            if (searchBox) {
-                await searchBox.click();
-                await delay(200);
-                await searchBox.type(productId, { delay: 10 }); // digitação rápida
-                await novaAba.keyboard.press('Enter');
-                await delay(2000);
-            } else {
-                logErro(`❌ Campo de busca não encontrado para produto ${productId}`);
-                return getDefaultProductDetails();
-            }
+            const urlPdp = (reproduzindo() && await urlPaginaGravada('pdp', productId)) ||
+                ((urlProduto && urlProduto.includes('/item/'))
+                    ? urlProduto
+                    : `https://pt.aliexpress.com/item/${productId}.html`);
 
-            // Esperar resultados carregarem
-            await delay(2000);
+            const pdpAberta = estrategia === 'direct'
+                ? await abrirPdpDireta(novaAba, productId, urlPdp, limitador)
+                : await abrirPdpPorBusca(novaAba, productId, urlPdp, limitador);
 
-            // Tentar encontrar e clicar no produto correto
-            let produtoEncontrado = false;
-            try {
-                const produtoSelector = `a[href*="/item/${productId}.html"]`;
-                await novaAba.waitForSelector(produtoSelector, { timeout: 8000 });
-                await novaAba.click(produtoSelector);
-                produtoEncontrado = true;
-                logInfo(`✅ Produto ${productId} encontrado e clicado nos resultados de busca.`);
-            } catch (clickError) {
-                logErro(`❌ Produto ${productId} não encontrado nos resultados de busca: ${clickError.message}`);
-                // Fallback: tentar abrir diretamente a PDP do produto
-                try {
-                    const fallbackUrl = (urlProduto && urlProduto.includes('/item/'))
-                        ? urlProduto
-                        : `https://pt.aliexpress.com/item/${productId}.html`;
-                    await novaAba.goto(fallbackUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-                    // Pequena espera para disparar requests da PDP
-                    await delay(1500);
-                    produtoEncontrado = true;
-                    logInfo(`🔗 PDP aberta via fallback para produto ${productId}`);
-                } catch (gotoErr) {
-                    logErro(`❌ Falha no fallback de abertura da PDP para ${productId}: ${gotoErr.message}`);
-                    return getDefaultProductDetails();
-                }
+            if (!pdpAberta) {
+                obterSeletorEstrategia().registrar(estrategia, false);
+                await liberarAba();
+                return getDefaultProductDetails();
             }
 
             // Esperar a navegação para a página de detalhes
             await delay(3500);
+
+            // Slider/punish na PDP: a recuperação respeita o timeout da tarefa do pool
+            const { liberado } = await verificarBloqueio(novaAba, 'pdp', productId, {
+                prazoMs: abaPropria ? undefined : CONFIG.concurrency.detailTaskTimeout - 15000,
+                proxyId: opcoes.proxyId
+            });
+            if (!liberado) {
+                await liberarAba();
+                return getDefaultProductDetails();
+            }
+
+            await gravarPagina(novaAba, 'pdp', productId);
         } catch (navigationError) {
-            logErro(`❌ Erro ao buscar produto ${productId} via busca: ${navigationError.message}`);
+            logErro(`❌ Erro ao abrir PDP do produto ${productId} (${estrategia}): ${navigationError.message}`);
+            obterSeletorEstrategia().registrar(estrategia, false);
+            await liberarAba();
             return getDefaultProductDetails();
         }
 
     // ...continua fluxo normal de interceptação de API e extração de dados...
     // detalhes já foi declarado anteriormente, apenas atribuir
     dadosAPI = apiConfig.getDadosAPI();
+    obterSeletorEstrategia().registrar(estrategia, Boolean(dadosAPI && apiConfig.isInterceptada()));
 
         if (dadosAPI && apiConfig.isInterceptada()) {
             // Logar JSON interceptado para debug do campo productId
@@ -1496,61 +2016,100 @@ export async function extractProductDetails(browser, produto) {
             }
         }
 
-        // Limpar listeners de API
-        try {
-            if (apiConfig && apiConfig.cleanup) {
-                apiConfig.cleanup();
-                logInfo(`🧹 Listeners de API removidos para produto ${productId}`);
-            }
-        } catch (cleanupListenerError) {
-            // Ignora erro de limpeza de listeners
-        }
-
-        // Fechar aba de forma garantida
-        try {
-            if (novaAba && !novaAba.isClosed()) {
-                await novaAba.close();
-                logInfo(`✅ Aba do produto ${productId} fechada com sucesso`);
-            }
-        } catch (closeError) {
-            logErro(`⚠️ Erro ao fechar aba: ${closeError.message}`);
-            try {
-                if (novaAba) {
-                    await novaAba.evaluate(() => window.close());
-                }
-            } catch (forceCloseError) {
-                // Última tentativa ignorada
-            }
-        }
+        // Limpar listeners de API e fechar aba própria de forma garantida
+        await liberarAba();
 
     return detalhes;
 
     } catch (error) {
         logErro(`💥 Erro ao extrair detalhes do produto: ${error.message}`);
         
-        // Limpar listeners de API mesmo em caso de erro
-        try {
-            if (apiConfig && apiConfig.cleanup) {
-                apiConfig.cleanup();
-            }
-        } catch (cleanupListenerError) {
-            // Ignora erro de limpeza de listeners
-        }
-        
-        // Garantir que a aba seja fechada mesmo em caso de erro
-        try {
-            if (novaAba && !novaAba.isClosed()) {
-                await novaAba.close();
-                logInfo(`🧹 Aba fechada após erro`);
-            }
-        } catch (cleanupError) {
-            // Ignora erro de limpeza
-        }
+        // Limpar listeners e fechar aba própria mesmo em caso de erro
+        await liberarAba();
         
         return getDefaultProductDetails();
     }
 }
 
+/**
+ * Abre a PDP diretamente pela URL do produto (estratégia direct)
+ * 
+ * @param {Page} aba - Aba onde a PDP será aberta
+ * @param {string} productId - ID do produto
+ * @param {string} urlPdp - URL /item/<id>.html
+ * @param {LimitadorPorDominio|null} limitador - Limitador de navegações por domínio
+ * @returns {Promise<boolean>} true se a PDP foi carregada
+ */
+async function abrirPdpDireta(aba, productId, urlPdp, limitador) {
+    try {
+        await limitador?.aguardarVez(urlPdp);
+        await aba.goto(urlPdp, { waitUntil: 'domcontentloaded', timeout: 20000 });
+        // Pequena espera para disparar requests da PDP
+        await delay(1500);
+        logInfo(`🔗 PDP aberta diretamente para produto ${productId}`);
+        return true;
+    } catch (gotoErr) {
+        logErro(`❌ Falha ao abrir PDP diretamente para ${productId}: ${gotoErr.message}`);
+        return false;
+    }
+}
+
+/**
+ * Abre a PDP pela página inicial: busca o product_id e clica no resultado (estratégia search)
+ * Se o produto não aparecer nos resultados, recorre à navegação direta
+ * 
+ * @param {Page} aba - Aba onde a PDP será aberta
+ * @param {string} productId - ID do produto
+ * @param {string} urlPdp - URL /item/<id>.html usada no fallback
+ * @param {LimitadorPorDominio|null} limitador - Limitador de navegações por domínio
+ * @returns {Promise<boolean>} true se a PDP foi carregada
+ */
+async function abrirPdpPorBusca(aba, productId, urlPdp, limitador) {
+    logInfo(`🔍 Abrindo página principal do AliExpress para buscar produto ${productId}`);
+
+    // Abrir página principal do AliExpress
+    await limitador?.aguardarVez('https://pt.aliexpress.com/');
+    await aba.goto('https://pt.aliexpress.com/', {
+        waitUntil: 'domcontentloaded',
+        timeout: 20000
+    });
+    await delay(1500);
+
+    // Buscar pelo product_id no campo de busca
+    const campoBusca = await encontrarPorGrupo(aba, 'campoBusca');
+    const searchBox = campoBusca?.elemento || null;
+    if (campoBusca) {
+        logInfo(`✅ Campo de busca encontrado: ${campoBusca.seletor}`);
+    }
+    if (!searchBox) {
+        logErro(`❌ Campo de busca não encontrado para produto ${productId}`);
+        return false;
+    }
+
+    await searchBox.click();
+    await delay(200);
+    await searchBox.type(productId, { delay: 10 }); // digitação rápida
+    await limitador?.aguardarVez('https://pt.aliexpress.com/');
+    await aba.keyboard.press('Enter');
+    await delay(2000);
+
+    // Esperar resultados carregarem
+    await delay(2000);
+
+    // Tentar encontrar e clicar no produto correto
+    try {
+        const produtoSelector = `a[href*="/item/${productId}.html"]`;
+        await aba.waitForSelector(produtoSelector, { timeout: 8000 });
+        await aba.click(produtoSelector);
+        logInfo(`✅ Produto ${productId} encontrado e clicado nos resultados de busca.`);
+        return true;
+    } catch (clickError) {
+        logErro(`❌ Produto ${productId} não encontrado nos resultados de busca: ${clickError.message}`);
+        // Fallback: tentar abrir diretamente a PDP do produto
+        return abrirPdpDireta(aba, productId, urlPdp, limitador);
+    }
+}
+
 /**
  * Retorna estrutura padrão de detalhes de produto
  * @returns {Object} Detalhes padrão
@@ -1570,7 +2129,10 @@ function getDefaultProductDetails() {
         tipoFrete: '',
         tempoEntrega: 0,
         avaliacaoVendedor: 0,
-        tempoAbertura: ''
+        tempoAbertura: '',
+        lojaId: '',
+        perfilLoja: null,
+        variantes: []
     };
 }
 
@@ -1610,6 +2172,17 @@ function parseProductJson(data, productId) {
             logErro(`❌ Erro ao extrair preço do produto ${productId}: ${e.message}`);
         }
 
+        // Variantes (SKUs): cor, tamanho, plugue, estoque, preço e imagem de cada combinação
+        try {
+            detalhes.variantes = extrairVariantesSku(data);
+            if (!detalhes.preco && detalhes.variantes.length > 0) {
+                const precosVariantes = detalhes.variantes.map(v => v.preco).filter(p => p > 0);
+                detalhes.preco = precosVariantes.length ? Math.min(...precosVariantes) : 0;
+            }
+        } catch (e) {
+            logErro(`❌ Erro ao extrair variantes do produto ${productId}: ${e.message}`);
+        }
+
         // Vendas
         try {
             const otherText = data?.PC_RATING?.otherText || '';
@@ -1663,6 +2236,8 @@ function parseProductJson(data, productId) {
             detalhes.vendedor = supplier.storeName || '';
             detalhes.avaliacaoVendedor = supplier.sellerPositiveRate ? (parseFloat(supplier.sellerPositiveRate) / 20) : 0;
             detalhes.tempoAbertura = supplier.sellerInfo?.openTime || '';
+            detalhes.perfilLoja = perfilDoCartaoLoja(supplier);
+            detalhes.lojaId = detalhes.perfilLoja.lojaId;
         } catch (e) {
             logErro(`❌ Erro ao extrair vendedor do produto ${productId}: ${e.message}`);
         }
@@ -1753,6 +2328,7 @@ async function configurarInterceptacaoAPI(novaAba, productId) {
                 dadosAPI = result;
                 apiInterceptada = true;
                 logSucesso(`✅ API interceptada com sucesso para produto ${productId}`);
+                await gravarJsonPdp(alvo, result);
             } catch (e) {
                 logErro(`❌ Erro inesperado ao processar resposta da API para produto ${productId}: ${e.message}`);
             }
@@ -1769,6 +2345,13 @@ async function configurarInterceptacaoAPI(novaAba, productId) {
     novaAba.on('response', responseHandler);
     novaAba.on('request', requestHandler);
 
+    // Replay: a API não é chamada (scripts bloqueados), o JSON vem da fixture gravada
+    if (reproduzindo()) {
+        dadosAPI = await carregarJsonPdp(alvo);
+        apiInterceptada = Boolean(dadosAPI);
+        logInfo(`🎞️ JSON da PDP ${productId} ${apiInterceptada ? 'carregado da fixture' : 'sem fixture'}`);
+    }
+
     return {
         getDadosAPI: () => dadosAPI,
         isInterceptada: () => apiInterceptada,
@@ -1780,53 +2363,6 @@ async function configurarInterceptacaoAPI(novaAba, productId) {
     };
 }
 
-/**
- * Monitora e limpa abas desnecessárias do browser
- * @param {Browser} browser - Instância do browser
- */
-async function monitorarELimparAbas(browser) {
-    try {
-        const pages = await browser.pages();
-        const abasParaFechar = [];
-        
-        for (const page of pages) {
-            const url = page.url();
-            
-            // Identificar abas about:blank extras (manter apenas uma)
-            if (url === 'about:blank') {
-                abasParaFechar.push(page);
-            }
-            
-            // Identificar abas duplicadas ou órfãs
-            if (url.includes('aliexpress.com') && pages.length > 3) {
-                // Se temos mais de 3 abas e alguma é do AliExpress, pode ser duplicata
-                const urlCount = pages.filter(p => p.url().includes('aliexpress.com')).length;
-                if (urlCount > 2) {
-                    logInfo(`⚠️ Detectadas ${urlCount} abas do AliExpress, limpando extras`);
-                }
-            }
-        }
-        
-        // Fechar abas about:blank extras (manter pelo menos uma)
-        if (abasParaFechar.length > 1) {
-            for (let i = 1; i < abasParaFechar.length; i++) {
-                try {
-                    await abasParaFechar[i].close();
-                    logInfo(`🗑️ Aba about:blank extra removida`);
-                } catch (error) {
-                    // Ignora erro
-                }
-            }
-        }
-        
-        const finalPages = await browser.pages();
-        logInfo(`📊 Monitoramento de abas: ${pages.length} → ${finalPages.length}`);
-        
-    } catch (error) {
-        logErro(`⚠️ Erro no monitoramento de abas: ${error.message}`);
-    }
-}
-
 /**
  * Limpa recursos do browser de forma segura
  * @param {Browser} browser - Instância do browser
@@ -1872,11 +2408,11 @@ async function cleanupBrowser(browser) {
         } catch (browserCloseError) {
             logErro(`⚠️ Erro ao fechar browser: ${browserCloseError.message}`);
             
-            // Força encerramento em último caso (Windows)
+            // Força encerramento em último caso (árvore de processos do Chrome desta execução)
             try {
-                const { spawn } = require('child_process');
-                spawn('taskkill', ['/f', '/im', 'chrome.exe'], { stdio: 'ignore' });
-                logInfo('🔄 Forçado encerramento do Chrome');
+                if (obterSupervisorProcessos().encerrarNavegador(browser)) {
+                    logInfo('🔄 Forçado encerramento do Chrome');
+                }
             } catch (killError) {
                 logErro(`⚠️ Erro ao forçar encerramento: ${killError.message}`);
             }
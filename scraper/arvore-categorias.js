@@ -0,0 +1,441 @@
+/**
+ * ÁRVORE DE CATEGORIAS DO ALIEXPRESS
+ *
+ * Rastreia a hierarquia real de categorias (IDs e URLs de subcategorias) a
+ * partir da página "Todas as categorias" e a salva em CATEGORY_TREE_FILE.
+ * Em CATEGORIES, entradas `cat:<id>` ou caminhos `Pai > Filha > Folha` são
+ * resolvidas nessa árvore: a FASE 1 abre a página da categoria em vez de
+ * digitar o texto na busca, e cada produto registra o caminho da categoria.
+ * Entradas de texto livre continuam usando a busca por palavra-chave.
+ *
+ * Estrutura do arquivo:
+ *   { versao, atualizadoEm, profundidade, raizes: [id], nos: { id: { id, nome, slug, url, paiId, nivel, filhos, expandido } } }
+ *
+ * Hierarquia:
+ *   nível 1 e 2  - grupos da página "Todas as categorias" (título e links do grupo)
+ *   nível 3+     - links de categoria da página do pai que ainda não estão na árvore
+ *                  (a trilha e as irmãs já são conhecidas e não viram filhas)
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Rastreamento da árvore de categorias
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { delay, logInfo, logSucesso, logErro } from './utils.js';
+import { obterSeletores, registrarCorrespondencia } from './registro-seletores.js';
+import { verificarBloqueio } from './detector-bloqueio.js';
+import { obterCoordenadorEncerramento } from '../utils/encerramento-gracioso.js';
+
+export const URL_TODAS_CATEGORIAS = 'https://pt.aliexpress.com/all-wholesale-products.html';
+
+const VERSAO_ARVORE = 1;
+
+let arvoreCarregada = null;
+
+// =================================
+// CONSTRUÇÃO DA ÁRVORE
+// =================================
+
+/**
+ * Interpreta um link de categoria (/category/<id>/<slug>.html)
+ * @param {string} href
+ * @param {string} [texto=''] - Texto do link (nome exibido)
+ * @returns {{id: string, slug: string, nome: string, url: string}|null}
+ */
+export function interpretarLinkCategoria(href, texto = '') {
+    const correspondencia = String(href || '').match(/\/category\/(\d+)\/([^/?#]+?)\.html/);
+    if (!correspondencia) {
+        return null;
+    }
+
+    const [, id, slug] = correspondencia;
+    const nome = String(texto || '').replace(/\s+/g, ' ').trim() || slug.replace(/-/g, ' ');
+    return { id, slug, nome, url: `https://pt.aliexpress.com/category/${id}/${slug}.html` };
+}
+
+/**
+ * Árvore vazia
+ * @param {number} [profundidade]
+ * @returns {Object}
+ */
+export function criarArvore(profundidade = CONFIG.search.categoryTreeDepth) {
+    return { versao: VERSAO_ARVORE, atualizadoEm: null, profundidade, raizes: [], nos: {} };
+}
+
+/**
+ * Adiciona um nó sob o pai (ou como raiz); IDs já presentes são ignorados
+ * @param {Object} arvore
+ * @param {{id: string, slug: string, nome: string, url: string}} link
+ * @param {string|null} [paiId=null]
+ * @returns {Object|null} Nó criado ou null se o ID já existia
+ */
+export function adicionarNo(arvore, link, paiId = null) {
+    if (!link || arvore.nos[link.id]) {
+        return null;
+    }
+
+    const pai = paiId ? arvore.nos[paiId] : null;
+    const no = {
+        id: link.id,
+        nome: link.nome,
+        slug: link.slug,
+        url: link.url,
+        paiId: pai ? pai.id : null,
+        nivel: pai ? pai.nivel + 1 : 1,
+        filhos: [],
+        expandido: false
+    };
+
+    arvore.nos[no.id] = no;
+    if (pai) {
+        pai.filhos.push(no.id);
+    } else {
+        arvore.raizes.push(no.id);
+    }
+    return no;
+}
+
+/**
+ * Agrupa os links da página "Todas as categorias" na ordem do DOM:
+ * um link de título abre um grupo e os links seguintes são as subcategorias dele
+ * @param {Array<{href: string, texto: string, titulo: boolean}>} links
+ * @returns {Array<{pai: Object, filhos: Array<Object>}>}
+ */
+export function agruparLinksRaiz(links) {
+    const grupos = [];
+    for (const { href, texto, titulo } of links) {
+        const link = interpretarLinkCategoria(href, texto);
+        if (!link) {
+            continue;
+        }
+        if (titulo) {
+            grupos.push({ pai: link, filhos: [] });
+        } else if (grupos.length > 0) {
+            grupos[grupos.length - 1].filhos.push(link);
+        }
+    }
+    return grupos;
+}
+
+/**
+ * Registra como filhas do nó as categorias da página dele que ainda não estão na árvore
+ * @param {Object} arvore
+ * @param {string} paiId
+ * @param {Array<{href: string, texto: string}>} links - Links de categoria da página do pai
+ * @returns {number} Subcategorias adicionadas
+ */
+export function registrarSubcategorias(arvore, paiId, links) {
+    let adicionadas = 0;
+    for (const { href, texto } of links) {
+        if (adicionarNo(arvore, interpretarLinkCategoria(href, texto), paiId)) {
+            adicionadas++;
+        }
+    }
+    arvore.nos[paiId].expandido = true;
+    return adicionadas;
+}
+
+// =================================
+// CONSULTA
+// =================================
+
+/**
+ * Nomes do caminho da raiz até o nó
+ * @param {Object} arvore
+ * @param {string} id
+ * @returns {Array<string>}
+ */
+export function caminhoCategoria(arvore, id) {
+    const caminho = [];
+    let no = arvore.nos[id];
+    while (no) {
+        caminho.unshift(no.nome);
+        no = no.paiId ? arvore.nos[no.paiId] : null;
+    }
+    return caminho;
+}
+
+/**
+ * Categorias folha (sem subcategorias), na ordem da árvore
+ * @param {Object} arvore
+ * @returns {Array<{no: Object, caminho: Array<string>}>}
+ */
+export function listarFolhas(arvore) {
+    const folhas = [];
+    const visitar = (id) => {
+        const no = arvore.nos[id];
+        if (!no) {
+            return;
+        }
+        if (no.filhos.length === 0) {
+            folhas.push({ no, caminho: caminhoCategoria(arvore, id) });
+        }
+        no.filhos.forEach(visitar);
+    };
+    arvore.raizes.forEach(visitar);
+    return folhas;
+}
+
+/**
+ * Indica se a entrada de CATEGORIES aponta para a árvore (cat:<id> ou caminho com >)
+ * @param {string} entrada
+ * @returns {boolean}
+ */
+export function ehEntradaArvore(entrada) {
+    const texto = String(entrada || '').trim();
+    return /^cat:\d+$/i.test(texto) || texto.includes('>');
+}
+
+function normalizarNome(nome) {
+    return String(nome || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Resolve uma entrada cat:<id> ou `Pai > Filha > Folha` na árvore
+ * O caminho pode omitir os níveis de cima, desde que identifique um único nó;
+ * nomes não diferenciam maiúsculas nem acentos
+ * @param {Object} arvore
+ * @param {string} entrada
+ * @returns {{no: Object|null, caminho: Array<string>, folha: boolean, candidatos: Array<string>}}
+ */
+export function resolverCategoria(arvore, entrada) {
+    const texto = String(entrada || '').trim();
+    const porId = texto.match(/^cat:(\d+)$/i);
+
+    let encontrados;
+    if (porId) {
+        encontrados = arvore.nos[porId[1]] ? [arvore.nos[porId[1]]] : [];
+    } else {
+        const pedido = texto.split('>').map(normalizarNome).filter(Boolean);
+        encontrados = Object.values(arvore.nos).filter(no => {
+            const caminho = caminhoCategoria(arvore, no.id).map(normalizarNome);
+            return pedido.length > 0 &&
+                caminho.length >= pedido.length &&
+                caminho.slice(-pedido.length).every((nome, i) => nome === pedido[i]);
+        });
+    }
+
+    if (encontrados.length !== 1) {
+        return {
+            no: null,
+            caminho: [],
+            folha: false,
+            candidatos: encontrados.map(no => `cat:${no.id} (${caminhoCategoria(arvore, no.id).join(' > ')})`)
+        };
+    }
+
+    const [no] = encontrados;
+    return { no, caminho: caminhoCategoria(arvore, no.id), folha: no.filhos.length === 0, candidatos: [] };
+}
+
+/**
+ * Campos gravados em cada produto coletado pela categoria da árvore
+ * @param {{no: Object, caminho: Array<string>}} resolvida
+ * @returns {{categoriaId: string, caminhoCategoria: string}}
+ */
+export function dadosCategoriaProduto(resolvida) {
+    return {
+        categoriaId: resolvida.no.id,
+        caminhoCategoria: resolvida.caminho.join(' > ')
+    };
+}
+
+// =================================
+// ARQUIVO
+// =================================
+
+/**
+ * Lê a árvore salva (uma vez por processo)
+ * @param {string} [arquivo=CONFIG.search.categoryTreeFile]
+ * @returns {Object|null} Árvore ou null se o arquivo não existe ou é inválido
+ */
+export function carregarArvore(arquivo = CONFIG.search.categoryTreeFile) {
+    if (arvoreCarregada?.arquivo === arquivo) {
+        return arvoreCarregada.arvore;
+    }
+
+    let arvore = null;
+    if (arquivo && existsSync(arquivo)) {
+        try {
+            const conteudo = JSON.parse(readFileSync(arquivo, 'utf-8'));
+            if (conteudo?.nos && Array.isArray(conteudo.raizes)) {
+                arvore = conteudo;
+            } else {
+                logErro(`⚠️ Árvore de categorias sem nós em ${arquivo}`);
+            }
+        } catch (error) {
+            logErro(`⚠️ Árvore de categorias inválida (${arquivo}): ${error.message}`);
+        }
+    }
+
+    arvoreCarregada = { arquivo, arvore };
+    return arvore;
+}
+
+/**
+ * Descarta a árvore carregada (testes ou após um novo rastreamento)
+ */
+export function reiniciarArvore() {
+    arvoreCarregada = null;
+}
+
+/**
+ * Grava a árvore
+ * @param {Object} arvore
+ * @param {string} [arquivo=CONFIG.search.categoryTreeFile]
+ * @returns {Promise<string>} Caminho gravado
+ */
+export async function salvarArvore(arvore, arquivo = CONFIG.search.categoryTreeFile) {
+    await mkdir(path.dirname(arquivo), { recursive: true });
+    await writeFile(arquivo, JSON.stringify(arvore, null, 2));
+    reiniciarArvore();
+    return arquivo;
+}
+
+/**
+ * Resolve uma entrada de CATEGORIES na árvore salva
+ * @param {string} entrada
+ * @returns {{no: Object|null, caminho: Array<string>, folha: boolean, candidatos: Array<string>, erro?: string}}
+ */
+export function obterCategoriaArvore(entrada) {
+    const arvore = carregarArvore();
+    if (!arvore) {
+        return {
+            no: null,
+            caminho: [],
+            folha: false,
+            candidatos: [],
+            erro: `árvore de categorias não encontrada em ${CONFIG.search.categoryTreeFile} (rode: node main.js categories --refresh)`
+        };
+    }
+
+    const resolvida = resolverCategoria(arvore, entrada);
+    if (!resolvida.no) {
+        resolvida.erro = resolvida.candidatos.length > 1
+            ? `'${entrada}' é ambígua: ${resolvida.candidatos.slice(0, 5).join(', ')}`
+            : `'${entrada}' não existe na árvore de categorias`;
+    }
+    return resolvida;
+}
+
+// =================================
+// RASTREAMENTO
+// =================================
+
+/**
+ * Links de categoria da página atual, na ordem do DOM
+ * @param {Page} page
+ * @returns {Promise<Array<{href: string, texto: string, titulo: boolean}>>}
+ */
+async function coletarLinksCategoria(page) {
+    const seletores = {
+        links: obterSeletores('linksCategoria'),
+        titulos: obterSeletores('tituloGrupoCategoria')
+    };
+
+    const { links, seletor } = await page.evaluate((seletores) => {
+        for (const selector of seletores.links) {
+            const encontrados = Array.from(document.querySelectorAll(selector));
+            if (encontrados.length > 0) {
+                return {
+                    seletor: selector,
+                    links: encontrados.map(a => ({
+                        href: a.href,
+                        texto: (a.innerText || a.textContent || '').trim(),
+                        titulo: seletores.titulos.some(titulo => {
+                            try {
+                                return Boolean(a.closest(titulo));
+                            } catch {
+                                return false;
+                            }
+                        })
+                    }))
+                };
+            }
+        }
+        return { links: [], seletor: null };
+    }, seletores);
+
+    registrarCorrespondencia('linksCategoria', seletor);
+    return links;
+}
+
+/**
+ * Abre uma página do rastreamento conferindo bloqueios
+ * @param {Page} page
+ * @param {string} url
+ * @param {string} chave - Identificação para o log de bloqueios
+ * @returns {Promise<boolean>} True se a página foi liberada
+ */
+async function abrirPaginaArvore(page, url, chave) {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await delay(1500);
+    const { liberado, deteccao } = await verificarBloqueio(page, 'busca', chave);
+    if (!liberado) {
+        logErro(`🛑 Página de categorias bloqueada (${deteccao.tipo}): ${url}`);
+    }
+    return liberado;
+}
+
+/**
+ * Rastreia a árvore a partir da página "Todas as categorias"
+ * Interrompido (bloqueio ou SIGINT), devolve a árvore parcial: nós não expandidos
+ * ficam com expandido = false
+ * @param {Page} page
+ * @param {Object} [opcoes={}]
+ * @param {number} [opcoes.profundidade=CONFIG.search.categoryTreeDepth] - Níveis rastreados (1 a 5)
+ * @returns {Promise<Object>} Árvore
+ */
+export async function rastrearArvoreCategorias(page, opcoes = {}) {
+    const profundidade = opcoes.profundidade ?? CONFIG.search.categoryTreeDepth;
+    const arvore = criarArvore(profundidade);
+    arvore.atualizadoEm = new Date().toISOString();
+
+    logInfo(`🌳 Rastreando árvore de categorias (${profundidade} níveis) a partir de ${URL_TODAS_CATEGORIAS}`);
+    if (!await abrirPaginaArvore(page, URL_TODAS_CATEGORIAS, 'todas as categorias')) {
+        throw new Error('Página de todas as categorias bloqueada');
+    }
+
+    for (const { pai, filhos } of agruparLinksRaiz(await coletarLinksCategoria(page))) {
+        const raiz = adicionarNo(arvore, pai);
+        if (raiz && profundidade > 1) {
+            filhos.forEach(filho => adicionarNo(arvore, filho, raiz.id));
+            raiz.expandido = true;
+        }
+    }
+    logInfo(`🌳 ${arvore.raizes.length} categorias principais e ${Object.keys(arvore.nos).length - arvore.raizes.length} subcategorias na página inicial`);
+
+    // Níveis 3+: visita a página de cada nó do nível anterior (largura primeiro)
+    for (let nivel = 2; nivel < profundidade; nivel++) {
+        const pendentes = Object.values(arvore.nos).filter(no => no.nivel === nivel && !no.expandido);
+        for (let i = 0; i < pendentes.length; i++) {
+            if (obterCoordenadorEncerramento().encerrando) {
+                logInfo('🛑 Rastreamento interrompido: a árvore parcial será salva');
+                return arvore;
+            }
+
+            const no = pendentes[i];
+            try {
+                if (!await abrirPaginaArvore(page, no.url, `cat:${no.id}`)) {
+                    logInfo('🛑 Rastreamento interrompido por bloqueio: a árvore parcial será salva');
+                    return arvore;
+                }
+                const adicionadas = registrarSubcategorias(arvore, no.id, await coletarLinksCategoria(page));
+                logInfo(`🌳 Nível ${nivel} ${i + 1}/${pendentes.length}: ${caminhoCategoria(arvore, no.id).join(' > ')} (+${adicionadas})`);
+            } catch (error) {
+                logErro(`⚠️ Erro ao rastrear ${no.url}: ${error.message}`);
+            }
+        }
+    }
+
+    logSucesso(`🌳 Árvore rastreada: ${Object.keys(arvore.nos).length} categorias, ${listarFolhas(arvore).length} folhas`);
+    return arvore;
+}
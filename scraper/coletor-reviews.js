@@ -0,0 +1,211 @@
+/**
+ * COLETOR DE REVIEWS DO ALIEXPRESS
+ *
+ * Pagina as avaliações de compradores de um produto (texto, estrelas, fotos,
+ * país e data) pela API de feedback usada na PDP e calcula sinais de qualidade:
+ * percentual de negativas e, entre elas, quantas citam defeito, tamanho errado
+ * ou atraso na entrega. A média de estrelas esconde o padrão "chegou quebrado".
+ *
+ * As requisições usam o axios global, então entram na gravação/replay de fixtures.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Coleta paginada de reviews e sinais de qualidade
+ */
+
+import axios from 'axios';
+import { CONFIG } from '../config.js';
+import { logInfo, logErro } from './utils.js';
+
+const URL_FEEDBACK = 'https://feedback.aliexpress.com/pc/searchEvaluation.do';
+
+// Palavras-chave (pt, en, es) procuradas no texto das reviews negativas
+const PADROES_PROBLEMAS = {
+    defeito: [
+        'quebrad', 'defeit', 'não funciona', 'nao funciona', 'parou de funcionar', 'danificad', 'estragad', 'veio com problema',
+        'broken', 'defect', 'not work', "doesn't work", 'stopped working', 'damaged', 'faulty',
+        'roto', 'no funciona', 'dañad'
+    ],
+    tamanho: [
+        'tamanho', 'pequen', 'grande demais', 'muito grande', 'apertad', 'folgad', 'não serv', 'nao serv',
+        'size', 'too small', 'too big', 'too large', 'tight',
+        'talla', 'muy grande', 'muy pequeñ'
+    ],
+    atraso: [
+        'demor', 'atras', 'não chegou', 'nao chegou', 'nunca chegou', 'ainda não recebi', 'ainda nao recebi',
+        'arrived late', 'came late', 'delay', 'never arrived', 'took too long', 'not received',
+        'tardó', 'tardo mucho', 'no llegó', 'no llego'
+    ]
+};
+
+// Abaixo disso os percentuais não dizem muito
+const AMOSTRA_MINIMA = 5;
+
+/**
+ * Normaliza uma review crua da API de feedback
+ * @param {Object} bruta - Item de data.evaViewList
+ * @returns {Object} Review com texto, estrelas, fotos, pais e data
+ */
+export function normalizarReview(bruta) {
+    const avaliacao = Number(bruta?.buyerEval ?? bruta?.buyerEvaluation ?? 0);
+    // A API usa escala 20-100 (20 por estrela); algumas respostas já trazem 1-5
+    const estrelas = avaliacao > 5 ? Math.round(avaliacao / 20) : Math.round(avaliacao);
+
+    return {
+        texto: String(bruta?.buyerTranslationFeedback || bruta?.buyerFeedback || '').trim(),
+        estrelas,
+        fotos: Array.isArray(bruta?.images) ? bruta.images : [],
+        pais: bruta?.buyerCountry || '',
+        data: bruta?.evalDate || ''
+    };
+}
+
+function mencionaProblema(texto, padroes) {
+    const textoLower = texto.toLowerCase();
+    return padroes.some(padrao => textoLower.includes(padrao));
+}
+
+function percentual(parte, total) {
+    return total > 0 ? Math.round((parte / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Calcula sinais de qualidade a partir das reviews coletadas
+ *
+ * @param {Array<Object>} reviews - Reviews normalizadas
+ * @returns {Object} Sinais: total, médias, percentuais de problemas, risco, penalidade e alertas
+ */
+export function calcularSinaisReviews(reviews) {
+    const lista = Array.isArray(reviews) ? reviews.filter(r => r && r.estrelas > 0) : [];
+    const negativas = lista.filter(r => r.estrelas <= 2);
+
+    const mencoes = {};
+    for (const [tipo, padroes] of Object.entries(PADROES_PROBLEMAS)) {
+        mencoes[tipo] = negativas.filter(r => mencionaProblema(r.texto, padroes)).length;
+    }
+
+    const sinais = {
+        total: lista.length,
+        mediaEstrelas: lista.length
+            ? Math.round((lista.reduce((soma, r) => soma + r.estrelas, 0) / lista.length) * 100) / 100
+            : 0,
+        percentualNegativas: percentual(negativas.length, lista.length),
+        percentualComFoto: percentual(lista.filter(r => r.fotos.length > 0).length, lista.length),
+        // Percentual das reviews negativas que citam cada problema
+        negativas: {
+            total: negativas.length,
+            defeito: percentual(mencoes.defeito, negativas.length),
+            tamanho: percentual(mencoes.tamanho, negativas.length),
+            atraso: percentual(mencoes.atraso, negativas.length)
+        },
+        // Percentual de todas as reviews que relatam defeito
+        percentualDefeito: percentual(mencoes.defeito, lista.length),
+        amostraInsuficiente: lista.length < AMOSTRA_MINIMA,
+        risco: 'baixo',
+        penalidade: 0,
+        alertas: []
+    };
+
+    if (sinais.amostraInsuficiente) {
+        return sinais;
+    }
+
+    // Penalidade (0-30 pontos na escala 0-100 do score qualitativo)
+    sinais.penalidade = Math.min(30, Math.round(sinais.percentualNegativas * 0.5 + sinais.percentualDefeito));
+
+    if (sinais.percentualDefeito >= 10) {
+        sinais.alertas.push(`Reviews relatam defeito/produto quebrado (${sinais.percentualDefeito}% do total)`);
+    }
+    if (sinais.negativas.total >= 3 && sinais.negativas.tamanho >= 40) {
+        sinais.alertas.push(`Reclamações de tamanho em ${sinais.negativas.tamanho}% das negativas`);
+    }
+    if (sinais.negativas.total >= 3 && sinais.negativas.atraso >= 40) {
+        sinais.alertas.push(`Reclamações de atraso na entrega em ${sinais.negativas.atraso}% das negativas`);
+    }
+
+    if (sinais.penalidade >= 15 || sinais.percentualDefeito >= 10) {
+        sinais.risco = 'alto';
+    } else if (sinais.penalidade >= 7 || sinais.alertas.length > 0) {
+        sinais.risco = 'medio';
+    }
+
+    return sinais;
+}
+
+/**
+ * Busca uma página de reviews na API de feedback
+ * @returns {Promise<{reviews: Array<Object>, totalPaginas: number}>}
+ */
+async function buscarPaginaReviews(productId, pagina, tamanhoPagina, limitador) {
+    const parametros = new URLSearchParams({
+        productId: String(productId),
+        lang: 'pt_BR',
+        country: 'BR',
+        page: String(pagina),
+        pageSize: String(tamanhoPagina),
+        filter: 'all',
+        sort: 'complex_default'
+    });
+    const url = `${URL_FEEDBACK}?${parametros}`;
+
+    if (limitador) {
+        await limitador.aguardarVez(url);
+    }
+
+    const { data } = await axios.get(url, {
+        timeout: 15000,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'application/json, text/plain, */*',
+            'Accept-Language': 'pt-BR,pt;q=0.9,en;q=0.8',
+            'Referer': `https://pt.aliexpress.com/item/${productId}.html`
+        }
+    });
+
+    const lista = data?.data?.evaViewList || [];
+    return {
+        reviews: Array.isArray(lista) ? lista.map(normalizarReview) : [],
+        totalPaginas: parseInt(data?.data?.totalPage || 0) || 0
+    };
+}
+
+/**
+ * Coleta as reviews de um produto e calcula os sinais de qualidade
+ * Falhas não interrompem a extração: retornam lista vazia e sinais nulos
+ *
+ * @param {string} productId - ID do produto no AliExpress
+ * @param {Object} [opcoes={}]
+ * @param {number} [opcoes.maxPaginas] - Páginas a coletar (padrão: CONFIG.reviews.maxPages; 0 desativa)
+ * @param {number} [opcoes.tamanhoPagina] - Reviews por página (padrão: CONFIG.reviews.pageSize)
+ * @param {LimitadorPorDominio} [opcoes.limitador] - Limitador compartilhado com o pool de abas
+ * @returns {Promise<{reviewsColetadas: Array<Object>, sinaisReviews: Object|null}>}
+ */
+export async function coletarReviews(productId, opcoes = {}) {
+    const maxPaginas = opcoes.maxPaginas ?? CONFIG.reviews?.maxPages ?? 0;
+    const tamanhoPagina = opcoes.tamanhoPagina ?? CONFIG.reviews?.pageSize ?? 20;
+
+    if (!productId || maxPaginas <= 0) {
+        return { reviewsColetadas: [], sinaisReviews: null };
+    }
+
+    const reviews = [];
+    try {
+        for (let pagina = 1; pagina <= maxPaginas; pagina++) {
+            const resultado = await buscarPaginaReviews(productId, pagina, tamanhoPagina, opcoes.limitador);
+            reviews.push(...resultado.reviews);
+
+            if (resultado.reviews.length < tamanhoPagina || pagina >= resultado.totalPaginas) {
+                break;
+            }
+        }
+    } catch (error) {
+        logErro(`⚠️ Erro ao coletar reviews do produto ${productId}: ${error.message}`);
+        if (reviews.length === 0) {
+            return { reviewsColetadas: [], sinaisReviews: null };
+        }
+    }
+
+    const sinaisReviews = calcularSinaisReviews(reviews);
+    logInfo(`💬 ${reviews.length} reviews de ${productId}: ${sinaisReviews.percentualNegativas}% negativas, ${sinaisReviews.percentualDefeito}% com defeito (risco ${sinaisReviews.risco})`);
+
+    return { reviewsColetadas: reviews, sinaisReviews };
+}
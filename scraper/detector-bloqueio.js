@@ -0,0 +1,274 @@
+/**
+ * DETECÇÃO DE BLOQUEIOS (SLIDER, PUNISH E CAPTCHA) COM RECUPERAÇÃO
+ *
+ * O AliExpress responde ao excesso de tráfego com um slider "deslize para
+ * verificar", com a página /punish ou com um diálogo de CAPTCHA. Sem detecção,
+ * a busca simplesmente não encontrava produtos e a categoria terminava por
+ * tentativas sem sucesso.
+ *
+ * Após cada navegação de busca e de PDP a página é inspecionada (URL, título,
+ * texto e marcadores do registro de seletores). O texto ("unusual traffic",
+ * "verificação de segurança") só conta em páginas sem produtos nem resultados de
+ * busca, já que descrições e avaliações podem citar essas expressões. Um bloqueio é tratado conforme
+ * a política configurada:
+ * - backoff: espera crescente e recarrega a página
+ * - rotate: descarta os cookies da sessão, espera e recarrega
+ * - pause: em modo visível, aguarda o operador resolver o desafio na janela
+ * - abort: desiste na hora
+ *
+ * Cada incidente é registrado nas métricas da sessão e conta como bloqueio do
+ * proxy ativo, que é rotacionado conforme PROXY_ROTATE_AFTER_BLOCKS.
+ *
+ * @author LoopStore
+ * @version 1.1.0 - Indícios de texto só em páginas sem conteúdo de busca ou PDP
+ */
+
+import { CONFIG } from '../config.js';
+import { delay, logInfo, logSucesso, logErro } from './utils.js';
+import { obterSeletores } from './registro-seletores.js';
+import { reproduzindo } from '../utils/fixtures-rede.js';
+import { metricas } from '../metrics/scraping-metrics.js';
+import { obterPoolProxies } from '../utils/pool-proxies.js';
+
+const INDICIOS_URL = [/\/punish/i, /_____tmd_____/i, /x5secdata/i, /\/captcha/i];
+
+const INDICIOS_TEXTO = [
+    /tr[aá]fego incomum|unusual traffic/i,
+    /deslize para (a direita|verificar)|slide to verify|please slide/i,
+    /verifica[çc][ãa]o de seguran[çc]a|security verification/i
+];
+
+const INTERVALO_VERIFICACAO_PAUSA_MS = 5000;
+
+// =================================
+// DETECÇÃO
+// =================================
+
+/**
+ * Classifica o estado da página a partir dos sinais coletados
+ * @param {Object} sinais
+ * @param {string} [sinais.url]
+ * @param {string} [sinais.titulo]
+ * @param {string} [sinais.texto] - Início do texto visível da página
+ * @param {{slider: string[], captcha: string[], conteudo: string[]}} [sinais.marcadores] - Seletores encontrados na página
+ * @returns {{bloqueado: boolean, tipo: string|null, indicio: string|null}}
+ */
+export function classificarBloqueio({ url = '', titulo = '', texto = '', marcadores = {} } = {}) {
+    if (marcadores.slider?.length > 0) {
+        return { bloqueado: true, tipo: 'slider', indicio: marcadores.slider[0] };
+    }
+
+    const indicioUrl = INDICIOS_URL.find(regex => regex.test(url));
+    if (indicioUrl) {
+        return { bloqueado: true, tipo: 'punish', indicio: url };
+    }
+
+    if (marcadores.captcha?.length > 0) {
+        return { bloqueado: true, tipo: 'captcha', indicio: marcadores.captcha[0] };
+    }
+
+    // Página com produtos ou resultados de busca não está bloqueada pelo texto: a PDP pode citar
+    // "security verification" na descrição e uma avaliação pode falar em "tráfego incomum"
+    if (marcadores.conteudo?.length > 0) {
+        return { bloqueado: false, tipo: null, indicio: null };
+    }
+
+    const indicioTexto = INDICIOS_TEXTO.find(regex => regex.test(`${titulo}\n${texto}`));
+    if (indicioTexto) {
+        const tipo = /deslize|slide/i.test(indicioTexto.source) ? 'slider' : 'captcha';
+        return { bloqueado: true, tipo, indicio: `${titulo}\n${texto}`.match(indicioTexto)[0] };
+    }
+
+    return { bloqueado: false, tipo: null, indicio: null };
+}
+
+/**
+ * Inspeciona a página atual em busca de slider, punish ou CAPTCHA
+ * Erros de inspeção (aba fechada, navegação em andamento) contam como não bloqueado
+ * @param {Page} page
+ * @returns {Promise<{bloqueado: boolean, tipo: string|null, indicio: string|null}>}
+ */
+export async function detectarBloqueio(page) {
+    try {
+        const seletores = {
+            slider: obterSeletores('bloqueioSlider'),
+            captcha: obterSeletores('bloqueioCaptcha'),
+            conteudo: obterSeletores('conteudoPagina')
+        };
+
+        const sinais = await page.evaluate((seletores) => {
+            const presentes = (lista) => lista.filter(seletor => {
+                try {
+                    return Boolean(document.querySelector(seletor));
+                } catch (seletorError) {
+                    return false;
+                }
+            });
+            return {
+                titulo: document.title || '',
+                texto: (document.body?.innerText || '').slice(0, 2000),
+                marcadores: {
+                    slider: presentes(seletores.slider),
+                    captcha: presentes(seletores.captcha),
+                    conteudo: presentes(seletores.conteudo)
+                }
+            };
+        }, seletores);
+
+        return classificarBloqueio({ url: page.url(), ...sinais });
+    } catch (error) {
+        return { bloqueado: false, tipo: null, indicio: null };
+    }
+}
+
+// =================================
+// RECUPERAÇÃO
+// =================================
+
+async function recarregar(page) {
+    try {
+        await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+        await delay(2000);
+    } catch (reloadError) {
+        logErro(`⚠️ Erro ao recarregar página bloqueada: ${reloadError.message}`);
+    }
+}
+
+async function descartarCookies(page) {
+    try {
+        const cookies = await page.cookies();
+        if (cookies.length > 0) {
+            await page.deleteCookie(...cookies);
+        }
+        logInfo(`🍪 Sessão rotacionada: ${cookies.length} cookies descartados`);
+    } catch (cookieError) {
+        logErro(`⚠️ Erro ao descartar cookies: ${cookieError.message}`);
+    }
+}
+
+/**
+ * Modo pause: aguarda o operador resolver o desafio na janela do Chrome
+ * @returns {Promise<boolean>} True se a página foi liberada dentro do prazo
+ */
+async function aguardarOperador(page, deteccao, contexto, limiteMs) {
+    logErro(`🙋 Bloqueio (${deteccao.tipo}) em ${contexto}: resolva o desafio na janela do Chrome. Aguardando até ${Math.round(limiteMs / 1000)}s...`);
+
+    const fim = Date.now() + limiteMs;
+    while (Date.now() < fim) {
+        await delay(Math.min(INTERVALO_VERIFICACAO_PAUSA_MS, Math.max(0, fim - Date.now())));
+        if (!(await detectarBloqueio(page)).bloqueado) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Aplica a política de recuperação a uma página bloqueada e registra o incidente
+ *
+ * @param {Page} page - Página bloqueada
+ * @param {Object} deteccao - Resultado de detectarBloqueio
+ * @param {Object} [opcoes={}]
+ * @param {string} [opcoes.contexto='busca'] - Onde o bloqueio ocorreu (busca, pdp)
+ * @param {string} [opcoes.chave=''] - Categoria/página ou ID do produto
+ * @param {string} [opcoes.politica] - backoff, rotate, pause ou abort (padrão: CONFIG.bloqueios.politica)
+ * @param {number} [opcoes.maxTentativas] - Tentativas de backoff/rotate
+ * @param {number} [opcoes.backoffMs] - Espera da primeira tentativa (dobra a cada tentativa)
+ * @param {number} [opcoes.pausaMaxMs] - Espera máxima pelo operador no modo pause
+ * @param {number} [opcoes.prazoMs=Infinity] - Tempo total disponível (ex.: timeout da tarefa do pool)
+ * @param {boolean} [opcoes.headless] - Modo headless (pause vira backoff)
+ * @param {string} [opcoes.proxyId] - Proxy da sessão bloqueada (padrão: proxy ativo do pool)
+ * @returns {Promise<{recuperado: boolean, tentativas: number, politica: string}>}
+ */
+export async function tratarBloqueio(page, deteccao, opcoes = {}) {
+    const config = CONFIG.bloqueios;
+    const contexto = opcoes.contexto || 'busca';
+    const chave = opcoes.chave || '';
+    const maxTentativas = opcoes.maxTentativas ?? config.maxTentativas;
+    const backoffMs = opcoes.backoffMs ?? config.backoffMs;
+    const headless = opcoes.headless ?? CONFIG.browser.headless;
+    const inicio = Date.now();
+    const fim = inicio + (opcoes.prazoMs ?? Infinity);
+
+    let politica = opcoes.politica || config.politica;
+    if (reproduzindo()) {
+        // Replay: recarregar a página gravada não muda nada
+        politica = 'abort';
+    } else if (politica === 'pause' && headless) {
+        logInfo('ℹ️ Política pause exige modo visível (HEADLESS=false); usando backoff');
+        politica = 'backoff';
+    }
+
+    logErro(`🛑 Bloqueio (${deteccao.tipo}) detectado em ${contexto}${chave ? ` ${chave}` : ''}: ${deteccao.indicio} - política ${politica}`);
+
+    // O proxy da sessão pode estar queimado: a troca vale a partir da próxima página de resultados
+    const poolProxies = obterPoolProxies();
+    const proxy = reproduzindo() ? null : (opcoes.proxyId ? poolProxies.proxyPorId(opcoes.proxyId) : poolProxies.ativo);
+    if (proxy) {
+        poolProxies.registrarBloqueio(proxy.id);
+    }
+
+    let recuperado = false;
+    let tentativas = 0;
+
+    if (politica === 'pause') {
+        tentativas = 1;
+        recuperado = await aguardarOperador(page, deteccao, contexto, Math.min(opcoes.pausaMaxMs ?? config.pausaMaxMs, fim - Date.now()));
+    } else if (politica !== 'abort') {
+        while (!recuperado && tentativas < maxTentativas) {
+            const espera = backoffMs * (2 ** tentativas);
+            if (Date.now() + espera > fim) {
+                logInfo(`⏱️ Sem tempo para nova espera de ${Math.round(espera / 1000)}s em ${contexto}`);
+                break;
+            }
+
+            tentativas++;
+            if (politica === 'rotate') {
+                await descartarCookies(page);
+            }
+            logInfo(`⏳ Tentativa ${tentativas}/${maxTentativas}: aguardando ${Math.round(espera / 1000)}s antes de recarregar`);
+            await delay(espera);
+            await recarregar(page);
+            recuperado = !(await detectarBloqueio(page)).bloqueado;
+        }
+    }
+
+    const incidente = {
+        contexto,
+        chave,
+        tipo: deteccao.tipo,
+        indicio: deteccao.indicio,
+        politica,
+        proxy: proxy?.id || null,
+        tentativas,
+        recuperado,
+        duracaoMs: Date.now() - inicio
+    };
+    metricas.registrarBloqueio(incidente);
+
+    if (recuperado) {
+        logSucesso(`✅ Bloqueio em ${contexto}${chave ? ` ${chave}` : ''} superado após ${tentativas} tentativa(s)`);
+    } else {
+        logErro(`❌ Bloqueio em ${contexto}${chave ? ` ${chave}` : ''} não resolvido (${politica}, ${tentativas} tentativa(s))`);
+    }
+
+    return { recuperado, tentativas, politica };
+}
+
+/**
+ * Verifica a página após uma navegação e, se bloqueada, aplica a política de recuperação
+ * @param {Page} page
+ * @param {string} contexto - busca ou pdp
+ * @param {string} [chave] - Categoria/página ou ID do produto
+ * @param {Object} [opcoes] - Repassadas a tratarBloqueio
+ * @returns {Promise<{liberado: boolean, deteccao: Object}>}
+ */
+export async function verificarBloqueio(page, contexto, chave = '', opcoes = {}) {
+    const deteccao = await detectarBloqueio(page);
+    if (!deteccao.bloqueado) {
+        return { liberado: true, deteccao };
+    }
+
+    const { recuperado } = await tratarBloqueio(page, deteccao, { ...opcoes, contexto, chave });
+    return { liberado: recuperado, deteccao };
+}
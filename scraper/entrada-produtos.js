@@ -0,0 +1,180 @@
+/**
+ * ENTRADA POR LISTA DE PRODUTOS (URLs OU IDs)
+ *
+ * Converte links do AliExpress recebidos de concorrentes ou de fornecedores
+ * (arquivo ou --products na CLI) em produtos básicos no mesmo formato da
+ * listagem da busca. Com eles, processCategory pula a busca e a paginação da
+ * FASE 1 e segue direto para os detalhes, o Mercado Livre, os filtros e o score.
+ *
+ * Formatos aceitos (um por linha, ou separados por vírgula/espaço):
+ *   1005006123456789
+ *   https://pt.aliexpress.com/item/1005006123456789.html
+ *   https://www.aliexpress.us/item/1005006123456789.html?spm=...
+ *   https://m.aliexpress.com/i/1005006123456789.html
+ *   https://a.aliexpress.com/_mKxyz12 (link curto, resolvido pelo redirecionamento)
+ * Linhas iniciadas por # são ignoradas.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Scraping por lista explícita de URLs/IDs
+ */
+
+import { readFile } from 'fs/promises';
+import axios from 'axios';
+import { logInfo, logErro } from './utils.js';
+
+export const ROTULO_LISTA_PADRAO = 'Lista de produtos';
+
+// Domínios dos links curtos de compartilhamento do app e de afiliados
+const DOMINIOS_LINK_CURTO = ['a.aliexpress.com', 's.click.aliexpress.com', 'click.aliexpress.com'];
+
+/**
+ * Extrai o ID do produto de um ID numérico ou de uma URL do AliExpress
+ * @param {string} entrada
+ * @returns {string|null} ID ou null se a entrada não identificar um produto
+ */
+export function extrairIdProduto(entrada) {
+    const texto = String(entrada || '').trim();
+    if (/^\d{8,20}$/.test(texto)) {
+        return texto;
+    }
+
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(texto) ? texto : `https://${texto}`);
+    } catch {
+        return null;
+    }
+    if (!/(^|\.)aliexpress\.[a-z.]+$/i.test(url.hostname)) {
+        return null;
+    }
+
+    const caminho = url.pathname.match(/\/(?:item|i)\/(\d{8,20})\.html/);
+    if (caminho) {
+        return caminho[1];
+    }
+
+    const parametro = url.searchParams.get('productId') || url.searchParams.get('itemId');
+    return /^\d{8,20}$/.test(parametro || '') ? parametro : null;
+}
+
+/**
+ * Link curto de compartilhamento (precisa seguir o redirecionamento para achar o ID)
+ * @param {string} entrada
+ * @returns {boolean}
+ */
+export function ehLinkCurto(entrada) {
+    try {
+        const texto = String(entrada || '').trim();
+        const url = new URL(/^https?:\/\//i.test(texto) ? texto : `https://${texto}`);
+        return DOMINIOS_LINK_CURTO.includes(url.hostname.toLowerCase());
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Separa um texto livre (arquivo ou --products) em entradas
+ * @param {string} texto
+ * @returns {Array<string>}
+ */
+export function separarEntradas(texto) {
+    return String(texto || '')
+        .split(/\r?\n/)
+        .map(linha => linha.trim())
+        .filter(linha => linha && !linha.startsWith('#'))
+        .flatMap(linha => linha.split(/[\s,;]+/))
+        .filter(Boolean);
+}
+
+/**
+ * Lê o arquivo de URLs/IDs
+ * @param {string} arquivo
+ * @returns {Promise<Array<string>>}
+ */
+export async function lerArquivoProdutos(arquivo) {
+    try {
+        return separarEntradas(await readFile(arquivo, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler a lista de produtos '${arquivo}': ${error.message}`);
+    }
+}
+
+/**
+ * Segue o redirecionamento de um link curto até a URL do produto
+ * @param {string} link
+ * @returns {Promise<string|null>} URL final ou null se não resolver
+ */
+export async function resolverLinkCurto(link) {
+    try {
+        const resposta = await axios.get(/^https?:\/\//i.test(link) ? link : `https://${link}`, {
+            maxRedirects: 5,
+            timeout: 15000,
+            responseType: 'text',
+            validateStatus: () => true
+        });
+        return resposta.request?.res?.responseUrl || null;
+    } catch (error) {
+        logErro(`⚠️ Erro ao resolver link curto ${link}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Produto básico no formato de extractProductsFromPage
+ * @param {string} productId
+ * @param {string} categoria - Rótulo usado nos checkpoints, métricas e planilha
+ * @returns {Object}
+ */
+export function criarProdutoEntrada(productId, categoria) {
+    const url = `https://pt.aliexpress.com/item/${productId}.html`;
+    return {
+        product_id: productId,
+        categoria,
+        aprovado: false,
+        is_bundle: false,
+        href: url,
+        nome: '',
+        preco: '',
+        url,
+        vendas: '',
+        origem: 'lista'
+    };
+}
+
+/**
+ * Converte as entradas em produtos básicos, sem repetir IDs e na ordem recebida
+ * @param {Array<string>} entradas - URLs, IDs ou links curtos
+ * @param {Object} [opcoes={}]
+ * @param {string} [opcoes.categoria=ROTULO_LISTA_PADRAO]
+ * @param {Function} [opcoes.resolverLink=resolverLinkCurto] - Resolução de links curtos
+ * @returns {Promise<{produtos: Array<Object>, invalidas: Array<string>}>}
+ */
+export async function montarListaProdutos(entradas, opcoes = {}) {
+    const categoria = opcoes.categoria || ROTULO_LISTA_PADRAO;
+    const resolverLink = opcoes.resolverLink || resolverLinkCurto;
+    const produtos = [];
+    const invalidas = [];
+    const vistos = new Set();
+
+    for (const entrada of entradas) {
+        let productId = extrairIdProduto(entrada);
+        if (!productId && ehLinkCurto(entrada)) {
+            productId = extrairIdProduto(await resolverLink(entrada));
+        }
+
+        if (!productId) {
+            invalidas.push(entrada);
+            continue;
+        }
+        if (!vistos.has(productId)) {
+            vistos.add(productId);
+            produtos.push(criarProdutoEntrada(productId, categoria));
+        }
+    }
+
+    if (invalidas.length > 0) {
+        logErro(`⚠️ ${invalidas.length} entrada(s) sem ID de produto reconhecível ignorada(s): ${invalidas.slice(0, 5).join(', ')}${invalidas.length > 5 ? '...' : ''}`);
+    }
+    logInfo(`📋 Lista de produtos: ${produtos.length} produto(s) único(s) de ${entradas.length} entrada(s)`);
+    return { produtos, invalidas };
+}
@@ -0,0 +1,124 @@
+/**
+ * ESTRATÉGIA DE NAVEGAÇÃO PARA DETALHES DE PRODUTO
+ *
+ * Decide como a PDP é aberta em extractProductDetails:
+ * - direct: abre /item/<id>.html diretamente (1 carregamento de página)
+ * - search: página inicial → campo de busca → clique no resultado (fluxo original)
+ * - auto:   aprende qual estratégia realmente dispara a interceptação de
+ *           mtop.aliexpress.pdp.pc.query e passa a usá-la
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Estratégia configurável com aprendizado por interceptação
+ */
+
+export const ESTRATEGIAS_DETALHES = ['direct', 'search', 'auto'];
+
+/**
+ * Seletor de estratégia compartilhado entre as extrações de uma execução
+ *
+ * No modo auto começa pela navegação direta (mais barata). Se a taxa de
+ * interceptação recente ficar abaixo do limiar, amostra a busca e passa a usar
+ * a que intercepta mais, reavaliando a outra periodicamente.
+ */
+export class SeletorEstrategiaDetalhes {
+    /**
+     * @param {string} [modo='auto'] - direct, search ou auto
+     * @param {Object} [opcoes={}]
+     * @param {number} [opcoes.amostrasMinimas=3] - Tentativas antes de julgar uma estratégia
+     * @param {number} [opcoes.limiarSucesso=0.6] - Taxa de interceptação mínima para manter a navegação direta
+     * @param {number} [opcoes.janela=20] - Quantidade de resultados recentes considerados na taxa
+     * @param {number} [opcoes.intervaloReavaliacao=15] - A cada N escolhas, testa a estratégia preterida
+     */
+    constructor(modo = 'auto', opcoes = {}) {
+        if (!ESTRATEGIAS_DETALHES.includes(modo)) {
+            throw new Error(`Estratégia de detalhes inválida: '${modo}'. Use: ${ESTRATEGIAS_DETALHES.join(', ')}`);
+        }
+
+        this.modo = modo;
+        this.amostrasMinimas = opcoes.amostrasMinimas ?? 3;
+        this.limiarSucesso = opcoes.limiarSucesso ?? 0.6;
+        this.janela = opcoes.janela ?? 20;
+        this.intervaloReavaliacao = opcoes.intervaloReavaliacao ?? 15;
+
+        this.escolhas = 0;
+        this.historico = { direct: [], search: [] };
+        this.totais = {
+            direct: { tentativas: 0, interceptadas: 0 },
+            search: { tentativas: 0, interceptadas: 0 }
+        };
+    }
+
+    /**
+     * Taxa de interceptação recente de uma estratégia (null sem amostras suficientes)
+     * @param {string} estrategia - direct ou search
+     * @returns {number|null}
+     */
+    taxa(estrategia) {
+        const resultados = this.historico[estrategia];
+        if (resultados.length < this.amostrasMinimas) {
+            return null;
+        }
+        return resultados.filter(Boolean).length / resultados.length;
+    }
+
+    /**
+     * Escolhe a estratégia para a próxima extração
+     * @returns {string} direct ou search
+     */
+    escolher() {
+        if (this.modo !== 'auto') {
+            return this.modo;
+        }
+
+        this.escolhas++;
+        const taxaDireta = this.taxa('direct');
+
+        if (taxaDireta === null || taxaDireta >= this.limiarSucesso) {
+            return 'direct';
+        }
+
+        const taxaBusca = this.taxa('search');
+        if (taxaBusca === null) {
+            return 'search';
+        }
+
+        const melhor = taxaBusca > taxaDireta ? 'search' : 'direct';
+        const preterida = melhor === 'search' ? 'direct' : 'search';
+
+        // Reavaliação periódica: a estratégia preterida pode voltar a funcionar
+        return this.escolhas % this.intervaloReavaliacao === 0 ? preterida : melhor;
+    }
+
+    /**
+     * Registra se a estratégia usada disparou a interceptação da API da PDP
+     * @param {string} estrategia - direct ou search
+     * @param {boolean} interceptada - true se mtop.aliexpress.pdp.pc.query foi capturada
+     */
+    registrar(estrategia, interceptada) {
+        if (!this.historico[estrategia]) {
+            return;
+        }
+
+        this.historico[estrategia].push(Boolean(interceptada));
+        if (this.historico[estrategia].length > this.janela) {
+            this.historico[estrategia].shift();
+        }
+
+        this.totais[estrategia].tentativas++;
+        if (interceptada) {
+            this.totais[estrategia].interceptadas++;
+        }
+    }
+
+    /**
+     * Resumo para logs e métricas
+     * @returns {Object} Modo e totais por estratégia
+     */
+    resumo() {
+        return {
+            modo: this.modo,
+            direct: { ...this.totais.direct, taxaRecente: this.taxa('direct') },
+            search: { ...this.totais.search, taxaRecente: this.taxa('search') }
+        };
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * FILTROS DA PÁGINA DE RESULTADOS DO ALIEXPRESS
+ *
+ * Opções de busca por categoria (faixa de preço, país de envio, frete grátis,
+ * 4 estrelas ou mais, itens Choice e ordenação por mais vendidos) lidas de
+ * config/filtros-busca.json. Os filtros entram como parâmetros da URL de busca;
+ * os interruptores também são conferidos na interface, e a faixa de preço é
+ * revalidada na listagem para que produtos fracos não cheguem à FASE 1.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Filtros de busca por categoria
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { CONFIG } from '../config.js';
+import { converterPreco } from './variantes-sku.js';
+import { delay, logInfo, logErro } from './utils.js';
+
+/**
+ * Filtros aplicados quando o arquivo não existe ou a categoria não tem entrada
+ * maisVendidos = true mantém o comportamento anterior (filtrarPorMaisVendidos)
+ */
+export const FILTROS_PADRAO = Object.freeze({
+    precoMin: null,
+    precoMax: null,
+    enviadoDe: null,
+    freteGratis: false,
+    avaliacao4Mais: false,
+    choice: false,
+    maisVendidos: true
+});
+
+// Interruptores da listagem: código do filtro na URL e textos do rótulo na interface
+const INTERRUPTORES = {
+    freteGratis: { codigo: 'freeshipping', rotulos: ['frete grátis', 'free shipping'] },
+    avaliacao4Mais: { codigo: '4StarRating', rotulos: ['4 estrelas', '4 stars', '4★'] },
+    choice: { codigo: 'choice', rotulos: ['choice'] }
+};
+
+let arquivoCarregado = null;
+
+// =================================
+// CARREGAMENTO E VALIDAÇÃO
+// =================================
+
+function numeroOuNulo(valor, campo, categoria) {
+    if (valor === null || valor === undefined || valor === '') {
+        return null;
+    }
+    const numero = Number(valor);
+    if (!Number.isFinite(numero) || numero < 0) {
+        console.warn(`⚠️  ${campo} inválido em '${categoria}' (${valor}). Ignorando`);
+        return null;
+    }
+    return numero;
+}
+
+/**
+ * Valida e completa as opções de busca de uma categoria
+ * @param {Object} opcoes - Opções cruas do arquivo
+ * @param {string} [categoria] - Apenas para as mensagens de aviso
+ * @returns {Object} Filtros completos (ver FILTROS_PADRAO)
+ */
+export function normalizarFiltrosBusca(opcoes = {}, categoria = 'padrao') {
+    const filtros = { ...FILTROS_PADRAO };
+
+    filtros.precoMin = numeroOuNulo(opcoes.precoMin, 'precoMin', categoria);
+    filtros.precoMax = numeroOuNulo(opcoes.precoMax, 'precoMax', categoria);
+    if (filtros.precoMin !== null && filtros.precoMax !== null && filtros.precoMin > filtros.precoMax) {
+        console.warn(`⚠️  precoMin maior que precoMax em '${categoria}'. Invertendo a faixa`);
+        [filtros.precoMin, filtros.precoMax] = [filtros.precoMax, filtros.precoMin];
+    }
+
+    if (opcoes.enviadoDe) {
+        const pais = String(opcoes.enviadoDe).trim().toUpperCase();
+        if (/^[A-Z]{2}$/.test(pais)) {
+            filtros.enviadoDe = pais;
+        } else {
+            console.warn(`⚠️  enviadoDe inválido em '${categoria}' (${opcoes.enviadoDe}). Use o código do país, ex.: BR`);
+        }
+    }
+
+    for (const campo of ['freteGratis', 'avaliacao4Mais', 'choice', 'maisVendidos']) {
+        if (typeof opcoes[campo] === 'boolean') {
+            filtros[campo] = opcoes[campo];
+        }
+    }
+
+    return filtros;
+}
+
+/**
+ * Lê o arquivo de filtros (uma vez por processo)
+ * Formato: { "padrao": {...}, "categorias": { "Tecnologia": {...} } }
+ * @returns {{padrao: Object, categorias: Object}}
+ */
+function carregarArquivoFiltros() {
+    if (arquivoCarregado) {
+        return arquivoCarregado;
+    }
+
+    arquivoCarregado = { padrao: {}, categorias: {} };
+    const arquivo = CONFIG.search.filtersFile;
+    if (!arquivo || !existsSync(arquivo)) {
+        return arquivoCarregado;
+    }
+
+    try {
+        const conteudo = JSON.parse(readFileSync(arquivo, 'utf-8'));
+        arquivoCarregado = {
+            padrao: conteudo.padrao || {},
+            categorias: conteudo.categorias || {}
+        };
+        logInfo(`🎛️ Filtros de busca carregados de ${arquivo} (${Object.keys(arquivoCarregado.categorias).length} categorias)`);
+    } catch (error) {
+        logErro(`⚠️ Arquivo de filtros de busca inválido (${arquivo}): ${error.message}. Usando padrão`);
+    }
+
+    return arquivoCarregado;
+}
+
+/**
+ * Descarta o arquivo carregado (testes ou troca de arquivo na mesma execução)
+ */
+export function reiniciarFiltrosBusca() {
+    arquivoCarregado = null;
+}
+
+/**
+ * Filtros de uma categoria: padrão do arquivo + entrada da categoria (nome sem diferenciar maiúsculas)
+ * @param {string} categoria
+ * @returns {Object}
+ */
+export function obterFiltrosCategoria(categoria) {
+    const { padrao, categorias } = carregarArquivoFiltros();
+    const chave = Object.keys(categorias).find(nome => nome.toLowerCase() === String(categoria).toLowerCase());
+    return normalizarFiltrosBusca({ ...padrao, ...(chave ? categorias[chave] : {}) }, categoria);
+}
+
+// =================================
+// APLICAÇÃO NA BUSCA
+// =================================
+
+/**
+ * Indica se algum filtro além da ordenação está ativo
+ * @param {Object} filtros
+ * @returns {boolean}
+ */
+export function possuiFiltrosBusca(filtros) {
+    return filtros.precoMin !== null ||
+        filtros.precoMax !== null ||
+        filtros.enviadoDe !== null ||
+        Object.keys(INTERRUPTORES).some(campo => filtros[campo]);
+}
+
+/**
+ * Acrescenta os filtros como parâmetros à URL da página de resultados
+ * @param {string} urlBusca - URL atual da busca
+ * @param {Object} filtros
+ * @returns {string}
+ */
+export function aplicarFiltrosNaUrl(urlBusca, filtros) {
+    const url = new URL(urlBusca);
+
+    if (filtros.precoMin !== null) {
+        url.searchParams.set('minPrice', String(filtros.precoMin));
+    }
+    if (filtros.precoMax !== null) {
+        url.searchParams.set('maxPrice', String(filtros.precoMax));
+    }
+    if (filtros.enviadoDe) {
+        url.searchParams.set('shipFromCountry', filtros.enviadoDe);
+    }
+    if (filtros.freteGratis) {
+        url.searchParams.set('isFreeShip', 'y');
+    }
+
+    const interruptores = Object.entries(INTERRUPTORES)
+        .filter(([campo]) => filtros[campo])
+        .map(([, { codigo }]) => `filterCode:${codigo}`);
+    if (interruptores.length > 0) {
+        url.searchParams.set('selectedSwitches', interruptores.join(','));
+    }
+
+    return url.toString();
+}
+
+/**
+ * Confere na interface os interruptores pedidos e marca os que não vieram ativos da URL
+ * Nunca desmarca: só clica em opções ainda não selecionadas
+ * @param {Page} page
+ * @param {Object} filtros
+ * @returns {Promise<string[]>} Filtros marcados pela interface
+ */
+async function marcarInterruptoresNaInterface(page, filtros) {
+    const pedidos = Object.entries(INTERRUPTORES)
+        .filter(([campo]) => filtros[campo])
+        .map(([campo, { rotulos }]) => ({ campo, rotulos }));
+
+    if (pedidos.length === 0) {
+        return [];
+    }
+
+    return page.evaluate((pedidos) => {
+        const marcados = [];
+        const candidatos = Array.from(document.querySelectorAll('label, [role="checkbox"], [role="switch"], [class*="switch"], [class*="checkbox"]'));
+
+        for (const { campo, rotulos } of pedidos) {
+            const elemento = candidatos.find(el => {
+                const texto = (el.innerText || '').trim().toLowerCase();
+                return texto.length > 0 && texto.length < 60 && rotulos.some(rotulo => texto.includes(rotulo));
+            });
+            if (!elemento) {
+                continue;
+            }
+
+            const caixa = elemento.querySelector('input[type="checkbox"]');
+            const marcado = elemento.getAttribute('aria-checked') === 'true' ||
+                (caixa && caixa.checked) ||
+                /checked|selected|active/.test(elemento.className || '');
+            if (!marcado) {
+                elemento.click();
+                marcados.push(campo);
+            }
+        }
+
+        return marcados;
+    }, pedidos);
+}
+
+/**
+ * Aplica os filtros da categoria à página de resultados aberta pela busca
+ * Falhas não interrompem a busca: a validação da listagem ainda protege a FASE 1
+ * @param {Page} page - Página já com os resultados da busca
+ * @param {Object} filtros - Filtros da categoria
+ * @returns {Promise<boolean>} True se a URL filtrada foi aberta
+ */
+export async function aplicarFiltrosBusca(page, filtros) {
+    if (!possuiFiltrosBusca(filtros)) {
+        return false;
+    }
+
+    try {
+        const urlFiltrada = aplicarFiltrosNaUrl(page.url(), filtros);
+        logInfo(`🎛️ Aplicando filtros de busca: ${descreverFiltrosBusca(filtros)}`);
+        await page.goto(urlFiltrada, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await delay(2500);
+
+        const marcadosNaInterface = await marcarInterruptoresNaInterface(page, filtros);
+        if (marcadosNaInterface.length > 0) {
+            logInfo(`🎛️ Filtros marcados pela interface: ${marcadosNaInterface.join(', ')}`);
+            await delay(2500);
+        }
+        return true;
+    } catch (error) {
+        logErro(`⚠️ Erro ao aplicar filtros de busca: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Texto curto dos filtros ativos para logs
+ * @param {Object} filtros
+ * @returns {string}
+ */
+export function descreverFiltrosBusca(filtros) {
+    const partes = [];
+    if (filtros.precoMin !== null || filtros.precoMax !== null) {
+        partes.push(`preço ${filtros.precoMin ?? 0}-${filtros.precoMax ?? '∞'}`);
+    }
+    if (filtros.enviadoDe) {
+        partes.push(`enviado de ${filtros.enviadoDe}`);
+    }
+    if (filtros.freteGratis) {
+        partes.push('frete grátis');
+    }
+    if (filtros.avaliacao4Mais) {
+        partes.push('4★+');
+    }
+    if (filtros.choice) {
+        partes.push('Choice');
+    }
+    return partes.join(', ') || 'nenhum';
+}
+
+// =================================
+// VALIDAÇÃO DA LISTAGEM
+// =================================
+
+/**
+ * Preço do cartão da listagem (o primeiro valor; o segundo costuma ser o preço riscado)
+ * @param {string|number} preco
+ * @returns {number} 0 quando não identificado
+ */
+export function precoDaListagem(preco) {
+    if (typeof preco === 'number') {
+        return preco;
+    }
+    const primeiro = String(preco || '').match(/\d[\d.,]*/);
+    return primeiro ? converterPreco(primeiro[0]) : 0;
+}
+
+/**
+ * Descarta cartões fora da faixa de preço da categoria
+ * Cartões sem preço legível seguem adiante (a PDP decide)
+ * @param {Array} produtos - Produtos extraídos da listagem
+ * @param {Object} filtros
+ * @returns {{aprovados: Array, descartados: number}}
+ */
+export function filtrarListagemPorFiltros(produtos, filtros) {
+    const aprovados = produtos.filter(produto => {
+        const preco = precoDaListagem(produto.preco);
+        if (!preco) {
+            return true;
+        }
+        if (filtros.precoMin !== null && preco < filtros.precoMin) {
+            return false;
+        }
+        if (filtros.precoMax !== null && preco > filtros.precoMax) {
+            return false;
+        }
+        return true;
+    });
+
+    return { aprovados, descartados: produtos.length - aprovados.length };
+}
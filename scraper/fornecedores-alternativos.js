@@ -0,0 +1,319 @@
+/**
+ * FORNECEDORES ALTERNATIVOS PARA PRODUTOS APROVADOS
+ *
+ * Para cada produto aprovadoFinal, procura o mesmo item em outras lojas do
+ * AliExpress (busca pelo título e, quando possível, pela imagem principal),
+ * confirma os candidatos com pHash (compararImagensPorHash) e similaridade
+ * semântica (compararSemantica) e anexa ao produto uma lista ranqueada
+ * `fornecedoresAlternativos` com preço, frete e score da loja.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Busca de fornecedores alternativos por título e imagem
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { CONFIG } from '../config.js';
+import { delay, logInfo, logSucesso, logErro } from './utils.js';
+import { compararImagensPorHash } from '../utils/comparador-imagens.js';
+import { reproduzindo, gravarPagina, urlPaginaGravada } from '../utils/fixtures-rede.js';
+import { converterPreco } from './variantes-sku.js';
+import { obterPerfilLoja } from './perfil-lojas.js';
+
+// Limiares de aceitação de um candidato como "mesmo item"
+const LIMIAR_IMAGEM = 80;
+const LIMIAR_TITULO = 70;
+const LIMIAR_IMAGEM_COM_TITULO = 60;
+
+// =================================
+// COMPARAÇÃO E RANKING
+// =================================
+
+/**
+ * Similaridade semântica dos títulos
+ * O módulo semântico é carregado sob demanda: o modelo de embeddings é pesado
+ */
+async function compararTitulos(titulo1, titulo2) {
+    const { compararSemantica } = await import('../utils/analisador-semantico.js');
+    return compararSemantica(titulo1, titulo2);
+}
+
+/**
+ * Decide se o candidato é o mesmo item
+ * Imagem muito parecida basta; título parecido precisa de alguma confirmação visual
+ *
+ * @param {Object} similaridades
+ * @param {number|null} similaridades.imagem - Similaridade pHash (0-100) ou null sem imagem
+ * @param {number|null} similaridades.titulo - Similaridade semântica (0-100)
+ * @returns {boolean}
+ */
+export function candidatoEhMesmoItem({ imagem, titulo }) {
+    if (imagem !== null && imagem !== undefined && imagem >= LIMIAR_IMAGEM) {
+        return true;
+    }
+    if ((titulo ?? 0) < LIMIAR_TITULO) {
+        return false;
+    }
+    return imagem === null || imagem === undefined || imagem >= LIMIAR_IMAGEM_COM_TITULO;
+}
+
+/**
+ * Ordena os fornecedores alternativos
+ * Pontuação: 40% similaridade, 35% score da loja, 25% economia no custo total (preço + frete)
+ *
+ * @param {Array<Object>} fornecedores - Candidatos confirmados com preco, custoFrete, loja e similaridades
+ * @param {Object} produtoOriginal - Produto aprovado (preco, custoFrete)
+ * @returns {Array<Object>} Fornecedores com custoTotal, economiaPercentual e pontuacao, do melhor para o pior
+ */
+export function rankearFornecedores(fornecedores, produtoOriginal) {
+    const custoOriginal = converterPreco(produtoOriginal?.preco) + (parseFloat(produtoOriginal?.custoFrete) || 0);
+
+    return (Array.isArray(fornecedores) ? fornecedores : [])
+        .filter(fornecedor => converterPreco(fornecedor.preco) > 0)
+        .map(fornecedor => {
+            const preco = converterPreco(fornecedor.preco);
+            const custoFrete = parseFloat(fornecedor.custoFrete) || 0;
+            const custoTotal = Math.round((preco + custoFrete) * 100) / 100;
+            const economiaPercentual = custoOriginal > 0
+                ? Math.round(((custoOriginal - custoTotal) / custoOriginal) * 1000) / 10
+                : 0;
+
+            const similaridade = Math.max(fornecedor.similaridadeImagem ?? 0, fornecedor.similaridadeTitulo ?? 0);
+            const scoreLoja = fornecedor.loja?.score ?? 50;
+            const pontuacaoEconomia = Math.min(100, Math.max(0, 50 + economiaPercentual));
+
+            return {
+                ...fornecedor,
+                preco,
+                custoFrete,
+                custoTotal,
+                economiaPercentual,
+                pontuacao: Math.round(similaridade * 0.4 + scoreLoja * 0.35 + pontuacaoEconomia * 0.25)
+            };
+        })
+        .sort((a, b) => b.pontuacao - a.pontuacao || a.custoTotal - b.custoTotal);
+}
+
+// =================================
+// BUSCA NO ALIEXPRESS
+// =================================
+
+/**
+ * Termo de busca a partir do título: primeiras palavras significativas
+ */
+export function termoBuscaAlternativos(titulo, maxPalavras = 8) {
+    return String(titulo || '')
+        .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+        .split(/\s+/)
+        .filter(palavra => palavra.length > 1)
+        .slice(0, maxPalavras)
+        .join(' ');
+}
+
+/**
+ * Lê os cards de resultado da página atual (id, título, preço e imagem)
+ */
+async function extrairCandidatosDaPagina(aba) {
+    return aba.evaluate(() => {
+        const cards = Array.from(document.querySelectorAll('a[href*="/item/"]'));
+        const vistos = new Set();
+        const candidatos = [];
+
+        for (const card of cards) {
+            const id = (card.href.match(/\/item\/(\d+)\.html/) || [])[1];
+            if (!id || vistos.has(id)) continue;
+            vistos.add(id);
+
+            const titulo = card.querySelector('h1, h2, h3, [title]');
+            const preco = card.querySelector('.search-card-item-price, [class*="price"]');
+            const imagem = card.querySelector('img');
+
+            candidatos.push({
+                product_id: id,
+                url: card.href,
+                nome: (titulo?.innerText || titulo?.getAttribute('title') || '').trim(),
+                preco: (preco?.innerText || '').trim(),
+                imagemURL: imagem?.src || imagem?.getAttribute('data-src') || ''
+            });
+        }
+
+        return candidatos;
+    });
+}
+
+async function buscarPorTitulo(aba, produto, limitador) {
+    const chave = `${produto.product_id}-titulo`;
+
+    if (reproduzindo()) {
+        const urlGravada = await urlPaginaGravada('alternativos', chave);
+        if (!urlGravada) return [];
+        await aba.goto(urlGravada, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        return extrairCandidatosDaPagina(aba);
+    }
+
+    const termo = termoBuscaAlternativos(produto.nome);
+    if (!termo) return [];
+
+    const url = `https://pt.aliexpress.com/w/wholesale-${encodeURIComponent(termo.replace(/\s+/g, '-'))}.html?SearchText=${encodeURIComponent(termo)}`;
+    await limitador?.aguardarVez(url);
+    await aba.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await delay(2500);
+
+    await gravarPagina(aba, 'alternativos', chave);
+    return extrairCandidatosDaPagina(aba);
+}
+
+/**
+ * Busca por imagem: envia a imagem principal no campo de busca visual da página inicial
+ * Depende da interface do AliExpress; qualquer falha apenas retorna lista vazia
+ */
+async function buscarPorImagem(aba, produto, limitador) {
+    if (reproduzindo() || !produto.imagemPrincipal) {
+        return [];
+    }
+
+    const arquivoImagem = path.join(os.tmpdir(), `busca-imagem-${process.pid}-${produto.product_id}.jpg`);
+    try {
+        const { data } = await axios.get(produto.imagemPrincipal, { responseType: 'arraybuffer', timeout: 15000 });
+        await fs.writeFile(arquivoImagem, data);
+
+        await limitador?.aguardarVez('https://pt.aliexpress.com');
+        await aba.goto('https://pt.aliexpress.com', { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await delay(2000);
+
+        const campoArquivo = await aba.$('input[type="file"]');
+        if (!campoArquivo) {
+            logInfo(`📷 Busca por imagem indisponível na página inicial`);
+            return [];
+        }
+
+        await campoArquivo.uploadFile(arquivoImagem);
+        await aba.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
+        await delay(2500);
+
+        return extrairCandidatosDaPagina(aba);
+    } catch (error) {
+        logErro(`⚠️ Busca por imagem falhou para ${produto.product_id}: ${error.message}`);
+        return [];
+    } finally {
+        await fs.rm(arquivoImagem, { force: true });
+    }
+}
+
+function imagemPrincipal(produto) {
+    const imagens = Array.isArray(produto.imagens)
+        ? produto.imagens
+        : String(produto.imagens || '').split(',').map(img => img.trim()).filter(Boolean);
+    const url = produto.imagemURL || imagens[0] || '';
+    return url.startsWith('//') ? `https:${url}` : url;
+}
+
+// =================================
+// FLUXO PRINCIPAL
+// =================================
+
+/**
+ * Procura o mesmo item em outras lojas e retorna a lista ranqueada de fornecedores alternativos
+ *
+ * @param {Page} aba - Aba usada para as buscas e para abrir as PDPs dos candidatos
+ * @param {Object} produto - Produto aprovado (nome, imagens, preco, custoFrete)
+ * @param {Object} opcoes
+ * @param {Function} opcoes.extrairDetalhes - (aba, candidato) => detalhes da PDP (extractProductDetails)
+ * @param {LimitadorPorDominio} [opcoes.limitador] - Limitador de navegações por domínio
+ * @param {number} [opcoes.maxFornecedores] - Máximo de candidatos detalhados (padrão: CONFIG.fornecedoresAlternativos.max)
+ * @param {Object} [opcoes.comparadores] - { imagem(url1, url2), titulo(t1, t2) } para substituir pHash/semântica
+ * @returns {Promise<Array<Object>>} fornecedoresAlternativos (vazio em caso de falha)
+ */
+export async function buscarFornecedoresAlternativos(aba, produto, opcoes = {}) {
+    const maxFornecedores = opcoes.maxFornecedores ?? CONFIG.fornecedoresAlternativos?.max ?? 0;
+    if (!produto?.product_id || maxFornecedores <= 0) {
+        return [];
+    }
+
+    const compararImagem = opcoes.comparadores?.imagem || compararImagensPorHash;
+    const compararTitulo = opcoes.comparadores?.titulo || compararTitulos;
+
+    try {
+        const referencia = { ...produto, imagemPrincipal: imagemPrincipal(produto) };
+        logInfo(`🔄 Buscando fornecedores alternativos para ${produto.product_id}...`);
+
+        // 1. Candidatos da busca por título e por imagem (sem repetir o próprio produto)
+        const encontrados = [
+            ...await buscarPorTitulo(aba, referencia, opcoes.limitador),
+            ...await buscarPorImagem(aba, referencia, opcoes.limitador)
+        ];
+        const candidatos = [...new Map(
+            encontrados
+                .filter(candidato => candidato.product_id !== String(produto.product_id))
+                .map(candidato => [candidato.product_id, candidato])
+        ).values()];
+
+        if (candidatos.length === 0) {
+            logInfo(`🔄 Nenhum candidato encontrado para ${produto.product_id}`);
+            return [];
+        }
+
+        // 2. Similaridade de título em todos; pHash só nos mais parecidos (download de imagem é caro)
+        for (const candidato of candidatos) {
+            const resultado = await compararTitulo(produto.nome || '', candidato.nome || '');
+            candidato.similaridadeTitulo = resultado?.score ?? 0;
+        }
+        candidatos.sort((a, b) => b.similaridadeTitulo - a.similaridadeTitulo);
+
+        const confirmados = [];
+        for (const candidato of candidatos.slice(0, maxFornecedores * 3)) {
+            candidato.similaridadeImagem = null;
+            if (referencia.imagemPrincipal && candidato.imagemURL) {
+                try {
+                    const resultado = await compararImagem(referencia.imagemPrincipal, candidato.imagemURL);
+                    candidato.similaridadeImagem = resultado?.similaridade ?? null;
+                } catch (error) {
+                    logErro(`⚠️ pHash falhou para candidato ${candidato.product_id}: ${error.message}`);
+                }
+            }
+
+            if (candidatoEhMesmoItem({ imagem: candidato.similaridadeImagem, titulo: candidato.similaridadeTitulo })) {
+                confirmados.push(candidato);
+                if (confirmados.length >= maxFornecedores) break;
+            }
+        }
+
+        // 3. PDP de cada candidato confirmado: preço, frete e perfil da loja
+        const fornecedores = [];
+        for (const candidato of confirmados) {
+            try {
+                const detalhes = await opcoes.extrairDetalhes(aba, candidato);
+                const perfilLoja = await obterPerfilLoja(aba, detalhes?.perfilLoja, { limitador: opcoes.limitador });
+
+                fornecedores.push({
+                    product_id: candidato.product_id,
+                    nome: detalhes?.titulo || candidato.nome,
+                    url: `https://pt.aliexpress.com/item/${candidato.product_id}.html`,
+                    preco: detalhes?.preco || candidato.preco,
+                    custoFrete: detalhes?.custoFrete || 0,
+                    tempoEntrega: detalhes?.tempoEntrega || 0,
+                    similaridadeImagem: candidato.similaridadeImagem,
+                    similaridadeTitulo: candidato.similaridadeTitulo,
+                    loja: {
+                        lojaId: perfilLoja?.lojaId || '',
+                        nome: perfilLoja?.nome || detalhes?.vendedor || '',
+                        score: perfilLoja?.confiabilidade?.score ?? null,
+                        nivel: perfilLoja?.confiabilidade?.nivel || 'desconhecida'
+                    }
+                });
+            } catch (error) {
+                logErro(`⚠️ Erro ao detalhar candidato ${candidato.product_id}: ${error.message}`);
+            }
+        }
+
+        const ranqueados = rankearFornecedores(fornecedores, produto);
+        logSucesso(`🔄 ${ranqueados.length} fornecedores alternativos para ${produto.product_id}`);
+        return ranqueados;
+
+    } catch (error) {
+        logErro(`❌ Erro na busca de fornecedores alternativos para ${produto.product_id}: ${error.message}`);
+        return [];
+    }
+}
@@ -0,0 +1,377 @@
+/**
+ * PERFIL DE LOJAS (FORNECEDORES) DO ALIEXPRESS
+ *
+ * Monta o perfil da loja de cada produto detalhado: idade, seguidores,
+ * % de feedback positivo, quantidade de anúncios e notas detalhadas
+ * ("como descrito", comunicação e envio). O ponto de partida é o cartão
+ * SHOP_CARD_PC do JSON da PDP; o restante vem de uma visita à página da loja.
+ *
+ * Perfis ficam em cache por ID da loja (database/cache-lojas.json) e expõem
+ * um score de confiabilidade (0-100) consumido por assessRisk e pelo scorer.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Perfil de lojas com cache e score de confiabilidade
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { delay, logInfo, logErro } from './utils.js';
+import { reproduzindo, gravarPagina, urlPaginaGravada } from '../utils/fixtures-rede.js';
+
+// =================================
+// EXTRAÇÃO DE DADOS
+// =================================
+
+/**
+ * Converte contagens como "12,5 mil", "1.2K", "3.456" em número
+ * @param {string|number} texto
+ * @returns {number|null}
+ */
+export function converterContagem(texto) {
+    if (typeof texto === 'number') {
+        return Number.isFinite(texto) ? texto : null;
+    }
+
+    const correspondencia = String(texto || '').trim().match(/^([\d.,]+)\s*(mil|k|m|mi)?\b/i);
+    if (!correspondencia) {
+        return null;
+    }
+
+    const [, numero, sufixo] = correspondencia;
+    const multiplicador = { mil: 1000, k: 1000, m: 1000000, mi: 1000000 }[(sufixo || '').toLowerCase()] || 1;
+
+    // Com sufixo, vírgula/ponto é decimal (1,2 mil; 1.2K); sem sufixo, é separador de milhar
+    const valor = multiplicador > 1
+        ? parseFloat(numero.replace(',', '.'))
+        : parseFloat(numero.replace(/[.,]/g, ''));
+
+    return Number.isFinite(valor) ? Math.round(valor * multiplicador) : null;
+}
+
+const MESES = {
+    jan: 0, fev: 1, feb: 1, mar: 2, abr: 3, apr: 3, mai: 4, may: 4, jun: 5,
+    jul: 6, ago: 7, aug: 7, set: 8, sep: 8, out: 9, oct: 9, nov: 10, dez: 11, dec: 11
+};
+
+/**
+ * Idade da loja em anos a partir da data de abertura ("Jun 12, 2019", "12 jun 2019", "2019-06-12")
+ * @param {string} abertura
+ * @param {Date} [agora=new Date()]
+ * @returns {number|null} Anos com uma casa decimal
+ */
+export function calcularIdadeLoja(abertura, agora = new Date()) {
+    const texto = String(abertura || '').toLowerCase();
+    const ano = texto.match(/\b(19|20)\d{2}\b/);
+    if (!ano) {
+        return null;
+    }
+
+    const mes = Object.entries(MESES).find(([nome]) => new RegExp(`\\b${nome}`).test(texto));
+    const mesIso = texto.match(/\b(19|20)\d{2}-(\d{2})/);
+    const indiceMes = mes ? mes[1] : (mesIso ? parseInt(mesIso[2]) - 1 : 0);
+
+    const inicio = new Date(parseInt(ano[0]), indiceMes, 1);
+    const anos = (agora - inicio) / (365.25 * 24 * 60 * 60 * 1000);
+    return anos >= 0 ? Math.round(anos * 10) / 10 : null;
+}
+
+/**
+ * Perfil inicial a partir do cartão da loja no JSON da PDP (SHOP_CARD_PC)
+ * @param {Object} cartao - data.SHOP_CARD_PC
+ * @returns {Object} Perfil parcial
+ */
+export function perfilDoCartaoLoja(cartao) {
+    const loja = cartao || {};
+    const lojaId = String(loja.storeNum ?? loja.storeId ?? loja.sellerInfo?.storeNum ?? '');
+    const abertura = loja.sellerInfo?.openTime || loja.openTime || '';
+    const positivo = parseFloat(loja.sellerPositiveRate);
+
+    return {
+        lojaId,
+        nome: loja.storeName || '',
+        url: loja.storeURL ? new URL(loja.storeURL, 'https://pt.aliexpress.com').toString() : '',
+        abertura,
+        idadeAnos: calcularIdadeLoja(abertura),
+        seguidores: converterContagem(loja.followingNumber ?? loja.followers),
+        percentualPositivo: Number.isFinite(positivo) ? positivo : null,
+        anuncios: null,
+        avaliacoes: { descrito: null, comunicacao: null, envio: null }
+    };
+}
+
+function capturarNumero(texto, regex) {
+    const correspondencia = texto.match(regex);
+    return correspondencia ? correspondencia[1] : null;
+}
+
+function capturarNota(texto, rotulos) {
+    const valor = capturarNumero(texto, new RegExp(`(?:${rotulos})[^\\d\\n]{0,30}([0-5](?:[.,]\\d)?)`, 'i'));
+    return valor ? parseFloat(valor.replace(',', '.')) : null;
+}
+
+/**
+ * Extrai os dados do perfil a partir do texto visível da página da loja (pt/en)
+ * @param {string} texto - document.body.innerText da página da loja
+ * @returns {Object} Campos encontrados (null quando ausentes)
+ */
+export function extrairPerfilDoTexto(texto) {
+    const conteudo = String(texto || '');
+
+    const seguidores = capturarNumero(conteudo, /([\d.,]+\s*(?:mil|k|m)?)\s*(?:seguidores|followers)/i);
+    const positivo = capturarNumero(conteudo, /([\d.,]+)\s*%\s*(?:de\s+)?(?:feedback positivo|avaliações positivas|positive feedback)/i) ||
+        capturarNumero(conteudo, /(?:feedback positivo|positive feedback)\s*:?\s*([\d.,]+)\s*%/i);
+    const anuncios = capturarNumero(conteudo, /([\d.,]+\s*(?:mil|k)?)\s*(?:itens|produtos|items|products)\b/i);
+    const abertura = capturarNumero(conteudo, /(?:aberta desde|loja aberta em|open since|store opened)\s*:?\s*([^\n|]+)/i);
+
+    return {
+        seguidores: seguidores ? converterContagem(seguidores) : null,
+        percentualPositivo: positivo ? parseFloat(positivo.replace(',', '.')) : null,
+        anuncios: anuncios ? converterContagem(anuncios) : null,
+        abertura: abertura ? abertura.trim() : '',
+        idadeAnos: abertura ? calcularIdadeLoja(abertura) : null,
+        avaliacoes: {
+            descrito: capturarNota(conteudo, 'como descrito|conforme descrito|as described'),
+            comunicacao: capturarNota(conteudo, 'comunicação|comunicacao|communication'),
+            envio: capturarNota(conteudo, 'velocidade de envio|velocidade do envio|shipping speed')
+        }
+    };
+}
+
+/**
+ * Mescla perfis mantendo valores já conhecidos quando o novo não traz o campo
+ */
+function mesclarPerfis(base, novo) {
+    const escolher = (a, b) => (b !== null && b !== undefined && b !== '') ? b : a;
+    return {
+        ...base,
+        abertura: escolher(base.abertura, novo.abertura),
+        idadeAnos: escolher(base.idadeAnos, novo.idadeAnos),
+        seguidores: escolher(base.seguidores, novo.seguidores),
+        percentualPositivo: escolher(base.percentualPositivo, novo.percentualPositivo),
+        anuncios: escolher(base.anuncios, novo.anuncios),
+        avaliacoes: {
+            descrito: escolher(base.avaliacoes?.descrito, novo.avaliacoes?.descrito),
+            comunicacao: escolher(base.avaliacoes?.comunicacao, novo.avaliacoes?.comunicacao),
+            envio: escolher(base.avaliacoes?.envio, novo.avaliacoes?.envio)
+        }
+    };
+}
+
+// =================================
+// SCORE DE CONFIABILIDADE
+// =================================
+
+function pontuarFaixa(valor, faixas) {
+    for (const [minimo, pontos] of faixas) {
+        if (valor >= minimo) return pontos;
+    }
+    return 0;
+}
+
+/**
+ * Score de confiabilidade da loja (0-100)
+ * Só entram no cálculo os campos conhecidos; sem nenhum campo o nível é 'desconhecida'
+ *
+ * @param {Object} perfil - Perfil da loja
+ * @returns {{score: number|null, nivel: string, motivos: Array<string>}}
+ */
+export function calcularConfiabilidadeLoja(perfil) {
+    const criterios = [];
+    const motivos = [];
+
+    if (perfil?.idadeAnos !== null && perfil?.idadeAnos !== undefined) {
+        criterios.push({ pontos: pontuarFaixa(perfil.idadeAnos, [[3, 20], [1, 12], [0.5, 6]]), maximo: 20 });
+        if (perfil.idadeAnos < 0.5) motivos.push(`Loja aberta há menos de 6 meses`);
+    }
+
+    if (perfil?.percentualPositivo !== null && perfil?.percentualPositivo !== undefined) {
+        criterios.push({ pontos: pontuarFaixa(perfil.percentualPositivo, [[97, 30], [95, 22], [92, 14], [90, 8]]), maximo: 30 });
+        if (perfil.percentualPositivo < 92) motivos.push(`Feedback positivo baixo (${perfil.percentualPositivo}%)`);
+    }
+
+    if (perfil?.seguidores !== null && perfil?.seguidores !== undefined) {
+        criterios.push({ pontos: pontuarFaixa(perfil.seguidores, [[10000, 15], [1000, 10], [100, 5]]), maximo: 15 });
+        if (perfil.seguidores < 100) motivos.push(`Poucos seguidores (${perfil.seguidores})`);
+    }
+
+    if (perfil?.anuncios !== null && perfil?.anuncios !== undefined) {
+        criterios.push({ pontos: pontuarFaixa(perfil.anuncios, [[100, 10], [20, 6], [1, 2]]), maximo: 10 });
+    }
+
+    const notas = Object.values(perfil?.avaliacoes || {}).filter(nota => typeof nota === 'number');
+    if (notas.length > 0) {
+        const media = notas.reduce((soma, nota) => soma + nota, 0) / notas.length;
+        criterios.push({ pontos: pontuarFaixa(media, [[4.7, 25], [4.5, 18], [4.2, 10], [4.0, 5]]), maximo: 25 });
+        if (media < 4.2) motivos.push(`Notas detalhadas baixas (média ${media.toFixed(1)})`);
+    }
+
+    if (criterios.length === 0) {
+        return { score: null, nivel: 'desconhecida', motivos: ['Sem dados da loja'] };
+    }
+
+    const pontos = criterios.reduce((soma, c) => soma + c.pontos, 0);
+    const maximo = criterios.reduce((soma, c) => soma + c.maximo, 0);
+    const score = Math.round((pontos / maximo) * 100);
+
+    return {
+        score,
+        nivel: score >= 75 ? 'alta' : score >= 50 ? 'media' : 'baixa',
+        motivos
+    };
+}
+
+// =================================
+// CACHE POR ID DA LOJA
+// =================================
+
+let cacheLojas = null;
+let gravacaoPendente = Promise.resolve();
+const coletasEmAndamento = new Map();
+
+function arquivoCache() {
+    return path.resolve(process.cwd(), CONFIG.lojas?.cacheFile || 'database/cache-lojas.json');
+}
+
+// A promessa é memorizada: chamadas simultâneas compartilham o mesmo objeto de cache
+function carregarCache() {
+    if (!cacheLojas) {
+        cacheLojas = fs.readFile(arquivoCache(), 'utf-8')
+            .then(conteudo => {
+                const dados = JSON.parse(conteudo);
+                return dados?.lojas && typeof dados.lojas === 'object' ? dados : { lojas: {} };
+            })
+            .catch(() => ({ lojas: {} }));
+    }
+    return cacheLojas;
+}
+
+// Gravações serializadas: várias abas do pool podem terminar perfis ao mesmo tempo
+function salvarCache(cache) {
+    const arquivo = arquivoCache();
+    const conteudo = JSON.stringify({ ...cache, atualizadoEm: new Date().toISOString() }, null, 2);
+    gravacaoPendente = gravacaoPendente.catch(() => {}).then(async () => {
+        await fs.mkdir(path.dirname(arquivo), { recursive: true });
+        const temporario = `${arquivo}.${process.pid}.tmp`;
+        await fs.writeFile(temporario, conteudo);
+        await fs.rename(temporario, arquivo);
+    });
+    return gravacaoPendente;
+}
+
+function perfilValido(registro) {
+    if (!registro?.atualizadoEm) return false;
+    const validadeMs = (CONFIG.lojas?.cacheTtlHours ?? 168) * 60 * 60 * 1000;
+    return Date.now() - new Date(registro.atualizadoEm).getTime() < validadeMs;
+}
+
+/**
+ * Descarta o cache em memória (usado nos testes e ao trocar de arquivo)
+ */
+export function reiniciarCacheLojas() {
+    cacheLojas = null;
+    coletasEmAndamento.clear();
+}
+
+// =================================
+// VISITA À PÁGINA DA LOJA
+// =================================
+
+async function lerTextoPagina(aba, url, limitador) {
+    await limitador?.aguardarVez(url);
+    await aba.goto(url, { waitUntil: 'domcontentloaded', timeout: 20000 });
+    await delay(reproduzindo() ? 0 : 1500);
+    return aba.evaluate(() => document.body?.innerText || '');
+}
+
+/**
+ * Visita a página da loja (e a de feedback, se faltarem as notas) para completar o perfil
+ */
+async function visitarLoja(aba, perfil, limitador) {
+    const urlLoja = perfil.url || `https://pt.aliexpress.com/store/${perfil.lojaId}`;
+    const urlFeedback = `https://pt.aliexpress.com/store/feedback-score/${perfil.lojaId}.html`;
+
+    let completo = perfil;
+
+    if (reproduzindo()) {
+        // Replay: só usa páginas de loja gravadas; sem fixture, fica com o cartão da PDP
+        for (const chave of [perfil.lojaId, `${perfil.lojaId}-feedback`]) {
+            const urlGravada = await urlPaginaGravada('loja', chave);
+            if (urlGravada) {
+                completo = mesclarPerfis(completo, extrairPerfilDoTexto(await lerTextoPagina(aba, urlGravada, null)));
+            }
+        }
+        return completo;
+    }
+
+    completo = mesclarPerfis(completo, extrairPerfilDoTexto(await lerTextoPagina(aba, urlLoja, limitador)));
+    await gravarPagina(aba, 'loja', perfil.lojaId);
+
+    const semNotas = Object.values(completo.avaliacoes).every(nota => nota === null);
+    if (semNotas) {
+        completo = mesclarPerfis(completo, extrairPerfilDoTexto(await lerTextoPagina(aba, urlFeedback, limitador)));
+        await gravarPagina(aba, 'loja', `${perfil.lojaId}-feedback`);
+    }
+
+    return completo;
+}
+
+/**
+ * Obtém o perfil da loja de um produto, usando o cache quando ainda válido
+ * Coletas simultâneas da mesma loja (produtos da mesma loja no pool) compartilham a mesma visita
+ *
+ * @param {Page|null} aba - Aba para visitar a loja (null: usa só o cartão da PDP)
+ * @param {Object} perfilInicial - Resultado de perfilDoCartaoLoja
+ * @param {Object} [opcoes={}]
+ * @param {LimitadorPorDominio} [opcoes.limitador] - Limitador compartilhado com o pool de abas
+ * @returns {Promise<Object|null>} Perfil com `confiabilidade`, ou null sem ID de loja
+ */
+export async function obterPerfilLoja(aba, perfilInicial, opcoes = {}) {
+    const lojaId = perfilInicial?.lojaId;
+    if (!lojaId) {
+        return null;
+    }
+
+    const cache = await carregarCache();
+    if (perfilValido(cache.lojas[lojaId])) {
+        return cache.lojas[lojaId];
+    }
+
+    if (coletasEmAndamento.has(lojaId)) {
+        return coletasEmAndamento.get(lojaId);
+    }
+
+    const coleta = (async () => {
+        let perfil = perfilInicial;
+        try {
+            if (aba && CONFIG.lojas?.visitStore !== false) {
+                perfil = await visitarLoja(aba, perfilInicial, opcoes.limitador);
+            }
+        } catch (error) {
+            logErro(`⚠️ Erro ao visitar loja ${lojaId}: ${error.message}`);
+        }
+
+        const registro = {
+            ...perfil,
+            confiabilidade: calcularConfiabilidadeLoja(perfil),
+            atualizadoEm: new Date().toISOString()
+        };
+
+        cache.lojas[lojaId] = registro;
+        try {
+            await salvarCache(cache);
+        } catch (error) {
+            logErro(`⚠️ Erro ao salvar cache de lojas: ${error.message}`);
+        }
+
+        logInfo(`🏪 Loja ${registro.nome || lojaId}: confiabilidade ${registro.confiabilidade.score ?? 'N/A'} (${registro.confiabilidade.nivel})`);
+        return registro;
+    })();
+
+    coletasEmAndamento.set(lojaId, coleta);
+    try {
+        return await coleta;
+    } finally {
+        coletasEmAndamento.delete(lojaId);
+    }
+}
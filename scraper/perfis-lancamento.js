@@ -0,0 +1,172 @@
+/**
+ * PERFIS DE LANÇAMENTO DO CHROME
+ *
+ * Reúne em presets nomeados as opções de puppeteer.launch que antes estavam
+ * fixas em setupBrowser (headless: false, slowMo: 150, caminho do Chrome do
+ * Windows):
+ * - server-headless: sem janela, sem slowMo; para servidores e CI Linux
+ * - debug-visible:   janela visível e slowMo 150 (comportamento original)
+ * - low-memory:      sem janela e com limites de processos/memória do Chrome
+ * - auto:            server-headless em Linux sem display ou com CI=true, senão debug-visible
+ *
+ * HEADLESS e SLOW_MO, quando definidos no .env, prevalecem sobre o preset.
+ * Este módulo não importa config.js: é usado por ele para resolver os valores.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Presets de lançamento e detecção do Chrome por plataforma
+ */
+
+import { existsSync } from 'fs';
+
+// Argumentos comuns a todos os presets
+const ARGS_BASE = [
+    // Segurança e sandbox
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+
+    // Evasão de detecção
+    '--disable-blink-features=AutomationControlled',
+    '--disable-features=VizDisplayCompositor',
+    '--disable-web-security',
+    '--disable-features=site-per-process',
+    '--disable-ipc-flooding-protection',
+
+    // Performance e estabilidade
+    '--no-first-run',
+    '--disable-infobars',
+    '--disable-extensions',
+    '--disable-default-apps',
+    '--disable-accelerated-2d-canvas',
+
+    // Localização
+    '--lang=pt-BR',
+    '--accept-lang=pt-BR,pt,en'
+];
+
+export const PRESETS_LANCAMENTO = {
+    'server-headless': {
+        descricao: 'Sem janela, sem slowMo (servidores e CI Linux)',
+        headless: true,
+        slowMo: 0,
+        args: ['--disable-gpu', '--window-size=1920,1080']
+    },
+    'debug-visible': {
+        descricao: 'Janela visível e slowMo 150 para acompanhar a navegação',
+        headless: false,
+        slowMo: 150,
+        // Processo único: configuração original, otimizada para Windows (removida no fallback)
+        args: ['--single-process', '--no-zygote']
+    },
+    'low-memory': {
+        descricao: 'Sem janela, com limites de processos e memória do Chrome',
+        headless: true,
+        slowMo: 0,
+        args: [
+            '--disable-gpu',
+            '--window-size=1366,768',
+            '--renderer-process-limit=2',
+            '--js-flags=--max-old-space-size=512',
+            '--disable-background-networking',
+            '--disable-component-update',
+            '--disable-renderer-backgrounding',
+            '--mute-audio'
+        ]
+    }
+};
+
+export const NOMES_PRESETS_LANCAMENTO = ['auto', ...Object.keys(PRESETS_LANCAMENTO)];
+
+// Caminhos usuais do Chrome/Chromium, em ordem de preferência
+export const CAMINHOS_CHROME = {
+    linux: [
+        '/usr/bin/google-chrome-stable',
+        '/usr/bin/google-chrome',
+        '/usr/bin/chromium',
+        '/usr/bin/chromium-browser',
+        '/snap/bin/chromium'
+    ],
+    win32: [
+        'C:/Program Files/Google/Chrome/Application/chrome.exe',
+        'C:/Program Files (x86)/Google/Chrome/Application/chrome.exe'
+    ],
+    darwin: [
+        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        '/Applications/Chromium.app/Contents/MacOS/Chromium'
+    ]
+};
+
+/**
+ * Resolve o nome do preset; `auto` escolhe pelo ambiente
+ * @param {string} [nome='auto']
+ * @param {Object} [ambiente={}]
+ * @param {string} [ambiente.plataforma=process.platform]
+ * @param {Object} [ambiente.env=process.env]
+ * @returns {string} Nome de um preset de PRESETS_LANCAMENTO
+ */
+export function resolverNomePreset(nome = 'auto', { plataforma = process.platform, env = process.env } = {}) {
+    const normalizado = String(nome || 'auto').trim().toLowerCase();
+    if (PRESETS_LANCAMENTO[normalizado]) {
+        return normalizado;
+    }
+
+    const semDisplay = plataforma === 'linux' && !env.DISPLAY && !env.WAYLAND_DISPLAY;
+    const emCI = ['true', '1'].includes(String(env.CI || '').toLowerCase());
+    return semDisplay || emCI ? 'server-headless' : 'debug-visible';
+}
+
+/**
+ * Caminho do Chrome: CHROME_PATH se existir, senão o primeiro instalado da plataforma
+ * String vazia deixa o puppeteer usar o Chrome que ele mesmo baixou
+ * @param {string} [caminhoInformado] - CHROME_PATH
+ * @param {Object} [ambiente={}]
+ * @param {string} [ambiente.plataforma=process.platform]
+ * @param {Function} [ambiente.existe=existsSync]
+ * @returns {{caminho: string, origem: string}} origem: env, detectado ou puppeteer
+ */
+export function detectarCaminhoChrome(caminhoInformado, { plataforma = process.platform, existe = existsSync } = {}) {
+    if (caminhoInformado) {
+        if (existe(caminhoInformado)) {
+            return { caminho: caminhoInformado, origem: 'env' };
+        }
+        console.warn(`⚠️  CHROME_PATH não encontrado (${caminhoInformado}). Procurando o Chrome da plataforma`);
+    }
+
+    const encontrado = (CAMINHOS_CHROME[plataforma] || []).find(caminho => existe(caminho));
+    return encontrado
+        ? { caminho: encontrado, origem: 'detectado' }
+        : { caminho: '', origem: 'puppeteer' };
+}
+
+/**
+ * Monta as opções de puppeteer.launch a partir da configuração do browser
+ * @param {Object} browser - CONFIG.browser (preset, headless, slowMo, chromePath, userDataDir, profile)
+ * @returns {Object} Opções de lançamento
+ */
+export function montarOpcoesLancamento(browser) {
+    const preset = PRESETS_LANCAMENTO[browser.preset] || PRESETS_LANCAMENTO['debug-visible'];
+    const args = [...ARGS_BASE, ...preset.args];
+
+    if (browser.profile) {
+        args.push(`--profile-directory=${browser.profile}`);
+    }
+
+    const opcoes = {
+        headless: browser.headless,
+        devtools: false,
+        slowMo: browser.slowMo, // Delay entre ações para parecer mais humano
+        args,
+        defaultViewport: null, // Usar viewport do sistema
+        ignoreDefaultArgs: ['--disable-extensions'], // Permitir algumas extensões
+        timeout: 60000 // Timeout de 60 segundos para inicialização
+    };
+
+    if (browser.chromePath) {
+        opcoes.executablePath = browser.chromePath;
+    }
+    if (browser.userDataDir) {
+        opcoes.userDataDir = browser.userDataDir;
+    }
+
+    return opcoes;
+}
@@ -0,0 +1,304 @@
+/**
+ * POOL DE ABAS - EXTRAÇÃO CONCORRENTE DE DETALHES
+ *
+ * Mantém um número fixo de abas reutilizáveis para a extração de detalhes
+ * de produtos, executando N extrações em paralelo com limite de taxa por
+ * domínio. Abas que travam (timeout) ou quebram (crash do renderer) são
+ * recicladas automaticamente, substituindo a limpeza "após o fato" que
+ * era feita por monitorarELimparAbas.
+ *
+ * @author LoopStore
+ * @version 1.1.0 - Encerramento rejeita a fila; reciclagem só por timeout ou crash
+ */
+
+import { delay, logInfo, logErro } from './utils.js';
+
+// =================================
+// LIMITE DE TAXA POR DOMÍNIO
+// =================================
+
+/**
+ * Extrai o domínio registrável de uma URL (pt.aliexpress.com → aliexpress.com,
+ * lista.mercadolivre.com.br → mercadolivre.com.br)
+ *
+ * @param {string} url - URL completa
+ * @returns {string} Domínio usado como chave de limite
+ */
+export function extrairDominio(url) {
+    try {
+        const partes = new URL(url).hostname.split('.');
+        const sufixoComposto = partes.length > 2 &&
+            partes[partes.length - 1].length === 2 &&
+            ['com', 'net', 'org', 'gov', 'edu'].includes(partes[partes.length - 2]);
+        return partes.slice(sufixoComposto ? -3 : -2).join('.');
+    } catch (error) {
+        return 'desconhecido';
+    }
+}
+
+/**
+ * Limita o ritmo de navegações por domínio, compartilhado entre todas as abas do pool.
+ * Cada chamada reserva o próximo horário livre do domínio, então chamadas
+ * concorrentes ficam espaçadas por pelo menos `intervaloMinimoMs`.
+ */
+export class LimitadorPorDominio {
+    /**
+     * @param {Object} [opcoes={}]
+     * @param {number} [opcoes.intervaloMinimoMs=1500] - Intervalo mínimo entre navegações no mesmo domínio
+     * @param {number} [opcoes.variacaoMs=500] - Variação aleatória somada ao intervalo (comportamento humano)
+     */
+    constructor(opcoes = {}) {
+        this.intervaloMinimoMs = opcoes.intervaloMinimoMs ?? 1500;
+        this.variacaoMs = opcoes.variacaoMs ?? 500;
+        this.proximoHorario = new Map();
+        this.esperas = 0;
+    }
+
+    /**
+     * Aguarda a vez de navegar para a URL informada
+     * @param {string} url - URL de destino
+     * @returns {Promise<number>} Tempo de espera aplicado (ms)
+     */
+    async aguardarVez(url) {
+        const dominio = extrairDominio(url);
+        const agora = Date.now();
+        const horarioReservado = Math.max(agora, this.proximoHorario.get(dominio) || 0);
+        const variacao = this.variacaoMs > 0 ? Math.floor(Math.random() * this.variacaoMs) : 0;
+
+        this.proximoHorario.set(dominio, horarioReservado + this.intervaloMinimoMs + variacao);
+
+        const espera = horarioReservado - agora;
+        if (espera > 0) {
+            this.esperas++;
+            await delay(espera);
+        }
+        return Math.max(0, espera);
+    }
+}
+
+// =================================
+// POOL DE ABAS
+// =================================
+
+/**
+ * Pool de abas reutilizáveis com concorrência limitada
+ *
+ * @example
+ * const pool = new PoolPaginas(browser, { tamanho: 3, prepararPagina: configurarPagina });
+ * const detalhes = await pool.executar((aba, limitador) => extrair(aba, limitador), produto.product_id);
+ * await pool.encerrar();
+ */
+export class PoolPaginas {
+    /**
+     * @param {Browser} browser - Instância do browser (ou contexto) que cria as abas
+     * @param {Object} [opcoes={}]
+     * @param {number} [opcoes.tamanho=3] - Número máximo de abas simultâneas
+     * @param {number} [opcoes.timeoutTarefaMs=90000] - Tempo máximo por tarefa antes de reciclar a aba
+     * @param {number} [opcoes.maxUsosPorAba=25] - Reciclar a aba após N tarefas (evita acúmulo de memória)
+     * @param {Function} [opcoes.prepararPagina] - Configuração aplicada a cada aba criada
+     * @param {LimitadorPorDominio} [opcoes.limitador] - Limitador compartilhado
+     */
+    constructor(browser, opcoes = {}) {
+        if (!browser) {
+            throw new Error('Browser é obrigatório para o pool de abas');
+        }
+
+        this.browser = browser;
+        this.tamanho = Math.max(1, opcoes.tamanho || 3);
+        this.timeoutTarefaMs = opcoes.timeoutTarefaMs || 90000;
+        this.maxUsosPorAba = opcoes.maxUsosPorAba || 25;
+        this.prepararPagina = opcoes.prepararPagina || null;
+        this.limitador = opcoes.limitador || new LimitadorPorDominio();
+
+        this.slots = [];
+        this.fila = [];
+        this.encerrado = false;
+        this.estatisticas = {
+            tarefas: 0,
+            sucesso: 0,
+            falhas: 0,
+            timeouts: 0,
+            crashes: 0,
+            reciclagens: 0
+        };
+    }
+
+    /**
+     * Cria uma aba nova para o slot, monitorando crash do renderer
+     * @private
+     */
+    async criarAba(slot) {
+        const aba = await this.browser.newPage();
+
+        aba.on('error', (erro) => {
+            this.estatisticas.crashes++;
+            slot.defeituosa = true;
+            logErro(`💥 Aba ${slot.id} do pool travou: ${erro?.message || erro}`);
+        });
+
+        if (this.prepararPagina) {
+            await this.prepararPagina(aba);
+        }
+
+        slot.aba = aba;
+        slot.defeituosa = false;
+        slot.usos = 0;
+        return aba;
+    }
+
+    /**
+     * Fecha a aba atual do slot e cria outra no lugar
+     * @private
+     */
+    async reciclar(slot, motivo) {
+        this.estatisticas.reciclagens++;
+        logInfo(`♻️ Reciclando aba ${slot.id} do pool (${motivo})`);
+
+        try {
+            if (slot.aba && !slot.aba.isClosed()) {
+                await slot.aba.close();
+            }
+        } catch (closeError) {
+            // Aba já pode ter sido destruída pelo crash
+        }
+
+        slot.aba = null;
+        await this.criarAba(slot);
+    }
+
+    /**
+     * Obtém um slot livre, criando abas sob demanda até o tamanho do pool
+     * @private
+     */
+    async adquirir() {
+        const livre = this.slots.find(slot => !slot.ocupado);
+        if (livre) {
+            livre.ocupado = true;
+            return livre;
+        }
+
+        if (this.slots.length < this.tamanho) {
+            const slot = { id: this.slots.length + 1, aba: null, ocupado: true, defeituosa: false, usos: 0 };
+            this.slots.push(slot);
+            return slot;
+        }
+
+        return new Promise((resolve, reject) => this.fila.push({ resolve, reject }));
+    }
+
+    /**
+     * Devolve o slot ao pool ou o entrega diretamente à próxima tarefa da fila
+     * @private
+     */
+    liberar(slot) {
+        const proximo = this.fila.shift();
+        if (proximo) {
+            proximo.resolve(slot);
+        } else {
+            slot.ocupado = false;
+        }
+    }
+
+    /**
+     * Executa uma tarefa em uma aba do pool
+     *
+     * @param {Function} tarefa - Função (aba, limitador) => Promise
+     * @param {string} [rotulo=''] - Identificação para logs (ex.: product_id)
+     * @returns {Promise<*>} Resultado da tarefa
+     * @throws {Error} Se a tarefa falhar, exceder o timeout (a aba é reciclada) ou o pool
+     * for encerrado enquanto ela aguardava uma aba livre
+     */
+    async executar(tarefa, rotulo = '') {
+        if (this.encerrado) {
+            throw new Error('Pool de abas já foi encerrado');
+        }
+
+        const slot = await this.adquirir();
+        this.estatisticas.tarefas++;
+        let timer = null;
+        let expirou = false;
+
+        try {
+            if (!slot.aba) {
+                await this.criarAba(slot);
+            } else if (slot.defeituosa || slot.aba.isClosed()) {
+                await this.reciclar(slot, 'aba defeituosa');
+            } else if (slot.usos >= this.maxUsosPorAba) {
+                await this.reciclar(slot, `${slot.usos} usos`);
+            }
+
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    expirou = true;
+                    reject(new Error(`Timeout de ${this.timeoutTarefaMs}ms na aba ${slot.id}${rotulo ? ` (${rotulo})` : ''}`));
+                }, this.timeoutTarefaMs);
+            });
+
+            const resultado = await Promise.race([tarefa(slot.aba, this.limitador), timeout]);
+            slot.usos++;
+            this.estatisticas.sucesso++;
+            return resultado;
+
+        } catch (error) {
+            this.estatisticas.falhas++;
+            if (expirou) {
+                this.estatisticas.timeouts++;
+                // A tarefa travada pode continuar usando a aba: ela é descartada
+                slot.defeituosa = true;
+            }
+            // Erro comum da tarefa (seletor ausente, PDP sem dados) mantém a aba;
+            // o crash do renderer já marcou o slot e uma aba fechada é recriada na próxima tarefa
+            throw error;
+
+        } finally {
+            clearTimeout(timer);
+
+            if (!slot.defeituosa && slot.aba && !slot.aba.isClosed()) {
+                try {
+                    // Libera memória da PDP anterior antes da próxima tarefa
+                    await slot.aba.goto('about:blank');
+                } catch (resetError) {
+                    slot.defeituosa = true;
+                }
+            }
+
+            if (slot.defeituosa && !this.encerrado) {
+                try {
+                    await this.reciclar(slot, 'timeout ou crash');
+                } catch (recycleError) {
+                    logErro(`⚠️ Não foi possível reciclar aba ${slot.id}: ${recycleError.message}`);
+                }
+            }
+
+            this.liberar(slot);
+        }
+    }
+
+    /**
+     * Fecha todas as abas do pool
+     * Tarefas ainda na fila (esperando uma aba livre) são rejeitadas na hora:
+     * quem as aguarda num Promise.all não fica preso a um pool que não vai mais liberar abas
+     * @returns {Promise<Object>} Estatísticas de uso do pool
+     */
+    async encerrar() {
+        this.encerrado = true;
+
+        for (const { reject } of this.fila.splice(0)) {
+            reject(new Error('Pool de abas encerrado antes de a tarefa começar'));
+        }
+
+        for (const slot of this.slots) {
+            try {
+                if (slot.aba && !slot.aba.isClosed()) {
+                    await slot.aba.close();
+                }
+            } catch (closeError) {
+                // Ignora erro ao fechar aba
+            }
+        }
+
+        this.slots = [];
+        logInfo(`📊 Pool de abas: ${this.estatisticas.sucesso}/${this.estatisticas.tarefas} tarefas OK, ${this.estatisticas.timeouts} timeouts, ${this.estatisticas.crashes} crashes, ${this.estatisticas.reciclagens} reciclagens`);
+        return { ...this.estatisticas, esperasLimitador: this.limitador.esperas };
+    }
+}
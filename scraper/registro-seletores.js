@@ -0,0 +1,245 @@
+/**
+ * REGISTRO VERSIONADO DE SELETORES CSS
+ *
+ * Os seletores da busca, da paginação, da listagem e da ordenação ficam em
+ * config/seletores.json: cada grupo é uma lista em ordem de preferência (o
+ * primeiro é o primário). Atualizar o arquivo basta para acompanhar mudanças
+ * de layout do AliExpress, sem alterar código.
+ *
+ * Durante a execução o registro anota qual seletor correspondeu em cada
+ * consulta. Quando um alternativo resolve no lugar do primário, ele passa a ser
+ * tentado primeiro no restante da execução (auto-correção) e o desvio entra no
+ * relatório de drift gravado ao final.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Registro de seletores com auto-correção e relatório de drift
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from '../config.js';
+
+// Registro distribuído com o projeto: base sobre a qual SELECTORS_FILE sobrescreve grupos
+const REGISTRO_DO_PROJETO = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'seletores.json');
+
+let registro = null;
+let usoPorGrupo = {};
+let ordemAtiva = {};
+
+// =================================
+// CARREGAMENTO
+// =================================
+
+function lerRegistro(arquivo) {
+    const conteudo = JSON.parse(readFileSync(arquivo, 'utf-8'));
+    if (!conteudo.grupos || typeof conteudo.grupos !== 'object') {
+        throw new Error('campo "grupos" ausente');
+    }
+    for (const [grupo, definicao] of Object.entries(conteudo.grupos)) {
+        if (!Array.isArray(definicao.seletores) || definicao.seletores.length === 0) {
+            throw new Error(`grupo '${grupo}' sem seletores`);
+        }
+    }
+    return { versao: conteudo.versao || 'desconhecida', arquivo, grupos: conteudo.grupos };
+}
+
+/**
+ * Carrega o registro (uma vez por processo)
+ * Grupos ausentes em SELECTORS_FILE continuam vindo do registro do projeto
+ * @returns {{versao: string, arquivo: string, grupos: Object}}
+ */
+export function carregarRegistroSeletores() {
+    if (registro) {
+        return registro;
+    }
+
+    registro = lerRegistro(REGISTRO_DO_PROJETO);
+
+    const arquivo = CONFIG.seletores.file;
+    if (!arquivo || path.resolve(arquivo) === REGISTRO_DO_PROJETO) {
+        return registro;
+    }
+    if (!existsSync(arquivo)) {
+        console.warn(`⚠️  SELECTORS_FILE não encontrado (${arquivo}). Usando o registro do projeto`);
+        return registro;
+    }
+
+    try {
+        const externo = lerRegistro(arquivo);
+        registro = { ...externo, grupos: { ...registro.grupos, ...externo.grupos } };
+    } catch (error) {
+        console.warn(`⚠️  Registro de seletores inválido (${arquivo}): ${error.message}. Usando o registro do projeto`);
+    }
+    return registro;
+}
+
+/**
+ * Descarta o registro e o uso anotado (testes ou novo arquivo na mesma execução)
+ */
+export function reiniciarRegistroSeletores() {
+    registro = null;
+    usoPorGrupo = {};
+    ordemAtiva = {};
+}
+
+/**
+ * Seletores de um grupo na ordem em que devem ser tentados nesta execução
+ * @param {string} grupo - Nome do grupo em config/seletores.json
+ * @returns {string[]}
+ */
+export function obterSeletores(grupo) {
+    const definicao = carregarRegistroSeletores().grupos[grupo];
+    if (!definicao) {
+        throw new Error(`Grupo de seletores desconhecido: ${grupo}`);
+    }
+    return [...(ordemAtiva[grupo] || definicao.seletores)];
+}
+
+// =================================
+// USO E AUTO-CORREÇÃO
+// =================================
+
+function usoDoGrupo(grupo) {
+    if (!usoPorGrupo[grupo]) {
+        usoPorGrupo[grupo] = { consultas: 0, semCorrespondencia: 0, correspondencias: {} };
+    }
+    return usoPorGrupo[grupo];
+}
+
+/**
+ * Anota o resultado de uma consulta ao grupo
+ * Se um alternativo resolveu, ele é promovido ao início da ordem ativa
+ * @param {string} grupo
+ * @param {string|null} seletor - Seletor que correspondeu (null: nenhum)
+ * @param {number} [quantidade=1] - Número de consultas resolvidas por este seletor
+ */
+export function registrarCorrespondencia(grupo, seletor, quantidade = 1) {
+    if (quantidade <= 0) {
+        return;
+    }
+
+    const uso = usoDoGrupo(grupo);
+    uso.consultas += quantidade;
+
+    if (!seletor) {
+        uso.semCorrespondencia += quantidade;
+        return;
+    }
+
+    uso.correspondencias[seletor] = (uso.correspondencias[seletor] || 0) + quantidade;
+
+    const primario = carregarRegistroSeletores().grupos[grupo]?.seletores[0];
+    if (seletor !== primario) {
+        const ordem = obterSeletores(grupo);
+        if (ordem[0] !== seletor) {
+            ordemAtiva[grupo] = [seletor, ...ordem.filter(s => s !== seletor)];
+        }
+    }
+}
+
+/**
+ * Primeiro elemento encontrado entre os seletores do grupo (page.$)
+ * @param {Page} page
+ * @param {string} grupo
+ * @returns {Promise<{elemento: ElementHandle, seletor: string}|null>}
+ */
+export async function encontrarPorGrupo(page, grupo) {
+    for (const seletor of obterSeletores(grupo)) {
+        try {
+            const elemento = await page.$(seletor);
+            if (elemento) {
+                registrarCorrespondencia(grupo, seletor);
+                return { elemento, seletor };
+            }
+        } catch (seletorError) {
+            continue;
+        }
+    }
+
+    registrarCorrespondencia(grupo, null);
+    return null;
+}
+
+/**
+ * Aguarda o primeiro seletor do grupo que aparecer na página (waitForSelector em sequência)
+ * @param {Page} page
+ * @param {string} grupo
+ * @param {number} timeoutPorSeletor - Espera máxima de cada seletor (ms)
+ * @returns {Promise<string|null>} Seletor que apareceu
+ */
+export async function aguardarPorGrupo(page, grupo, timeoutPorSeletor) {
+    for (const seletor of obterSeletores(grupo)) {
+        try {
+            await page.waitForSelector(seletor, { timeout: timeoutPorSeletor });
+            registrarCorrespondencia(grupo, seletor);
+            return seletor;
+        } catch (seletorError) {
+            continue;
+        }
+    }
+
+    registrarCorrespondencia(grupo, null);
+    return null;
+}
+
+// =================================
+// RELATÓRIO DE DRIFT
+// =================================
+
+/**
+ * Resume o uso dos grupos consultados nesta execução
+ * Um grupo tem drift quando o primário não resolveu alguma consulta
+ * @returns {{versao: string, arquivo: string, geradoEm: string, comDrift: string[], grupos: Object}}
+ */
+export function gerarRelatorioDrift() {
+    const { versao, arquivo, grupos } = carregarRegistroSeletores();
+    const relatorio = { versao, arquivo, geradoEm: new Date().toISOString(), comDrift: [], grupos: {} };
+
+    for (const [grupo, uso] of Object.entries(usoPorGrupo)) {
+        const primario = grupos[grupo]?.seletores[0];
+        const viaPrimario = uso.correspondencias[primario] || 0;
+        const viaAlternativos = Object.entries(uso.correspondencias)
+            .filter(([seletor]) => seletor !== primario)
+            .reduce((total, [, quantidade]) => total + quantidade, 0);
+        const drift = viaAlternativos > 0 || uso.semCorrespondencia > 0;
+
+        relatorio.grupos[grupo] = {
+            primario,
+            consultas: uso.consultas,
+            viaPrimario,
+            viaAlternativos,
+            semCorrespondencia: uso.semCorrespondencia,
+            correspondencias: uso.correspondencias,
+            drift,
+            // Ordem sugerida para o registro: mais usados primeiro, depois os que não resolveram nada
+            ordemSugerida: drift
+                ? [...grupos[grupo].seletores].sort((a, b) => (uso.correspondencias[b] || 0) - (uso.correspondencias[a] || 0))
+                : grupos[grupo].seletores
+        };
+
+        if (drift) {
+            relatorio.comDrift.push(grupo);
+        }
+    }
+
+    return relatorio;
+}
+
+/**
+ * Grava o relatório de drift da execução, apenas se algum grupo desviou do primário
+ * @param {string} runId - Identificador da execução
+ * @returns {Promise<string|null>} Caminho do relatório gravado
+ */
+export async function salvarRelatorioDrift(runId) {
+    const relatorio = gerarRelatorioDrift();
+    if (relatorio.comDrift.length === 0) {
+        return null;
+    }
+
+    const destino = path.join(CONFIG.seletores.driftDir, `drift-seletores-${runId}.json`);
+    await fs.mkdir(path.dirname(destino), { recursive: true });
+    await fs.writeFile(destino, JSON.stringify({ runId, ...relatorio }, null, 2));
+    return destino;
+}
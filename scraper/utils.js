@@ -13,6 +13,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { CONFIG } from '../config.js';
+import { obterSeletores, registrarCorrespondencia } from './registro-seletores.js';
 
 /**
  * Configuração de módulo e paths base
@@ -797,22 +798,8 @@ export async function filtrarPorMaisVendidos(page) {
       console.warn(`⚠️ URL não parece ser do AliExpress: ${url}`);
     }
     
-    // Estratégia 1: Seletores CSS específicos para ordenação
-    const seletoresOrdenacao = [
-      // Seletores mais específicos primeiro
-      'div[ae_object_value="number_of_orders"]',
-      '[data-spm-anchor-id*="order"]',
-      'div[title*="Mais vendido"]',
-      'div[title*="mais vendido"]',
-      'div[title*="vendidos"]',
-      '.comet-select-dropdown-item[data-value*="order"]',
-      '.search-sort-by .comet-select',
-      '.search-sort .comet-select',
-      // Seletores mais genéricos
-      '.sort-by-selector',
-      '.sort-dropdown',
-      '[data-testid*="sort"]'
-    ];
+    // Estratégia 1: Seletores CSS específicos para ordenação (registro em config/seletores.json)
+    const seletoresOrdenacao = obterSeletores('ordenacao');
     
     let filtroEncontrado = false;
     let tentativasRealizadas = 0;
@@ -847,14 +834,7 @@ export async function filtrarPorMaisVendidos(page) {
           logSucesso(`✅ Clique realizado no seletor: ${seletor}`);
           
           // Estratégia 1.1: Procurar opções de dropdown após clicar
-          const opcoesMaisVendidos = [
-            'div[ae_object_value="number_of_orders"]',
-            'div[title*="Mais vendido"]',
-            'div[title*="mais vendido"]',
-            'div[title*="vendidos"]',
-            '.comet-select-dropdown-item[data-value*="order"]',
-            '[data-value="number_of_orders"]'
-          ];
+          const opcoesMaisVendidos = obterSeletores('opcaoMaisVendidos');
           
           for (const opcaoSeletor of opcoesMaisVendidos) {
             try {
@@ -865,6 +845,8 @@ export async function filtrarPorMaisVendidos(page) {
                   await elementoOpcao.click();
                   await delay(2000);
                   logSucesso(`✅ Opção "Mais vendidos" selecionada: ${opcaoSeletor}`);
+                  registrarCorrespondencia('ordenacao', seletor);
+                  registrarCorrespondencia('opcaoMaisVendidos', opcaoSeletor);
                   filtroEncontrado = true;
                   break;
                 }
@@ -885,6 +867,11 @@ export async function filtrarPorMaisVendidos(page) {
       }
     }
     
+    // Nenhum seletor do registro resolveu: entra no relatório de drift
+    if (!filtroEncontrado) {
+      registrarCorrespondencia('ordenacao', null);
+    }
+    
     // Estratégia 2: Busca por texto na página
     if (!filtroEncontrado) {
       logInfo('🔍 Tentando estratégia de busca por texto...');
@@ -0,0 +1,149 @@
+/**
+ * VARIANTES (SKU) DO PRODUTO
+ *
+ * Lê a matriz de SKUs do JSON da API da PDP (mtop.aliexpress.pdp.pc.query):
+ * - SKU.skuProperties: propriedades (cor, tamanho, plugue...) e seus valores
+ * - SKU.skuPaths: combinações de valores com estoque de cada SKU
+ * - PRICE.skuIdStrPriceInfoMap: preço de cada SKU
+ *
+ * O preço de PRICE.targetSkuPriceInfo é só o da variante pré-selecionada,
+ * que nem sempre é a mais barata nem a que seria vendida.
+ *
+ * @author LoopStore
+ * @version 1.0.0 - Matriz de SKUs com preço, estoque e imagem por variante
+ */
+
+// Nomes de propriedade reconhecidos (pt, en, es)
+const PROPRIEDADES_CONHECIDAS = {
+    cor: /\bcor\b|colou?r/i,
+    tamanho: /tamanho|size|talla|medida/i,
+    plugue: /plug|plugue|tomada|enchufe/i
+};
+
+/**
+ * Converte texto de preço ("R$ 1.234,56", "US $12.90") ou objeto { value } em número
+ * @param {string|number|Object} valor
+ * @returns {number} Preço ou 0
+ */
+export function converterPreco(valor) {
+    if (valor === null || valor === undefined) {
+        return 0;
+    }
+    if (typeof valor === 'number') {
+        return Number.isFinite(valor) ? valor : 0;
+    }
+    if (typeof valor === 'object') {
+        return converterPreco(valor.value ?? valor.formatedAmount ?? valor.amount);
+    }
+
+    const texto = String(valor).replace(/[^\d.,]/g, '');
+    if (!texto) {
+        return 0;
+    }
+
+    // Vírgula depois do último ponto = formato brasileiro (1.234,56); "1.234" sem centavos também
+    const brasileiro = texto.lastIndexOf(',') > texto.lastIndexOf('.') || /^\d{1,3}(\.\d{3})+$/.test(texto);
+    const normalizado = brasileiro
+        ? texto.replace(/\./g, '').replace(',', '.')
+        : texto.replace(/,/g, '');
+
+    return parseFloat(normalizado) || 0;
+}
+
+function classificarPropriedade(nome) {
+    for (const [campo, regex] of Object.entries(PROPRIEDADES_CONHECIDAS)) {
+        if (regex.test(nome || '')) {
+            return campo;
+        }
+    }
+    return null;
+}
+
+/**
+ * Indexa os valores das propriedades por "<propertyId>:<valueId>"
+ */
+function indexarValores(propriedades) {
+    const indice = new Map();
+
+    for (const propriedade of propriedades) {
+        const nome = propriedade.skuPropertyName || `Propriedade ${propriedade.skuPropertyId}`;
+        for (const valor of propriedade.skuPropertyValues || []) {
+            const idValor = valor.propertyValueIdLong ?? valor.propertyValueId;
+            indice.set(`${propriedade.skuPropertyId}:${idValor}`, {
+                propriedade: nome,
+                campo: classificarPropriedade(nome),
+                valor: valor.propertyValueDisplayName || valor.propertyValueName || String(idValor),
+                imagem: valor.skuPropertyImagePath || ''
+            });
+        }
+    }
+
+    return indice;
+}
+
+/**
+ * Extrai todas as variantes de SKU do JSON da API da PDP
+ * @param {Object} data - JSON interceptado da PDP
+ * @returns {Array<Object>} Variantes com skuId, atributos, cor, tamanho, plugue, estoque, disponivel, preco, precoOriginal e imagem
+ */
+export function extrairVariantesSku(data) {
+    const propriedades = data?.SKU?.skuProperties || [];
+    const caminhos = data?.SKU?.skuPaths || [];
+    const precos = data?.PRICE?.skuIdStrPriceInfoMap || {};
+
+    if (!Array.isArray(caminhos) || caminhos.length === 0) {
+        return [];
+    }
+
+    const valores = indexarValores(Array.isArray(propriedades) ? propriedades : []);
+
+    return caminhos.map(caminho => {
+        const skuId = String(caminho.skuIdStr ?? caminho.skuId ?? '');
+        const variante = {
+            skuId,
+            atributos: {},
+            cor: '',
+            tamanho: '',
+            plugue: '',
+            estoque: parseInt(caminho.skuStock ?? caminho.skuVal?.availQuantity ?? 0) || 0,
+            disponivel: false,
+            preco: 0,
+            precoOriginal: 0,
+            imagem: ''
+        };
+
+        // skuAttr: "14:193#Preto;5:100014064" (o trecho após # é o nome personalizado pelo vendedor)
+        const atributos = String(caminho.skuAttr || caminho.path || '').split(';').filter(Boolean);
+        for (const atributo of atributos) {
+            const [par, nomePersonalizado] = atributo.split('#');
+            const valor = valores.get(par);
+            if (!valor) continue;
+
+            const texto = nomePersonalizado || valor.valor;
+            variante.atributos[valor.propriedade] = texto;
+            if (valor.campo && !variante[valor.campo]) {
+                variante[valor.campo] = texto;
+            }
+            if (valor.imagem && !variante.imagem) {
+                variante.imagem = valor.imagem;
+            }
+        }
+
+        const infoPreco = precos[skuId] || {};
+        variante.preco = converterPreco(infoPreco.salePriceString || infoPreco.salePrice || caminho.skuVal?.skuActivityAmount);
+        variante.precoOriginal = converterPreco(infoPreco.originalPrice || caminho.skuVal?.skuAmount) || variante.preco;
+        variante.disponivel = caminho.salable !== false && variante.estoque > 0;
+
+        return variante;
+    });
+}
+
+/**
+ * Descrição curta da variante para logs e planilhas ("Preto / M / Plugue UE")
+ * @param {Object} variante
+ * @returns {string}
+ */
+export function descreverVariante(variante) {
+    const partes = Object.values(variante?.atributos || {});
+    return partes.length ? partes.join(' / ') : (variante?.skuId || 'Padrão');
+}
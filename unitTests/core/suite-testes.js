@@ -0,0 +1,57 @@
+/**
+ * Utilitário compartilhado pelos scripts de teste de unitTests/core
+ *
+ * Cada script roda isolado (node unitTests/core/test-<nome>.js ou npm run test:<nome>)
+ * e termina com a linha "📊 Resultado: X passaram, Y falharam", que o
+ * unitTests/test-runner.js lê para somar os resultados no npm run test:core.
+ *
+ * @example
+ * const { testar, concluir } = criarSuite('TESTANDO POOL DE ABAS');
+ * await testar('Nunca executa mais tarefas que o tamanho do pool', async () => { ... });
+ * concluir();
+ */
+
+/**
+ * Cria a suíte de um script de teste e imprime o título
+ * @param {string} titulo - Ex.: 'TESTANDO POOL DE ABAS'
+ * @param {Object} [opcoes={}]
+ * @param {Function} [opcoes.antesDeCada] - Executada antes de cada caso (ex.: zerar as requisições do servidor simulado)
+ * @returns {{testar: Function, concluir: Function}}
+ */
+export function criarSuite(titulo, opcoes = {}) {
+    let passou = 0;
+    let falhou = 0;
+
+    console.log(`\n🧪 ${titulo}\n`);
+
+    /**
+     * Executa um caso de teste; a falha é registrada sem interromper os próximos
+     * @param {string} nome
+     * @param {Function} fn - Síncrona ou assíncrona
+     */
+    async function testar(nome, fn) {
+        try {
+            await opcoes.antesDeCada?.();
+            await fn();
+            console.log(`✅ ${nome}`);
+            passou++;
+        } catch (error) {
+            console.log(`❌ ${nome}: ${error.message}`);
+            falhou++;
+        }
+    }
+
+    /**
+     * Imprime o resultado e marca o processo com código 1 se algum caso falhou
+     * @returns {{passou: number, falhou: number}}
+     */
+    function concluir() {
+        console.log(`\n📊 Resultado: ${passou} passaram, ${falhou} falharam`);
+        if (falhou > 0) {
+            process.exitCode = 1;
+        }
+        return { passou, falhou };
+    }
+
+    return { testar, concluir };
+}
@@ -0,0 +1,177 @@
+/**
+ * Script de teste para o agendador de execuções recorrentes
+ * As tarefas executam funções simuladas; o diretório de trabalho é temporário
+ * para que as métricas do agendador não caiam em metrics/ do projeto
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const raizProjeto = process.cwd();
+const pasta = await mkdtemp(path.join(tmpdir(), 'agendador-'));
+process.chdir(pasta);
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    interpretarCron,
+    proximaExecucao,
+    normalizarTarefa,
+    carregarTarefasAgendadas,
+    HistoricoAgendamentos,
+    Agendador
+} = await import(path.join(raizProjeto, 'utils/agendador.js'));
+const { registrarExecucaoAgendada } = await import(path.join(raizProjeto, 'metrics/scraping-metrics.js'));
+const config = await import(path.join(raizProjeto, 'config.js'));
+
+const { testar, concluir } = criarSuite('TESTANDO AGENDADOR');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const tarefa = (nome, cron = '0 7 * * *') => normalizarTarefa({ nome, cron, categorias: ['Pets'] });
+
+await testar('Cron aceita listas, intervalos, passos, nomes e atalhos', () => {
+    const cron = interpretarCron('*/20 8-10,18 * jan-mar mon-fri');
+    assert.deepEqual([...cron.minutos], [0, 20, 40]);
+    assert.deepEqual([...cron.horas], [8, 9, 10, 18]);
+    assert.deepEqual([...cron.meses], [1, 2, 3]);
+    assert.deepEqual([...cron.diasSemana], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...interpretarCron('0 0 * * 7').diasSemana], [0]);
+    assert.deepEqual([...interpretarCron('5/15 * * * *').minutos], [5, 20, 35, 50]);
+    assert.equal(interpretarCron('@daily').horas.size, 1);
+
+    assert.throws(() => interpretarCron('0 7 * *'), /5 campos/);
+    assert.throws(() => interpretarCron('60 * * * *'), /minuto/);
+    assert.throws(() => interpretarCron('0 7 1- * *'), /dia/);
+    assert.throws(() => interpretarCron('0 7 * * 3-1'), /invertido/);
+    assert.throws(() => interpretarCron('*/0 * * * *'), /passo/);
+});
+
+await testar('Próxima execução respeita dias úteis, passos e virada de mês', () => {
+    // 17/10/2026 é sábado
+    const sabado = new Date(2026, 9, 17, 8, 0);
+    assert.deepEqual(proximaExecucao(interpretarCron('0 7 * * 1-5'), sabado), new Date(2026, 9, 19, 7, 0));
+    assert.deepEqual(proximaExecucao(interpretarCron('*/15 * * * *'), new Date(2026, 9, 17, 8, 7, 30)), new Date(2026, 9, 17, 8, 15));
+    assert.deepEqual(proximaExecucao(interpretarCron('0 7 * * *'), new Date(2026, 9, 17, 7, 0)), new Date(2026, 9, 18, 7, 0));
+    assert.deepEqual(proximaExecucao(interpretarCron('@monthly'), new Date(2026, 11, 15)), new Date(2027, 0, 1, 0, 0));
+    // Dia do mês e dia da semana restritos: vale qualquer um dos dois
+    assert.deepEqual(proximaExecucao(interpretarCron('0 0 13 * fri'), sabado), new Date(2026, 9, 23, 0, 0));
+    assert.throws(() => proximaExecucao(interpretarCron('0 0 31 2 *'), sabado), /não tem próxima/);
+});
+
+await testar('Arquivo de tarefas ignora inválidas e repetidas', async () => {
+    const arquivo = path.join(pasta, 'agendamentos.json');
+    await writeFile(arquivo, JSON.stringify({
+        tarefas: [
+            { nome: 'manha', cron: '0 7 * * 1-5', categorias: 'Pets, Beleza', maxPaginas: 2 },
+            { nome: 'lista', cron: '@hourly', arquivoProdutos: 'links.txt', headless: true },
+            { nome: 'manha', cron: '0 8 * * *', categorias: ['Casa'] },
+            { nome: 'sem-categoria', cron: '0 8 * * *' },
+            { nome: 'cron-ruim', cron: '0 25 * * *', categorias: ['Casa'] },
+            { nome: 'alvo-texto', cron: '0 8 * * *', categorias: ['Casa'], alvo: '10' },
+            { cron: '0 8 * * *', categorias: ['Casa'] }
+        ]
+    }));
+
+    const { tarefas, erros } = carregarTarefasAgendadas(arquivo);
+    assert.deepEqual(tarefas.map(t => t.nome), ['manha', 'lista']);
+    assert.deepEqual(tarefas[0].overrides, { categorias: ['Pets', 'Beleza'], maxPaginas: 2 });
+    assert.deepEqual(tarefas[1].overrides, { arquivoProdutos: 'links.txt' });
+    assert.equal(erros.length, 5);
+    assert.match(carregarTarefasAgendadas(path.join(pasta, 'nao-existe.json')).erros[0], /não encontrado/);
+});
+
+await testar('Disparo durante outra execução é pulado; falhas viram registro com erro', async () => {
+    const historico = new HistoricoAgendamentos(path.join(pasta, 'database', 'historico.json'));
+    const metricas = [];
+    let liberar;
+    const agendador = new Agendador({
+        tarefas: [tarefa('manha'), tarefa('tarde'), tarefa('quebra')],
+        historico,
+        registrarMetrica: async (execucao) => metricas.push(execucao),
+        executar: async (t) => {
+            if (t.nome === 'quebra') {
+                throw new Error('browser não abriu');
+            }
+            await new Promise(resolve => { liberar = resolve; });
+            return { runId: 'run-1', status: 'concluida_com_erros' };
+        }
+    });
+
+    const [manha, tarde, quebra] = agendador.tarefas;
+    const emAndamento = agendador.disparar(manha);
+    const pulada = await agendador.disparar(tarde);
+    assert.equal(pulada.status, 'pulada');
+    assert.match(pulada.motivo, /'manha' ainda em andamento/);
+
+    liberar();
+    const concluida = await emAndamento;
+    assert.equal(concluida.status, 'concluida_com_erros');
+    assert.equal(concluida.runId, 'run-1');
+    assert.ok(concluida.duracaoMs >= 0);
+
+    const falha = await agendador.disparar(quebra);
+    assert.equal(falha.status, 'falhou');
+    assert.equal(falha.erro, 'browser não abriu');
+
+    assert.deepEqual(metricas.map(m => m.status), ['pulada', 'concluida_com_erros', 'falhou']);
+    const gravado = JSON.parse(await readFile(historico.arquivo, 'utf-8'));
+    assert.deepEqual(gravado.execucoes.map(e => e.tarefa), ['tarde', 'manha', 'quebra']);
+});
+
+await testar('Timer dispara no minuto cheio e rearma a próxima ocorrência', async () => {
+    // Relógio simulado: 100 ms antes de virar o minuto
+    const inicioReal = Date.now();
+    const base = new Date(2026, 9, 17, 10, 0, 59, 900).getTime();
+    const agora = () => new Date(base + (Date.now() - inicioReal));
+
+    const execucoes = [];
+    const agendador = new Agendador({
+        tarefas: [tarefa('minuto', '* * * * *'), tarefa('noite', '0 23 * * *')],
+        agora,
+        registrarMetrica: async () => {},
+        executar: async (t) => {
+            execucoes.push(t.nome);
+            return { runId: 'run-2', status: 'concluida' };
+        }
+    });
+
+    agendador.iniciar();
+    assert.deepEqual(agendador.agenda().map(a => a.proxima), [new Date(2026, 9, 17, 10, 1), new Date(2026, 9, 17, 23, 0)]);
+    await esperar(400);
+    assert.deepEqual(execucoes, ['minuto']);
+    assert.deepEqual(agendador.agenda()[0].proxima, new Date(2026, 9, 17, 10, 2));
+    await agendador.parar();
+    assert.equal(agendador.temporizadores.size, 0);
+});
+
+await testar('Histórico, métricas diárias e overrides restaurados entre tarefas', async () => {
+    const historico = new HistoricoAgendamentos(path.join(pasta, 'database', 'limite.json'), 2);
+    for (const status of ['concluida', 'pulada', 'falhou']) {
+        await historico.registrar({ tarefa: 'manha', status });
+    }
+    const recarregado = new HistoricoAgendamentos(historico.arquivo);
+    assert.equal((await recarregado.carregar()).length, 2);
+    assert.equal(recarregado.ultima('manha').status, 'falhou');
+    assert.equal(recarregado.ultima('outra'), null);
+
+    await registrarExecucaoAgendada({ tarefa: 'manha', status: 'pulada' });
+    const resumo = await registrarExecucaoAgendada({ tarefa: 'manha', status: 'falhou', erro: 'x' });
+    assert.deepEqual(resumo.totais, { pulada: 1, falhou: 1 });
+    const arquivo = path.join(pasta, 'metrics', `agendador-${new Date().toISOString().split('T')[0]}.json`);
+    assert.equal(JSON.parse(await readFile(arquivo, 'utf-8')).execucoes.length, 2);
+
+    const categoriasBase = config.CATEGORIES;
+    config.aplicarOverridesExecucao({ categorias: ['Outra'], maxPaginas: 1, semBanco: true, saida: 'exports/x' });
+    assert.deepEqual(config.CATEGORIES, ['Outra']);
+    config.restaurarOverridesExecucao();
+    assert.deepEqual(config.CATEGORIES, categoriasBase);
+    assert.equal(config.CONFIG.general.outputDir, 'exports');
+    assert.notEqual(config.MAX_PAGES_PER_CATEGORY, 1);
+});
+
+process.chdir(raizProjeto);
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
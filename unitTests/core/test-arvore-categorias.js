@@ -0,0 +1,149 @@
+/**
+ * Script de teste para a árvore de categorias do AliExpress
+ * Os links simulam a página "Todas as categorias" e as páginas de categoria, sem browser
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'arvore-categorias-'));
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+process.env.CATEGORY_TREE_FILE = path.join(pasta, 'config', 'arvore-categorias.json');
+
+const {
+    interpretarLinkCategoria,
+    criarArvore,
+    adicionarNo,
+    agruparLinksRaiz,
+    registrarSubcategorias,
+    caminhoCategoria,
+    listarFolhas,
+    ehEntradaArvore,
+    resolverCategoria,
+    dadosCategoriaProduto,
+    carregarArvore,
+    salvarArvore,
+    reiniciarArvore,
+    obterCategoriaArvore
+} = await import('../../scraper/arvore-categorias.js');
+
+const { testar, concluir } = criarSuite('TESTANDO ÁRVORE DE CATEGORIAS');
+
+const link = (id, slug, texto, titulo = false) => ({
+    href: `https://pt.aliexpress.com/category/${id}/${slug}.html?spm=a2g0o.categorymp`,
+    texto,
+    titulo
+});
+
+// Página "Todas as categorias": títulos de grupo seguidos das subcategorias
+const linksRaiz = [
+    { href: 'https://pt.aliexpress.com/item/1005006123456789.html', texto: 'Oferta', titulo: false },
+    link('15', 'home-and-garden', 'Casa e Jardim', true),
+    link('100004814', 'kitchen-dining-bar', 'Cozinha, Jantar e Bar'),
+    link('125', 'home-decor', 'Decoração'),
+    link('66', 'beauty-health', 'Beleza e Saúde', true),
+    link('660103', 'makeup', 'Maquiagem')
+];
+
+function montarArvore() {
+    const arvore = criarArvore(3);
+    for (const { pai, filhos } of agruparLinksRaiz(linksRaiz)) {
+        const raiz = adicionarNo(arvore, pai);
+        filhos.forEach(filho => adicionarNo(arvore, filho, raiz.id));
+        raiz.expandido = true;
+    }
+    // Página da Cozinha: trilha (Casa e Jardim), irmã (Decoração) e as subcategorias
+    registrarSubcategorias(arvore, '100004814', [
+        link('15', 'home-and-garden', 'Casa e Jardim'),
+        link('125', 'home-decor', 'Decoração'),
+        link('100004817', 'kitchen-tools-gadgets', 'Utensílios de Cozinha'),
+        link('100004822', 'cookware', 'Panelas')
+    ]);
+    // Página da Maquiagem: subcategoria com o mesmo nome de uma da Cozinha
+    registrarSubcategorias(arvore, '660103', [
+        link('200001', 'makeup-tools', 'Utensílios de Cozinha')
+    ]);
+    return arvore;
+}
+
+await testar('Links de categoria viram ID, slug, nome e URL canônica', () => {
+    assert.deepEqual(interpretarLinkCategoria('//www.aliexpress.com/category/100003109/women-clothing.html?spm=x', ' Moda  Feminina '), {
+        id: '100003109',
+        slug: 'women-clothing',
+        nome: 'Moda Feminina',
+        url: 'https://pt.aliexpress.com/category/100003109/women-clothing.html'
+    });
+    assert.equal(interpretarLinkCategoria('https://pt.aliexpress.com/category/44/consumer-electronics.html').nome, 'consumer electronics');
+    assert.equal(interpretarLinkCategoria('https://pt.aliexpress.com/item/1005006123456789.html'), null);
+    assert.equal(interpretarLinkCategoria(undefined), null);
+});
+
+await testar('Página "Todas as categorias" monta os níveis 1 e 2 pelos títulos de grupo', () => {
+    const arvore = montarArvore();
+    assert.deepEqual(arvore.raizes, ['15', '66']);
+    assert.deepEqual(arvore.nos['15'].filhos, ['100004814', '125']);
+    assert.equal(arvore.nos['100004814'].nivel, 2);
+    assert.equal(arvore.nos['100004814'].paiId, '15');
+    assert.equal(arvore.nos['660103'].paiId, '66');
+    assert.equal(adicionarNo(arvore, interpretarLinkCategoria(linksRaiz[2].href, 'Repetida'), '66'), null);
+});
+
+await testar('Subcategorias ignoram a trilha e as irmãs já conhecidas', () => {
+    const arvore = montarArvore();
+    assert.deepEqual(arvore.nos['100004814'].filhos, ['100004817', '100004822']);
+    assert.equal(arvore.nos['100004817'].nivel, 3);
+    assert.equal(arvore.nos['100004814'].expandido, true);
+    assert.equal(arvore.nos['125'].expandido, false);
+    assert.deepEqual(caminhoCategoria(arvore, '100004822'), ['Casa e Jardim', 'Cozinha, Jantar e Bar', 'Panelas']);
+    assert.deepEqual(listarFolhas(arvore).map(({ no }) => no.id), ['100004817', '100004822', '125', '200001']);
+});
+
+await testar('Entradas cat:<id> e caminhos são resolvidos sem diferenciar acentos e maiúsculas', () => {
+    const arvore = montarArvore();
+    assert.equal(ehEntradaArvore('cat:100004822'), true);
+    assert.equal(ehEntradaArvore('Casa e Jardim > Decoração'), true);
+    assert.equal(ehEntradaArvore('Casa e Cozinha'), false);
+
+    const porId = resolverCategoria(arvore, 'CAT:100004822');
+    assert.equal(porId.no.id, '100004822');
+    assert.equal(porId.folha, true);
+
+    assert.equal(resolverCategoria(arvore, 'casa e jardim > decoracao').no.id, '125');
+    assert.equal(resolverCategoria(arvore, 'Cozinha, Jantar e Bar > Utensilios de cozinha').no.id, '100004817');
+
+    const pai = resolverCategoria(arvore, 'Casa e Jardim > Cozinha, Jantar e Bar');
+    assert.equal(pai.folha, false);
+    assert.deepEqual(dadosCategoriaProduto(pai), {
+        categoriaId: '100004814',
+        caminhoCategoria: 'Casa e Jardim > Cozinha, Jantar e Bar'
+    });
+});
+
+await testar('Caminho ambíguo ou inexistente não é resolvido e lista os candidatos', () => {
+    const arvore = montarArvore();
+    const ambigua = resolverCategoria(arvore, '> Utensílios de Cozinha');
+    assert.equal(ambigua.no, null);
+    assert.equal(ambigua.candidatos.length, 2);
+    assert.ok(ambigua.candidatos.includes('cat:200001 (Beleza e Saúde > Maquiagem > Utensílios de Cozinha)'));
+    assert.equal(resolverCategoria(arvore, 'cat:999').no, null);
+    assert.equal(resolverCategoria(arvore, 'Casa e Jardim > Pets').candidatos.length, 0);
+});
+
+await testar('Árvore salva é recarregada e resolve entradas de CATEGORIES', async () => {
+    reiniciarArvore();
+    assert.equal(carregarArvore(), null);
+    assert.match(obterCategoriaArvore('cat:125').erro, /categories --refresh/);
+
+    await salvarArvore(montarArvore());
+    assert.equal(obterCategoriaArvore('cat:125').caminho.join(' > '), 'Casa e Jardim > Decoração');
+    assert.match(obterCategoriaArvore('> Utensílios de Cozinha').erro, /ambígua/);
+    assert.match(obterCategoriaArvore('cat:999').erro, /não existe/);
+    assert.equal(carregarArvore(), carregarArvore());
+});
+
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
@@ -0,0 +1,72 @@
+/**
+ * Script de teste para os checkpoints de execução (--resume)
+ * Usa um diretório temporário para não interferir em execuções reais
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const diretorioTeste = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoints-'));
+process.env.DIRETORIO_CHECKPOINTS = diretorioTeste;
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    gerarRunId,
+    salvarManifestoExecucao,
+    carregarManifestoExecucao,
+    criarCheckpointCategoria
+} = await import('../../utils/checkpoint-execucao.js');
+
+const { testar, concluir } = criarSuite('TESTANDO CHECKPOINTS DE EXECUÇÃO');
+
+const runId = gerarRunId();
+
+await testar('Run ID é legível e seguro para nome de pasta', () => {
+    assert.match(runId, /^\d{8}-\d{6}-[0-9a-f]{4}$/);
+});
+
+await testar('Manifesto da execução guarda categorias para o --resume', async () => {
+    await salvarManifestoExecucao(runId, { categorias: ['Casa e Cozinha'], status: 'em_andamento' });
+    await salvarManifestoExecucao(runId, { status: 'concluida' });
+    const manifesto = await carregarManifestoExecucao(runId);
+    assert.deepEqual(manifesto.categorias, ['Casa e Cozinha']);
+    assert.equal(manifesto.status, 'concluida');
+});
+
+await testar('Fases concluídas e produtos detalhados são reaproveitados na retomada', async () => {
+    const checkpoint = await criarCheckpointCategoria(runId, 'Casa e Cozinha');
+    await checkpoint.registrarParcial('coleta', { product_id: '1001', nome: 'Produto A', rating: 4.8 });
+    await checkpoint.salvarFase('duplicidade', { produtosUnicos: [{ product_id: '1001' }], stats: { duplicados: 0 } });
+
+    const retomado = await criarCheckpointCategoria(runId, 'Casa e Cozinha', { retomar: true });
+    assert.equal(retomado.faseConcluida('coleta'), false);
+    assert.equal(retomado.faseConcluida('duplicidade'), true);
+    assert.equal(retomado.obterParcial('coleta', 1001).rating, 4.8);
+    assert.equal((await retomado.carregarFase('duplicidade')).produtosUnicos.length, 1);
+    assert.equal(await retomado.carregarFase('mercadoLivre'), null);
+});
+
+await testar('Nova execução com o mesmo ID descarta checkpoints antigos', async () => {
+    const checkpoint = await criarCheckpointCategoria(runId, 'Casa e Cozinha');
+    assert.equal(checkpoint.faseConcluida('duplicidade'), false);
+    assert.equal(checkpoint.totalParcial('coleta'), 0);
+});
+
+await testar('Gravações parciais concorrentes não perdem produtos', async () => {
+    const checkpoint = await criarCheckpointCategoria(runId, 'Pets');
+    await Promise.all(Array.from({ length: 12 }, (_, i) => checkpoint.registrarParcial('coleta', { product_id: String(i) })));
+
+    const retomado = await criarCheckpointCategoria(runId, 'Pets', { retomar: true });
+    assert.equal(retomado.totalParcial('coleta'), 12);
+});
+
+await testar('IDs de execução inválidos são rejeitados', async () => {
+    await assert.rejects(() => carregarManifestoExecucao('../fora'), /inválido/);
+});
+
+await fs.rm(diretorioTeste, { recursive: true, force: true });
+
+concluir();
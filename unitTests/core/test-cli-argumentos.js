@@ -0,0 +1,137 @@
+/**
+ * Script de teste para o interpretador de argumentos da CLI
+ * Valida subcomandos, overrides por execução e mensagens de erro
+ */
+
+import assert from 'node:assert/strict';
+import { interpretarArgumentos, exigirCategorias, mesclarOverridesRetomada } from '../../cli/argumentos.js';
+import { criarSuite } from './suite-testes.js';
+
+const { testar, concluir } = criarSuite('TESTANDO INTERPRETADOR DE ARGUMENTOS DA CLI');
+
+await testar('Sem argumentos executa scrape sem overrides', () => {
+    const { comando, overrides } = interpretarArgumentos([]);
+    assert.equal(comando, 'scrape');
+    assert.equal(overrides.categorias, undefined);
+    assert.equal(overrides.semBanco, false);
+});
+
+await testar('Overrides de scrape são normalizados', () => {
+    const { comando, overrides } = interpretarArgumentos([
+        'scrape', '--categories', 'Pets, Beleza,', '--max-pages', '2', '--target', '10',
+        '--headless', '--no-db', '--output', './planilhas'
+    ]);
+    assert.equal(comando, 'scrape');
+    assert.deepEqual(overrides.categorias, ['Pets', 'Beleza']);
+    assert.equal(overrides.maxPaginas, 2);
+    assert.equal(overrides.alvo, 10);
+    assert.equal(overrides.headless, true);
+    assert.equal(overrides.semBanco, true);
+    assert.equal(overrides.saida, './planilhas');
+});
+
+await testar('--max-pages 0 é aceito (sem limite)', () => {
+    const { overrides } = interpretarArgumentos(['--max-pages', '0']);
+    assert.equal(overrides.maxPaginas, 0);
+});
+
+await testar('Opções de export/clean têm padrões', () => {
+    assert.equal(interpretarArgumentos(['export']).opcoes.limite, 50);
+    assert.equal(interpretarArgumentos(['clean', '--days', '7']).opcoes.dias, 7);
+    assert.equal(interpretarArgumentos(['schedule', '--headless']).comando, 'schedule');
+});
+
+await testar('--help tem prioridade sobre o comando', () => {
+    assert.equal(interpretarArgumentos(['stats', '-h']).comando, 'help');
+});
+
+await testar('Comando desconhecido é rejeitado', () => {
+    assert.throws(() => interpretarArgumentos(['deploy']), /Comando desconhecido/);
+});
+
+await testar('Valores numéricos inválidos são rejeitados', () => {
+    assert.throws(() => interpretarArgumentos(['--target', '0']), /--target/);
+    assert.throws(() => interpretarArgumentos(['--max-pages', 'dois']), /--max-pages/);
+});
+
+await testar('--categories vazio é rejeitado', () => {
+    assert.throws(() => interpretarArgumentos(['--categories', ' , ']), /--categories/);
+});
+
+await testar('--detail-strategy aceita apenas direct, search ou auto', () => {
+    assert.equal(interpretarArgumentos(['--detail-strategy', 'Direct']).overrides.estrategiaDetalhes, 'direct');
+    assert.equal(interpretarArgumentos([]).overrides.estrategiaDetalhes, undefined);
+    assert.throws(() => interpretarArgumentos(['--detail-strategy', 'rapida']), /--detail-strategy/);
+});
+
+await testar('--record e --replay definem o modo de fixtures e são exclusivos', () => {
+    assert.deepEqual(interpretarArgumentos(['--replay', 'fixtures/pets']).overrides.fixtures, { modo: 'replay', diretorio: 'fixtures/pets' });
+    assert.throws(() => interpretarArgumentos(['--record', 'a', '--replay', 'b']), /juntos/);
+});
+
+await testar('--parallel define as categorias em paralelo', () => {
+    assert.equal(interpretarArgumentos(['--parallel', '2']).overrides.categoriasParalelas, 2);
+    assert.equal(interpretarArgumentos([]).overrides.categoriasParalelas, undefined);
+    assert.throws(() => interpretarArgumentos(['--parallel', '0']), /--parallel/);
+});
+
+await testar('--products e --products-file definem a lista de produtos', () => {
+    const { overrides } = interpretarArgumentos([
+        '--products', '1005006123456789, https://pt.aliexpress.com/item/1005007654321098.html',
+        '--products-file', 'links.txt', '--categories', 'Fornecedor X'
+    ]);
+    assert.deepEqual(overrides.produtos, ['1005006123456789', 'https://pt.aliexpress.com/item/1005007654321098.html']);
+    assert.equal(overrides.arquivoProdutos, 'links.txt');
+    assert.deepEqual(overrides.categorias, ['Fornecedor X']);
+    assert.throws(() => interpretarArgumentos(['--products', ' , ']), /--products/);
+    assert.throws(() => interpretarArgumentos(['--products-file', '1.txt', '--categories', 'A,B']), /rótulo/);
+});
+
+await testar('categories aceita --refresh e --depth de 1 a 5', () => {
+    const { comando, opcoes } = interpretarArgumentos(['categories', '--refresh', '--depth', '4']);
+    assert.equal(comando, 'categories');
+    assert.equal(opcoes.atualizar, true);
+    assert.equal(opcoes.profundidade, 4);
+    assert.equal(interpretarArgumentos(['categories']).opcoes.profundidade, undefined);
+    assert.throws(() => interpretarArgumentos(['categories', '--depth', '6']), /--depth/);
+    assert.throws(() => interpretarArgumentos(['categories', '--depth', '0']), /--depth/);
+});
+
+await testar('CATEGORIES só é exigida no scrape sem --categories, --resume ou --products', () => {
+    const exigir = (argv, ambiente) => {
+        const { comando, overrides } = interpretarArgumentos(argv);
+        exigirCategorias(comando, overrides, ambiente);
+    };
+    assert.throws(() => exigir([], ''), /CATEGORIES/);
+    assert.throws(() => exigir(['scrape', '--headless'], undefined), /CATEGORIES/);
+    assert.doesNotThrow(() => exigir(['scrape'], 'Pets'));
+    assert.doesNotThrow(() => exigir(['scrape', '--categories', 'Pets'], ''));
+    assert.doesNotThrow(() => exigir(['scrape', '--resume', '20250811-143015-a1b2'], ''));
+    assert.doesNotThrow(() => exigir(['--products', '1005006123456789'], ''));
+    for (const comando of ['export', 'stats', 'recheck', 'clean', 'categories', 'schedule', 'help']) {
+        assert.doesNotThrow(() => exigir([comando], ''), comando);
+    }
+});
+
+await testar('--resume restaura todos os overrides da execução original, salvo os explícitos', () => {
+    const original = interpretarArgumentos([
+        'scrape', '--categories', 'Pets', '--max-pages', '2', '--target', '10', '--headless', '--no-db',
+        '--output', './planilhas', '--detail-strategy', 'search', '--parallel', '2', '--replay', 'fixtures/pets'
+    ]).overrides;
+    // O manifesto é JSON: chaves sem valor não são gravadas
+    const manifesto = { categorias: ['Pets'], overrides: JSON.parse(JSON.stringify(original)) };
+
+    const retomada = mesclarOverridesRetomada(interpretarArgumentos(['scrape', '--resume', 'exec-1']).overrides, manifesto);
+    assert.deepEqual(retomada, { ...original, retomar: 'exec-1' });
+
+    const explicita = mesclarOverridesRetomada(
+        interpretarArgumentos(['scrape', '--resume', 'exec-1', '--max-pages', '5', '--output', './outra']).overrides,
+        manifesto
+    );
+    assert.deepEqual([explicita.maxPaginas, explicita.saida, explicita.semBanco], [5, './outra', true]);
+
+    const semOverrides = mesclarOverridesRetomada(interpretarArgumentos(['--resume', 'exec-2']).overrides, { categorias: ['Beleza'] });
+    assert.deepEqual([semOverrides.categorias, semOverrides.headless, semOverrides.retomar], [['Beleza'], false, 'exec-2']);
+});
+
+concluir();
@@ -0,0 +1,136 @@
+/**
+ * Script de teste para o coletor de reviews e os sinais de qualidade
+ * A API de feedback é substituída por um adapter do axios com reviews de exemplo
+ */
+
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { normalizarReview, calcularSinaisReviews, coletarReviews } = await import('../../scraper/coletor-reviews.js');
+const { applyQualitativeFilter, qualitativoAprovado } = await import('../../filters/qualitative.js');
+const { calcularScoreTotal } = await import('../../scoring/product-scorer.js');
+
+const { testar, concluir } = criarSuite('TESTANDO COLETOR DE REVIEWS');
+
+function review(estrelas, texto, fotos = 0) {
+    return { texto, estrelas, fotos: Array.from({ length: fotos }, (_, i) => `foto${i}.jpg`), pais: 'BR', data: '' };
+}
+
+// 10 reviews: nota média alta, mas 3 negativas e 2 delas relatando produto quebrado
+const reviewsChegouQuebrado = [
+    ...Array.from({ length: 7 }, () => review(5, 'Ótimo, recomendo', 1)),
+    review(1, 'Chegou quebrado, a tampa veio trincada'),
+    review(1, 'Não funciona, veio com defeito'),
+    review(2, 'Demorou 60 dias para chegar')
+];
+
+await testar('Review crua da API é normalizada (escala 20-100 vira estrelas)', () => {
+    const normalizada = normalizarReview({
+        buyerEval: 40,
+        buyerFeedback: 'Broken on arrival',
+        buyerTranslationFeedback: 'Chegou quebrado',
+        images: ['a.jpg'],
+        buyerCountry: 'BR',
+        evalDate: '12 jul 2025'
+    });
+    assert.equal(normalizada.estrelas, 2);
+    assert.equal(normalizada.texto, 'Chegou quebrado');
+    assert.equal(normalizada.fotos.length, 1);
+    assert.equal(normalizada.pais, 'BR');
+});
+
+await testar('Sinais apontam defeito mesmo com média de estrelas alta', () => {
+    const sinais = calcularSinaisReviews(reviewsChegouQuebrado);
+    assert.equal(sinais.total, 10);
+    assert.ok(sinais.mediaEstrelas >= 3.5);
+    assert.equal(sinais.percentualNegativas, 30);
+    assert.equal(sinais.negativas.defeito, 66.7);
+    assert.equal(sinais.negativas.atraso, 33.3);
+    assert.equal(sinais.percentualDefeito, 20);
+    assert.equal(sinais.percentualComFoto, 70);
+    assert.equal(sinais.risco, 'alto');
+    assert.ok(sinais.penalidade > 0);
+    assert.ok(sinais.alertas.some(alerta => /defeito/.test(alerta)));
+});
+
+await testar('Amostra pequena não gera penalidade', () => {
+    const sinais = calcularSinaisReviews([review(1, 'quebrado'), review(5, 'bom')]);
+    assert.equal(sinais.amostraInsuficiente, true);
+    assert.equal(sinais.penalidade, 0);
+    assert.equal(sinais.risco, 'baixo');
+});
+
+await testar('Coleta pagina a API de feedback até a última página', async () => {
+    const paginasPedidas = [];
+    const adapterOriginal = axios.defaults.adapter;
+    axios.defaults.adapter = async (config) => {
+        const pagina = Number(new URL(config.url).searchParams.get('page'));
+        paginasPedidas.push(pagina);
+        const evaViewList = pagina === 1
+            ? Array.from({ length: 5 }, () => ({ buyerEval: 100, buyerFeedback: 'Perfeito', images: [] }))
+            : [{ buyerEval: 20, buyerFeedback: 'Broken, does not work', images: ['x.jpg'] }];
+        return { data: { data: { evaViewList, totalPage: 2 } }, status: 200, statusText: 'OK', headers: {}, config, request: {} };
+    };
+
+    try {
+        const resultado = await coletarReviews('1005001', { maxPaginas: 5, tamanhoPagina: 5 });
+        assert.deepEqual(paginasPedidas, [1, 2]);
+        assert.equal(resultado.reviewsColetadas.length, 6);
+        assert.equal(resultado.sinaisReviews.negativas.defeito, 100);
+    } finally {
+        axios.defaults.adapter = adapterOriginal;
+    }
+});
+
+await testar('Coleta desativada ou com erro retorna estrutura vazia', async () => {
+    assert.deepEqual(await coletarReviews('1005001', { maxPaginas: 0 }), { reviewsColetadas: [], sinaisReviews: null });
+
+    const adapterOriginal = axios.defaults.adapter;
+    axios.defaults.adapter = async () => { throw new Error('rede indisponível'); };
+    try {
+        const resultado = await coletarReviews('1005001', { maxPaginas: 2 });
+        assert.equal(resultado.sinaisReviews, null);
+    } finally {
+        axios.defaults.adapter = adapterOriginal;
+    }
+});
+
+await testar('Filtro qualitativo e score total penalizam reviews com defeito', async () => {
+    const produto = { nome: 'Wireless bluetooth speaker', vendas: 3000, rating: 4.6, filtros: {} };
+    const semReviews = await applyQualitativeFilter(produto);
+
+    const comReviews = { ...produto, sinaisReviews: calcularSinaisReviews(reviewsChegouQuebrado) };
+    const resultado = await applyQualitativeFilter(comReviews);
+
+    assert.ok(resultado.scoreQualitativo < semReviews.scoreQualitativo);
+    assert.equal(resultado.aprovado, false);
+    assert.ok(resultado.riscosIdentificados.some(risco => /defeito/.test(risco)));
+
+    const scoreSem = calcularScoreTotal({ ...produto, qualitativeScore: semReviews });
+    const scoreCom = calcularScoreTotal({ ...comReviews, qualitativeScore: resultado });
+    assert.equal(scoreCom.reviews, -10);
+    assert.ok(scoreCom.total < scoreSem.total);
+});
+
+await testar('Risco alto nas reviews reprova mesmo com score básico alto', async () => {
+    const produto = { nome: 'Premium wireless bluetooth portable rechargeable LED speaker', vendas: 5000, rating: 4.8, filtros: {} };
+    const semReviews = await applyQualitativeFilter(produto);
+    assert.ok(semReviews.scoreQualitativo >= 80);
+    assert.equal(qualitativoAprovado(semReviews, 50), true);
+
+    const sinaisReviews = calcularSinaisReviews(reviewsChegouQuebrado);
+    const resultado = await applyQualitativeFilter({ ...produto, sinaisReviews });
+
+    // A penalidade tem teto de 30 pontos: o score continua acima do mínimo, quem reprova é o risco alto
+    assert.equal(sinaisReviews.risco, 'alto');
+    assert.equal(sinaisReviews.penalidade, 30);
+    assert.ok(resultado.scoreQualitativo >= 50);
+    assert.equal(resultado.aprovado, false);
+    assert.equal(qualitativoAprovado(resultado, 50), false);
+    assert.equal(qualitativoAprovado({ scoreQualitativo: 40, aprovado: true }, 50), false);
+});
+
+concluir();
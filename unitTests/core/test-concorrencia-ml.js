@@ -0,0 +1,142 @@
+/**
+ * Script de teste para a análise de concorrência no Mercado Livre
+ * Os anúncios vêm do servidor simulado em unitTests/mocks/servidor-mock-ml.js
+ */
+
+import assert from 'node:assert/strict';
+import { iniciarServidorMockML } from '../mocks/servidor-mock-ml.js';
+import { criarSuite } from './suite-testes.js';
+
+const servidor = await iniciarServidorMockML();
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+process.env.ML_API_URL = servidor.url;
+
+const {
+    montarHistogramaPrecos,
+    resumirConcorrenciaML,
+    margemMinimaComConcorrencia,
+    analisarConcorrenciaML
+} = await import('../../marginValidation/concorrencia-ml.js');
+const { calcularScoreTotal } = await import('../../scoring/product-scorer.js');
+
+const { testar, concluir } = criarSuite('TESTANDO CONCORRÊNCIA NO MERCADO LIVRE', {
+    antesDeCada: () => { servidor.requisicoes.length = 0; }
+});
+
+// Mercado dominado: lojas oficiais no Full concentram as vendas e quase ninguém mais vende
+const anuncio = (i, extras = {}) => ({
+    id: `MLB${i}`, nome: `Anúncio ${i}`, preco: 50 + i, vendidos: 0, vendedorId: i,
+    lojaOficial: false, full: false, mercadoEnvios: true, freteGratis: false, ...extras
+});
+const mercadoSaturado = {
+    termo: 'garrafa termica',
+    total: 3400,
+    itens: Array.from({ length: 10 }, (_, i) => anuncio(i, i < 4
+        ? { lojaOficial: true, full: true, vendidos: 1000 - i * 100, vendedorId: 1 }
+        : { vendidos: i === 4 ? 20 : 0 }))
+};
+
+await testar('Histograma divide a faixa de preços em 5 intervalos de mesma largura', () => {
+    const faixas = montarHistogramaPrecos([10, 12, 19.9, 30, 50, 50]);
+    assert.equal(faixas.length, 5);
+    assert.deepEqual(faixas.map(f => [f.de, f.ate]), [[10, 18], [18, 26], [26, 34], [34, 42], [42, 50]]);
+    assert.deepEqual(faixas.map(f => f.anuncios), [2, 1, 1, 0, 2]);
+    assert.equal(faixas[0].percentual, 33.3);
+    assert.deepEqual(montarHistogramaPrecos([25, 25]), [{ de: 25, ate: 25, anuncios: 2, percentual: 100 }]);
+    assert.deepEqual(montarHistogramaPrecos([]), []);
+});
+
+await testar('Mercado com lojas oficiais, Full e vendas concentradas tem saturação alta', () => {
+    const resumo = resumirConcorrenciaML(mercadoSaturado);
+    assert.equal(resumo.totalResultados, 3400);
+    assert.equal(resumo.anunciosAnalisados, 10);
+    assert.deepEqual(resumo.lojasOficiais, { anuncios: 4, percentual: 40 });
+    assert.deepEqual(resumo.full, { anuncios: 4, percentual: 40 });
+    assert.equal(resumo.vendidos.total, 3420);
+    assert.equal(resumo.vendidos.percentualComVendas, 50);
+    assert.equal(resumo.vendidos.concentracaoTop3, 78.9);
+    assert.deepEqual(resumo.vendedores, { distintos: 7, maiorParticipacao: 40 });
+    assert.deepEqual(resumo.precos, { minimo: 50, maximo: 59, media: 54.5, mediana: 54.5, quartil1: 52.25, quartil3: 56.75 });
+
+    assert.equal(resumo.saturacao.nivel, 'alta');
+    assert.equal(resumo.saturacao.pontuacao, 85);
+    assert.ok(resumo.saturacao.motivos.includes('3400 anúncios na busca'));
+    assert.equal(margemMinimaComConcorrencia(30, resumo), 40);
+    assert.equal(margemMinimaComConcorrencia(30, { disponivel: false, erro: 'x' }), 30);
+    assert.equal(margemMinimaComConcorrencia(30, null), 30);
+});
+
+await testar('Análise pela API lê até o limite, consulta avaliações dos mais vendidos e não detalha itens', async () => {
+    const concorrencia = await analisarConcorrenciaML('fone bluetooth');
+    assert.equal(concorrencia.disponivel, true);
+    assert.equal(concorrencia.totalResultados, 60);
+    assert.equal(concorrencia.anunciosAnalisados, 60);
+    assert.deepEqual(servidor.requisicoes.filter(r => r.startsWith('/sites')), [
+        '/sites/MLB/search?q=fone+bluetooth&offset=0&limit=50',
+        '/sites/MLB/search?q=fone+bluetooth&offset=50&limit=50'
+    ]);
+    assert.equal(servidor.requisicoes.some(r => r.startsWith('/items')), false);
+
+    assert.deepEqual(concorrencia.lojasOficiais, { anuncios: 1, percentual: 1.7 });
+    assert.deepEqual(concorrencia.full, { anuncios: 5, percentual: 8.3 });
+    assert.deepEqual(concorrencia.mercadoEnvios, { anuncios: 40, percentual: 66.7 });
+    assert.equal(concorrencia.freteGratis.anuncios, 10);
+    assert.equal(concorrencia.vendedores.distintos, 12);
+    assert.equal(concorrencia.histogramaPrecos.reduce((soma, f) => soma + f.anuncios, 0), 60);
+
+    assert.deepEqual(concorrencia.avaliacoesTopAnuncios.map(a => [a.id, a.notaMedia, a.totalAvaliacoes]), [
+        ['MLB3000000000', 4.8, 300],
+        ['MLB3000000001', 4.7, 280],
+        ['MLB3000000002', 4.6, 260]
+    ]);
+    assert.equal(concorrencia.notaMediaTopAnuncios, 4.7);
+    assert.equal(concorrencia.saturacao.nivel, 'baixa');
+
+    const limitada = await analisarConcorrenciaML('fone', { maxItens: 20, topAvaliacoes: 1 });
+    assert.equal(limitada.anunciosAnalisados, 20);
+    assert.equal(limitada.totalResultados, 60);
+    assert.equal(limitada.avaliacoesTopAnuncios.length, 1);
+});
+
+await testar('Falhas na API não interrompem a validação', async () => {
+    assert.equal(await analisarConcorrenciaML('fone', { maxItens: 0 }), null);
+
+    servidor.falhas.avaliacoes = 503;
+    try {
+        const semAvaliacoes = await analisarConcorrenciaML('fone', { maxItens: 10 });
+        assert.equal(semAvaliacoes.disponivel, true);
+        assert.deepEqual(semAvaliacoes.avaliacoesTopAnuncios, []);
+        assert.equal(semAvaliacoes.notaMediaTopAnuncios, null);
+    } finally {
+        delete servidor.falhas.avaliacoes;
+    }
+
+    servidor.falhas.busca = 403;
+    try {
+        const indisponivel = await analisarConcorrenciaML('fone');
+        assert.equal(indisponivel.disponivel, false);
+        assert.match(indisponivel.erro, /403/);
+    } finally {
+        delete servidor.falhas.busca;
+    }
+});
+
+await testar('Score final penaliza mercado saturado e premia pouca oferta com vendas', async () => {
+    const base = { aprovadoQuantitativo: true, aprovadoQualitativo: true };
+    const comConcorrencia = (concorrenciaML) => calcularScoreTotal({ ...base, dadosMercadoLivre: { concorrenciaML } });
+
+    const semDados = calcularScoreTotal(base);
+    const saturado = comConcorrencia(resumirConcorrenciaML(mercadoSaturado));
+    const livre = comConcorrencia(await analisarConcorrenciaML('fone', { topAvaliacoes: 0 }));
+    const indisponivel = comConcorrencia({ disponivel: false, erro: 'x' });
+
+    assert.equal(saturado.concorrencia, -10);
+    assert.equal(livre.concorrencia, 5);
+    assert.equal(indisponivel.concorrencia, 0);
+    assert.equal(saturado.total, semDados.total - 10);
+    assert.match(livre.detalhes.breakdown, /Concorrência:5/);
+});
+
+await servidor.fechar();
+
+concluir();
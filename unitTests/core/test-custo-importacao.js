@@ -0,0 +1,149 @@
+/**
+ * Script de teste para o custo desembarcado (Remessa Conforme, ICMS por UF e regime do vendedor)
+ * As regras vêm de config/regras-tributarias.json; o último teste sobrescreve seções com TAX_RULES_FILE
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'custo-importacao-'));
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    carregarRegrasTributarias,
+    reiniciarRegrasTributarias,
+    regraVigente,
+    calcularImpostoImportacao,
+    calcularImpostosRevenda,
+    calcularCustoImportacao
+} = await import('../../marginValidation/custo-importacao.js');
+const { montarLinhasCustos } = await import('../../export/excelExporter.js');
+const { CONFIG } = await import('../../config.js');
+
+const { testar, concluir } = criarSuite('TESTANDO CUSTO DE IMPORTAÇÃO');
+
+const junho2025 = new Date('2025-06-01T12:00:00Z');
+const base = { preco: 10, frete: 2, cotacaoUSD: 5.2, uf: 'SP', data: junho2025 };
+
+await testar('Imposto de importação segue a faixa do Remessa Conforme em vigor na data', () => {
+    const regras = carregarRegrasTributarias();
+    const isencao = regraVigente(regras.impostoImportacao, new Date('2024-06-01'));
+    const atual = regraVigente(regras.impostoImportacao, junho2025);
+
+    assert.equal(calcularImpostoImportacao(30, isencao).valorUsd, 0);
+    assert.equal(calcularImpostoImportacao(30, atual).valorUsd, 6);
+    assert.equal(calcularImpostoImportacao(50, atual).faixa, 'ateLimite');
+    assert.equal(calcularImpostoImportacao(50, atual).valorUsd, 10);
+
+    const acima = calcularImpostoImportacao(100, atual);
+    assert.deepEqual([acima.faixa, acima.valorUsd, acima.aliquotaEfetiva], ['acimaLimite', 40, 0.4]);
+    assert.match(acima.descricao, /60% − US\$ 20/);
+
+    assert.throws(() => regraVigente(regras.impostoImportacao, new Date('2023-01-01')), /Nenhuma regra tributária vigente/);
+});
+
+await testar('ICMS é calculado por dentro com a alíquota da UF de destino na data', () => {
+    const sp = calcularCustoImportacao(base);
+    assert.deepEqual(sp.valorAduaneiro, { usd: 12, brl: 62.4 });
+    assert.equal(sp.impostoImportacao.valorBrl, 12.48);
+    assert.deepEqual([sp.icms.aliquota, sp.icms.base, sp.icms.valor], [0.17, 90.22, 15.34]);
+    assert.equal(sp.custoDesembarcado, 90.22);
+    assert.equal(sp.impostosRevenda, null);
+    assert.equal(sp.total, 90.22);
+    assert.deepEqual(sp.itens.map(item => item.codigo), ['produto', 'frete', 'impostoImportacao', 'icmsImportacao']);
+
+    const mg = calcularCustoImportacao({ ...base, uf: 'MG' });
+    assert.deepEqual([mg.icms.aliquota, mg.icms.valor, mg.custoDesembarcado], [0.2, 18.72, 93.6]);
+    assert.equal(calcularCustoImportacao({ ...base, uf: 'MG', data: new Date('2025-03-01') }).icms.aliquota, 0.17);
+
+    // Preço em reais (vitrine pt.aliexpress) dá o mesmo custo que o equivalente em dólar
+    const emReais = calcularCustoImportacao({ ...base, preco: 52, frete: 10.4, moeda: 'BRL' });
+    assert.equal(emReais.valorAduaneiro.usd, 12);
+    assert.equal(emReais.custoDesembarcado, 90.22);
+
+    assert.throws(() => calcularCustoImportacao({ ...base, preco: 0 }), /Preço do produto inválido/);
+    assert.throws(() => calcularCustoImportacao({ ...base, moeda: 'EUR' }), /Moeda inválida/);
+});
+
+await testar('Impostos da revenda seguem o regime: Simples pela faixa, MEI pelo DAS e Lucro Presumido com crédito', () => {
+    const { regimes } = carregarRegrasTributarias();
+    const simples = regraVigente(regimes.simples, junho2025);
+    const mei = regraVigente(regimes.mei, junho2025);
+
+    assert.equal(calcularImpostosRevenda(100, 'simples', simples).valor, 4);
+    const segundaFaixa = calcularImpostosRevenda(100, 'simples', simples, { faturamento12m: 200000 });
+    assert.deepEqual([segundaFaixa.aliquotaEfetiva, segundaFaixa.valor], [0.0433, 4.33]);
+    assert.equal(calcularImpostosRevenda(100, 'simples', simples, { faturamento12m: 5000000 }).avisos.length, 1);
+
+    assert.equal(calcularImpostosRevenda(100, 'mei', mei, { vendasMensais: 50 }).valor, 1.54);
+    assert.match(calcularImpostosRevenda(100, 'mei', mei, { faturamento12m: 90000 }).avisos[0], /limite anual do MEI/);
+    assert.throws(() => calcularImpostosRevenda(100, 'lucro-real', simples), /Regime tributário desconhecido/);
+
+    const presumido = calcularCustoImportacao({ ...base, precoVenda: 100, regime: 'presumido' });
+    assert.equal(presumido.impostosRevenda.componentes.length, 5);
+    // 5,93% de tributos federais + ICMS de 18% na venda menos os R$ 15,34 pagos na importação
+    assert.equal(presumido.impostosRevenda.valor, 8.59);
+    assert.equal(presumido.impostosTotais, 36.41);
+    assert.equal(presumido.total, 98.81);
+    assert.equal(presumido.itens.length, 9);
+});
+
+await testar('Linhas da aba de custos trazem cada item e fecham com os totais do produto', () => {
+    const custoImportacao = calcularCustoImportacao({ ...base, precoVenda: 100, regime: 'simples' });
+    const linhas = montarLinhasCustos([
+        { product_id: '1005', nome: 'Fone', analiseMargem: { custoImportacao } },
+        { product_id: '1006', nome: 'Sem análise' },
+        { product_id: '1007', nome: 'Validação completa', filtros: { margem: { analiseMargens: { realista: { custoImportacao } } } } }
+    ]);
+
+    assert.equal(linhas.length, 14);
+    assert.deepEqual(linhas.slice(0, 7).map(l => l.item), [
+        'Produto',
+        'Frete internacional',
+        'Imposto de importação (20% até US$ 50)',
+        'ICMS da importação (SP, por dentro)',
+        'DAS do Simples Nacional (4% efetiva)',
+        'Custo desembarcado',
+        'Total com impostos da revenda'
+    ]);
+    assert.deepEqual([linhas[2].base, linhas[2].aliquota, linhas[2].valor], [62.4, 20, 12.48]);
+    assert.equal(linhas[0].aliquota, '');
+    assert.deepEqual([linhas[6].valor, linhas[6].regime, linhas[6].versaoRegras], [94.22, 'Simples Nacional', '2025.04.1']);
+    assert.equal(linhas[7].product_id, '1007');
+});
+
+await testar('TAX_RULES_FILE sobrescreve só as seções que traz; arquivo inválido mantém as regras do projeto', async () => {
+    const arquivo = path.join(pasta, 'regras.json');
+    const original = CONFIG.importacao.regrasArquivo;
+    CONFIG.importacao.regrasArquivo = arquivo;
+
+    try {
+        await writeFile(arquivo, JSON.stringify({
+            versao: 'teste',
+            impostoImportacao: [
+                { vigenciaInicio: '2030-01-01', limiteUsd: 100, aliquotaAteLimite: 0.3, aliquotaAcimaLimite: 0.6, deducaoAcimaLimiteUsd: 30 }
+            ]
+        }));
+        reiniciarRegrasTributarias();
+        const futuro = calcularCustoImportacao({ ...base, data: new Date('2030-06-01') });
+        assert.equal(futuro.versaoRegras, 'teste');
+        assert.equal(futuro.impostoImportacao.valorBrl, 18.72);
+        assert.equal(futuro.icms.aliquota, 0.17);
+        assert.throws(() => calcularCustoImportacao(base), /Nenhuma regra tributária vigente/);
+
+        await writeFile(arquivo, JSON.stringify({ icmsImportacao: [{ vigenciaInicio: 'ontem', padrao: 0.5 }] }));
+        reiniciarRegrasTributarias();
+        assert.equal(calcularCustoImportacao(base).icms.aliquota, 0.17);
+        assert.equal(carregarRegrasTributarias().versao, '2025.04.1');
+    } finally {
+        CONFIG.importacao.regrasArquivo = original;
+        reiniciarRegrasTributarias();
+    }
+});
+
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
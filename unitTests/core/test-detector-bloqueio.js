@@ -0,0 +1,115 @@
+/**
+ * Script de teste para a detecção de bloqueios e as políticas de recuperação
+ * As páginas são simuladas: cada recarga pode liberar (ou não) o bloqueio
+ */
+
+import assert from 'node:assert/strict';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { classificarBloqueio, detectarBloqueio, tratarBloqueio, verificarBloqueio } = await import('../../scraper/detector-bloqueio.js');
+const { iniciarMetricas, obterMetricas } = await import('../../metrics/scraping-metrics.js');
+
+const { testar, concluir } = criarSuite('TESTANDO DETECÇÃO DE BLOQUEIOS');
+
+const SLIDER = { titulo: 'AliExpress', texto: 'Desculpe, deslize para verificar', marcadores: { slider: ['#nc_1_n1z'], captcha: [] } };
+const NORMAL = { titulo: 'Fone Bluetooth - AliExpress', texto: 'Frete grátis 4.8 1.000+ vendidos', marcadores: { slider: [], captcha: [] } };
+
+/**
+ * Página falsa: bloqueada até a recarga de número `liberaNaRecarga` (0 = nunca libera)
+ */
+function paginaBloqueada(liberaNaRecarga = 0) {
+    const pagina = { recargas: 0, cookiesRemovidos: 0 };
+    const bloqueada = () => liberaNaRecarga === 0 || pagina.recargas < liberaNaRecarga;
+    pagina.url = () => 'https://pt.aliexpress.com/w/wholesale-fone.html';
+    pagina.evaluate = async () => (bloqueada() ? SLIDER : NORMAL);
+    pagina.reload = async () => { pagina.recargas++; };
+    pagina.cookies = async () => [{ name: 'x5sec' }, { name: 'aep_usuc_f' }];
+    pagina.deleteCookie = async (...cookies) => { pagina.cookiesRemovidos += cookies.length; };
+    return pagina;
+}
+
+const rapido = { backoffMs: 5, maxTentativas: 3, headless: true };
+
+await testar('Slider, punish e CAPTCHA são classificados; página normal não', () => {
+    assert.equal(classificarBloqueio({ url: 'https://pt.aliexpress.com/item/1.html', ...SLIDER }).tipo, 'slider');
+    assert.equal(classificarBloqueio({ url: 'https://pt.aliexpress.com/item/1.html/_____tmd_____/punish?x5secdata=abc' }).tipo, 'punish');
+    assert.equal(classificarBloqueio({ marcadores: { captcha: ['#baxia-dialog-content'] } }).tipo, 'captcha');
+    assert.equal(classificarBloqueio({ texto: 'We have detected unusual traffic from your network' }).tipo, 'captcha');
+    assert.equal(classificarBloqueio({ url: 'https://pt.aliexpress.com/item/1.html', ...NORMAL }).bloqueado, false);
+});
+
+await testar('Texto de verificação só indica bloqueio em página sem produtos nem resultados de busca', () => {
+    const descricao = 'Fechadura digital com security verification por biometria. Avaliação: nenhum tráfego incomum na entrega';
+    const pdp = { url: 'https://pt.aliexpress.com/item/1.html', titulo: 'Fechadura - AliExpress', texto: descricao };
+
+    assert.equal(classificarBloqueio({ ...pdp, marcadores: { slider: [], captcha: [], conteudo: ['[data-pl="product-title"]'] } }).bloqueado, false);
+    assert.equal(classificarBloqueio({ ...pdp, texto: 'Unusual traffic', marcadores: { conteudo: ['a[href*="/item/"]'] } }).bloqueado, false);
+    assert.equal(classificarBloqueio({ ...pdp, marcadores: { slider: [], captcha: [], conteudo: [] } }).tipo, 'captcha');
+
+    // URL e marcadores de slider/CAPTCHA valem mesmo com conteúdo na página
+    assert.equal(classificarBloqueio({ ...pdp, marcadores: { slider: ['#nc_1_n1z'], conteudo: ['a[href*="/item/"]'] } }).tipo, 'slider');
+    assert.equal(classificarBloqueio({ ...pdp, marcadores: { captcha: ['#baxia-dialog-content'], conteudo: ['a[href*="/item/"]'] } }).tipo, 'captcha');
+    assert.equal(classificarBloqueio({ url: 'https://pt.aliexpress.com/punish?x5secdata=1', marcadores: { conteudo: ['a[href*="/item/"]'] } }).tipo, 'punish');
+});
+
+await testar('detectarBloqueio lê os sinais da página e tolera aba fechada', async () => {
+    assert.equal((await detectarBloqueio(paginaBloqueada())).tipo, 'slider');
+    const fechada = { url: () => 'about:blank', evaluate: async () => { throw new Error('Target closed'); } };
+    assert.equal((await detectarBloqueio(fechada)).bloqueado, false);
+});
+
+await testar('Backoff recarrega até liberar e registra o incidente nas métricas', async () => {
+    iniciarMetricas({ categoria: 'Teste' });
+    const pagina = paginaBloqueada(2);
+
+    const resultado = await verificarBloqueio(pagina, 'busca', 'Teste p1', { ...rapido, politica: 'backoff' });
+    assert.equal(resultado.liberado, true);
+    assert.equal(pagina.recargas, 2);
+
+    const { bloqueios } = obterMetricas().metrics;
+    assert.equal(bloqueios.total, 1);
+    assert.equal(bloqueios.recuperados, 1);
+    assert.equal(bloqueios.porTipo.slider, 1);
+    assert.equal(bloqueios.porContexto.busca, 1);
+    assert.equal(bloqueios.incidentes[0].tentativas, 2);
+});
+
+await testar('Rotate descarta os cookies antes de cada recarga', async () => {
+    const pagina = paginaBloqueada(1);
+    const resultado = await tratarBloqueio(pagina, classificarBloqueio(SLIDER), { ...rapido, politica: 'rotate', contexto: 'pdp', chave: '1005' });
+    assert.equal(resultado.recuperado, true);
+    assert.equal(pagina.cookiesRemovidos, 2);
+});
+
+await testar('Abort e prazo esgotado desistem; falha conta como não recuperado', async () => {
+    iniciarMetricas({ categoria: 'Teste' });
+
+    const abortado = await tratarBloqueio(paginaBloqueada(1), classificarBloqueio(SLIDER), { ...rapido, politica: 'abort' });
+    assert.deepEqual([abortado.recuperado, abortado.tentativas], [false, 0]);
+
+    // Prazo menor que a primeira espera: nenhuma tentativa
+    const semPrazo = await tratarBloqueio(paginaBloqueada(1), classificarBloqueio(SLIDER), { ...rapido, backoffMs: 60000, prazoMs: 1000 });
+    assert.equal(semPrazo.tentativas, 0);
+
+    const esgotado = await tratarBloqueio(paginaBloqueada(), classificarBloqueio(SLIDER), { ...rapido, maxTentativas: 2 });
+    assert.deepEqual([esgotado.recuperado, esgotado.tentativas], [false, 2]);
+
+    assert.equal(obterMetricas().metrics.bloqueios.naoRecuperados, 3);
+});
+
+await testar('Pause aguarda o operador em modo visível e vira backoff em headless', async () => {
+    const headless = await tratarBloqueio(paginaBloqueada(1), classificarBloqueio(SLIDER), { ...rapido, politica: 'pause' });
+    assert.equal(headless.politica, 'backoff');
+
+    // Operador resolve o slider: a próxima inspeção já encontra a página normal
+    const pagina = paginaBloqueada();
+    const resolvido = tratarBloqueio(pagina, classificarBloqueio(SLIDER), { politica: 'pause', headless: false, pausaMaxMs: 20000 });
+    pagina.evaluate = async () => NORMAL;
+    const resultado = await resolvido;
+    assert.equal(resultado.recuperado, true);
+    assert.equal(pagina.recargas, 0);
+});
+
+concluir();
@@ -0,0 +1,69 @@
+/**
+ * Script de teste para o controle local de duplicidade (database/produtos-processados.json)
+ * Roda em uma pasta temporária: o banco é criado em <cwd>/database
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'duplicidade-'));
+const pastaOriginal = process.cwd();
+process.chdir(pasta);
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    verificarDuplicidade,
+    marcarComoProcessado,
+    filtrarDuplicados,
+    limparProdutosAntigos,
+    obterEstatisticasDuplicados
+} = await import('../../utils/duplicate-checker.js');
+
+const { testar, concluir } = criarSuite('TESTANDO CONTROLE DE DUPLICIDADE');
+
+const produto = (id, categoria) => ({ product_id: id, nome: `Produto ${id}`, categoria, preco: 10 });
+const arquivo = path.join(pasta, 'database', 'produtos-processados.json');
+
+await testar('Categorias em paralelo marcam produtos sem sobrescrever as entradas umas das outras', async () => {
+    const categorias = ['Casa', 'Tecnologia', 'Beleza'];
+    await Promise.all(categorias.map(categoria =>
+        Promise.all([1, 2, 3, 4].map(n => marcarComoProcessado(produto(`${categoria}-${n}`, categoria))))
+    ));
+
+    const banco = JSON.parse(await readFile(arquivo, 'utf-8'));
+    assert.equal(Object.keys(banco.produtos).length, 12);
+    assert.equal(banco.stats.totalProcessados, 12);
+    assert.deepEqual((await readdir(path.dirname(arquivo))).filter(nome => nome.endsWith('.tmp')), []);
+
+    const estatisticas = await obterEstatisticasDuplicados();
+    assert.deepEqual(estatisticas.produtosPorCategoria, { Casa: 4, Tecnologia: 4, Beleza: 4 });
+});
+
+await testar('Verificação enxerga as marcações ainda na fila', async () => {
+    const marcacao = marcarComoProcessado(produto('fila-1', 'Casa'));
+    const verificacao = await verificarDuplicidade(produto('fila-1', 'Casa'));
+    assert.equal(await marcacao, true);
+    assert.equal(verificacao.isDuplicado, true);
+
+    const { produtosUnicos, stats } = await filtrarDuplicados([produto('fila-1', 'Casa'), produto('novo-1', 'Casa')]);
+    assert.deepEqual(produtosUnicos.map(p => p.product_id), ['novo-1']);
+    assert.deepEqual([stats.novos, stats.duplicados], [1, 1]);
+});
+
+await testar('Limpeza concorrente com marcações mantém as entradas recentes', async () => {
+    const [limpeza] = await Promise.all([
+        limparProdutosAntigos(30),
+        marcarComoProcessado(produto('durante-limpeza', 'Casa'))
+    ]);
+    assert.deepEqual([limpeza.removidos, limpeza.mantidos], [0, 13]);
+    assert.equal((await verificarDuplicidade(produto('durante-limpeza', 'Casa'))).isDuplicado, true);
+    assert.equal((await obterEstatisticasDuplicados()).totalProdutos, 14);
+});
+
+process.chdir(pastaOriginal);
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
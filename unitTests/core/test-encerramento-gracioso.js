@@ -0,0 +1,168 @@
+/**
+ * Script de teste para o coordenador de encerramento gracioso
+ * Sinais são simulados com process.emit; a saída forçada é substituída por um registro
+ */
+
+import assert from 'node:assert/strict';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { CONFIG } = await import('../../config.js');
+const { CoordenadorEncerramento, obterCoordenadorEncerramento } = await import('../../utils/encerramento-gracioso.js');
+
+const { testar, concluir } = criarSuite('TESTANDO ENCERRAMENTO GRACIOSO');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Coordenador com a saída forçada registrada em vez de encerrar o processo
+ */
+function criarCoordenador(prazoMs = 1000) {
+    const saidas = [];
+    const coordenador = new CoordenadorEncerramento({ prazoMs, sair: codigo => saidas.push(codigo) });
+    return { coordenador, saidas };
+}
+
+await testar('Encerramento é solicitado uma única vez', () => {
+    const { coordenador } = criarCoordenador(0);
+    assert.equal(coordenador.encerrando, false);
+    assert.equal(coordenador.solicitar('SIGTERM'), true);
+    assert.equal(coordenador.solicitar('SIGINT'), false);
+    assert.equal(coordenador.encerrando, true);
+    assert.equal(coordenador.motivo, 'SIGTERM');
+});
+
+await testar('Quem espera o encerramento é avisado uma vez, mesmo chegando depois', () => {
+    const { coordenador } = criarCoordenador(0);
+    const avisos = [];
+    coordenador.aoSolicitar(motivo => avisos.push(`antes:${motivo}`));
+    coordenador.solicitar('SIGTERM');
+    coordenador.solicitar('SIGINT');
+    coordenador.aoSolicitar(motivo => avisos.push(`depois:${motivo}`));
+    assert.deepEqual(avisos, ['antes:SIGTERM', 'depois:SIGTERM']);
+});
+
+await testar('Finalizar aguarda as gravações pendentes antes das tarefas', async () => {
+    const { coordenador } = criarCoordenador();
+    const ordem = [];
+    coordenador.rastrear(esperar(60).then(() => ordem.push('duplicados')), 'banco de duplicados');
+    coordenador.rastrear(esperar(20).then(() => ordem.push('supabase')), 'Supabase');
+    coordenador.aoEncerrar('browser', async () => ordem.push('browser'));
+
+    const resultado = await coordenador.finalizar();
+    assert.deepEqual(ordem, ['supabase', 'duplicados', 'browser']);
+    assert.deepEqual(resultado, { pendentes: 2, abandonadas: 0, tarefas: ['browser'] });
+    assert.equal(coordenador.pendentes.size, 0);
+});
+
+await testar('Gravação com erro e tarefa com erro não travam o encerramento', async () => {
+    const { coordenador } = criarCoordenador();
+    const falha = coordenador.rastrear(Promise.reject(new Error('rede')), 'Supabase');
+    await assert.rejects(falha, /rede/);
+
+    coordenador.aoEncerrar('métricas', async () => { throw new Error('disco cheio'); });
+    coordenador.aoEncerrar('browser', async () => {});
+    const { tarefas } = await coordenador.finalizar();
+    assert.deepEqual(tarefas, ['browser']);
+});
+
+await testar('Sem sinal, finalizar também respeita o prazo e executa as tarefas', async () => {
+    const { coordenador, saidas } = criarCoordenador(80);
+    const ordem = [];
+    coordenador.rastrear(new Promise(() => {}), 'gravação travada');
+    coordenador.aoEncerrar('browser', async () => ordem.push('browser'));
+
+    const inicio = Date.now();
+    const resultado = await coordenador.finalizar();
+    assert.ok(Date.now() - inicio < 1000);
+    assert.deepEqual(resultado, { pendentes: 1, abandonadas: 1, tarefas: ['browser'] });
+    assert.deepEqual([ordem, saidas, coordenador.encerrando], [['browser'], [], false]);
+});
+
+await testar('Tarefas continuam registradas entre execuções; mesmo nome substitui a anterior', async () => {
+    const { coordenador } = criarCoordenador();
+    const ordem = [];
+    coordenador.aoEncerrar('proxies', async () => ordem.push('proxies v1'));
+    coordenador.aoEncerrar('métricas', async () => ordem.push('métricas'));
+    await coordenador.finalizar();
+
+    coordenador.aoEncerrar('proxies', async () => ordem.push('proxies v2'));
+    const { tarefas } = await coordenador.finalizar();
+    assert.deepEqual(tarefas, ['proxies', 'métricas']);
+    assert.deepEqual(ordem, ['proxies v1', 'métricas', 'proxies v2', 'métricas']);
+});
+
+await testar('Prazo esgotado força a saída com código 1', async () => {
+    const { coordenador, saidas } = criarCoordenador(50);
+    coordenador.rastrear(new Promise(() => {}), 'gravação travada');
+    coordenador.solicitar('SIGTERM');
+    await esperar(120);
+    assert.deepEqual(saidas, [1]);
+});
+
+await testar('Encerramento concluído dentro do prazo não força a saída', async () => {
+    const { coordenador, saidas } = criarCoordenador(80);
+    coordenador.solicitar('SIGINT');
+    coordenador.rastrear(esperar(20), 'métricas');
+    await coordenador.finalizar();
+    await esperar(120);
+    assert.deepEqual(saidas, []);
+});
+
+await testar('Primeiro Ctrl+C encerra com calma; o segundo sai na hora', async () => {
+    const { coordenador, saidas } = criarCoordenador(0);
+    const eventos = ['SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection'];
+    const anteriores = Object.fromEntries(eventos.map(evento => [evento, process.listeners(evento)]));
+    try {
+        coordenador.instalarSinais();
+        coordenador.instalarSinais();
+        assert.equal(process.listenerCount('SIGINT'), anteriores.SIGINT.length + 1);
+
+        process.emit('SIGINT');
+        assert.equal(coordenador.motivo, 'SIGINT');
+        assert.deepEqual(saidas, []);
+
+        process.emit('SIGINT');
+        assert.deepEqual(saidas, [130]);
+    } finally {
+        for (const evento of eventos) {
+            process.removeAllListeners(evento);
+            anteriores[evento].forEach(listener => process.on(evento, listener));
+        }
+    }
+});
+
+await testar('Exceção não capturada sai com código 1 depois de finalizar', async () => {
+    const { coordenador, saidas } = criarCoordenador(1000);
+    const eventos = ['SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection'];
+    const anteriores = Object.fromEntries(eventos.map(evento => [evento, process.listeners(evento)]));
+    const codigoAnterior = process.exitCode;
+    const ordem = [];
+    try {
+        coordenador.instalarSinais();
+        coordenador.rastrear(esperar(30).then(() => ordem.push('métricas')), 'métricas');
+        coordenador.aoEncerrar('browser', async () => ordem.push('browser'));
+
+        process.emit('uncaughtException', new Error('estado inconsistente'));
+        assert.equal(coordenador.motivo, 'exceção não capturada');
+        assert.deepEqual(saidas, []);
+
+        await esperar(150);
+        assert.deepEqual(ordem, ['métricas', 'browser']);
+        assert.deepEqual(saidas, [1]);
+    } finally {
+        process.exitCode = codigoAnterior;
+        for (const evento of eventos) {
+            process.removeAllListeners(evento);
+            anteriores[evento].forEach(listener => process.on(evento, listener));
+        }
+    }
+});
+
+await testar('Coordenador da execução usa SHUTDOWN_TIMEOUT_MS', () => {
+    assert.equal(obterCoordenadorEncerramento().prazoMs, CONFIG.encerramento.prazoMs);
+    assert.equal(obterCoordenadorEncerramento(), obterCoordenadorEncerramento());
+});
+
+concluir();
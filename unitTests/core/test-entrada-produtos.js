@@ -0,0 +1,104 @@
+/**
+ * Script de teste para a entrada por lista de URLs/IDs de produtos
+ * Links curtos são resolvidos por uma função injetada, sem rede
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    ROTULO_LISTA_PADRAO,
+    extrairIdProduto,
+    ehLinkCurto,
+    separarEntradas,
+    lerArquivoProdutos,
+    criarProdutoEntrada,
+    montarListaProdutos
+} = await import('../../scraper/entrada-produtos.js');
+
+const { testar, concluir } = criarSuite('TESTANDO ENTRADA POR LISTA DE PRODUTOS');
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'lista-produtos-'));
+
+await testar('ID é extraído de IDs e dos formatos de URL do AliExpress', () => {
+    assert.equal(extrairIdProduto('1005006123456789'), '1005006123456789');
+    assert.equal(extrairIdProduto('https://pt.aliexpress.com/item/1005006123456789.html'), '1005006123456789');
+    assert.equal(extrairIdProduto('https://www.aliexpress.us/item/1005006123456789.html?spm=a2g0o.home&gatewayAdapt=glo2bra'), '1005006123456789');
+    assert.equal(extrairIdProduto('m.aliexpress.com/i/1005006123456789.html'), '1005006123456789');
+    assert.equal(extrairIdProduto('https://pt.aliexpress.com/store/product.html?productId=1005006123456789'), '1005006123456789');
+});
+
+await testar('Entradas que não identificam um produto são recusadas', () => {
+    assert.equal(extrairIdProduto(''), null);
+    assert.equal(extrairIdProduto('123'), null);
+    assert.equal(extrairIdProduto('https://produto.mercadolivre.com.br/item/1005006123456789.html'), null);
+    assert.equal(extrairIdProduto('https://pt.aliexpress.com/store/912345'), null);
+    assert.equal(extrairIdProduto('https://a.aliexpress.com/_mKxyz12'), null);
+    assert.equal(ehLinkCurto('https://a.aliexpress.com/_mKxyz12'), true);
+    assert.equal(ehLinkCurto('https://pt.aliexpress.com/item/1005006123456789.html'), false);
+});
+
+await testar('Arquivo aceita um por linha, vírgulas e comentários', async () => {
+    const arquivo = path.join(pasta, 'links.txt');
+    await writeFile(arquivo, [
+        '# Links do fornecedor X',
+        'https://pt.aliexpress.com/item/1005006123456789.html',
+        '',
+        '1005007654321098, 1005001111111111',
+        '   # comentário indentado'
+    ].join('\n'));
+
+    assert.deepEqual(await lerArquivoProdutos(arquivo), [
+        'https://pt.aliexpress.com/item/1005006123456789.html',
+        '1005007654321098',
+        '1005001111111111'
+    ]);
+    assert.deepEqual(separarEntradas('a; b\r\nc'), ['a', 'b', 'c']);
+    await assert.rejects(lerArquivoProdutos(path.join(pasta, 'nao-existe.txt')), /lista de produtos/);
+});
+
+await testar('Produto da lista tem o formato da listagem da busca', () => {
+    const produto = criarProdutoEntrada('1005006123456789', 'Fornecedor X');
+    assert.equal(produto.product_id, '1005006123456789');
+    assert.equal(produto.url, 'https://pt.aliexpress.com/item/1005006123456789.html');
+    assert.equal(produto.href, produto.url);
+    assert.equal(produto.categoria, 'Fornecedor X');
+    assert.equal(produto.is_bundle, false);
+    assert.equal(produto.origem, 'lista');
+});
+
+await testar('Lista remove repetidos, resolve links curtos e separa inválidos', async () => {
+    const resolvidos = [];
+    const { produtos, invalidas } = await montarListaProdutos([
+        '1005006123456789',
+        'https://pt.aliexpress.com/item/1005006123456789.html',
+        'https://a.aliexpress.com/_mKxyz12',
+        'https://a.aliexpress.com/_quebrado',
+        'texto qualquer'
+    ], {
+        categoria: 'Concorrente',
+        resolverLink: async (link) => {
+            resolvidos.push(link);
+            return link.endsWith('_mKxyz12') ? 'https://pt.aliexpress.com/item/1005007654321098.html?sourceType=1' : null;
+        }
+    });
+
+    assert.deepEqual(produtos.map(p => p.product_id), ['1005006123456789', '1005007654321098']);
+    assert.ok(produtos.every(p => p.categoria === 'Concorrente'));
+    assert.equal(resolvidos.length, 2);
+    assert.deepEqual(invalidas, ['https://a.aliexpress.com/_quebrado', 'texto qualquer']);
+});
+
+await testar('Sem rótulo, a lista usa o nome padrão', async () => {
+    const { produtos } = await montarListaProdutos(['1005006123456789']);
+    assert.equal(produtos[0].categoria, ROTULO_LISTA_PADRAO);
+});
+
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
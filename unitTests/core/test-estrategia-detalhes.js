@@ -0,0 +1,61 @@
+/**
+ * Script de teste para a escolha de estratégia de abertura da PDP (direct/search/auto)
+ */
+
+import assert from 'node:assert/strict';
+import { SeletorEstrategiaDetalhes } from '../../scraper/estrategia-detalhes.js';
+import { criarSuite } from './suite-testes.js';
+
+const { testar, concluir } = criarSuite('TESTANDO ESTRATÉGIA DE DETALHES');
+
+function registrarVarios(seletor, estrategia, resultados) {
+    for (const interceptada of resultados) {
+        seletor.registrar(estrategia, interceptada);
+    }
+}
+
+await testar('Modos fixos sempre retornam a estratégia configurada', () => {
+    const direta = new SeletorEstrategiaDetalhes('direct');
+    registrarVarios(direta, 'direct', [false, false, false, false]);
+    assert.equal(direta.escolher(), 'direct');
+    assert.equal(new SeletorEstrategiaDetalhes('search').escolher(), 'search');
+});
+
+await testar('Modo inválido é rejeitado', () => {
+    assert.throws(() => new SeletorEstrategiaDetalhes('rapida'), /inválida/);
+});
+
+await testar('Auto mantém a navegação direta enquanto ela intercepta a API', () => {
+    const seletor = new SeletorEstrategiaDetalhes('auto');
+    assert.equal(seletor.escolher(), 'direct');
+    registrarVarios(seletor, 'direct', [true, true, false, true]);
+    assert.equal(seletor.escolher(), 'direct');
+});
+
+await testar('Auto troca para busca quando a direta não intercepta', () => {
+    const seletor = new SeletorEstrategiaDetalhes('auto', { intervaloReavaliacao: 1000 });
+    registrarVarios(seletor, 'direct', [false, false, false]);
+    assert.equal(seletor.escolher(), 'search');
+
+    registrarVarios(seletor, 'search', [true, true, true]);
+    assert.equal(seletor.escolher(), 'search');
+    assert.equal(seletor.resumo().search.interceptadas, 3);
+});
+
+await testar('Auto reavalia periodicamente a estratégia preterida', () => {
+    const seletor = new SeletorEstrategiaDetalhes('auto', { intervaloReavaliacao: 4 });
+    registrarVarios(seletor, 'direct', [false, false, false]);
+    registrarVarios(seletor, 'search', [true, true, true]);
+
+    const escolhas = Array.from({ length: 4 }, () => seletor.escolher());
+    assert.deepEqual(escolhas, ['search', 'search', 'search', 'direct']);
+});
+
+await testar('Taxa considera apenas a janela de resultados recentes', () => {
+    const seletor = new SeletorEstrategiaDetalhes('auto', { janela: 3 });
+    registrarVarios(seletor, 'direct', [false, false, false, true, true, true]);
+    assert.equal(seletor.taxa('direct'), 1);
+    assert.equal(seletor.resumo().direct.tentativas, 6);
+});
+
+concluir();
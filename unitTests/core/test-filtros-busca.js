@@ -0,0 +1,112 @@
+/**
+ * Script de teste para os filtros de busca por categoria
+ * A página de resultados é simulada com uma aba falsa
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const diretorioTeste = await fs.mkdtemp(path.join(os.tmpdir(), 'filtros-busca-'));
+process.env.SEARCH_FILTERS_FILE = path.join(diretorioTeste, 'filtros-busca.json');
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    FILTROS_PADRAO,
+    normalizarFiltrosBusca,
+    obterFiltrosCategoria,
+    reiniciarFiltrosBusca,
+    aplicarFiltrosNaUrl,
+    aplicarFiltrosBusca,
+    precoDaListagem,
+    filtrarListagemPorFiltros
+} = await import('../../scraper/filtros-busca.js');
+
+const { testar, concluir } = criarSuite('TESTANDO FILTROS DE BUSCA');
+
+await testar('Sem arquivo de filtros mantém o comportamento anterior', () => {
+    reiniciarFiltrosBusca();
+    assert.deepEqual(obterFiltrosCategoria('Tecnologia'), FILTROS_PADRAO);
+});
+
+await testar('Opções inválidas são corrigidas ou ignoradas', () => {
+    const filtros = normalizarFiltrosBusca({ precoMin: 200, precoMax: '50', enviadoDe: 'brasil', freteGratis: 'sim' });
+    assert.equal(filtros.precoMin, 50);
+    assert.equal(filtros.precoMax, 200);
+    assert.equal(filtros.enviadoDe, null);
+    assert.equal(filtros.freteGratis, false);
+    assert.equal(normalizarFiltrosBusca({ enviadoDe: 'br' }).enviadoDe, 'BR');
+});
+
+await testar('Categoria combina o padrão do arquivo com a própria entrada', async () => {
+    await fs.writeFile(process.env.SEARCH_FILTERS_FILE, JSON.stringify({
+        padrao: { avaliacao4Mais: true },
+        categorias: { Tecnologia: { precoMin: 20, precoMax: 250, enviadoDe: 'BR', maisVendidos: false } }
+    }));
+    reiniciarFiltrosBusca();
+
+    const tecnologia = obterFiltrosCategoria('tecnologia');
+    assert.equal(tecnologia.precoMax, 250);
+    assert.equal(tecnologia.enviadoDe, 'BR');
+    assert.equal(tecnologia.avaliacao4Mais, true);
+    assert.equal(tecnologia.maisVendidos, false);
+
+    const pets = obterFiltrosCategoria('Pets');
+    assert.equal(pets.precoMax, null);
+    assert.equal(pets.avaliacao4Mais, true);
+    assert.equal(pets.maisVendidos, true);
+});
+
+await testar('Filtros viram parâmetros da URL de busca', () => {
+    const url = new URL(aplicarFiltrosNaUrl('https://pt.aliexpress.com/w/wholesale-fone.html?spm=a2g0o', normalizarFiltrosBusca({
+        precoMin: 20, precoMax: 250, enviadoDe: 'BR', freteGratis: true, avaliacao4Mais: true, choice: true
+    })));
+    assert.equal(url.searchParams.get('spm'), 'a2g0o');
+    assert.equal(url.searchParams.get('minPrice'), '20');
+    assert.equal(url.searchParams.get('maxPrice'), '250');
+    assert.equal(url.searchParams.get('shipFromCountry'), 'BR');
+    assert.equal(url.searchParams.get('isFreeShip'), 'y');
+    assert.equal(url.searchParams.get('selectedSwitches'), 'filterCode:freeshipping,filterCode:4StarRating,filterCode:choice');
+});
+
+await testar('Aba de resultados recebe a URL filtrada e marca interruptores ausentes', async () => {
+    const visitas = [];
+    let pedidosInterface = null;
+    const aba = {
+        url: () => visitas[visitas.length - 1] || 'https://pt.aliexpress.com/w/wholesale-fone.html',
+        goto: async (url) => { visitas.push(url); },
+        evaluate: async (_fn, pedidos) => {
+            pedidosInterface = pedidos;
+            return ['choice'];
+        }
+    };
+
+    assert.equal(await aplicarFiltrosBusca(aba, normalizarFiltrosBusca({})), false);
+    assert.equal(visitas.length, 0);
+
+    assert.equal(await aplicarFiltrosBusca(aba, normalizarFiltrosBusca({ precoMax: 100, choice: true })), true);
+    assert.equal(visitas.length, 1);
+    assert.match(visitas[0], /maxPrice=100/);
+    assert.deepEqual(pedidosInterface.map(p => p.campo), ['choice']);
+});
+
+await testar('Listagem descarta cartões fora da faixa de preço', () => {
+    assert.equal(precoDaListagem('R$ 45,90R$ 89,90'), 45.9);
+    assert.equal(precoDaListagem('R$1.299,00'), 1299);
+
+    const { aprovados, descartados } = filtrarListagemPorFiltros([
+        { product_id: 'barato', preco: 'R$ 5,00' },
+        { product_id: 'ok', preco: 'R$ 45,90R$ 89,90' },
+        { product_id: 'caro', preco: 'R$ 399,00' },
+        { product_id: 'sem-preco', preco: '' }
+    ], normalizarFiltrosBusca({ precoMin: 10, precoMax: 250 }));
+
+    assert.deepEqual(aprovados.map(p => p.product_id), ['ok', 'sem-preco']);
+    assert.equal(descartados, 2);
+});
+
+await fs.rm(diretorioTeste, { recursive: true, force: true });
+
+concluir();
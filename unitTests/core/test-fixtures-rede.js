@@ -0,0 +1,124 @@
+/**
+ * Script de teste para gravação/replay de fixtures de rede
+ * Grava com um adapter e uma página falsos e confere que o replay devolve o mesmo conteúdo sem rede
+ */
+
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import axios from 'axios';
+import { criarSuite } from './suite-testes.js';
+
+const diretorioTeste = await fs.mkdtemp(path.join(os.tmpdir(), 'fixtures-'));
+process.env.FIXTURES_DIR = diretorioTeste;
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { CONFIG } = await import('../../config.js');
+const {
+    normalizarUrl,
+    instalarAdaptadorAxios,
+    gravarPagina,
+    urlPaginaGravada,
+    prepararPaginaReplay,
+    gravarJsonPdp,
+    carregarJsonPdp
+} = await import('../../utils/fixtures-rede.js');
+
+const { testar, concluir } = criarSuite('TESTANDO FIXTURES DE REDE');
+
+// Adapter falso no lugar da rede: conta quantas requisições "saíram"
+let requisicoesRede = 0;
+const instancia = axios.create({
+    adapter: async (config) => {
+        requisicoesRede++;
+        const imagem = config.responseType === 'arraybuffer';
+        return {
+            data: imagem ? Buffer.from([0xff, 0xd8, 0xff]) : '<ol><li class="ui-search-layout__item">Fone</li></ol>',
+            status: 200,
+            statusText: 'OK',
+            headers: { 'content-type': imagem ? 'image/jpeg' : 'text/html' },
+            config,
+            request: {}
+        };
+    }
+});
+instalarAdaptadorAxios(instancia);
+
+await testar('URL normalizada ignora parâmetros voláteis e ordem da query', () => {
+    assert.equal(
+        normalizarUrl('https://lista.mercadolivre.com.br/fone?b=2&t=123&a=1#topo'),
+        normalizarUrl('https://lista.mercadolivre.com.br/fone?a=1&b=2&t=999')
+    );
+});
+
+await testar('Respostas do axios gravadas são servidas no replay sem rede', async () => {
+    CONFIG.fixtures.mode = 'record';
+    const gravada = await instancia.get('https://lista.mercadolivre.com.br/fone?t=1');
+    const imagemGravada = await instancia.get('https://http2.mlstatic.com/D_1.jpg', { responseType: 'arraybuffer' });
+
+    CONFIG.fixtures.mode = 'replay';
+    const antes = requisicoesRede;
+    const reproduzida = await instancia.get('https://lista.mercadolivre.com.br/fone?t=2');
+    const imagemReproduzida = await instancia.get('https://http2.mlstatic.com/D_1.jpg', { responseType: 'arraybuffer' });
+
+    assert.equal(requisicoesRede, antes);
+    assert.equal(reproduzida.data, gravada.data);
+    assert.deepEqual(Buffer.from(imagemReproduzida.data), Buffer.from(imagemGravada.data));
+});
+
+await testar('Replay falha de forma explícita quando falta a fixture', async () => {
+    CONFIG.fixtures.mode = 'replay';
+    await assert.rejects(() => instancia.get('https://lista.mercadolivre.com.br/inexistente'), /Fixture HTTP ausente/);
+});
+
+await testar('JSON interceptado da PDP é gravado e recarregado por product_id', async () => {
+    CONFIG.fixtures.mode = 'record';
+    await gravarJsonPdp('1005001', { PRICE: { targetSkuPriceInfo: { salePriceString: 'R$ 25,90' } } });
+
+    CONFIG.fixtures.mode = 'replay';
+    const dados = await carregarJsonPdp('1005001');
+    assert.equal(dados.PRICE.targetSkuPriceInfo.salePriceString, 'R$ 25,90');
+    assert.equal(await carregarJsonPdp('999'), null);
+});
+
+await testar('HTML de busca é gravado sem scripts e servido pela interceptação do Puppeteer', async () => {
+    CONFIG.fixtures.mode = 'record';
+    const paginaGravacao = {
+        url: () => 'https://pt.aliexpress.com/w/wholesale-pets.html?page=2',
+        content: async () => '<html><body><a class="search-card-item" href="/item/1.html">Pet</a><script>alert(1)</script></body></html>'
+    };
+    await gravarPagina(paginaGravacao, 'busca', 'Pets-p2');
+
+    CONFIG.fixtures.mode = 'replay';
+    const url = await urlPaginaGravada('busca', 'Pets-p2');
+    assert.match(url, /fixture=busca-pets-p2/);
+
+    const paginaReplay = new EventEmitter();
+    paginaReplay.setRequestInterception = async (ativo) => { paginaReplay.interceptando = ativo; };
+    await prepararPaginaReplay(paginaReplay);
+    await prepararPaginaReplay(paginaReplay);
+    assert.equal(paginaReplay.listenerCount('request'), 1);
+
+    const respostas = [];
+    const requisicao = (tipo, endereco) => ({
+        resourceType: () => tipo,
+        url: () => endereco,
+        respond: async (resposta) => respostas.push({ endereco, ...resposta }),
+        abort: async () => respostas.push({ endereco, abortada: true })
+    });
+    paginaReplay.emit('request', requisicao('document', url));
+    paginaReplay.emit('request', requisicao('script', 'https://assets.alicdn.com/app.js'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const documento = respostas.find(r => r.endereco === url);
+    assert.equal(documento.status, 200);
+    assert.match(documento.body, /search-card-item/);
+    assert.doesNotMatch(documento.body, /<script/);
+    assert.equal(respostas.find(r => r.endereco.endsWith('app.js')).abortada, true);
+});
+
+await fs.rm(diretorioTeste, { recursive: true, force: true });
+
+concluir();
@@ -0,0 +1,149 @@
+/**
+ * Script de teste para a busca de fornecedores alternativos
+ * Usa uma aba falsa com resultados de busca e imagens JPEG geradas em memória para o pHash
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import axios from 'axios';
+import jpeg from 'jpeg-js';
+import { criarSuite } from './suite-testes.js';
+
+const diretorioTeste = await fs.mkdtemp(path.join(os.tmpdir(), 'alternativos-'));
+process.env.STORE_CACHE_FILE = path.join(diretorioTeste, 'cache-lojas.json');
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { CONFIG } = await import('../../config.js');
+const {
+    candidatoEhMesmoItem,
+    rankearFornecedores,
+    termoBuscaAlternativos,
+    buscarFornecedoresAlternativos
+} = await import('../../scraper/fornecedores-alternativos.js');
+const { compararImagensPorHash } = await import('../../utils/comparador-imagens.js');
+
+const { testar, concluir } = criarSuite('TESTANDO FORNECEDORES ALTERNATIVOS');
+
+// Imagem 64x64: metade esquerda clara/direita escura (ou o inverso)
+function gerarJpeg(invertida = false) {
+    const largura = 64;
+    const dados = Buffer.alloc(largura * largura * 4);
+    for (let y = 0; y < largura; y++) {
+        for (let x = 0; x < largura; x++) {
+            const clara = (x < largura / 2) !== invertida;
+            const i = (y * largura + x) * 4;
+            dados[i] = dados[i + 1] = dados[i + 2] = clara ? 230 : 20;
+            dados[i + 3] = 255;
+        }
+    }
+    return jpeg.encode({ data: dados, width: largura, height: largura }, 90).data;
+}
+
+await testar('Critério de mesmo item combina imagem e título', () => {
+    assert.equal(candidatoEhMesmoItem({ imagem: 92, titulo: 10 }), true);
+    assert.equal(candidatoEhMesmoItem({ imagem: 65, titulo: 80 }), true);
+    assert.equal(candidatoEhMesmoItem({ imagem: null, titulo: 80 }), true);
+    assert.equal(candidatoEhMesmoItem({ imagem: 40, titulo: 85 }), false);
+    assert.equal(candidatoEhMesmoItem({ imagem: null, titulo: 50 }), false);
+});
+
+await testar('Ranking considera custo total, loja e similaridade', () => {
+    const ranqueados = rankearFornecedores([
+        { product_id: 'caro', preco: 'R$ 60,00', custoFrete: 10, similaridadeImagem: 95, loja: { score: 90 } },
+        { product_id: 'barato-loja-ruim', preco: 35, custoFrete: 0, similaridadeImagem: 95, loja: { score: 20 } },
+        { product_id: 'barato-loja-boa', preco: 38, custoFrete: 2, similaridadeImagem: 90, loja: { score: 92 } },
+        { product_id: 'sem-preco', preco: '', similaridadeImagem: 99, loja: { score: 99 } }
+    ], { preco: 50, custoFrete: 5 });
+
+    assert.deepEqual(ranqueados.map(f => f.product_id), ['barato-loja-boa', 'caro', 'barato-loja-ruim']);
+    assert.equal(ranqueados[0].custoTotal, 40);
+    assert.equal(ranqueados[0].economiaPercentual, 27.3);
+    assert.ok(ranqueados[1].economiaPercentual < 0);
+});
+
+await testar('Termo de busca usa as primeiras palavras do título', () => {
+    assert.equal(
+        termoBuscaAlternativos('Fone de Ouvido Bluetooth 5.3, TWS, Cancelamento de Ruído, Estojo de Carga, Microfone'),
+        'Fone de Ouvido Bluetooth TWS Cancelamento de Ruído'
+    );
+});
+
+await testar('pHash de compararImagensPorHash distingue imagens iguais e diferentes', async () => {
+    const adapterOriginal = axios.defaults.adapter;
+    axios.defaults.adapter = async (config) => ({
+        data: gerarJpeg(config.url.includes('invertida')),
+        status: 200, statusText: 'OK', headers: { 'content-type': 'image/jpeg' }, config, request: {}
+    });
+
+    try {
+        const iguais = await compararImagensPorHash('https://img/a.jpg', 'https://img/b.jpg');
+        const diferentes = await compararImagensPorHash('https://img/a.jpg', 'https://img/invertida.jpg');
+        assert.equal(iguais.similaridade, 100);
+        assert.equal(iguais.similar, true);
+        assert.ok(diferentes.similaridade < 50);
+    } finally {
+        axios.defaults.adapter = adapterOriginal;
+    }
+});
+
+await testar('Busca anexa só candidatos confirmados, sem o próprio produto, ranqueados', async () => {
+    CONFIG.lojas.visitStore = false;
+
+    const resultadosBusca = [
+        { product_id: '100', url: 'https://pt.aliexpress.com/item/100.html', nome: 'Original', preco: 'R$ 50,00', imagemURL: 'https://img/a.jpg' },
+        { product_id: '200', url: 'https://pt.aliexpress.com/item/200.html', nome: 'Mesmo fone outra loja', preco: 'R$ 42,00', imagemURL: 'https://img/a.jpg' },
+        { product_id: '300', url: 'https://pt.aliexpress.com/item/300.html', nome: 'Capinha de celular', preco: 'R$ 10,00', imagemURL: 'https://img/invertida.jpg' },
+        { product_id: '400', url: 'https://pt.aliexpress.com/item/400.html', nome: 'Mesmo fone loja oficial', preco: 'R$ 45,00', imagemURL: 'https://img/a.jpg' }
+    ];
+    const visitas = [];
+    const aba = {
+        goto: async (url) => { visitas.push(url); },
+        evaluate: async () => resultadosBusca,
+        url: () => visitas[visitas.length - 1],
+        content: async () => '',
+        $: async () => null
+    };
+
+    const detalhesPorId = {
+        200: { preco: 42, custoFrete: 0, perfilLoja: { lojaId: '9002', nome: 'Loja Nova', percentualPositivo: 89, avaliacoes: {} } },
+        400: { preco: 45, custoFrete: 0, perfilLoja: { lojaId: '9004', nome: 'Loja Oficial', percentualPositivo: 98.5, idadeAnos: 6, avaliacoes: {} } }
+    };
+
+    // A busca por imagem baixa a foto e procura o campo de upload (ausente na aba falsa)
+    const adapterOriginal = axios.defaults.adapter;
+    axios.defaults.adapter = async (config) => ({
+        data: gerarJpeg(), status: 200, statusText: 'OK', headers: {}, config, request: {}
+    });
+
+    let fornecedores;
+    try {
+        fornecedores = await buscarFornecedoresAlternativos(aba, {
+            product_id: '100', nome: 'Mesmo fone', preco: 50, custoFrete: 0, imagens: 'https://img/a.jpg'
+        }, {
+            maxFornecedores: 3,
+            extrairDetalhes: async (_aba, candidato) => detalhesPorId[candidato.product_id],
+            comparadores: {
+                titulo: async (_t1, t2) => ({ score: /fone/i.test(t2) ? 75 : 10 }),
+                imagem: async (_u1, u2) => ({ similaridade: u2.includes('invertida') ? 30 : 96 })
+            }
+        });
+    } finally {
+        axios.defaults.adapter = adapterOriginal;
+    }
+
+    assert.ok(visitas.some(url => /wholesale-Mesmo-fone/.test(url)));
+    assert.deepEqual(fornecedores.map(f => f.product_id), ['400', '200']);
+    assert.equal(fornecedores[0].loja.nivel, 'alta');
+    assert.equal(fornecedores[1].loja.nivel, 'baixa');
+    assert.equal(fornecedores[1].economiaPercentual, 16);
+});
+
+await testar('Busca desativada retorna lista vazia', async () => {
+    assert.deepEqual(await buscarFornecedoresAlternativos(null, { product_id: '1' }, { maxFornecedores: 0 }), []);
+});
+
+await fs.rm(diretorioTeste, { recursive: true, force: true });
+
+concluir();
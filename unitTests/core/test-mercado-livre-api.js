@@ -0,0 +1,119 @@
+/**
+ * Script de teste para o cliente da API do Mercado Livre e a escolha da fonte (API ou HTML)
+ * As respostas vêm do servidor simulado em unitTests/mocks/servidor-mock-ml.js
+ */
+
+import assert from 'node:assert/strict';
+import { iniciarServidorMockML } from '../mocks/servidor-mock-ml.js';
+import { criarSuite } from './suite-testes.js';
+
+const servidor = await iniciarServidorMockML();
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+process.env.ML_API_URL = `${servidor.url}/`;
+
+const { normalizarItemML, buscarPaginaML, obterItensML, buscarItensAPI } = await import('../../marginValidation/mercado-livre-api.js');
+const { buscarItensHTML, buscarItensML } = await import('../../marginValidation/fontes-mercado-livre.js');
+const { CONFIG } = await import('../../config.js');
+
+const { testar, concluir } = criarSuite('TESTANDO API DO MERCADO LIVRE', {
+    antesDeCada: () => { servidor.requisicoes.length = 0; }
+});
+
+await testar('Itens da API viram o formato da listagem com vendas, condição, loja e frete', () => {
+    const item = normalizarItemML({
+        id: 'MLB1', title: ' Fone X ', price: 99.9, original_price: 149.9, sold_quantity: 250,
+        condition: 'new', official_store_id: 2707, permalink: 'https://produto.mercadolivre.com.br/MLB-1',
+        thumbnail: 'http://http2.mlstatic.com/D_1-I.jpg',
+        shipping: { free_shipping: true, logistic_type: 'fulfillment' }, seller: { id: 9 }
+    });
+    assert.equal(item.nome, 'Fone X');
+    assert.equal(item.preco, 99.9);
+    assert.equal(item.precoOriginal, 149.9);
+    assert.equal(item.imagem, 'https://http2.mlstatic.com/D_1-O.jpg');
+    assert.deepEqual([item.vendidos, item.condicao, item.lojaOficial, item.freteGratis, item.full], [250, 'new', true, true, true]);
+    assert.equal(item.fonte, 'api');
+
+    const semDados = normalizarItemML({ id: 'MLB2', title: 'Y', price: 10 });
+    assert.deepEqual([semDados.vendidos, semDados.lojaOficial, semDados.freteGratis, semDados.imagem], [null, false, false, null]);
+    assert.equal(normalizarItemML({ id: 'MLB3', title: 'Z', price: 0 }), null);
+});
+
+await testar('Busca pagina por offset até maxItens e completa os itens com /items em lotes de 20', async () => {
+    assert.equal(CONFIG.mercadoLivre.apiUrl, servidor.url);
+    const itens = await buscarItensAPI('fone bluetooth', { maxItens: 60, maxPaginas: 3 });
+    assert.equal(itens.length, 60);
+    assert.deepEqual(servidor.requisicoes.filter(r => r.startsWith('/sites')), [
+        '/sites/MLB/search?q=fone+bluetooth&offset=0&limit=50',
+        '/sites/MLB/search?q=fone+bluetooth&offset=50&limit=10'
+    ]);
+    assert.equal(servidor.requisicoes.filter(r => r.startsWith('/items?ids=')).length, 3);
+
+    const [primeiro] = itens;
+    assert.equal(primeiro.imagens.length, 2);
+    assert.equal(primeiro.imagem, primeiro.imagens[0]);
+    assert.deepEqual([primeiro.vendidos, primeiro.lojaOficialId, primeiro.full, primeiro.precoOriginal], [500, 2707, true, 129.9]);
+});
+
+await testar('maxPaginas, condição e detalhar=false limitam as chamadas', async () => {
+    const pagina = await buscarPaginaML('fone', { limite: 80 });
+    assert.equal(pagina.itens.length, 50);
+    assert.equal(pagina.total, 60);
+
+    const usados = await buscarItensAPI('fone', { condicao: 'used', detalhar: false });
+    assert.equal(usados.length, 6);
+    assert.ok(usados.every(item => item.condicao === 'used' && item.imagens.length === 1));
+    assert.equal(servidor.requisicoes.some(r => r.startsWith('/items')), false);
+
+    assert.equal((await buscarItensAPI('fone', { maxItens: 200, maxPaginas: 1, detalhar: false })).length, 50);
+    assert.deepEqual(await buscarItensAPI('bicicleta'), []);
+});
+
+await testar('Multiget ignora IDs inexistentes e falha em /items mantém os dados da busca', async () => {
+    const itens = await obterItensML(['MLB4000000001', 'MLB999', 'MLB4000000001']);
+    assert.deepEqual(itens.map(item => item.id), ['MLB4000000001']);
+
+    servidor.falhas.itens = 503;
+    try {
+        const [garrafa] = await buscarItensAPI('garrafa');
+        assert.equal(garrafa.vendidos, 1200);
+        assert.deepEqual(garrafa.imagens, ['https://http2.mlstatic.com/D_MLB4000000001-O.jpg']);
+    } finally {
+        delete servidor.falhas.itens;
+    }
+});
+
+await testar('Fonte html lê a listagem; auto usa a API e recorre ao HTML quando ela falha', async () => {
+    const opcoes = { urlListagem: servidor.url, maxItens: 5 };
+    const html = await buscarItensHTML('fone bluetooth', opcoes);
+    assert.equal(html.length, 5);
+    assert.deepEqual(html[0], {
+        nome: 'Fone De Ouvido Bluetooth Modelo 1',
+        preco: 79,
+        imagem: 'http://http2.mlstatic.com/D_MLB3000000000-I.jpg',
+        link: 'https://produto.mercadolivre.com.br/MLB-3000000000-fone-de-ouvido-bluetooth-modelo-1',
+        fonte: 'html'
+    });
+
+    assert.equal((await buscarItensML('fone', { ...opcoes, fonte: 'html' })).fonte, 'html');
+    assert.equal(CONFIG.mercadoLivre.fonte, 'html');
+
+    const viaApi = await buscarItensML('fone', { ...opcoes, fonte: 'auto' });
+    assert.equal(viaApi.fonte, 'api');
+    assert.equal(viaApi.itens.length, 5);
+
+    servidor.falhas.busca = 403;
+    try {
+        await assert.rejects(buscarItensML('fone', { ...opcoes, fonte: 'api' }), /API do Mercado Livre falhou \(403\): forbidden/);
+        const reserva = await buscarItensML('fone', { ...opcoes, fonte: 'auto' });
+        assert.equal(reserva.fonte, 'html');
+        assert.equal(reserva.itens.length, 5);
+    } finally {
+        delete servidor.falhas.busca;
+    }
+
+    await assert.rejects(buscarItensML('fone', { fonte: 'planilha' }), /Fonte do Mercado Livre desconhecida/);
+});
+
+await servidor.fechar();
+
+concluir();
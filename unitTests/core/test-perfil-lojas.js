@@ -0,0 +1,133 @@
+/**
+ * Script de teste para o perfil de lojas (extração, score de confiabilidade e cache por ID)
+ * A página da loja é simulada com uma aba falsa que devolve o texto visível
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const diretorioTeste = await fs.mkdtemp(path.join(os.tmpdir(), 'lojas-'));
+process.env.STORE_CACHE_FILE = path.join(diretorioTeste, 'cache-lojas.json');
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { CONFIG } = await import('../../config.js');
+const {
+    converterContagem,
+    calcularIdadeLoja,
+    perfilDoCartaoLoja,
+    extrairPerfilDoTexto,
+    calcularConfiabilidadeLoja,
+    obterPerfilLoja,
+    reiniciarCacheLojas
+} = await import('../../scraper/perfil-lojas.js');
+const { assessRisk } = await import('../../filters/riskAssessment.js');
+const { calcularScoreTotal } = await import('../../scoring/product-scorer.js');
+
+const { testar, concluir } = criarSuite('TESTANDO PERFIL DE LOJAS');
+
+const TEXTO_LOJA = `Loja Oficial XYZ
+12,5 mil Seguidores
+97,8% de feedback positivo
+Aberta desde: 12 jun 2019
+Todos os produtos
+1.234 itens
+Como descrito 4.8
+Comunicação 4.7
+Velocidade de envio 4.6`;
+
+function abaFalsa(texto) {
+    const aba = { visitas: [] };
+    aba.goto = async (url) => { aba.visitas.push(url); };
+    aba.evaluate = async () => texto;
+    aba.url = () => aba.visitas[aba.visitas.length - 1] || 'about:blank';
+    aba.content = async () => `<html><body>${texto}</body></html>`;
+    return aba;
+}
+
+await testar('Contagens e idade da loja são convertidas', () => {
+    assert.equal(converterContagem('12,5 mil'), 12500);
+    assert.equal(converterContagem('1.2K'), 1200);
+    assert.equal(converterContagem('1.234'), 1234);
+    assert.equal(converterContagem('abc'), null);
+    assert.equal(calcularIdadeLoja('Jun 12, 2019', new Date(2025, 5, 1)), 6);
+    assert.equal(calcularIdadeLoja('sem data'), null);
+});
+
+await testar('Texto da página da loja vira perfil completo', () => {
+    const perfil = extrairPerfilDoTexto(TEXTO_LOJA);
+    assert.equal(perfil.seguidores, 12500);
+    assert.equal(perfil.percentualPositivo, 97.8);
+    assert.equal(perfil.anuncios, 1234);
+    assert.ok(perfil.idadeAnos > 5);
+    assert.deepEqual(perfil.avaliacoes, { descrito: 4.8, comunicacao: 4.7, envio: 4.6 });
+});
+
+await testar('Score de confiabilidade separa loja sólida de loja nova e mal avaliada', () => {
+    const solida = calcularConfiabilidadeLoja(extrairPerfilDoTexto(TEXTO_LOJA));
+    assert.equal(solida.nivel, 'alta');
+    assert.ok(solida.score >= 90);
+
+    const fraca = calcularConfiabilidadeLoja({
+        idadeAnos: 0.2, percentualPositivo: 88, seguidores: 30, anuncios: 5,
+        avaliacoes: { descrito: 3.9, comunicacao: 4.0, envio: 3.8 }
+    });
+    assert.equal(fraca.nivel, 'baixa');
+    assert.ok(fraca.motivos.length >= 3);
+
+    assert.equal(calcularConfiabilidadeLoja({ avaliacoes: {} }).nivel, 'desconhecida');
+});
+
+await testar('Perfil é visitado uma vez por loja e reaproveitado do cache', async () => {
+    const cartao = perfilDoCartaoLoja({ storeNum: 912345, storeName: 'Loja Oficial XYZ', storeURL: '//pt.aliexpress.com/store/912345', sellerPositiveRate: '97.8' });
+    assert.equal(cartao.lojaId, '912345');
+    assert.equal(cartao.url, 'https://pt.aliexpress.com/store/912345');
+
+    const aba = abaFalsa(TEXTO_LOJA);
+    // Dois produtos da mesma loja ao mesmo tempo compartilham a visita
+    const [perfilA, perfilB] = await Promise.all([obterPerfilLoja(aba, cartao), obterPerfilLoja(aba, cartao)]);
+    assert.equal(aba.visitas.length, 1);
+    assert.equal(perfilA, perfilB);
+    assert.equal(perfilA.confiabilidade.nivel, 'alta');
+
+    // Novo processo: o cache em disco evita outra visita
+    reiniciarCacheLojas();
+    const outraAba = abaFalsa('');
+    const doCache = await obterPerfilLoja(outraAba, cartao);
+    assert.equal(outraAba.visitas.length, 0);
+    assert.equal(doCache.seguidores, 12500);
+
+    const arquivo = JSON.parse(await fs.readFile(process.env.STORE_CACHE_FILE, 'utf-8'));
+    assert.ok(arquivo.lojas['912345']);
+});
+
+await testar('Cache expirado força nova visita', async () => {
+    CONFIG.lojas.cacheTtlHours = 0;
+    const aba = abaFalsa(TEXTO_LOJA);
+    await obterPerfilLoja(aba, perfilDoCartaoLoja({ storeNum: 912345 }));
+    assert.equal(aba.visitas.length, 1);
+    CONFIG.lojas.cacheTtlHours = 168;
+});
+
+await testar('assessRisk e scorer consomem a confiabilidade da loja', () => {
+    const perfilFraco = { confiabilidade: { score: 20, nivel: 'baixa', motivos: [] } };
+    const perfilForte = { confiabilidade: { score: 95, nivel: 'alta', motivos: [] } };
+    const base = { vendedor: 'Loja', frete: 'Grátis', peso: '0.2kg', aprovadoQuantitativo: true, filtros: {} };
+
+    const riscoFraco = assessRisk({ ...base, perfilLoja: perfilFraco });
+    assert.equal(riscoFraco.lojaPoucoConfiavel, true);
+    assert.equal(riscoFraco.risco, true);
+    assert.equal(assessRisk({ ...base, perfilLoja: perfilForte }).risco, false);
+
+    const scoreFraco = calcularScoreTotal({ ...base, perfilLoja: perfilFraco });
+    const scoreForte = calcularScoreTotal({ ...base, perfilLoja: perfilForte });
+    assert.equal(scoreFraco.loja, -10);
+    assert.equal(scoreForte.loja, 5);
+    assert.ok(scoreForte.total > scoreFraco.total);
+});
+
+await fs.rm(diretorioTeste, { recursive: true, force: true });
+
+concluir();
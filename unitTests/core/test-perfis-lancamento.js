@@ -0,0 +1,99 @@
+/**
+ * Script de teste para os presets de lançamento do Chrome
+ * Resolução do preset, detecção do Chrome e opções de launch, sem abrir o navegador
+ */
+
+import assert from 'node:assert/strict';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { CONFIG } = await import('../../config.js');
+const {
+    PRESETS_LANCAMENTO,
+    NOMES_PRESETS_LANCAMENTO,
+    CAMINHOS_CHROME,
+    resolverNomePreset,
+    detectarCaminhoChrome,
+    montarOpcoesLancamento
+} = await import('../../scraper/perfis-lancamento.js');
+
+const { testar, concluir } = criarSuite('TESTANDO PRESETS DE LANÇAMENTO DO CHROME');
+
+await testar('Presets nomeados são respeitados; auto depende do ambiente', () => {
+    assert.deepEqual(NOMES_PRESETS_LANCAMENTO, ['auto', 'server-headless', 'debug-visible', 'low-memory']);
+    assert.equal(resolverNomePreset('Low-Memory', { plataforma: 'win32', env: {} }), 'low-memory');
+
+    assert.equal(resolverNomePreset('auto', { plataforma: 'linux', env: {} }), 'server-headless');
+    assert.equal(resolverNomePreset('auto', { plataforma: 'linux', env: { DISPLAY: ':0' } }), 'debug-visible');
+    assert.equal(resolverNomePreset('auto', { plataforma: 'win32', env: { CI: 'true' } }), 'server-headless');
+    assert.equal(resolverNomePreset('auto', { plataforma: 'win32', env: {} }), 'debug-visible');
+    assert.equal(resolverNomePreset('inexistente', { plataforma: 'darwin', env: {} }), 'debug-visible');
+});
+
+await testar('CHROME_PATH existente é usado como informado', () => {
+    const resultado = detectarCaminhoChrome('/opt/chrome/chrome', { plataforma: 'linux', existe: () => true });
+    assert.deepEqual(resultado, { caminho: '/opt/chrome/chrome', origem: 'env' });
+});
+
+await testar('Sem CHROME_PATH válido, o Chrome instalado da plataforma é detectado', () => {
+    const instalados = new Set(['/usr/bin/chromium']);
+    const existe = caminho => instalados.has(caminho);
+
+    assert.deepEqual(detectarCaminhoChrome('', { plataforma: 'linux', existe }),
+        { caminho: '/usr/bin/chromium', origem: 'detectado' });
+
+    // Caminho do Windows no .env de um servidor Linux
+    const avisoOriginal = console.warn;
+    const avisos = [];
+    console.warn = mensagem => avisos.push(mensagem);
+    try {
+        const resultado = detectarCaminhoChrome(CAMINHOS_CHROME.win32[0], { plataforma: 'linux', existe });
+        assert.equal(resultado.caminho, '/usr/bin/chromium');
+    } finally {
+        console.warn = avisoOriginal;
+    }
+    assert.match(avisos[0], /CHROME_PATH não encontrado/);
+});
+
+await testar('Sem Chrome instalado, fica o Chrome do puppeteer', () => {
+    const resultado = detectarCaminhoChrome(undefined, { plataforma: 'linux', existe: () => false });
+    assert.deepEqual(resultado, { caminho: '', origem: 'puppeteer' });
+});
+
+await testar('Opções de launch seguem o preset e a configuração', () => {
+    const servidor = montarOpcoesLancamento({
+        preset: 'server-headless',
+        headless: true,
+        slowMo: 0,
+        chromePath: '/usr/bin/chromium',
+        userDataDir: '/home/loop/.config/chromium',
+        profile: 'Profile 2'
+    });
+    assert.equal(servidor.headless, true);
+    assert.equal(servidor.slowMo, 0);
+    assert.equal(servidor.executablePath, '/usr/bin/chromium');
+    assert.equal(servidor.userDataDir, '/home/loop/.config/chromium');
+    assert.ok(servidor.args.includes('--profile-directory=Profile 2'));
+    assert.ok(!servidor.args.includes('--single-process'));
+
+    const debug = montarOpcoesLancamento({ preset: 'debug-visible', headless: false, slowMo: 150, chromePath: '' });
+    assert.equal(debug.headless, false);
+    assert.equal(debug.slowMo, 150);
+    assert.ok(debug.args.includes('--single-process'));
+    assert.equal('executablePath' in debug, false);
+    assert.equal('userDataDir' in debug, false);
+
+    const economico = montarOpcoesLancamento({ preset: 'low-memory', headless: true, slowMo: 0 });
+    assert.ok(economico.args.includes('--renderer-process-limit=2'));
+    assert.equal(PRESETS_LANCAMENTO['low-memory'].headless, true);
+});
+
+await testar('CONFIG.browser traz um preset válido e valores coerentes', () => {
+    assert.ok(PRESETS_LANCAMENTO[CONFIG.browser.preset]);
+    assert.equal(typeof CONFIG.browser.headless, 'boolean');
+    assert.ok(CONFIG.browser.slowMo >= 0 && CONFIG.browser.slowMo <= 5000);
+    assert.equal(typeof CONFIG.browser.chromePath, 'string');
+});
+
+concluir();
@@ -0,0 +1,149 @@
+/**
+ * Script de teste para o pool de abas da extração de detalhes
+ * Usa um browser falso para validar concorrência, reciclagem e limite por domínio
+ */
+
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { PoolPaginas, LimitadorPorDominio, extrairDominio } = await import('../../scraper/pool-paginas.js');
+
+const { testar, concluir } = criarSuite('TESTANDO POOL DE ABAS');
+
+class AbaFalsa extends EventEmitter {
+    constructor(id) {
+        super();
+        this.id = id;
+        this.fechada = false;
+    }
+
+    isClosed() {
+        return this.fechada;
+    }
+
+    async close() {
+        this.fechada = true;
+    }
+
+    async goto() {}
+}
+
+function criarBrowserFalso() {
+    const browser = { abasCriadas: [] };
+    browser.newPage = async () => {
+        const aba = new AbaFalsa(browser.abasCriadas.length + 1);
+        browser.abasCriadas.push(aba);
+        return aba;
+    };
+    return browser;
+}
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const semLimite = () => new LimitadorPorDominio({ intervaloMinimoMs: 0, variacaoMs: 0 });
+
+await testar('Domínio registrável agrupa subdomínios', () => {
+    assert.equal(extrairDominio('https://pt.aliexpress.com/item/1.html'), 'aliexpress.com');
+    assert.equal(extrairDominio('https://lista.mercadolivre.com.br/fone'), 'mercadolivre.com.br');
+    assert.equal(extrairDominio('não é url'), 'desconhecido');
+});
+
+await testar('Nunca executa mais tarefas que o tamanho do pool', async () => {
+    const browser = criarBrowserFalso();
+    const pool = new PoolPaginas(browser, { tamanho: 3, limitador: semLimite() });
+    let ativas = 0;
+    let maximo = 0;
+
+    const resultados = await Promise.all(Array.from({ length: 10 }, (_, i) => pool.executar(async () => {
+        ativas++;
+        maximo = Math.max(maximo, ativas);
+        await esperar(5);
+        ativas--;
+        return i;
+    })));
+
+    await pool.encerrar();
+    assert.equal(maximo, 3);
+    assert.equal(browser.abasCriadas.length, 3);
+    assert.deepEqual(resultados, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+await testar('Aba travada é reciclada após o timeout', async () => {
+    const browser = criarBrowserFalso();
+    const pool = new PoolPaginas(browser, { tamanho: 1, timeoutTarefaMs: 20, limitador: semLimite() });
+
+    await assert.rejects(() => pool.executar(() => new Promise(() => {}), '123'), /Timeout de 20ms/);
+    const abaSeguinte = await pool.executar(async (aba) => aba);
+    const estatisticas = await pool.encerrar();
+
+    assert.equal(browser.abasCriadas[0].fechada, true);
+    assert.notEqual(abaSeguinte, browser.abasCriadas[0]);
+    assert.equal(estatisticas.timeouts, 1);
+    assert.equal(estatisticas.sucesso, 1);
+});
+
+await testar('Crash do renderer marca a aba para reciclagem', async () => {
+    const browser = criarBrowserFalso();
+    const pool = new PoolPaginas(browser, { tamanho: 1, limitador: semLimite() });
+
+    await pool.executar(async (aba) => {
+        aba.emit('error', new Error('Page crashed!'));
+    });
+    const abaSeguinte = await pool.executar(async (aba) => aba);
+    const estatisticas = await pool.encerrar();
+
+    assert.equal(estatisticas.crashes, 1);
+    assert.equal(browser.abasCriadas[0].fechada, true);
+    assert.equal(abaSeguinte.id, 2);
+});
+
+await testar('Erro comum da tarefa não recicla a aba', async () => {
+    const browser = criarBrowserFalso();
+    const pool = new PoolPaginas(browser, { tamanho: 1, limitador: semLimite() });
+
+    await assert.rejects(() => pool.executar(async () => { throw new Error('Seletor não encontrado'); }), /Seletor não encontrado/);
+    const abaSeguinte = await pool.executar(async (aba) => aba);
+    const estatisticas = await pool.encerrar();
+
+    assert.equal(abaSeguinte.id, 1);
+    assert.equal(browser.abasCriadas.length, 1);
+    assert.deepEqual([estatisticas.falhas, estatisticas.timeouts, estatisticas.reciclagens], [1, 0, 0]);
+});
+
+await testar('Encerrar o pool rejeita as tarefas que aguardavam uma aba livre', async () => {
+    const browser = criarBrowserFalso();
+    const pool = new PoolPaginas(browser, { tamanho: 1, limitador: semLimite() });
+
+    // Mesmo uso de detalharProdutos: Promise.all com a troca de proxy encerrando o pool no meio
+    const tarefas = Promise.allSettled([1, 2, 3].map(i => pool.executar(async () => {
+        await esperar(20);
+        return i;
+    })));
+    await esperar(5);
+    await pool.encerrar();
+
+    const resultados = await Promise.race([tarefas, esperar(500).then(() => 'travou')]);
+    assert.notEqual(resultados, 'travou');
+    assert.deepEqual(resultados.map(r => r.status), ['fulfilled', 'rejected', 'rejected']);
+    assert.match(resultados[1].reason.message, /Pool de abas encerrado/);
+    assert.equal(pool.fila.length, 0);
+    await assert.rejects(() => pool.executar(async () => 4), /já foi encerrado/);
+});
+
+await testar('Limitador espaça navegações concorrentes no mesmo domínio', async () => {
+    const limitador = new LimitadorPorDominio({ intervaloMinimoMs: 40, variacaoMs: 0 });
+    const inicio = Date.now();
+    const horarios = await Promise.all([1, 2, 3].map(async () => {
+        await limitador.aguardarVez('https://pt.aliexpress.com/');
+        return Date.now() - inicio;
+    }));
+    await limitador.aguardarVez('https://www.mercadolivre.com.br/');
+
+    horarios.sort((a, b) => a - b);
+    assert.ok(horarios[1] >= 35 && horarios[2] >= 75, `horários: ${horarios.join(', ')}`);
+    assert.equal(limitador.esperas, 2);
+});
+
+concluir();
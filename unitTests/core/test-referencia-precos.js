@@ -0,0 +1,137 @@
+/**
+ * Script de teste para a referência de preços aprendida com as consultas reais ao ML
+ * O histórico é gravado em uma pasta temporária (PRICE_REFERENCE_FILE)
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'referencia-precos-'));
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+process.env.PRICE_REFERENCE_FILE = path.join(pasta, 'database', 'referencia-precos.json');
+
+const {
+    normalizarTermo,
+    normalizarCategoria,
+    estatisticasPrecos,
+    registrarConsultaML,
+    consultarReferenciaPrecos,
+    reiniciarReferenciaPrecos,
+    MAX_OBSERVACOES_POR_TERMO
+} = await import('../../marginValidation/referencia-precos.js');
+
+const { testar, concluir } = criarSuite('TESTANDO REFERÊNCIA DE PREÇOS');
+
+const agora = new Date('2026-10-01T12:00:00Z');
+const diasAtras = (dias) => new Date(agora.getTime() - dias * 24 * 60 * 60 * 1000);
+
+const concorrenciaFones = {
+    disponivel: true,
+    anunciosAnalisados: 60,
+    precos: { minimo: 80, maximo: 140, media: 110, mediana: 110, quartil1: 95, quartil3: 125 }
+};
+
+await testar('Termo e categoria são normalizados antes de virar chave', () => {
+    assert.equal(normalizarTermo('Fone de Ouvido Bluetooth!'), 'bluetooth fone ouvido');
+    assert.equal(normalizarTermo('bluetooth  FONE ouvido fone'), 'bluetooth fone ouvido');
+    assert.equal(normalizarTermo('Garrafa Térmica 1L'), '1l garrafa termica');
+    assert.equal(normalizarCategoria('Eletrônicos'), 'eletronicos');
+    assert.equal(normalizarCategoria(''), 'geral');
+    assert.deepEqual(estatisticasPrecos([110, 70, 90, 0, NaN, 80, 100]), {
+        minimo: 70, maximo: 110, media: 90, mediana: 90, quartil1: 80, quartil3: 100, quantidade: 5
+    });
+    assert.equal(estatisticasPrecos([]), null);
+});
+
+await testar('Consultas reais são gravadas no arquivo com os quartis da concorrência ou da listagem', async () => {
+    const daConcorrencia = await registrarConsultaML({
+        termo: 'Fone de Ouvido Bluetooth', categoria: 'Eletrônicos', precos: [1, 2, 3],
+        concorrenciaML: concorrenciaFones, fonte: 'api', data: agora
+    });
+    assert.deepEqual(daConcorrencia, {
+        data: agora.toISOString(), quantidade: 60, minimo: 80, quartil1: 95, mediana: 110,
+        quartil3: 125, maximo: 140, media: 110, fonte: 'concorrencia'
+    });
+
+    const daListagem = await registrarConsultaML({
+        termo: 'fone bluetooth ouvido', categoria: 'eletronicos', precos: [70, 80, 90, 100, 110],
+        concorrenciaML: { disponivel: false, erro: '403' }, data: diasAtras(30)
+    });
+    assert.equal(daListagem.fonte, 'html');
+    assert.equal(daListagem.mediana, 90);
+
+    // Fora da janela de 180 dias: gravada, mas ignorada na consulta
+    await registrarConsultaML({ termo: 'fone ouvido bluetooth', categoria: 'Eletrônicos', precos: [500], data: diasAtras(200) });
+
+    assert.equal(await registrarConsultaML({ termo: 'fone', precos: [] }), null);
+    assert.equal(await registrarConsultaML({ termo: 'de para', precos: [10] }), null);
+
+    const arquivo = JSON.parse(await readFile(process.env.PRICE_REFERENCE_FILE, 'utf-8'));
+    const registro = arquivo.termos['eletronicos|bluetooth fone ouvido'];
+    assert.equal(registro.observacoes.length, 3);
+    assert.deepEqual(Object.keys(arquivo.termos), ['eletronicos|bluetooth fone ouvido']);
+    assert.deepEqual(await readdir(path.dirname(process.env.PRICE_REFERENCE_FILE)), ['referencia-precos.json']);
+});
+
+await testar('Termo exato combina as observações por anúncios e recência, com confiança e tendência', async () => {
+    reiniciarReferenciaPrecos();
+    const referencia = await consultarReferenciaPrecos('Fone Bluetooth de Ouvido', 'Eletronicos', { agora });
+
+    assert.equal(referencia.correspondencia, 'exata');
+    assert.equal(referencia.observacoes, 2);
+    assert.equal(referencia.confianca, 'media');
+    // (110 × 60 + 90 × 5 × 0,5) / (60 + 2,5): a observação de 30 dias pesa metade
+    assert.equal(referencia.precos.mediana, 109.2);
+    assert.equal(referencia.precos.minimo, 70);
+    assert.equal(referencia.precos.maximo, 140);
+    assert.equal(referencia.precos.quantidade, 65);
+    assert.equal(referencia.tendencia, 22.2);
+    assert.equal(referencia.ultimaConsulta, agora.toISOString());
+
+    await registrarConsultaML({ termo: 'fone de ouvido bluetooth', categoria: 'Eletrônicos', concorrenciaML: concorrenciaFones, data: diasAtras(1) });
+    assert.equal((await consultarReferenciaPrecos('fone de ouvido bluetooth', 'Eletrônicos', { agora })).confianca, 'alta');
+
+    const recente = await consultarReferenciaPrecos('fone de ouvido bluetooth', 'Eletrônicos', { agora, idadeMaximaDias: 20 });
+    assert.equal(recente.observacoes, 2);
+    assert.equal(recente.precos.mediana, 110);
+});
+
+await testar('Sem o termo exato, usa termos parecidos e depois a categoria; sem nada, não responde', async () => {
+    const parecido = await consultarReferenciaPrecos('fone bluetooth', 'Eletrônicos', { agora });
+    assert.equal(parecido.correspondencia, 'semelhante');
+    assert.deepEqual(parecido.termosUsados, ['bluetooth fone ouvido']);
+    assert.equal(parecido.confianca, 'media');
+
+    const daCategoria = await consultarReferenciaPrecos('caixa de som', 'Eletrônicos', { agora });
+    assert.equal(daCategoria.correspondencia, 'categoria');
+    assert.equal(daCategoria.confianca, 'baixa');
+
+    assert.equal(await consultarReferenciaPrecos('garrafa termica', 'Casa', { agora }), null);
+    assert.equal(await consultarReferenciaPrecos('caixa de som', '', { agora }), null);
+    assert.equal(await consultarReferenciaPrecos('fone ouvido bluetooth', 'Eletrônicos', { agora: diasAtras(-400) }), null);
+});
+
+await testar(`Cada termo guarda as ${MAX_OBSERVACOES_POR_TERMO} observações mais recentes`, async () => {
+    for (let i = 0; i < MAX_OBSERVACOES_POR_TERMO + 5; i++) {
+        await registrarConsultaML({ termo: 'garrafa termica', categoria: 'Casa', precos: [50 + i], data: diasAtras(60 - i) });
+    }
+    reiniciarReferenciaPrecos();
+
+    const arquivo = JSON.parse(await readFile(process.env.PRICE_REFERENCE_FILE, 'utf-8'));
+    const observacoes = arquivo.termos['casa|garrafa termica'].observacoes;
+    assert.equal(observacoes.length, MAX_OBSERVACOES_POR_TERMO);
+    assert.equal(observacoes[0].mediana, 55);
+
+    const referencia = await consultarReferenciaPrecos('Garrafa Térmica', 'Casa', { agora });
+    assert.equal(referencia.observacoes, MAX_OBSERVACOES_POR_TERMO);
+    assert.equal(referencia.precos.minimo, 55);
+    assert.equal(referencia.precos.maximo, 104);
+    assert.deepEqual(referencia, await consultarReferenciaPrecos('Garrafa Térmica', 'Casa', { agora }));
+});
+
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
@@ -0,0 +1,124 @@
+/**
+ * Script de teste para o registro de seletores (auto-correção e relatório de drift)
+ * As páginas são simuladas com objetos que conhecem apenas alguns seletores
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const diretorioTeste = await fs.mkdtemp(path.join(os.tmpdir(), 'seletores-'));
+process.env.SELECTOR_DRIFT_DIR = path.join(diretorioTeste, 'drift');
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { CONFIG } = await import('../../config.js');
+const {
+    carregarRegistroSeletores,
+    reiniciarRegistroSeletores,
+    obterSeletores,
+    registrarCorrespondencia,
+    encontrarPorGrupo,
+    aguardarPorGrupo,
+    gerarRelatorioDrift,
+    salvarRelatorioDrift
+} = await import('../../scraper/registro-seletores.js');
+
+const { testar, concluir } = criarSuite('TESTANDO REGISTRO DE SELETORES');
+
+// Página falsa: page.$ e waitForSelector só resolvem os seletores conhecidos
+function paginaFalsa(seletoresPresentes) {
+    const pagina = { consultas: [] };
+    pagina.$ = async (seletor) => {
+        pagina.consultas.push(seletor);
+        return seletoresPresentes.includes(seletor) ? { seletor } : null;
+    };
+    pagina.waitForSelector = async (seletor) => {
+        pagina.consultas.push(seletor);
+        if (!seletoresPresentes.includes(seletor)) {
+            throw new Error(`Timeout aguardando ${seletor}`);
+        }
+    };
+    return pagina;
+}
+
+await testar('Registro do projeto traz todos os grupos usados pelo scraper', () => {
+    reiniciarRegistroSeletores();
+    const registro = carregarRegistroSeletores();
+    assert.ok(registro.versao);
+    for (const grupo of ['campoBusca', 'proximaPagina', 'cardsProduto', 'linksListagem', 'linksBundle', 'tituloCard', 'precoCard', 'ordenacao', 'opcaoMaisVendidos', 'linksCategoria', 'tituloGrupoCategoria', 'bloqueioSlider', 'bloqueioCaptcha', 'conteudoPagina']) {
+        assert.ok(obterSeletores(grupo).length > 0, grupo);
+    }
+    assert.equal(obterSeletores('campoBusca')[0], 'input[placeholder*="busca"]');
+    assert.throws(() => obterSeletores('inexistente'), /desconhecido/);
+});
+
+await testar('Arquivo externo substitui o registro sem mudar código; inválido cai no do projeto', async () => {
+    const arquivo = path.join(diretorioTeste, 'seletores.json');
+    await fs.writeFile(arquivo, JSON.stringify({ versao: '2099.01.1', grupos: { campoBusca: { seletores: ['#nova-busca', '#search-words'] } } }));
+    CONFIG.seletores.file = arquivo;
+    reiniciarRegistroSeletores();
+    assert.equal(carregarRegistroSeletores().versao, '2099.01.1');
+    assert.deepEqual(obterSeletores('campoBusca'), ['#nova-busca', '#search-words']);
+    assert.equal(obterSeletores('cardsProduto')[0], 'a.search-card-item');
+
+    await fs.writeFile(arquivo, '{ "grupos": { "campoBusca": { "seletores": [] } } }');
+    reiniciarRegistroSeletores();
+    assert.equal(obterSeletores('campoBusca')[0], 'input[placeholder*="busca"]');
+
+    CONFIG.seletores.file = 'config/seletores.json';
+    reiniciarRegistroSeletores();
+});
+
+await testar('Alternativo que resolve é promovido para as próximas consultas', async () => {
+    reiniciarRegistroSeletores();
+    const pagina = paginaFalsa(['#search-words']);
+
+    const primeira = await encontrarPorGrupo(pagina, 'campoBusca');
+    assert.equal(primeira.seletor, '#search-words');
+    assert.equal(pagina.consultas.length, 3);
+
+    pagina.consultas = [];
+    await encontrarPorGrupo(pagina, 'campoBusca');
+    assert.deepEqual(pagina.consultas, ['#search-words']);
+    assert.equal(obterSeletores('campoBusca')[0], '#search-words');
+});
+
+await testar('Espera por grupo usa o primeiro seletor que aparece', async () => {
+    reiniciarRegistroSeletores();
+    assert.equal(await aguardarPorGrupo(paginaFalsa(['a.search-card-item']), 'cardsProduto', 10), 'a.search-card-item');
+    assert.equal(await aguardarPorGrupo(paginaFalsa([]), 'cardsProduto', 10), null);
+});
+
+await testar('Relatório de drift aponta grupos fora do primário e sugere nova ordem', () => {
+    reiniciarRegistroSeletores();
+    registrarCorrespondencia('cardsProduto', 'a.search-card-item', 5);
+    registrarCorrespondencia('campoBusca', '#search-words', 2);
+    registrarCorrespondencia('ordenacao', null);
+
+    const relatorio = gerarRelatorioDrift();
+    assert.deepEqual(relatorio.comDrift.sort(), ['campoBusca', 'ordenacao']);
+    assert.equal(relatorio.grupos.cardsProduto.drift, false);
+    assert.equal(relatorio.grupos.campoBusca.viaAlternativos, 2);
+    assert.equal(relatorio.grupos.campoBusca.ordemSugerida[0], '#search-words');
+    assert.equal(relatorio.grupos.ordenacao.semCorrespondencia, 1);
+});
+
+await testar('Relatório só é gravado quando há drift', async () => {
+    reiniciarRegistroSeletores();
+    registrarCorrespondencia('cardsProduto', 'a.search-card-item');
+    assert.equal(await salvarRelatorioDrift('run-sem-drift'), null);
+
+    registrarCorrespondencia('proximaPagina', '.comet-pagination-next');
+    const destino = await salvarRelatorioDrift('run-com-drift');
+    assert.equal(destino, path.join(process.env.SELECTOR_DRIFT_DIR, 'drift-seletores-run-com-drift.json'));
+
+    const gravado = JSON.parse(await fs.readFile(destino, 'utf-8'));
+    assert.equal(gravado.runId, 'run-com-drift');
+    assert.deepEqual(gravado.comDrift, ['proximaPagina']);
+});
+
+await fs.rm(diretorioTeste, { recursive: true, force: true });
+
+concluir();
@@ -0,0 +1,144 @@
+/**
+ * Script de teste para os perfis de sessão e o isolamento entre categorias em paralelo
+ * Perfis, cookies e métricas são testados sem abrir o Chrome
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { CONFIG } = await import('../../config.js');
+const {
+    PERFIS_PADRAO,
+    normalizarPerfil,
+    carregarPerfisSessao,
+    cabecalhoIdioma,
+    GerenciadorSessoes,
+    sessoesComPerfis
+} = await import('../../utils/sessoes-navegacao.js');
+const { iniciarMetricas, obterMetricas, isolarMetricas, metricas } = await import('../../metrics/scraping-metrics.js');
+
+const { testar, concluir } = criarSuite('TESTANDO PERFIS DE SESSÃO');
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'perfis-'));
+
+/**
+ * Aba falsa: guarda os cookies recebidos e devolve os "do site"
+ */
+function abaFalsa(cookiesDoSite = []) {
+    const aba = { recebidos: [] };
+    aba.cookies = async () => cookiesDoSite;
+    aba.setCookie = async (...cookies) => { aba.recebidos.push(...cookies); };
+    return aba;
+}
+
+await testar('Perfil é completado com padrões e nomes inválidos são rejeitados', () => {
+    const perfil = normalizarPerfil({ nome: 'loja-sp', viewport: { width: 300, height: 200 } }, 1);
+    assert.equal(perfil.userAgent, PERFIS_PADRAO[1].userAgent);
+    assert.deepEqual(perfil.viewport, PERFIS_PADRAO[1].viewport);
+    assert.deepEqual([perfil.locale, perfil.timezone, perfil.proxy], ['pt-BR', 'America/Sao_Paulo', null]);
+
+    assert.equal(normalizarPerfil({}, 2).nome, 'perfil-3');
+    assert.throws(() => normalizarPerfil({ nome: '../fora' }), /nome de perfil inválido/);
+
+    assert.equal(cabecalhoIdioma('pt-BR'), 'pt-BR,pt;q=0.9,en;q=0.8');
+    assert.equal(cabecalhoIdioma('en-US'), 'en-US,en;q=0.9');
+});
+
+await testar('Arquivo de perfis é lido; inválido ou ausente usa os perfis padrão', async () => {
+    const arquivo = path.join(pasta, 'perfis.json');
+    await writeFile(arquivo, JSON.stringify({
+        perfis: [
+            { nome: 'a', locale: 'en-US', proxy: '10.0.0.1:8080' },
+            { nome: 'b', viewport: { width: 1280, height: 800 } }
+        ]
+    }));
+    const { perfis, doArquivo } = carregarPerfisSessao(arquivo);
+    assert.equal(doArquivo, true);
+    assert.deepEqual(perfis.map(p => p.nome), ['a', 'b']);
+    assert.equal(perfis[0].proxy, '10.0.0.1:8080');
+    assert.deepEqual(perfis[1].viewport, { width: 1280, height: 800 });
+
+    await writeFile(arquivo, JSON.stringify({ perfis: [{ nome: 'a' }, { nome: 'a' }] }));
+    assert.equal(carregarPerfisSessao(arquivo).doArquivo, false);
+    assert.equal(carregarPerfisSessao(path.join(pasta, 'inexistente.json')).perfis.length, PERFIS_PADRAO.length);
+});
+
+await testar('Reserva entrega perfis livres, alternando pelos menos usados', () => {
+    const gerenciador = new GerenciadorSessoes(['a', 'b'].map(nome => normalizarPerfil({ nome })), { diretorio: pasta });
+
+    const primeiro = gerenciador.reservar();
+    const segundo = gerenciador.reservar();
+    assert.deepEqual([primeiro.nome, segundo.nome], ['a', 'b']);
+    assert.equal(gerenciador.reservar(), null);
+
+    gerenciador.liberar(primeiro);
+    gerenciador.liberar(segundo);
+    gerenciador.reservar();
+    gerenciador.liberar(primeiro);
+    // 'a' já foi usado duas vezes: a próxima categoria recebe 'b'
+    assert.equal(gerenciador.reservar().nome, 'b');
+});
+
+await testar('Cookies ficam separados por perfil entre execuções', async () => {
+    const gerenciador = new GerenciadorSessoes(['a', 'b'].map(nome => normalizarPerfil({ nome })), { diretorio: pasta });
+    const [perfilA, perfilB] = gerenciador.perfis;
+
+    await gerenciador.salvarCookies(abaFalsa([
+        { name: 'aep_usuc_f', value: 'site=bra&c_tp=BRL', domain: '.aliexpress.com' },
+        { name: '_ga', value: 'rastreio', domain: '.aliexpress.com' }
+    ]), perfilA);
+
+    const abaA = abaFalsa();
+    const abaB = abaFalsa();
+    assert.equal(await gerenciador.carregarCookies(abaA, perfilA), 1);
+    assert.equal(await gerenciador.carregarCookies(abaB, perfilB), 0);
+    assert.equal(abaA.recebidos[0].name, 'aep_usuc_f');
+    assert.equal(abaB.recebidos.length, 0);
+});
+
+await testar('Métricas de categorias em paralelo não se misturam', async () => {
+    const global = iniciarMetricas({ categoria: 'Global' });
+
+    const processar = (categoria, erros) => isolarMetricas(async () => {
+        iniciarMetricas({ categoria });
+        for (let i = 0; i < erros; i++) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            metricas.registrarErro('teste', `${categoria} ${i}`);
+        }
+        return obterMetricas();
+    });
+
+    const [pets, beleza] = await Promise.all([processar('Pets', 3), processar('Beleza', 1)]);
+    assert.notEqual(pets, beleza);
+    assert.deepEqual([pets.metrics.sessao.categoria, pets.metrics.erros.length], ['Pets', 3]);
+    assert.deepEqual([beleza.metrics.sessao.categoria, beleza.metrics.erros.length], ['Beleza', 1]);
+    assert.equal(obterMetricas(), global);
+    assert.equal(global.metrics.erros.length, 0);
+});
+
+await testar('Perfis entram em uso com paralelismo ou arquivo de perfis', async () => {
+    const original = { ...CONFIG.sessoes };
+    try {
+        CONFIG.sessoes.perfisFile = path.join(pasta, 'sem-perfis.json');
+        CONFIG.sessoes.concorrenciaCategorias = 1;
+        assert.equal(sessoesComPerfis(), false);
+
+        CONFIG.sessoes.concorrenciaCategorias = 2;
+        assert.equal(sessoesComPerfis(), true);
+
+        CONFIG.sessoes.concorrenciaCategorias = 1;
+        CONFIG.sessoes.perfisFile = path.join(pasta, 'perfis.json');
+        assert.equal(sessoesComPerfis(), true);
+    } finally {
+        Object.assign(CONFIG.sessoes, original);
+    }
+});
+
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
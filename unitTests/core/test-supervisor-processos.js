@@ -0,0 +1,167 @@
+/**
+ * Script de teste para o supervisor de processos do Chrome
+ * Usa processos Node comuns no lugar do Chrome; todos são encerrados pelo PID ao final
+ */
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, mkdir, rm, symlink, writeFile } from 'node:fs/promises';
+import { existsSync, lstatSync } from 'node:fs';
+import { tmpdir, hostname } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    processoAtivo,
+    listarDescendentes,
+    encerrarArvoreProcessos,
+    limparTravasPerfil,
+    SupervisorProcessos
+} = await import('../../utils/supervisor-processos.js');
+
+const { testar, concluir } = criarSuite('TESTANDO SUPERVISOR DE PROCESSOS DO CHROME');
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'supervisor-'));
+const iniciados = [];
+
+/**
+ * Processo que fica vivo até ser encerrado; com `filho`, lança um neto igual
+ */
+async function iniciarProcesso({ filho = false } = {}) {
+    const codigo = filho
+        ? "const c=require('child_process').spawn(process.execPath,['-e','setInterval(()=>{},1000)'],{stdio:'ignore'});console.log(c.pid);setInterval(()=>{},1000)"
+        : "console.log('pronto');setInterval(()=>{},1000)";
+    const processo = spawn(process.execPath, ['-e', codigo], { stdio: ['ignore', 'pipe', 'ignore'] });
+    iniciados.push(processo);
+    const [saida] = await once(processo.stdout, 'data');
+    if (filho) {
+        iniciados.push({ pid: Number(String(saida).trim()) });
+    }
+    return processo;
+}
+
+/**
+ * PID de um processo que já terminou (dono "morto" de uma execução anterior)
+ */
+async function pidEncerrado() {
+    const processo = spawn(process.execPath, ['-e', '0'], { stdio: 'ignore' });
+    await once(processo, 'exit');
+    return processo.pid;
+}
+
+async function aguardarTermino(pid, limiteMs = 3000) {
+    const inicio = Date.now();
+    while (processoAtivo(pid) && Date.now() - inicio < limiteMs) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return !processoAtivo(pid);
+}
+
+try {
+    await testar('Processo vivo e encerrado são distinguidos', async () => {
+        assert.equal(processoAtivo(process.pid), true);
+        assert.equal(processoAtivo(await pidEncerrado()), false);
+        assert.equal(processoAtivo(0), false);
+    });
+
+    await testar('Árvore do processo é encerrada junto com os descendentes', async () => {
+        const pai = await iniciarProcesso({ filho: true });
+        const neto = iniciados[iniciados.length - 1].pid;
+        assert.deepEqual(listarDescendentes(pai.pid), [neto]);
+
+        assert.equal(encerrarArvoreProcessos(pai.pid), true);
+        assert.equal(await aguardarTermino(pai.pid), true);
+        assert.equal(await aguardarTermino(neto), true);
+        assert.equal(encerrarArvoreProcessos(pai.pid), false);
+    });
+
+    await testar('Registro guarda os PIDs lançados e remove os encerrados', async () => {
+        const supervisor = new SupervisorProcessos({ arquivo: path.join(pasta, 'registro.json') });
+        supervisor.registrar(111, { executavel: '/usr/bin/chromium', userDataDir: './user_data' });
+        supervisor.registrar(222);
+        assert.deepEqual(supervisor.lerRegistro().map(e => [e.pid, e.dono]), [[111, process.pid], [222, process.pid]]);
+
+        supervisor.remover(111);
+        assert.deepEqual(supervisor.lerRegistro().map(e => e.pid), [222]);
+    });
+
+    await testar('Órfãos de execuções mortas são encerrados; os de execuções vivas, mantidos', async () => {
+        const arquivo = path.join(pasta, 'orfaos.json');
+        const orfao = await iniciarProcesso();
+        const deOutraExecucao = await iniciarProcesso();
+
+        new SupervisorProcessos({ arquivo, donoPid: await pidEncerrado() })
+            .registrar(orfao.pid, { executavel: process.execPath });
+        new SupervisorProcessos({ arquivo, donoPid: process.ppid })
+            .registrar(deOutraExecucao.pid, { executavel: process.execPath });
+
+        const supervisor = new SupervisorProcessos({ arquivo });
+        const { encerrados } = supervisor.colherOrfaos();
+        assert.deepEqual(encerrados, [orfao.pid]);
+        assert.equal(await aguardarTermino(orfao.pid), true);
+        assert.equal(processoAtivo(deOutraExecucao.pid), true);
+        assert.deepEqual(supervisor.lerRegistro().map(e => e.pid), [deOutraExecucao.pid]);
+    });
+
+    await testar('PID reutilizado por outro programa não é encerrado', async () => {
+        const arquivo = path.join(pasta, 'reutilizado.json');
+        const outroPrograma = await iniciarProcesso();
+        new SupervisorProcessos({ arquivo, donoPid: await pidEncerrado() })
+            .registrar(outroPrograma.pid, { executavel: '/opt/google/chrome/chrome' });
+
+        const supervisor = new SupervisorProcessos({ arquivo });
+        assert.deepEqual(supervisor.colherOrfaos().encerrados, []);
+        assert.equal(processoAtivo(outroPrograma.pid), true);
+        assert.deepEqual(supervisor.lerRegistro(), []);
+    });
+
+    await testar('Saída do Node encerra apenas os Chromes da própria execução', async () => {
+        const arquivo = path.join(pasta, 'saida.json');
+        const proprio = await iniciarProcesso();
+        const alheio = await iniciarProcesso();
+        new SupervisorProcessos({ arquivo, donoPid: process.ppid }).registrar(alheio.pid);
+
+        const supervisor = new SupervisorProcessos({ arquivo });
+        supervisor.registrar(proprio.pid);
+        assert.deepEqual(supervisor.encerrarTodos(), [proprio.pid]);
+        assert.equal(await aguardarTermino(proprio.pid), true);
+        assert.equal(processoAtivo(alheio.pid), true);
+        assert.deepEqual(supervisor.lerRegistro().map(e => e.pid), [alheio.pid]);
+    });
+
+    await testar('Travas do Chrome morto são removidas; de Chrome vivo ou outra máquina, mantidas', async () => {
+        const perfil = path.join(pasta, 'user_data');
+        const criarTravas = async (alvo) => {
+            await rm(perfil, { recursive: true, force: true });
+            await mkdir(perfil, { recursive: true });
+            await symlink(alvo, path.join(perfil, 'SingletonLock'));
+            await symlink(path.join(pasta, 'inexistente'), path.join(perfil, 'SingletonSocket'));
+            await writeFile(path.join(perfil, 'Preferences'), '{}');
+        };
+
+        await criarTravas(`${hostname()}-${process.pid}`);
+        assert.deepEqual(limparTravasPerfil(perfil), []);
+
+        await criarTravas(`outra-maquina-${await pidEncerrado()}`);
+        assert.deepEqual(limparTravasPerfil(perfil), []);
+
+        await criarTravas(`${hostname()}-${await pidEncerrado()}`);
+        assert.deepEqual(limparTravasPerfil(perfil), ['SingletonLock', 'SingletonSocket']);
+        assert.throws(() => lstatSync(path.join(perfil, 'SingletonLock')));
+        assert.equal(existsSync(path.join(perfil, 'Preferences')), true);
+    });
+} finally {
+    for (const processo of iniciados) {
+        try {
+            process.kill(processo.pid, 'SIGKILL');
+        } catch {
+            // Já encerrado pelo teste
+        }
+    }
+    await rm(pasta, { recursive: true, force: true });
+}
+
+concluir();
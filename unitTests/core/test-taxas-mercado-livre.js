@@ -0,0 +1,165 @@
+/**
+ * Script de teste para as tarifas de venda do Mercado Livre (comissão, custo fixo e frete grátis)
+ * As tabelas vêm de config/tabelas-ml.json; o último teste sobrescreve seções com ML_FEE_TABLES_FILE
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { criarSuite } from './suite-testes.js';
+
+const pasta = await mkdtemp(path.join(tmpdir(), 'taxas-ml-'));
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const {
+    carregarTabelasML,
+    reiniciarTabelasML,
+    identificarCategoriaML,
+    calcularCustoFixoML,
+    calcularTaxasML,
+    pesoEmKg,
+    opcoesAnuncioML
+} = await import('../../marginValidation/taxas-mercado-livre.js');
+const { calcularMargemLiquida, avaliarMargemProduto } = await import('../../marginValidation/margem-variantes.js');
+const { calcularCenarioCustomizado, analisarConsenso } = await import('../../marginValidation/cenarios-margem.js');
+const { CONFIG } = await import('../../config.js');
+
+const { testar, concluir } = criarSuite('TESTANDO TARIFAS DO MERCADO LIVRE');
+
+const base = { precoVenda: 150, categoria: 'Tecnologia', tipoAnuncio: 'classico', modoEnvio: 'mercado_envios', pesoKg: 0.5 };
+
+await testar('Categoria do ML vem do ID ou das palavras-chave; sem correspondência usa a comissão padrão', () => {
+    assert.deepEqual(
+        ['Tecnologia', 'Casa e Cozinha', 'mlb1051', 'Eletrodomésticos', 'Beleza & Cuidados'].map(c => identificarCategoriaML(c).id),
+        ['MLB1000', 'MLB1574', 'MLB1051', 'MLB5726', 'MLB1246']
+    );
+    assert.equal(identificarCategoriaML('mlb1051').origem, 'id');
+    assert.equal(identificarCategoriaML('Tecnologia').origem, 'palavraChave');
+
+    const outras = identificarCategoriaML('Ferramentas');
+    assert.deepEqual([outras.id, outras.origem, outras.taxas.classico], [null, 'padrao', 0.14]);
+    assert.equal(identificarCategoriaML('').origem, 'padrao');
+});
+
+await testar('Comissão depende da categoria e do tipo de anúncio (Clássico ou Premium)', () => {
+    const classico = calcularTaxasML(base);
+    assert.deepEqual(classico.comissao, { aliquota: 0.13, valor: 19.5 });
+    assert.deepEqual(classico.categoriaML, { id: 'MLB1000', nome: 'Eletrônicos, Áudio e Vídeo', origem: 'palavraChave' });
+
+    const premium = calcularTaxasML({ ...base, tipoAnuncio: 'premium' });
+    assert.deepEqual(premium.comissao, { aliquota: 0.18, valor: 27 });
+    assert.equal(premium.total, 48.45);
+    assert.match(premium.itens[0].descricao, /Comissão Premium \(Eletrônicos, Áudio e Vídeo, 18%\)/);
+
+    assert.throws(() => calcularTaxasML({ ...base, tipoAnuncio: 'gratis' }), /Tipo de anúncio inválido/);
+    assert.throws(() => calcularTaxasML({ ...base, modoEnvio: 'correios' }), /Modo de envio inválido/);
+    assert.throws(() => calcularTaxasML({ ...base, precoVenda: 0 }), /Preço de venda inválido/);
+});
+
+await testar('Abaixo de R$ 79 cobra o custo fixo da faixa de preço e o comprador paga o frete', () => {
+    const { custoFixo } = carregarTabelasML();
+    assert.deepEqual([25, 29, 50, 78.9, 79].map(preco => calcularCustoFixoML(preco, custoFixo)), [6.25, 6.25, 6.5, 6.75, 0]);
+
+    const barato = calcularTaxasML({ ...base, precoVenda: 45, categoria: 'Ferramentas' });
+    assert.equal(barato.comissao.valor, 6.3);
+    assert.equal(barato.custoFixo, 6.5);
+    assert.deepEqual([barato.envio.freteGratis, barato.envio.valor], [false, 0]);
+    assert.equal(barato.total, 12.8);
+    assert.deepEqual(barato.itens.map(item => item.codigo), ['comissao', 'custoFixo']);
+});
+
+await testar('A partir de R$ 79 o vendedor paga a faixa de peso do Mercado Envios menos o subsídio', () => {
+    const leve = calcularTaxasML(base);
+    assert.deepEqual([leve.envio.faixaAteKg, leve.envio.custoTabela, leve.envio.subsidio, leve.envio.valor], [0.5, 42.9, 0.5, 21.45]);
+    assert.equal(leve.custoFixo, 0);
+    assert.equal(leve.total, 40.95);
+    assert.equal(leve.percentualEfetivo, 0.273);
+    assert.deepEqual(leve.itens.map(item => item.codigo), ['comissao', 'envio']);
+
+    assert.equal(calcularTaxasML({ ...base, pesoKg: 2.5 }).envio.valor, 24.95);
+    assert.equal(calcularTaxasML({ ...base, modoEnvio: 'full' }).envio.valor, 17.16);
+    assert.equal(calcularTaxasML({ ...base, modoEnvio: 'full', pesoKg: 10 }).envio.valor, 65.95);
+
+    const proprio = calcularTaxasML({ ...base, modoEnvio: 'proprio' });
+    assert.deepEqual([proprio.envio.freteGratis, proprio.envio.valor, proprio.total], [false, 0, 19.5]);
+
+    const pesado = calcularTaxasML({ ...base, pesoKg: 35 });
+    assert.equal(pesado.envio.valor, 138.53);
+    assert.match(pesado.avisos[0], /acima da última faixa/);
+});
+
+await testar('Tarifas entram na margem que aprova o produto, com o tipo de anúncio e o peso do produto', () => {
+    assert.deepEqual(['0.35kg', '350 g', '1,2 kg', '2 quilos', 'Peso: 500g', 12, '', 'sem peso'].map(pesoEmKg), [0.35, 0.35, 1.2, 2, 0.5, 12, null, null]);
+    assert.deepEqual(opcoesAnuncioML({ peso: '10 kg' }), { tipoAnuncio: 'classico', modoEnvio: 'mercado_envios', pesoKg: 10 });
+    assert.equal(opcoesAnuncioML({ peso: 'não informado' }).pesoKg, CONFIG.mercadoLivre.pesoPadraoKg);
+
+    const custos = { frete: 10.4, data: new Date('2025-06-01T12:00:00Z'), categoria: 'Tecnologia', tipoAnuncio: 'premium', modoEnvio: 'mercado_envios' };
+    const leve = calcularMargemLiquida(52, 150, { ...custos, pesoKg: pesoEmKg('350 g') });
+    // Desembarcado + Simples R$ 96,22; Premium 18% (R$ 27) + frete grátis até 0,5 kg (R$ 21,45)
+    assert.deepEqual([leve.taxasML.total, leve.custoTotal, leve.margemPercentual], [48.45, 144.67, 3.55]);
+
+    const pesado = calcularMargemLiquida(52, 150, { ...custos, ...opcoesAnuncioML({ peso: '10 kg' }) });
+    assert.equal(pesado.taxasML.envio.faixaAteKg, 13);
+    assert.equal(pesado.custoTotal, 96.22 + pesado.taxasML.total);
+    assert.ok(pesado.margemPercentual < 0);
+
+    const entrada = { precoCompra: 52, precoML: 150, margemMinima: 5, custos: { ...custos, pesoKg: 0.35 } };
+    assert.equal(avaliarMargemProduto(entrada).viavel, false);
+    assert.equal(avaliarMargemProduto({ ...entrada, custos: { ...entrada.custos, tipoAnuncio: 'classico' } }).viavel, true);
+});
+
+await testar('Cenários de margem descontam as tarifas da tabela com o anúncio e o peso do produto', () => {
+    const config = { cotacaoUSD: 5.2, frete: 12, margemMinima: 0.15 };
+    const opcoesML = opcoesAnuncioML({ peso: '10 kg' });
+    const cenario = calcularCenarioCustomizado(10, 150, config, 'Tecnologia', 'REALISTA', opcoesML);
+    const taxas = calcularTaxasML({ precoVenda: 150, categoria: 'Tecnologia', ...opcoesML });
+
+    assert.deepEqual(cenario.taxasML, taxas);
+    assert.equal(cenario.custos.taxasMarketplace, taxas.total);
+    assert.deepEqual(
+        [cenario.custos.comissaoML, cenario.custos.custoFixoML, cenario.custos.envioML],
+        [taxas.comissao.valor, taxas.custoFixo, taxas.envio.valor]
+    );
+    // Bem acima dos antigos 10% fixos: comissão de 13% mais o frete grátis da faixa de 10 kg
+    assert.ok(cenario.custos.taxasMarketplace > 150 * 0.10 + taxas.envio.valor);
+
+    const leve = calcularCenarioCustomizado(10, 150, config, 'Tecnologia', 'REALISTA', opcoesAnuncioML({ peso: '350 g' }));
+    const premium = calcularCenarioCustomizado(10, 150, config, 'Tecnologia', 'REALISTA', { ...opcoesAnuncioML({ peso: '350 g' }), tipoAnuncio: 'premium' });
+    assert.ok(leve.custos.taxasMarketplace < cenario.custos.taxasMarketplace);
+    assert.equal(Math.round((premium.custos.taxasMarketplace - leve.custos.taxasMarketplace) * 100) / 100, 7.5);
+    assert.ok(premium.margemPercentual < leve.margemPercentual);
+
+    const consenso = analisarConsenso({ otimista: leve, realista: cenario, conservador: { erro: true } });
+    assert.equal(consenso.cenariosProdutivos, 2);
+    assert.equal(consenso.metricas.margemMedia, Math.round(((leve.margemPercentual + cenario.margemPercentual) / 2) * 100) / 100);
+});
+
+await testar('ML_FEE_TABLES_FILE sobrescreve só as seções que traz; arquivo inválido mantém as tabelas do projeto', async () => {
+    const arquivo = path.join(pasta, 'tabelas.json');
+    const original = CONFIG.mercadoLivre.tabelasArquivo;
+    CONFIG.mercadoLivre.tabelasArquivo = arquivo;
+
+    try {
+        await writeFile(arquivo, JSON.stringify({
+            versao: 'teste',
+            comissoes: { padrao: { classico: 0.2, premium: 0.25 }, categorias: [] }
+        }));
+        reiniciarTabelasML();
+        const taxas = calcularTaxasML(base);
+        assert.equal(taxas.versaoTabelas, 'teste');
+        assert.deepEqual([taxas.categoriaML.origem, taxas.comissao.valor, taxas.envio.valor], ['padrao', 30, 21.45]);
+
+        await writeFile(arquivo, JSON.stringify({ comissoes: { padrao: { classico: 0.2 } } }));
+        reiniciarTabelasML();
+        assert.equal(calcularTaxasML(base).comissao.aliquota, 0.13);
+        assert.equal(carregarTabelasML().versao, '2025.03.1');
+    } finally {
+        CONFIG.mercadoLivre.tabelasArquivo = original;
+        reiniciarTabelasML();
+    }
+});
+
+await rm(pasta, { recursive: true, force: true });
+
+concluir();
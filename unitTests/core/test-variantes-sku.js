@@ -0,0 +1,147 @@
+/**
+ * Script de teste para extração de variantes (SKUs) e margem por variante
+ * Usa um JSON reduzido no formato de mtop.aliexpress.pdp.pc.query
+ */
+
+import assert from 'node:assert/strict';
+import { criarSuite } from './suite-testes.js';
+
+process.env.CATEGORIES = process.env.CATEGORIES || 'Teste';
+
+const { extrairVariantesSku, converterPreco, descreverVariante } = await import('../../scraper/variantes-sku.js');
+const {
+    precoReferenciaML,
+    calcularMargemPercentual,
+    calcularMargensPorVariante,
+    avaliarMargemProduto
+} = await import('../../marginValidation/margem-variantes.js');
+const { montarLinhasVariantes } = await import('../../export/excelExporter.js');
+
+const { testar, concluir } = criarSuite('TESTANDO VARIANTES SKU');
+
+const jsonPdp = {
+    PRICE: {
+        targetSkuPriceInfo: { salePriceString: 'R$ 19,90' },
+        skuIdStrPriceInfoMap: {
+            '111': { salePriceString: 'R$ 19,90', originalPrice: { value: 39.8 } },
+            '222': { salePriceString: 'R$ 1.049,90' },
+            '333': { salePrice: { value: 24.5 } }
+        }
+    },
+    SKU: {
+        skuProperties: [
+            {
+                skuPropertyId: 14,
+                skuPropertyName: 'Cor',
+                skuPropertyValues: [
+                    { propertyValueId: 193, propertyValueDisplayName: 'Preto', skuPropertyImagePath: 'https://ae01.alicdn.com/preto.jpg' },
+                    { propertyValueId: 29, propertyValueDisplayName: 'Branco', skuPropertyImagePath: 'https://ae01.alicdn.com/branco.jpg' }
+                ]
+            },
+            {
+                skuPropertyId: 200007763,
+                skuPropertyName: 'Plug Type',
+                skuPropertyValues: [
+                    { propertyValueId: 201336100, propertyValueDisplayName: 'BR' }
+                ]
+            }
+        ],
+        skuPaths: [
+            { skuIdStr: '111', skuAttr: '14:193#Preto Fosco;200007763:201336100', skuStock: 50, salable: true },
+            { skuIdStr: '222', skuAttr: '14:29;200007763:201336100', skuStock: 12, salable: true },
+            { skuIdStr: '333', skuAttr: '14:29;200007763:201336100', skuStock: 0, salable: true }
+        ]
+    }
+};
+
+await testar('Preços em formato brasileiro, americano e objeto são convertidos', () => {
+    assert.equal(converterPreco('R$ 1.049,90'), 1049.9);
+    assert.equal(converterPreco('US $12.90'), 12.9);
+    assert.equal(converterPreco('R$ 1.234'), 1234);
+    assert.equal(converterPreco({ value: 24.5 }), 24.5);
+    assert.equal(converterPreco(undefined), 0);
+});
+
+await testar('Matriz de SKUs vira uma variante por combinação', () => {
+    const variantes = extrairVariantesSku(jsonPdp);
+    assert.equal(variantes.length, 3);
+
+    const [preta, branca, esgotada] = variantes;
+    assert.equal(preta.cor, 'Preto Fosco');
+    assert.equal(preta.plugue, 'BR');
+    assert.equal(preta.preco, 19.9);
+    assert.equal(preta.precoOriginal, 39.8);
+    assert.equal(preta.imagem, 'https://ae01.alicdn.com/preto.jpg');
+    assert.equal(descreverVariante(preta), 'Preto Fosco / BR');
+
+    assert.equal(branca.preco, 1049.9);
+    assert.equal(branca.disponivel, true);
+    assert.equal(esgotada.preco, 24.5);
+    assert.equal(esgotada.disponivel, false);
+});
+
+await testar('JSON sem SKU retorna lista vazia', () => {
+    assert.deepEqual(extrairVariantesSku({ PRICE: {} }), []);
+    assert.deepEqual(extrairVariantesSku(null), []);
+});
+
+await testar('Preço de referência do ML aceita lista de preços ou média', () => {
+    assert.equal(precoReferenciaML({ precos: [80, 120, 0, null] }), 100);
+    assert.equal(precoReferenciaML({ precos: { media: 75 } }), 75);
+    assert.equal(precoReferenciaML({}), 0);
+});
+
+await testar('Margem por variante ignora esgotadas ao escolher a melhor', () => {
+    const variantes = extrairVariantesSku(jsonPdp);
+    const resultado = calcularMargensPorVariante(variantes, 30, { margemMinima: 30 });
+
+    assert.equal(resultado.variantes.length, 3);
+    assert.equal(resultado.melhorVariante.skuId, '111');
+    assert.equal(resultado.viaveis, 1);
+
+    const esgotada = resultado.variantes.find(v => v.skuId === '333');
+    assert.equal(esgotada.viavel, false);
+});
+
+await testar('Aprovação usa a margem líquida: impostos e tarifas do ML reprovam a margem bruta', () => {
+    // R$ 52 + R$ 10,40 de frete (US$ 12 a 5,2): desembarcado R$ 90,22 em SP + 4% de Simples sobre R$ 150
+    // + tarifas do ML (14% de comissão padrão e R$ 21,45 de frete grátis para 0,5 kg)
+    const entrada = {
+        precoCompra: 52,
+        precoML: 150,
+        margemMinima: 40,
+        custos: { frete: 10.4, data: new Date('2025-06-01T12:00:00Z') }
+    };
+    assert.ok(calcularMargemPercentual(52, 150) >= 40);
+
+    const semVariantes = avaliarMargemProduto(entrada);
+    assert.deepEqual([semVariantes.custoTotal, semVariantes.margemPercentual, semVariantes.viavel], [138.67, 7.55, false]);
+    assert.deepEqual([semVariantes.custoImportacao.total, semVariantes.custoImportacao.impostosTotais], [96.22, 33.82]);
+    assert.equal(semVariantes.taxasML.total, 42.45);
+    assert.equal(avaliarMargemProduto({ ...entrada, margemMinima: 5 }).viavel, true);
+
+    const comVariantes = avaliarMargemProduto({
+        ...entrada,
+        variantes: [{ skuId: '1', preco: 52, disponivel: true }, { skuId: '2', preco: 20, disponivel: false }]
+    });
+    assert.equal(comVariantes.viavel, false);
+    assert.deepEqual([comVariantes.variantes[0].custoTotal, comVariantes.variantes[0].margemPercentual], [138.67, 7.55]);
+    assert.equal(comVariantes.variantes[1].viavel, false);
+});
+
+await testar('Linhas da aba de variantes trazem a margem de cada SKU', () => {
+    const variantes = extrairVariantesSku(jsonPdp);
+    const analise = calcularMargensPorVariante(variantes, 30);
+    const linhas = montarLinhasVariantes([
+        { product_id: '1005', nome: 'Fone', variantes, analiseMargem: analise },
+        { product_id: '1006', nome: 'Sem SKU' }
+    ]);
+
+    assert.equal(linhas.length, 3);
+    assert.equal(linhas[0].melhorVariante, 'Sim');
+    assert.equal(linhas[0].viavel, 'Sim');
+    assert.equal(linhas[1].viavel, 'Não');
+    assert.equal(linhas[2].disponivel, 'Não');
+});
+
+concluir();
@@ -48,12 +48,17 @@ console.log(`   ✅ Viável: ${exemploOtimizado.viavel ? 'SIM' : 'NÃO'}`);
 
 console.log('\n\n🎯 TESTE 2: DADOS DE MERCADO OTIMIZADOS\n');
 
-const dadosMercado = gerarDadosMercadoOtimizados("Smart Watch Fitness Tracker");
-console.log('📊 Dados do Smart Watch:');
-console.log(`   Produtos encontrados: ${dadosMercado.produtosEncontrados}`);
-console.log(`   Faixa de preços: R$ ${dadosMercado.precos.minimo} - R$ ${dadosMercado.precos.maximo}`);
-console.log(`   Preço médio: R$ ${dadosMercado.precos.media}`);
-console.log(`   Quartis: Q1 R$ ${dadosMercado.precos.quartil1} | Q3 R$ ${dadosMercado.precos.quartil3}`);
+const dadosMercado = await gerarDadosMercadoOtimizados("Smart Watch Fitness Tracker", "Tecnologia");
+console.log('📊 Dados do Smart Watch (histórico de consultas reais):');
+console.log(`   Confiança: ${dadosMercado.metadados.confianca}`);
+if (dadosMercado.precos) {
+  console.log(`   Produtos encontrados: ${dadosMercado.produtosEncontrados}`);
+  console.log(`   Faixa de preços: R$ ${dadosMercado.precos.minimo} - R$ ${dadosMercado.precos.maximo}`);
+  console.log(`   Preço médio: R$ ${dadosMercado.precos.media}`);
+  console.log(`   Quartis: Q1 R$ ${dadosMercado.precos.quartil1} | Q3 R$ ${dadosMercado.precos.quartil3}`);
+} else {
+  console.log('   Sem histórico de preços para o termo ou a categoria');
+}
 
 console.log('\n\n🚀 TESTE 3: VALIDAÇÃO COMPLETA OTIMIZADA\n');
 
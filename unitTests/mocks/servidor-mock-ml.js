@@ -0,0 +1,188 @@
+/**
+ * Servidor local que imita o Mercado Livre para testes, sem rede
+ * Responde /sites/MLB/search (paginado), /items?ids= (multiget), /items/:id, /reviews/item/:id e a listagem HTML
+ * de lista.mercadolivre.com.br (qualquer outro caminho é tratado como termo de busca)
+ *
+ * Uso direto: npm run mock:ml (porta 3999 ou PORT) e então
+ *   ML_SOURCE=api ML_API_URL=http://127.0.0.1:3999 node main.js scrape ...
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+function item(id, titulo, preco, extras = {}) {
+    return {
+        id,
+        title: titulo,
+        price: preco,
+        original_price: null,
+        currency_id: 'BRL',
+        condition: 'new',
+        sold_quantity: 0,
+        official_store_id: null,
+        permalink: `https://produto.mercadolivre.com.br/${id.replace('MLB', 'MLB-')}-${titulo.toLowerCase().replace(/\s+/g, '-')}`,
+        thumbnail: `http://http2.mlstatic.com/D_${id}-I.jpg`,
+        pictures: [1, 2].map(n => ({ secure_url: `https://http2.mlstatic.com/D_${id}_${n}-O.jpg` })),
+        shipping: { free_shipping: false, mode: 'me2', logistic_type: 'drop_off' },
+        seller: { id: 1000 },
+        category_id: 'MLB1234',
+        ...extras
+    };
+}
+
+/**
+ * Catálogo padrão: 60 fones (para testar a paginação) e alguns itens de outras buscas
+ */
+export function criarCatalogoMockML() {
+    const fones = Array.from({ length: 60 }, (_, i) => item(
+        `MLB${3000000000 + i}`,
+        `Fone De Ouvido Bluetooth Modelo ${i + 1}`,
+        79.9 + i,
+        {
+            sold_quantity: 500 - i,
+            official_store_id: i === 0 ? 2707 : null,
+            original_price: i === 0 ? 129.9 : null,
+            shipping: {
+                free_shipping: i < 10,
+                mode: i < 40 ? 'me2' : 'custom',
+                logistic_type: i < 5 ? 'fulfillment' : 'drop_off'
+            },
+            condition: i % 10 === 9 ? 'used' : 'new',
+            seller: { id: 1000 + (i % 12) },
+            avaliacoes: i < 10 ? { media: 4.8 - i * 0.1, total: 300 - i * 20 } : null
+        }
+    ));
+    return [
+        ...fones,
+        item('MLB4000000001', 'Garrafa Térmica Inox 1 Litro', 59.9, { sold_quantity: 1200 }),
+        item('MLB4000000002', 'Luminária De Mesa Led', 89.9, { sold_quantity: 50 })
+    ];
+}
+
+function termoCorresponde(titulo, termo) {
+    const palavras = String(termo || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return palavras.every(palavra => titulo.toLowerCase().includes(palavra));
+}
+
+// A busca real não traz as fotos, só a miniatura
+function resultadoBusca({ pictures, ...resto }) {
+    return resto;
+}
+
+function listagemHtml(itens) {
+    const cartoes = itens.map(i => `
+        <li class="ui-search-layout__item">
+            <a href="${i.permalink}"><img data-src="${i.thumbnail}"></a>
+            <h2>${i.title}</h2>
+            <div class="ui-search-price__second-line"><span class="price-tag-fraction">${Math.floor(i.price).toLocaleString('pt-BR')}</span></div>
+        </li>`).join('');
+    return `<html><body><ol>${cartoes}</ol></body></html>`;
+}
+
+/**
+ * Inicia o servidor em uma porta livre (ou na informada)
+ * @param {Object} [opcoes={}]
+ * @param {Array<Object>} [opcoes.itens] - Catálogo no formato da API (padrão: criarCatalogoMockML())
+ * @param {Object} [opcoes.falhas={}] - Status forçado por rota: { busca, itens, avaliacoes, listagem }
+ * @param {number} [opcoes.porta=0]
+ * @returns {Promise<{url: string, requisicoes: Array<string>, falhas: Object, fechar: Function}>}
+ */
+export async function iniciarServidorMockML(opcoes = {}) {
+    const itens = opcoes.itens || criarCatalogoMockML();
+    const porId = new Map(itens.map(i => [i.id, i]));
+    const falhas = { ...(opcoes.falhas || {}) };
+    const requisicoes = [];
+
+    const responderJson = (res, status, corpo) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(corpo));
+    };
+
+    const servidor = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        requisicoes.push(`${url.pathname}${url.search}`);
+
+        if (url.pathname === '/sites/MLB/search') {
+            if (falhas.busca) {
+                return responderJson(res, falhas.busca, { message: 'forbidden', status: falhas.busca });
+            }
+            const condicao = url.searchParams.get('condition');
+            const encontrados = itens.filter(i => termoCorresponde(i.title, url.searchParams.get('q'))
+                && (!condicao || i.condition === condicao));
+            const offset = parseInt(url.searchParams.get('offset') || '0');
+            const limite = Math.min(parseInt(url.searchParams.get('limit') || '50'), 50);
+            return responderJson(res, 200, {
+                site_id: 'MLB',
+                query: url.searchParams.get('q'),
+                paging: { total: encontrados.length, primary_results: encontrados.length, offset, limit: limite },
+                results: encontrados.slice(offset, offset + limite).map(resultadoBusca)
+            });
+        }
+
+        if (url.pathname === '/items') {
+            if (falhas.itens) {
+                return responderJson(res, falhas.itens, { message: 'unavailable', status: falhas.itens });
+            }
+            const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+            if (ids.length > 20) {
+                return responderJson(res, 400, { message: 'Max 20 ids', status: 400 });
+            }
+            return responderJson(res, 200, ids.map(id => (porId.has(id)
+                ? { code: 200, body: porId.get(id) }
+                : { code: 404, body: { message: `Item with id ${id} not found`, status: 404 } })));
+        }
+
+        const avaliacoes = url.pathname.match(/^\/reviews\/item\/(MLB\d+)$/);
+        if (avaliacoes) {
+            if (falhas.avaliacoes) {
+                return responderJson(res, falhas.avaliacoes, { message: 'unavailable', status: falhas.avaliacoes });
+            }
+            if (!porId.has(avaliacoes[1])) {
+                return responderJson(res, 404, { message: 'not_found', status: 404 });
+            }
+            const { media = 0, total = 0 } = porId.get(avaliacoes[1]).avaliacoes || {};
+            return responderJson(res, 200, {
+                paging: { total, offset: 0, limit: 1 },
+                rating_average: Number(media.toFixed(1)),
+                rating_levels: { five_star: Math.round(total * 0.8), four_star: total - Math.round(total * 0.8) },
+                reviews: []
+            });
+        }
+
+        const itemUnico = url.pathname.match(/^\/items\/(MLB\d+)$/);
+        if (itemUnico) {
+            return porId.has(itemUnico[1])
+                ? responderJson(res, 200, porId.get(itemUnico[1]))
+                : responderJson(res, 404, { message: 'not_found', status: 404 });
+        }
+
+        if (falhas.listagem) {
+            res.writeHead(falhas.listagem);
+            return res.end();
+        }
+        const termo = decodeURIComponent(url.pathname.slice(1)).replace(/-/g, ' ');
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(listagemHtml(itens.filter(i => termoCorresponde(i.title, termo))));
+    });
+
+    await new Promise(resolve => servidor.listen(opcoes.porta ?? 0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${servidor.address().port}`,
+        requisicoes,
+        falhas,
+        fechar: () => new Promise(resolve => servidor.close(resolve))
+    };
+}
+
+// Executado diretamente: fica no ar até o Ctrl+C
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const servidor = await iniciarServidorMockML({ porta: parseInt(process.env.PORT || '3999') });
+    console.log(`🧪 Mercado Livre simulado em ${servidor.url}`);
+    console.log(`   ML_SOURCE=api ML_API_URL=${servidor.url}`);
+    process.on('SIGINT', async () => {
+        await servidor.fechar();
+        process.exit(0);
+    });
+}
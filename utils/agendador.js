@@ -0,0 +1,462 @@
+/**
+ * @fileoverview Agendador de execuções recorrentes (comando schedule)
+ * @description Lê tarefas com expressões cron de SCHEDULE_FILE, cada uma com seu conjunto de
+ * categorias e overrides, e dispara o mesmo fluxo de `node main.js scrape` no horário (fuso
+ * local do processo; use TZ para outro). Uma tarefa por vez: o browser e os overrides do CONFIG
+ * são do processo, então um disparo que encontra outra tarefa em andamento é registrado como
+ * pulado. Cada disparo (concluído, com erros, falho, pulado ou interrompido) vai para o histórico
+ * em SCHEDULE_HISTORY_FILE e para as métricas diárias do agendador.
+ *
+ * Formato do arquivo:
+ *   { "tarefas": [ { "nome": "manha", "cron": "0 7 * * 1-5", "categorias": ["Pets"], "maxPaginas": 2 } ] }
+ *
+ * Cron de 5 campos (minuto hora dia mês dia-da-semana) com *, listas, intervalos, passos (*\/15),
+ * nomes (jan, mon) e atalhos (@hourly, @daily, @weekly, @monthly, @yearly). Como no cron
+ * tradicional, com dia do mês e dia da semana restritos vale qualquer um dos dois.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { logInfo, logSucesso, logErro } from '../scraper/utils.js';
+import { registrarExecucaoAgendada } from '../metrics/scraping-metrics.js';
+
+const ATALHOS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CAMPOS_CRON = [
+  { nome: 'minuto', minimo: 0, maximo: 59 },
+  { nome: 'hora', minimo: 0, maximo: 23 },
+  { nome: 'dia', minimo: 1, maximo: 31 },
+  { nome: 'mês', minimo: 1, maximo: 12, nomes: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { nome: 'dia da semana', minimo: 0, maximo: 7, nomes: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Overrides de execução aceitos em cada tarefa (mesmos nomes de aplicarOverridesExecucao)
+const OVERRIDES_TAREFA = ['categorias', 'maxPaginas', 'alvo', 'categoriasParalelas', 'estrategiaDetalhes', 'arquivoProdutos', 'saida'];
+
+const LIMITE_HISTORICO = 500;
+
+// setTimeout aceita até ~24,8 dias; esperas maiores são rearmadas em etapas
+const ESPERA_MAXIMA_MS = 24 * 60 * 60 * 1000;
+
+// =================================
+// EXPRESSÕES CRON
+// =================================
+
+function valorCampo(texto, campo, expressao) {
+  const indiceNome = campo.nomes ? campo.nomes.indexOf(texto.toLowerCase()) : -1;
+  const valor = indiceNome >= 0 ? indiceNome + campo.minimo : Number(texto);
+  if ((indiceNome < 0 && !/^\d+$/.test(texto)) || valor < campo.minimo || valor > campo.maximo) {
+    throw new Error(`Cron inválido '${expressao}': ${campo.nome} fora do intervalo (${texto})`);
+  }
+  return valor;
+}
+
+function interpretarCampo(texto, campo, expressao) {
+  const valores = new Set();
+
+  for (const parte of texto.split(',')) {
+    const [faixa, passoTexto] = parte.split('/');
+    const passo = passoTexto === undefined ? 1 : Number(passoTexto);
+    if (!Number.isInteger(passo) || passo < 1) {
+      throw new Error(`Cron inválido '${expressao}': passo inválido em ${campo.nome} (${parte})`);
+    }
+
+    let inicio;
+    let fim;
+    if (faixa === '*') {
+      [inicio, fim] = [campo.minimo, campo.maximo];
+    } else if (faixa.includes('-')) {
+      const [de, ate] = faixa.split('-');
+      [inicio, fim] = [valorCampo(de, campo, expressao), valorCampo(ate, campo, expressao)];
+      if (inicio > fim) {
+        throw new Error(`Cron inválido '${expressao}': intervalo invertido em ${campo.nome} (${faixa})`);
+      }
+    } else {
+      inicio = valorCampo(faixa, campo, expressao);
+      fim = passoTexto === undefined ? inicio : campo.maximo;
+    }
+
+    for (let valor = inicio; valor <= fim; valor += passo) {
+      valores.add(valor);
+    }
+  }
+
+  return valores;
+}
+
+/**
+ * Interpreta uma expressão cron de 5 campos
+ * @param {string} expressao - Ex.: "0 7 * * 1-5", "*\/30 8-18 * * *", "@daily"
+ * @returns {Object} Cron interpretado (conjuntos de valores por campo)
+ * @throws {Error} Expressão inválida, com o campo problemático na mensagem
+ */
+export function interpretarCron(expressao) {
+  const texto = String(expressao || '').trim();
+  const campos = (ATALHOS[texto.toLowerCase()] || texto).split(/\s+/);
+  if (campos.length !== 5) {
+    throw new Error(`Cron inválido '${texto}': esperados 5 campos (minuto hora dia mês dia-da-semana)`);
+  }
+
+  const [minutos, horas, dias, meses, diasSemana] = campos.map((campo, i) => interpretarCampo(campo, CAMPOS_CRON[i], texto));
+  if (diasSemana.has(7)) {
+    diasSemana.delete(7);
+    diasSemana.add(0);
+  }
+
+  return {
+    expressao: texto,
+    minutos,
+    horas,
+    dias,
+    meses,
+    diasSemana,
+    diaRestrito: campos[2] !== '*',
+    semanaRestrita: campos[4] !== '*'
+  };
+}
+
+function diaCorresponde(cron, data) {
+  const porDia = cron.dias.has(data.getDate());
+  const porSemana = cron.diasSemana.has(data.getDay());
+  if (cron.diaRestrito && cron.semanaRestrita) {
+    return porDia || porSemana;
+  }
+  return porDia && porSemana;
+}
+
+/**
+ * Próximo horário (minuto cheio, depois de `aPartirDe`) que atende ao cron
+ * @param {Object} cron - Resultado de interpretarCron
+ * @param {Date} [aPartirDe=new Date()]
+ * @returns {Date}
+ * @throws {Error} Se nenhum horário atende ao cron nos próximos anos (ex.: 31 de fevereiro)
+ */
+export function proximaExecucao(cron, aPartirDe = new Date()) {
+  const data = new Date(aPartirDe.getTime());
+  data.setSeconds(0, 0);
+  data.setMinutes(data.getMinutes() + 1);
+
+  for (let passos = 0; passos < 200000; passos++) {
+    if (!cron.meses.has(data.getMonth() + 1)) {
+      data.setMonth(data.getMonth() + 1, 1);
+      data.setHours(0, 0, 0, 0);
+    } else if (!diaCorresponde(cron, data)) {
+      data.setDate(data.getDate() + 1);
+      data.setHours(0, 0, 0, 0);
+    } else if (!cron.horas.has(data.getHours())) {
+      data.setHours(data.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutos.has(data.getMinutes())) {
+      data.setMinutes(data.getMinutes() + 1, 0, 0);
+    } else {
+      return data;
+    }
+  }
+
+  throw new Error(`Cron '${cron.expressao}' não tem próxima execução`);
+}
+
+// =================================
+// TAREFAS
+// =================================
+
+/**
+ * Valida uma tarefa do arquivo de agendamentos
+ * @param {Object} bruta - Entrada do arquivo
+ * @param {number} indice - Posição (para as mensagens)
+ * @returns {{nome: string, cron: Object, overrides: Object}}
+ * @throws {Error} Tarefa sem nome, com cron inválido ou sem categorias
+ */
+export function normalizarTarefa(bruta, indice = 0) {
+  const nome = String(bruta?.nome || '').trim();
+  if (!nome) {
+    throw new Error(`Tarefa #${indice + 1} sem nome`);
+  }
+
+  const cron = interpretarCron(bruta.cron);
+  proximaExecucao(cron);
+
+  const overrides = {};
+  for (const chave of OVERRIDES_TAREFA) {
+    if (bruta[chave] !== undefined) {
+      overrides[chave] = bruta[chave];
+    }
+  }
+
+  if (typeof overrides.categorias === 'string') {
+    overrides.categorias = overrides.categorias.split(',');
+  }
+  if (overrides.categorias !== undefined) {
+    overrides.categorias = Array.isArray(overrides.categorias)
+      ? overrides.categorias.map(cat => String(cat).trim()).filter(Boolean)
+      : [];
+  }
+  if (!overrides.categorias?.length && !overrides.arquivoProdutos) {
+    throw new Error(`Tarefa '${nome}' sem categorias (ou arquivoProdutos)`);
+  }
+
+  for (const chave of ['maxPaginas', 'alvo', 'categoriasParalelas']) {
+    if (overrides[chave] !== undefined && !Number.isInteger(overrides[chave])) {
+      throw new Error(`Tarefa '${nome}': ${chave} deve ser um inteiro (recebido: ${overrides[chave]})`);
+    }
+  }
+
+  return { nome, cron, overrides };
+}
+
+/**
+ * Lê as tarefas do arquivo; tarefas inválidas ou com nome repetido são ignoradas com aviso
+ * @param {string} arquivo
+ * @returns {{tarefas: Array<Object>, erros: Array<string>}}
+ */
+export function carregarTarefasAgendadas(arquivo) {
+  if (!arquivo || !existsSync(arquivo)) {
+    return { tarefas: [], erros: [`Arquivo de agendamentos não encontrado: ${arquivo}`] };
+  }
+
+  let conteudo;
+  try {
+    conteudo = JSON.parse(readFileSync(arquivo, 'utf-8'));
+  } catch (error) {
+    return { tarefas: [], erros: [`Arquivo de agendamentos inválido (${arquivo}): ${error.message}`] };
+  }
+
+  const tarefas = [];
+  const erros = [];
+  (Array.isArray(conteudo?.tarefas) ? conteudo.tarefas : []).forEach((bruta, indice) => {
+    try {
+      const tarefa = normalizarTarefa(bruta, indice);
+      if (tarefas.some(t => t.nome === tarefa.nome)) {
+        throw new Error(`Tarefa '${tarefa.nome}' repetida`);
+      }
+      tarefas.push(tarefa);
+    } catch (error) {
+      erros.push(error.message);
+    }
+  });
+
+  erros.forEach(erro => logErro(`⚠️ ${erro} - tarefa ignorada`));
+  return { tarefas, erros };
+}
+
+// =================================
+// HISTÓRICO
+// =================================
+
+export class HistoricoAgendamentos {
+  /**
+   * @param {string} arquivo - JSON com as últimas execuções
+   * @param {number} [limite=500] - Execuções mantidas no arquivo
+   */
+  constructor(arquivo, limite = LIMITE_HISTORICO) {
+    this.arquivo = arquivo;
+    this.limite = limite;
+    this.execucoes = [];
+  }
+
+  async carregar() {
+    try {
+      const conteudo = JSON.parse(await readFile(this.arquivo, 'utf-8'));
+      this.execucoes = Array.isArray(conteudo.execucoes) ? conteudo.execucoes : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logErro(`⚠️ Histórico de agendamentos inválido (${this.arquivo}): ${error.message}. Começando vazio`);
+      }
+      this.execucoes = [];
+    }
+    return this.execucoes;
+  }
+
+  /**
+   * Acrescenta uma execução e grava o arquivo
+   * @param {Object} execucao
+   */
+  async registrar(execucao) {
+    this.execucoes.push(execucao);
+    if (this.execucoes.length > this.limite) {
+      this.execucoes = this.execucoes.slice(-this.limite);
+    }
+
+    try {
+      await mkdir(path.dirname(this.arquivo), { recursive: true });
+      await writeFile(this.arquivo, JSON.stringify({ atualizadoEm: new Date().toISOString(), execucoes: this.execucoes }, null, 2));
+    } catch (error) {
+      logErro(`⚠️ Erro ao gravar histórico de agendamentos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Última execução da tarefa (qualquer status)
+   * @param {string} nome
+   * @returns {Object|null}
+   */
+  ultima(nome) {
+    for (let i = this.execucoes.length - 1; i >= 0; i--) {
+      if (this.execucoes[i].tarefa === nome) {
+        return this.execucoes[i];
+      }
+    }
+    return null;
+  }
+}
+
+// =================================
+// AGENDADOR
+// =================================
+
+export class Agendador {
+  /**
+   * @param {Object} opcoes
+   * @param {Array<Object>} opcoes.tarefas - Tarefas normalizadas (normalizarTarefa)
+   * @param {Function} opcoes.executar - async (tarefa) => resumo da execução ({ runId, status, erro })
+   * @param {HistoricoAgendamentos} [opcoes.historico]
+   * @param {Function} [opcoes.registrarMetrica=registrarExecucaoAgendada]
+   * @param {Function} [opcoes.agora] - Relógio (substituível em testes)
+   */
+  constructor(opcoes) {
+    this.tarefas = opcoes.tarefas;
+    this.executar = opcoes.executar;
+    this.historico = opcoes.historico || null;
+    this.registrarMetrica = opcoes.registrarMetrica || registrarExecucaoAgendada;
+    this.agora = opcoes.agora || (() => new Date());
+    this.temporizadores = new Map();
+    this.proximas = new Map();
+    this.emExecucao = null;
+    this.execucaoAtual = null;
+    this.disparos = new Set();
+    this.parado = true;
+  }
+
+  /**
+   * Arma todas as tarefas a partir de agora
+   */
+  iniciar() {
+    this.parado = false;
+    for (const tarefa of this.tarefas) {
+      this.armar(tarefa);
+    }
+  }
+
+  /**
+   * Próximos horários de cada tarefa
+   * @returns {Array<{nome: string, proxima: Date}>}
+   */
+  agenda() {
+    return this.tarefas.map(tarefa => ({ nome: tarefa.nome, proxima: this.proximas.get(tarefa.nome) || null }));
+  }
+
+  armar(tarefa, aPartirDe = this.agora()) {
+    const proxima = proximaExecucao(tarefa.cron, aPartirDe);
+    this.proximas.set(tarefa.nome, proxima);
+    this.esperar(tarefa, proxima);
+  }
+
+  esperar(tarefa, horario) {
+    const espera = Math.max(0, horario.getTime() - this.agora().getTime());
+    const temporizador = setTimeout(() => {
+      if (this.parado) return;
+      if (espera > ESPERA_MAXIMA_MS) {
+        this.esperar(tarefa, horario);
+        return;
+      }
+      // A próxima ocorrência já fica armada: se esta execução se estender, ela será pulada
+      this.armar(tarefa, horario);
+      const disparo = this.disparar(tarefa, horario);
+      this.disparos.add(disparo);
+      disparo.finally(() => this.disparos.delete(disparo));
+    }, Math.min(espera, ESPERA_MAXIMA_MS));
+    this.temporizadores.set(tarefa.nome, temporizador);
+  }
+
+  /**
+   * Executa a tarefa, ou a registra como pulada se outra estiver em andamento
+   * @param {Object} tarefa
+   * @param {Date} [agendadaPara]
+   * @returns {Promise<Object>} Registro da execução
+   */
+  async disparar(tarefa, agendadaPara = this.agora()) {
+    const base = { tarefa: tarefa.nome, cron: tarefa.cron.expressao, agendadaPara: agendadaPara.toISOString() };
+
+    if (this.emExecucao) {
+      return this.registrar({
+        ...base,
+        status: 'pulada',
+        motivo: `execução de '${this.emExecucao.nome}' ainda em andamento`
+      });
+    }
+
+    this.emExecucao = tarefa;
+    const inicio = this.agora();
+    logInfo(`⏰ Tarefa agendada '${tarefa.nome}' iniciada (${tarefa.cron.expressao})`);
+
+    this.execucaoAtual = (async () => {
+      try {
+        const resumo = await this.executar(tarefa);
+        return {
+          ...base,
+          status: resumo?.status || 'concluida',
+          runId: resumo?.runId || null,
+          erro: resumo?.erro || null
+        };
+      } catch (error) {
+        return { ...base, status: 'falhou', runId: null, erro: error.message };
+      }
+    })();
+
+    try {
+      const resultado = await this.execucaoAtual;
+      const fim = this.agora();
+      return await this.registrar({
+        ...resultado,
+        inicio: inicio.toISOString(),
+        fim: fim.toISOString(),
+        duracaoMs: fim.getTime() - inicio.getTime()
+      });
+    } finally {
+      this.emExecucao = null;
+      this.execucaoAtual = null;
+    }
+  }
+
+  async registrar(execucao) {
+    const mensagem = `⏰ '${execucao.tarefa}' ${execucao.status}${execucao.runId ? ` (execução ${execucao.runId})` : ''}`;
+    if (execucao.status === 'concluida') {
+      logSucesso(mensagem);
+    } else if (execucao.status === 'pulada' || execucao.status === 'interrompida') {
+      logInfo(`${mensagem}: ${execucao.motivo || 'encerramento solicitado'}`);
+    } else {
+      logErro(`${mensagem}${execucao.erro ? `: ${execucao.erro}` : ''}`);
+    }
+
+    if (this.historico) {
+      await this.historico.registrar(execucao);
+    }
+    await this.registrarMetrica(execucao);
+
+    const proxima = this.proximas.get(execucao.tarefa);
+    if (proxima && !this.parado) {
+      logInfo(`⏰ Próxima execução de '${execucao.tarefa}': ${proxima.toLocaleString('pt-BR')}`);
+    }
+    return execucao;
+  }
+
+  /**
+   * Para de disparar e aguarda a execução em andamento terminar
+   */
+  async parar() {
+    this.parado = true;
+    for (const temporizador of this.temporizadores.values()) {
+      clearTimeout(temporizador);
+    }
+    this.temporizadores.clear();
+    await Promise.allSettled([...this.disparos]);
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Checkpoints de execução para retomar processamentos interrompidos
+ * @description Persiste em disco a saída de cada fase do processCategory
+ * (coleta, duplicidade, Mercado Livre, filtros e resultado) sob um ID de execução.
+ * Com `--resume <runId>` as fases concluídas são puladas e produtos já detalhados
+ * não são extraídos novamente.
+ *
+ * Estrutura: checkpoints/<runId>/execucao.json
+ *            checkpoints/<runId>/<categoria>/manifesto.json
+ *            checkpoints/<runId>/<categoria>/<fase>.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { slugify } from '../scraper/utils.js';
+
+export const FASES_CHECKPOINT = ['coleta', 'duplicidade', 'mercadoLivre', 'filtros', 'resultado'];
+
+function diretorioBase() {
+  return path.resolve(process.cwd(), CONFIG.general.checkpointDir || 'checkpoints');
+}
+
+function diretorioExecucao(runId) {
+  if (!/^[\w-]+$/.test(runId || '')) throw new Error(`ID de execução inválido: '${runId}'`);
+  return path.join(diretorioBase(), runId);
+}
+
+async function lerJson(arquivo, padrao = null) {
+  try {
+    return JSON.parse(await fs.readFile(arquivo, 'utf-8'));
+  } catch (_e) {
+    return padrao;
+  }
+}
+
+// Gravações pendentes por arquivo: extrações concorrentes (pool de abas) gravam em ordem
+const filasGravacao = new Map();
+let contadorTemporario = 0;
+
+// Escrita atômica: um crash no meio da gravação não corrompe o checkpoint anterior
+async function gravarJson(arquivo, dados) {
+  const conteudo = JSON.stringify(dados, null, 2);
+  const temporario = `${arquivo}.${process.pid}-${++contadorTemporario}.tmp`;
+
+  const anterior = filasGravacao.get(arquivo) || Promise.resolve();
+  const gravacao = anterior.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(arquivo), { recursive: true });
+    await fs.writeFile(temporario, conteudo);
+    await fs.rename(temporario, arquivo);
+  });
+
+  filasGravacao.set(arquivo, gravacao);
+  try {
+    await gravacao;
+  } finally {
+    if (filasGravacao.get(arquivo) === gravacao) filasGravacao.delete(arquivo);
+  }
+}
+
+/**
+ * Gera um ID de execução legível e ordenável (ex.: 20250811-143015-a1b2)
+ */
+export function gerarRunId() {
+  const agora = new Date();
+  const data = agora.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${data}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Registra os parâmetros da execução (categorias, overrides) para uso no --resume
+ */
+export async function salvarManifestoExecucao(runId, dados) {
+  const arquivo = path.join(diretorioExecucao(runId), 'execucao.json');
+  const existente = await lerJson(arquivo, {});
+  await gravarJson(arquivo, {
+    ...existente,
+    ...dados,
+    runId,
+    criadoEm: existente.criadoEm || new Date().toISOString(),
+    atualizadoEm: new Date().toISOString()
+  });
+}
+
+/**
+ * Carrega o manifesto de uma execução anterior (null se não existir)
+ */
+export async function carregarManifestoExecucao(runId) {
+  return lerJson(path.join(diretorioExecucao(runId), 'execucao.json'));
+}
+
+/**
+ * Cria o controlador de checkpoints de uma categoria dentro de uma execução
+ * @param {string} runId - ID da execução
+ * @param {string} categoria - Categoria processada
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.retomar=false] - Reaproveitar checkpoints existentes
+ */
+export async function criarCheckpointCategoria(runId, categoria, opcoes = {}) {
+  const diretorio = path.join(diretorioExecucao(runId), slugify(categoria) || 'categoria');
+  const arquivoManifesto = path.join(diretorio, 'manifesto.json');
+  const retomar = opcoes.retomar === true;
+
+  let manifesto = retomar ? await lerJson(arquivoManifesto) : null;
+  if (!manifesto) {
+    manifesto = { runId, categoria, fasesConcluidas: {}, criadoEm: new Date().toISOString() };
+    if (!retomar) await fs.rm(diretorio, { recursive: true, force: true });
+  }
+
+  async function carregarParcial(fase) {
+    if (!retomar) return new Map();
+    const lista = await lerJson(path.join(diretorio, `${fase}-parcial.json`), []);
+    return new Map(lista.map(p => [String(p.product_id), p]));
+  }
+
+  // Produtos detalhados (FASE 1) e consultados no ML (FASE 2), indexados por product_id
+  const parciais = {
+    coleta: await carregarParcial('coleta'),
+    mercadoLivre: await carregarParcial('mercadoLivre')
+  };
+
+  async function salvarManifesto() {
+    manifesto.atualizadoEm = new Date().toISOString();
+    await gravarJson(arquivoManifesto, manifesto);
+  }
+
+  return {
+    runId,
+    categoria,
+    retomando: retomar,
+
+    faseConcluida(fase) {
+      return Boolean(manifesto.fasesConcluidas[fase]);
+    },
+
+    async carregarFase(fase) {
+      if (!manifesto.fasesConcluidas[fase]) return null;
+      return lerJson(path.join(diretorio, `${fase}.json`));
+    },
+
+    async salvarFase(fase, dados) {
+      try {
+        await gravarJson(path.join(diretorio, `${fase}.json`), dados);
+        manifesto.fasesConcluidas[fase] = new Date().toISOString();
+        await salvarManifesto();
+      } catch (error) {
+        console.error(`❌ Erro ao salvar checkpoint da fase ${fase}:`, error.message);
+      }
+    },
+
+    /**
+     * Produto já processado de forma incremental na fase (FASE 1 ou FASE 2)
+     */
+    obterParcial(fase, productId) {
+      return parciais[fase]?.get(String(productId)) || null;
+    },
+
+    totalParcial(fase) {
+      return parciais[fase]?.size || 0;
+    },
+
+    async registrarParcial(fase, produto) {
+      try {
+        if (!parciais[fase] || !produto?.product_id) return;
+        parciais[fase].set(String(produto.product_id), produto);
+        await gravarJson(path.join(diretorio, `${fase}-parcial.json`), [...parciais[fase].values()]);
+      } catch (error) {
+        console.error(`❌ Erro ao salvar progresso parcial (${fase}):`, error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Remove execuções com mais de N dias
+ */
+export async function limparCheckpointsAntigos(dias = 30) {
+  try {
+    const base = diretorioBase();
+    const entradas = await fs.readdir(base, { withFileTypes: true }).catch(() => []);
+    const limite = Date.now() - dias * 24 * 60 * 60 * 1000;
+    let removidos = 0;
+    for (const entrada of entradas) {
+      if (!entrada.isDirectory()) continue;
+      const caminho = path.join(base, entrada.name);
+      const stats = await fs.stat(caminho);
+      if (stats.mtime.getTime() < limite) {
+        await fs.rm(caminho, { recursive: true, force: true });
+        removidos++;
+      }
+    }
+    return { removidos, mantidos: entradas.length - removidos };
+  } catch (error) {
+    console.error('Erro ao limpar checkpoints antigos:', error.message);
+    return { erro: error.message };
+  }
+}
@@ -17,20 +17,39 @@ import { fileURLToPath } from 'url';
 const TEMP_DIR = './temp_img';
 fs.mkdirSync(TEMP_DIR, { recursive: true });
 
+// Nomes únicos: comparações simultâneas não podem sobrescrever a imagem uma da outra
+let contadorImagens = 0;
+
 export async function compararImagensPorHash(url1, url2) {
   const caminho1 = await baixarImagem(url1, 'img1');
   const caminho2 = await baixarImagem(url2, 'img2');
 
-  const hash1 = await imghash.hash(caminho1, 16, 'hex', 'phash');
-  const hash2 = await imghash.hash(caminho2, 16, 'hex', 'phash');
+  try {
+    const hash1 = await imghash.hash(caminho1, 16, 'hex');
+    const hash2 = await imghash.hash(caminho2, 16, 'hex');
+
+    // imghash não expõe distância de Hamming: compara bit a bit na forma binária
+    const bits1 = imghash.hexToBinary(hash1);
+    const bits2 = imghash.hexToBinary(hash2);
+    const distancia = distanciaHamming(bits1, bits2);
+    const similaridade = Math.round((1 - distancia / bits1.length) * 100);
+    return { hash1, hash2, distancia, similaridade, similar: similaridade >= 80 };
+  } finally {
+    fs.rmSync(caminho1, { force: true });
+    fs.rmSync(caminho2, { force: true });
+  }
+}
 
-  const distancia = imghash.hamming(hash1, hash2);
-  const similaridade = Math.round((1 - distancia / hash1.length) * 100);
-  return { hash1, hash2, distancia, similaridade, similar: similaridade >= 80 };
+export function distanciaHamming(bits1, bits2) {
+  let distancia = Math.abs(bits1.length - bits2.length);
+  for (let i = 0; i < Math.min(bits1.length, bits2.length); i++) {
+    if (bits1[i] !== bits2[i]) distancia++;
+  }
+  return distancia;
 }
 
 async function baixarImagem(url, nome) {
-  const caminho = path.join(TEMP_DIR, `${nome}.jpg`);
+  const caminho = path.join(TEMP_DIR, `${nome}-${process.pid}-${++contadorImagens}.jpg`);
   const response = await axios.get(url, { responseType: 'arraybuffer' });
   fs.writeFileSync(caminho, response.data);
   return caminho;
@@ -8,9 +8,14 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { rastrearGravacao } from './encerramento-gracioso.js';
 
 const DUPLICATES_DB_PATH = path.join(process.cwd(), 'database', 'produtos-processados.json');
 
+// Fila de alterações do banco: categorias em paralelo marcam produtos ao mesmo tempo e cada
+// alteração relê o arquivo depois que a anterior foi gravada, sem sobrescrever entradas alheias
+let alteracaoPendente = Promise.resolve();
+
 export function gerarHashProduto(produto) {
   try {
     const baseData = {
@@ -48,17 +53,35 @@ async function carregarBancoDuplicados() {
 }
 
 async function salvarBancoDuplicados(banco) {
-  try {
-    banco.stats.ultimaAtualizacao = new Date().toISOString();
-    await fs.writeFile(DUPLICATES_DB_PATH, JSON.stringify(banco, null, 2));
-  } catch (error) {
-    console.error('Erro ao salvar banco de duplicados:', error.message);
-  }
+  banco.stats.ultimaAtualizacao = new Date().toISOString();
+  // Arquivo temporário + rename: um SIGINT no meio da escrita não deixa o JSON truncado
+  const temporario = `${DUPLICATES_DB_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(temporario, JSON.stringify(banco, null, 2));
+  await fs.rename(temporario, DUPLICATES_DB_PATH);
+}
+
+/**
+ * Carrega, altera e grava o banco dentro da fila de alterações
+ * @param {Function} alterar - Recebe o banco atual e o altera; o retorno é repassado
+ * @param {string} descricao - Para o rastreamento do encerramento gracioso
+ * @returns {Promise<*>}
+ */
+function alterarBancoDuplicados(alterar, descricao) {
+  const alteracao = alteracaoPendente.catch(() => {}).then(async () => {
+    const banco = await carregarBancoDuplicados();
+    const resultado = await alterar(banco);
+    await salvarBancoDuplicados(banco);
+    return resultado;
+  });
+  alteracaoPendente = alteracao;
+  return rastrearGravacao(alteracao, descricao);
 }
 
 export async function verificarDuplicidade(produto) {
   try {
     const hash = gerarHashProduto(produto);
+    // Espera as marcações em andamento para não ler o arquivo no meio de uma alteração
+    await alteracaoPendente.catch(() => {});
     const banco = await carregarBancoDuplicados();
     const jaProcessado = banco.produtos[hash];
     if (jaProcessado) {
@@ -81,19 +104,19 @@ export async function verificarDuplicidade(produto) {
 export async function marcarComoProcessado(produto, metadados = {}) {
   try {
     const hash = gerarHashProduto(produto);
-    const banco = await carregarBancoDuplicados();
-    banco.produtos[hash] = {
-      product_id: produto.product_id,
-      nome: produto.nome?.substring(0, 100),
-      categoria: produto.categoria,
-      preco: produto.preco,
-      timestamp: new Date().toISOString(),
-      aprovadoFinal: produto.aprovadoFinal || false,
-      scoreTotal: produto.scoreTotal?.total || 0,
-      ...metadados
-    };
-    banco.stats.totalProcessados++;
-    await salvarBancoDuplicados(banco);
+    await alterarBancoDuplicados((banco) => {
+      banco.produtos[hash] = {
+        product_id: produto.product_id,
+        nome: produto.nome?.substring(0, 100),
+        categoria: produto.categoria,
+        preco: produto.preco,
+        timestamp: new Date().toISOString(),
+        aprovadoFinal: produto.aprovadoFinal || false,
+        scoreTotal: produto.scoreTotal?.total || 0,
+        ...metadados
+      };
+      banco.stats.totalProcessados++;
+    }, 'banco de duplicados');
     return true;
   } catch (error) {
     console.error('Erro ao marcar produto como processado:', error.message);
@@ -128,20 +151,20 @@ export async function filtrarDuplicados(produtos) {
 
 export async function limparProdutosAntigos(diasParaLimpar = 30) {
   try {
-    const banco = await carregarBancoDuplicados();
-    const agora = Date.now();
-    const limiteTempo = diasParaLimpar * 24 * 60 * 60 * 1000;
-    let removidos = 0;
-    const produtosLimpos = {};
-    for (const [hash, produto] of Object.entries(banco.produtos)) {
-      const idade = agora - new Date(produto.timestamp).getTime();
-      if (idade <= limiteTempo) produtosLimpos[hash] = produto; else removidos++;
-    }
-    banco.produtos = produtosLimpos;
-    banco.stats.ultimaLimpeza = new Date().toISOString();
-    banco.stats.totalProcessados = Object.keys(produtosLimpos).length;
-    await salvarBancoDuplicados(banco);
-    return { removidos, mantidos: Object.keys(produtosLimpos).length, diasLimite: diasParaLimpar };
+    return await alterarBancoDuplicados((banco) => {
+      const agora = Date.now();
+      const limiteTempo = diasParaLimpar * 24 * 60 * 60 * 1000;
+      let removidos = 0;
+      const produtosLimpos = {};
+      for (const [hash, produto] of Object.entries(banco.produtos)) {
+        const idade = agora - new Date(produto.timestamp).getTime();
+        if (idade <= limiteTempo) produtosLimpos[hash] = produto; else removidos++;
+      }
+      banco.produtos = produtosLimpos;
+      banco.stats.ultimaLimpeza = new Date().toISOString();
+      banco.stats.totalProcessados = Object.keys(produtosLimpos).length;
+      return { removidos, mantidos: Object.keys(produtosLimpos).length, diasLimite: diasParaLimpar };
+    }, 'limpeza do banco de duplicados');
   } catch (error) {
     console.error('Erro ao limpar produtos antigos:', error.message);
     return { erro: error.message };
@@ -150,6 +173,7 @@ export async function limparProdutosAntigos(diasParaLimpar = 30) {
 
 export async function obterEstatisticasDuplicados() {
   try {
+    await alteracaoPendente.catch(() => {});
     const banco = await carregarBancoDuplicados();
     const produtos = Object.values(banco.produtos);
     const stats = {
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Coordenador de encerramento gracioso (SIGINT/SIGTERM/exceções)
+ * @description No primeiro sinal o scraper para de aceitar trabalho novo: as categorias e os
+ * produtos ainda não iniciados são pulados, o produto em andamento termina (ou fica salvo no
+ * checkpoint) e as gravações pendentes (banco de duplicados, métricas, Supabase) são
+ * aguardadas antes de fechar o browser. Um prazo (SHUTDOWN_TIMEOUT_MS) limita a espera;
+ * esgotado o prazo, ou num segundo Ctrl+C, o processo sai na hora e o supervisor de
+ * processos encerra o Chrome (ver utils/supervisor-processos.js).
+ *
+ * Uso:
+ *   if (obterCoordenadorEncerramento().encerrando) break;      // parar de aceitar trabalho
+ *   await rastrearGravacao(salvarAlgo(), 'descrição');         // gravação que não pode se perder
+ *   await obterCoordenadorEncerramento().finalizar();          // aguardar pendências
+ */
+
+import { CONFIG } from '../config.js';
+import { logInfo, logSucesso, logErro } from '../scraper/utils.js';
+
+export class CoordenadorEncerramento {
+  /**
+   * @param {Object} [opcoes={}]
+   * @param {number} [opcoes.prazoMs=30000] - Tempo máximo entre o sinal e a saída forçada
+   * @param {Function} [opcoes.sair=process.exit] - Saída forçada (substituível em testes)
+   */
+  constructor(opcoes = {}) {
+    this.prazoMs = opcoes.prazoMs ?? 30000;
+    this.sair = opcoes.sair || ((codigo) => process.exit(codigo));
+    this.motivo = null;
+    this.pendentes = new Map();
+    this.tarefas = [];
+    this.ouvintes = [];
+    this.temporizadorPrazo = null;
+    this.sinaisInstalados = false;
+  }
+
+  get encerrando() {
+    return this.motivo !== null;
+  }
+
+  /**
+   * Pede o encerramento: nada novo é iniciado e o prazo começa a contar
+   * @param {string} motivo - Ex.: SIGINT, SIGTERM, exceção não capturada
+   * @returns {boolean} false se o encerramento já tinha sido pedido
+   */
+  solicitar(motivo) {
+    if (this.encerrando) return false;
+    this.motivo = motivo;
+    const prazo = this.prazoMs > 0 ? `prazo ${(this.prazoMs / 1000).toFixed(1)}s` : 'sem prazo';
+    logInfo(`🛑 Encerramento solicitado (${motivo}): finalizando o trabalho em andamento (${prazo})`);
+
+    if (this.prazoMs > 0) {
+      this.temporizadorPrazo = setTimeout(() => {
+        logErro(`⏰ Prazo de encerramento esgotado com ${this.pendentes.size} gravação(ões) pendente(s) - saindo à força`);
+        this.sair(1);
+      }, this.prazoMs);
+      this.temporizadorPrazo.unref();
+    }
+
+    for (const ouvinte of this.ouvintes.splice(0)) {
+      try {
+        ouvinte(motivo);
+      } catch (error) {
+        logErro(`⚠️ Erro ao avisar sobre o encerramento: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Avisa quando o encerramento for pedido (na hora, se já foi)
+   * Usado por quem espera sem trabalho em andamento, como o agendador entre as tarefas
+   * @param {Function} fn - Recebe o motivo
+   */
+  aoSolicitar(fn) {
+    if (this.encerrando) {
+      fn(this.motivo);
+    } else {
+      this.ouvintes.push(fn);
+    }
+  }
+
+  /**
+   * Acompanha uma gravação que precisa terminar antes da saída
+   * @param {Promise} promessa
+   * @param {string} [descricao='gravação']
+   * @returns {Promise} A própria promessa
+   */
+  rastrear(promessa, descricao = 'gravação') {
+    const chave = Symbol(descricao);
+    this.pendentes.set(chave, descricao);
+    Promise.resolve(promessa).finally(() => this.pendentes.delete(chave)).catch(() => {});
+    return promessa;
+  }
+
+  /**
+   * Registra uma tarefa executada em finalizar(), na ordem de registro
+   * As tarefas ficam registradas: um processo longo (agendador) as executa a cada finalizar().
+   * Registrar de novo com o mesmo nome substitui a tarefa anterior.
+   * @param {string} nome
+   * @param {Function} fn - Função assíncrona
+   */
+  aoEncerrar(nome, fn) {
+    const existente = this.tarefas.find(tarefa => tarefa.nome === nome);
+    if (existente) {
+      existente.fn = fn;
+    } else {
+      this.tarefas.push({ nome, fn });
+    }
+  }
+
+  /**
+   * Aguarda as gravações pendentes e executa as tarefas de encerramento
+   * A espera pelas gravações é limitada pelo prazo (SHUTDOWN_TIMEOUT_MS) mesmo sem sinal:
+   * esgotado o prazo, as tarefas rodam e as gravações que faltam são abandonadas
+   * @returns {Promise<{pendentes: number, abandonadas: number, tarefas: Array<string>}>}
+   */
+  async finalizar() {
+    const pendentes = this.pendentes.size;
+    if (pendentes > 0) {
+      logInfo(`💾 Aguardando ${pendentes} gravação(ões) pendente(s): ${[...this.pendentes.values()].join(', ')}`);
+    }
+    const limite = this.prazoMs > 0 ? Date.now() + this.prazoMs : Infinity;
+    while (this.pendentes.size > 0 && Date.now() < limite) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const abandonadas = this.pendentes.size;
+    if (abandonadas > 0) {
+      logErro(`⏰ Prazo de encerramento esgotado: ${abandonadas} gravação(ões) abandonada(s): ${[...this.pendentes.values()].join(', ')}`);
+    }
+
+    const executadas = [];
+    for (const { nome, fn } of [...this.tarefas]) {
+      try {
+        await fn();
+        executadas.push(nome);
+      } catch (error) {
+        logErro(`⚠️ Erro na tarefa de encerramento '${nome}': ${error.message}`);
+      }
+    }
+
+    if (this.encerrando) {
+      clearTimeout(this.temporizadorPrazo);
+      logSucesso(`✅ Encerramento gracioso concluído (${this.motivo})`);
+    }
+    return { pendentes, abandonadas, tarefas: executadas };
+  }
+
+  /**
+   * SIGINT/SIGTERM pedem o encerramento; o segundo sinal força a saída.
+   * Exceções não capturadas também pedem o encerramento e, como o estado do processo não é
+   * mais confiável, saem com código 1 depois de finalizar() (ou no prazo).
+   */
+  instalarSinais() {
+    if (this.sinaisInstalados) return;
+    this.sinaisInstalados = true;
+
+    const aoSinal = (sinal) => {
+      if (!this.solicitar(sinal)) {
+        logErro(`⚡ ${sinal} recebido novamente - saindo sem aguardar`);
+        this.sair(130);
+      } else {
+        logInfo('💡 Envie o sinal novamente (Ctrl+C) para sair sem aguardar');
+      }
+    };
+    process.on('SIGINT', () => aoSinal('SIGINT'));
+    process.on('SIGTERM', () => aoSinal('SIGTERM'));
+
+    process.on('uncaughtException', (error) => {
+      logErro(`💥 Exceção não capturada: ${error.message}`);
+      console.error('🐛 Stack trace:', error.stack);
+      process.exitCode = 1;
+      this.solicitar('exceção não capturada');
+      this.finalizar()
+        .catch(erro => logErro(`⚠️ Erro ao finalizar após a exceção: ${erro.message}`))
+        .finally(() => this.sair(1));
+    });
+    process.on('unhandledRejection', (reason) => {
+      logErro(`💥 Promise rejeitada não tratada: ${reason}`);
+      process.exitCode = 1;
+      this.solicitar('promise rejeitada não tratada');
+    });
+  }
+}
+
+let coordenadorGlobal = null;
+
+/**
+ * Coordenador da execução, criado a partir do CONFIG na primeira chamada
+ * @returns {CoordenadorEncerramento}
+ */
+export function obterCoordenadorEncerramento() {
+  if (!coordenadorGlobal) {
+    coordenadorGlobal = new CoordenadorEncerramento({ prazoMs: CONFIG.encerramento.prazoMs });
+  }
+  return coordenadorGlobal;
+}
+
+/**
+ * Atalho para rastrear uma gravação no coordenador da execução
+ * @param {Promise} promessa
+ * @param {string} [descricao]
+ * @returns {Promise}
+ */
+export function rastrearGravacao(promessa, descricao) {
+  return obterCoordenadorEncerramento().rastrear(promessa, descricao);
+}
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Gravação e replay de tráfego de rede para execuções offline
+ * @description Em modo `record`, salva o HTML renderizado das páginas de busca e das PDPs,
+ * o JSON interceptado da API da PDP (mtop.aliexpress.pdp.pc.query) e as respostas HTTP feitas
+ * via axios (listagens do Mercado Livre, imagens). Em modo `replay`, serve esses arquivos de volta
+ * pela interceptação de requisições do Puppeteer e por um adapter do axios, sem acessar a rede.
+ *
+ * Estrutura: <diretorio>/documentos/<hash>.json   HTML por URL
+ *            <diretorio>/paginas/<tipo>/<chave>.json   URL gravada de busca/PDP
+ *            <diretorio>/pdp/<productId>.json   JSON interceptado da PDP
+ *            <diretorio>/http/<hash>.json   Respostas do axios
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { CONFIG } from '../config.js';
+import { slugify } from '../scraper/utils.js';
+
+// Parâmetros que mudam a cada requisição e não identificam o conteúdo
+const PARAMETROS_VOLATEIS = ['t', '_', 'sign', 'spm', 'timestamp', 'callback', 'jsv', '_t', 'traceid', 'pvid', 'scm'];
+
+export function modoFixtures() {
+  return CONFIG.fixtures?.mode || 'off';
+}
+
+export function gravando() {
+  return modoFixtures() === 'record';
+}
+
+export function reproduzindo() {
+  return modoFixtures() === 'replay';
+}
+
+function diretorioFixtures() {
+  return path.resolve(process.cwd(), CONFIG.fixtures?.dir || 'fixtures');
+}
+
+/**
+ * Normaliza a URL para uso como chave: remove fragmento e parâmetros voláteis, ordena a query
+ */
+export function normalizarUrl(url) {
+  try {
+    const endereco = new URL(url);
+    endereco.hash = '';
+    for (const parametro of PARAMETROS_VOLATEIS) endereco.searchParams.delete(parametro);
+    endereco.searchParams.sort();
+    return endereco.toString();
+  } catch (_e) {
+    return String(url);
+  }
+}
+
+function hashChave(texto) {
+  return crypto.createHash('sha1').update(texto).digest('hex').slice(0, 20);
+}
+
+async function lerJson(arquivo) {
+  try {
+    return JSON.parse(await fs.readFile(arquivo, 'utf-8'));
+  } catch (_e) {
+    return null;
+  }
+}
+
+async function gravarJson(arquivo, dados) {
+  await fs.mkdir(path.dirname(arquivo), { recursive: true });
+  await fs.writeFile(arquivo, JSON.stringify(dados, null, 2));
+}
+
+// Scripts são removidos: no replay a página não pode buscar nada na rede nem re-renderizar o DOM
+function removerScripts(html) {
+  return html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+}
+
+function arquivoPagina(tipo, chave) {
+  return path.join(diretorioFixtures(), 'paginas', tipo, `${slugify(String(chave)) || 'pagina'}.json`);
+}
+
+function arquivoDocumento(url) {
+  return path.join(diretorioFixtures(), 'documentos', `${hashChave(normalizarUrl(url))}.json`);
+}
+
+// =================================
+// PÁGINAS (PUPPETEER)
+// =================================
+
+/**
+ * Salva o HTML renderizado da página atual (modo record)
+ * A URL recebe um marcador `fixture=<tipo>-<chave>` para que páginas com a mesma URL
+ * (ex.: paginação sem mudança de endereço) não se sobrescrevam
+ *
+ * @param {Page} page - Página já carregada
+ * @param {string} tipo - 'busca' ou 'pdp'
+ * @param {string} chave - Ex.: '<categoria>-p2' ou product_id
+ */
+export async function gravarPagina(page, tipo, chave) {
+  if (!gravando()) return;
+  try {
+    const endereco = new URL(page.url());
+    endereco.searchParams.set('fixture', `${tipo}-${slugify(String(chave))}`);
+    const url = endereco.toString();
+
+    const html = removerScripts(await page.content());
+    await gravarJson(arquivoDocumento(url), { url, gravadoEm: new Date().toISOString(), html });
+    await gravarJson(arquivoPagina(tipo, chave), { url });
+  } catch (error) {
+    console.error(`❌ Erro ao gravar fixture de página (${tipo} ${chave}):`, error.message);
+  }
+}
+
+/**
+ * URL gravada para uma página de busca ou PDP (modo replay), ou null se não houver fixture
+ */
+export async function urlPaginaGravada(tipo, chave) {
+  const registro = await lerJson(arquivoPagina(tipo, chave));
+  return registro?.url || null;
+}
+
+/**
+ * Ativa a interceptação do Puppeteer que responde navegações com o HTML gravado (modo replay)
+ * Demais recursos (scripts, imagens, XHR) são bloqueados: nada sai para a rede
+ *
+ * @param {Page} page - Página do puppeteer
+ */
+export async function prepararPaginaReplay(page) {
+  // configurarPagina roda a cada categoria na mesma aba: o handler é registrado uma única vez
+  if (!reproduzindo() || page.__replayFixtures) return;
+  page.__replayFixtures = true;
+
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    try {
+      if (request.resourceType() !== 'document') {
+        await request.abort('blockedbyclient');
+        return;
+      }
+
+      const documento = await lerJson(arquivoDocumento(request.url()));
+      await request.respond({
+        status: documento ? 200 : 404,
+        contentType: 'text/html; charset=utf-8',
+        body: documento?.html || `<html><body><!-- fixture ausente: ${request.url()} --></body></html>`
+      });
+    } catch (error) {
+      console.error('❌ Erro ao responder requisição com fixture:', error.message);
+    }
+  });
+}
+
+// =================================
+// JSON DA PDP
+// =================================
+
+/**
+ * Salva o JSON interceptado da API da PDP (modo record)
+ */
+export async function gravarJsonPdp(productId, dados) {
+  if (!gravando() || !productId || !dados) return;
+  try {
+    await gravarJson(path.join(diretorioFixtures(), 'pdp', `${slugify(String(productId))}.json`), dados);
+  } catch (error) {
+    console.error(`❌ Erro ao gravar JSON da PDP ${productId}:`, error.message);
+  }
+}
+
+/**
+ * JSON da PDP gravado anteriormente (null se não houver fixture)
+ */
+export async function carregarJsonPdp(productId) {
+  if (!productId) return null;
+  return lerJson(path.join(diretorioFixtures(), 'pdp', `${slugify(String(productId))}.json`));
+}
+
+// =================================
+// RESPOSTAS HTTP (AXIOS)
+// =================================
+
+function arquivoHttp(config, instancia) {
+  const metodo = (config.method || 'get').toUpperCase();
+  return path.join(diretorioFixtures(), 'http', `${hashChave(`${metodo} ${normalizarUrl(instancia.getUri(config))}`)}.json`);
+}
+
+/**
+ * Envolve o adapter do axios: grava respostas no modo record e as devolve no modo replay
+ * Fora desses modos a requisição segue normalmente para a rede
+ *
+ * @param {AxiosInstance} [instancia=axios] - Instância do axios (padrão: global, usada pelo scraper do ML)
+ */
+export function instalarAdaptadorAxios(instancia = axios) {
+  if (instancia.__fixturesInstalado) return;
+
+  const adapterOriginal = axios.getAdapter(instancia.defaults.adapter);
+
+  instancia.defaults.adapter = async (config) => {
+    if (reproduzindo()) {
+      const gravado = await lerJson(arquivoHttp(config, instancia));
+      if (!gravado) {
+        throw new Error(`Fixture HTTP ausente para ${instancia.getUri(config)}`);
+      }
+      return {
+        data: gravado.base64 ? Buffer.from(gravado.data, 'base64') : gravado.data,
+        status: gravado.status,
+        statusText: gravado.statusText || 'OK',
+        headers: gravado.headers || {},
+        config,
+        request: {}
+      };
+    }
+
+    const resposta = await adapterOriginal(config);
+
+    if (gravando()) {
+      try {
+        const binario = Buffer.isBuffer(resposta.data);
+        await gravarJson(arquivoHttp(config, instancia), {
+          url: instancia.getUri(config),
+          status: resposta.status,
+          statusText: resposta.statusText,
+          headers: { 'content-type': resposta.headers?.['content-type'] || '' },
+          base64: binario,
+          data: binario ? resposta.data.toString('base64') : resposta.data
+        });
+      } catch (error) {
+        console.error('❌ Erro ao gravar fixture HTTP:', error.message);
+      }
+    }
+
+    return resposta;
+  };
+
+  instancia.__fixturesInstalado = true;
+}
@@ -91,15 +91,21 @@ export function salvarArquivoDebug(tipo, nome, conteudo) {
   }
 }
 
+let temporizadorLimpeza = null;
+
 /**
  * Executa limpeza automática no início do scraping
+ * Um único intervalo por processo: o agendador abre um browser novo a cada tarefa
  */
 export function iniciarLimpezaAutomatica() {
   // Limpar imediatamente
   limparArquivosTemporarios();
   
   // Configurar limpeza periódica (a cada 2 horas)
-  setInterval(() => {
-    limparArquivosTemporarios();
-  }, 2 * 60 * 60 * 1000);
+  if (!temporizadorLimpeza) {
+    temporizadorLimpeza = setInterval(() => {
+      limparArquivosTemporarios();
+    }, 2 * 60 * 60 * 1000);
+    temporizadorLimpeza.unref();
+  }
 }
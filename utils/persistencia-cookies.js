@@ -18,6 +18,12 @@ const COOKIE_CONFIG = {
  */
 export function configurarPersistenciaCookies(browserConfig) {
   try {
+    // CHROME_USER_DATA_DIR informado: usar o perfil do usuário sem limpar nada nele
+    if (browserConfig.userDataDir) {
+      console.log(`🍪 Usando diretório de dados do Chrome: ${browserConfig.userDataDir}`);
+      return browserConfig;
+    }
+
     // Criar diretório de dados do usuário se não existir
     if (!fs.existsSync(COOKIE_CONFIG.userDataDir)) {
       fs.mkdirSync(COOKIE_CONFIG.userDataDir, { recursive: true });
@@ -102,25 +108,33 @@ function limparDadosAntigos() {
   }
 }
 
+let temporizadorLimpezaCookies = null;
+
 /**
  * Configura limpeza automática periódica
+ * Um único intervalo por processo: o agendador abre um browser novo a cada tarefa
  */
 export function iniciarLimpezaAutomaticaCookies() {
   // Limpar imediatamente
   limparDadosAntigos();
   
   // Configurar limpeza periódica
-  setInterval(() => {
+  if (temporizadorLimpezaCookies) {
+    return;
+  }
+  temporizadorLimpezaCookies = setInterval(() => {
     limparDadosAntigos();
   }, COOKIE_CONFIG.cleanupIntervalHours * 60 * 60 * 1000);
+  temporizadorLimpezaCookies.unref();
 
   console.log(`🔄 Limpeza automática configurada (a cada ${COOKIE_CONFIG.cleanupIntervalHours}h)`);
 }
 
 /**
  * Salva cookies importantes de uma página
+ * @param {string} [diretorio] - Pasta do perfil de sessão (padrão: ./user_data)
  */
-export async function salvarCookiesImportantes(page, dominio) {
+export async function salvarCookiesImportantes(page, dominio, diretorio = COOKIE_CONFIG.userDataDir) {
   try {
     const cookies = await page.cookies();
     const cookiesImportantes = cookies.filter(cookie => 
@@ -130,7 +144,8 @@ export async function salvarCookiesImportantes(page, dominio) {
     );
 
     if (cookiesImportantes.length > 0) {
-      const arquivoCookies = path.join(COOKIE_CONFIG.userDataDir, `cookies_${dominio}.json`);
+      fs.mkdirSync(diretorio, { recursive: true });
+      const arquivoCookies = path.join(diretorio, `cookies_${dominio}.json`);
       fs.writeFileSync(arquivoCookies, JSON.stringify(cookiesImportantes, null, 2));
       console.log(`🍪 ${cookiesImportantes.length} cookies salvos para ${dominio}`);
     }
@@ -142,18 +157,22 @@ export async function salvarCookiesImportantes(page, dominio) {
 
 /**
  * Carrega cookies salvos para uma página
+ * @param {string} [diretorio] - Pasta do perfil de sessão (padrão: ./user_data)
  */
-export async function carregarCookiesSalvos(page, dominio) {
+export async function carregarCookiesSalvos(page, dominio, diretorio = COOKIE_CONFIG.userDataDir) {
   try {
-    const arquivoCookies = path.join(COOKIE_CONFIG.userDataDir, `cookies_${dominio}.json`);
+    const arquivoCookies = path.join(diretorio, `cookies_${dominio}.json`);
     
     if (fs.existsSync(arquivoCookies)) {
       const cookies = JSON.parse(fs.readFileSync(arquivoCookies, 'utf8'));
       await page.setCookie(...cookies);
       console.log(`🍪 ${cookies.length} cookies carregados para ${dominio}`);
+      return cookies.length;
     }
+    return 0;
 
   } catch (error) {
     console.warn('⚠️ Erro ao carregar cookies:', error.message);
+    return 0;
   }
 }
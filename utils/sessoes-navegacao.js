@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Perfis de sessão de navegação para categorias em paralelo
+ * @description Um perfil reúne o que identifica o "visitante" perante o AliExpress: cookies,
+ * user agent, viewport, idioma, fuso horário e, opcionalmente, um proxy fixo do pool. Cada
+ * categoria em processamento reserva um perfil livre e navega em um contexto próprio do
+ * Chrome, sem compartilhar cookies com as demais. Os cookies de cada perfil ficam em
+ * <SESSION_DIR>/<nome>/ e são reaproveitados na próxima execução.
+ *
+ * Os perfis vêm de SESSION_PROFILES_FILE ({ "perfis": [...] }); sem arquivo, são usados os
+ * perfis padrão abaixo.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { salvarCookiesImportantes, carregarCookiesSalvos } from './persistencia-cookies.js';
+
+const DOMINIO_COOKIES = 'aliexpress';
+
+export const PERFIS_PADRAO = [
+  {
+    nome: 'desktop-1',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 }
+  },
+  {
+    nome: 'desktop-2',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+    viewport: { width: 1536, height: 864 }
+  },
+  {
+    nome: 'desktop-3',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+    viewport: { width: 1440, height: 900 }
+  },
+  {
+    nome: 'desktop-4',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+    viewport: { width: 1366, height: 768 }
+  }
+];
+
+/**
+ * Completa e valida um perfil
+ * @param {Object} bruto - Perfil do arquivo
+ * @param {number} indice - Posição no arquivo (para o nome padrão e mensagens)
+ * @returns {{nome: string, userAgent: string, viewport: Object, locale: string, timezone: string, proxy: string|null}}
+ */
+export function normalizarPerfil(bruto = {}, indice = 0) {
+  const nome = String(bruto.nome || `perfil-${indice + 1}`).trim();
+  if (!/^[\w-]+$/.test(nome)) {
+    throw new Error(`nome de perfil inválido: '${nome}' (use letras, números, _ e -)`);
+  }
+
+  const largura = Number(bruto.viewport?.width);
+  const altura = Number(bruto.viewport?.height);
+  const padrao = PERFIS_PADRAO[indice % PERFIS_PADRAO.length];
+
+  return {
+    nome,
+    userAgent: bruto.userAgent || padrao.userAgent,
+    viewport: largura >= 800 && altura >= 600 ? { width: largura, height: altura } : padrao.viewport,
+    locale: bruto.locale || 'pt-BR',
+    timezone: bruto.timezone || 'America/Sao_Paulo',
+    // ID do proxy (host:porta) em PROXY_FILE; sem ele, o perfil usa o proxy ativo do pool
+    proxy: bruto.proxy || null
+  };
+}
+
+/**
+ * Lê os perfis de sessão; arquivo ausente ou inválido usa os perfis padrão
+ * @param {string} arquivo
+ * @returns {{perfis: Array<Object>, doArquivo: boolean}}
+ */
+export function carregarPerfisSessao(arquivo) {
+  if (arquivo && existsSync(arquivo)) {
+    try {
+      const conteudo = JSON.parse(readFileSync(arquivo, 'utf-8'));
+      if (!Array.isArray(conteudo.perfis) || conteudo.perfis.length === 0) {
+        throw new Error('campo "perfis" ausente ou vazio');
+      }
+      const perfis = conteudo.perfis.map(normalizarPerfil);
+      const nomes = new Set(perfis.map(perfil => perfil.nome));
+      if (nomes.size !== perfis.length) {
+        throw new Error('nomes de perfil repetidos');
+      }
+      return { perfis, doArquivo: true };
+    } catch (error) {
+      console.warn(`⚠️  Perfis de sessão inválidos (${arquivo}): ${error.message}. Usando perfis padrão`);
+    }
+  }
+  return { perfis: PERFIS_PADRAO.map(normalizarPerfil), doArquivo: false };
+}
+
+/**
+ * Accept-Language coerente com o locale do perfil
+ * @param {string} locale - Ex.: pt-BR
+ * @returns {string}
+ */
+export function cabecalhoIdioma(locale = 'pt-BR') {
+  const idioma = locale.split('-')[0];
+  return idioma === 'en'
+    ? `${locale},en;q=0.9`
+    : `${locale},${idioma};q=0.9,en;q=0.8`;
+}
+
+/**
+ * Reserva de perfis entre as categorias em processamento
+ */
+export class GerenciadorSessoes {
+  /**
+   * @param {Array<Object>} perfis - Perfis normalizados
+   * @param {Object} [opcoes={}]
+   * @param {string} [opcoes.diretorio='user_data/perfis'] - Onde ficam os cookies de cada perfil
+   */
+  constructor(perfis, opcoes = {}) {
+    this.perfis = perfis;
+    this.diretorio = opcoes.diretorio || 'user_data/perfis';
+    this.emUso = new Set();
+    this.usos = new Map(perfis.map(perfil => [perfil.nome, 0]));
+  }
+
+  get total() {
+    return this.perfis.length;
+  }
+
+  /**
+   * Reserva o perfil livre menos usado nesta execução (alterna os perfis entre categorias)
+   * @returns {Object|null} Perfil reservado ou null se todos estiverem em uso
+   */
+  reservar() {
+    const livres = this.perfis.filter(perfil => !this.emUso.has(perfil.nome));
+    if (livres.length === 0) return null;
+
+    const perfil = livres.reduce((menosUsado, candidato) =>
+      this.usos.get(candidato.nome) < this.usos.get(menosUsado.nome) ? candidato : menosUsado
+    );
+    this.emUso.add(perfil.nome);
+    this.usos.set(perfil.nome, this.usos.get(perfil.nome) + 1);
+    return perfil;
+  }
+
+  /**
+   * Devolve o perfil para ser usado por outra categoria
+   * @param {Object|null} perfil
+   */
+  liberar(perfil) {
+    if (perfil) {
+      this.emUso.delete(perfil.nome);
+    }
+  }
+
+  diretorioPerfil(perfil) {
+    return path.join(this.diretorio, perfil.nome);
+  }
+
+  /**
+   * Aplica os cookies salvos do perfil ao contexto da página
+   * @returns {Promise<number>} Quantidade de cookies carregados
+   */
+  carregarCookies(page, perfil) {
+    return carregarCookiesSalvos(page, DOMINIO_COOKIES, this.diretorioPerfil(perfil));
+  }
+
+  /**
+   * Salva os cookies do contexto para a próxima execução com o mesmo perfil
+   */
+  salvarCookies(page, perfil) {
+    return salvarCookiesImportantes(page, DOMINIO_COOKIES, this.diretorioPerfil(perfil));
+  }
+}
+
+let gerenciadorGlobal = null;
+
+/**
+ * Gerenciador da execução, criado a partir do CONFIG na primeira chamada
+ * @returns {GerenciadorSessoes}
+ */
+export function obterGerenciadorSessoes() {
+  if (!gerenciadorGlobal) {
+    const { perfis } = carregarPerfisSessao(CONFIG.sessoes.perfisFile);
+    gerenciadorGlobal = new GerenciadorSessoes(perfis, { diretorio: CONFIG.sessoes.dir });
+  }
+  return gerenciadorGlobal;
+}
+
+/**
+ * Perfis entram em uso com categorias em paralelo ou quando há arquivo de perfis;
+ * fora disso a navegação segue no contexto padrão do Chrome (./user_data)
+ * @returns {boolean}
+ */
+export function sessoesComPerfis() {
+  return CONFIG.sessoes.concorrenciaCategorias > 1 || existsSync(CONFIG.sessoes.perfisFile);
+}
@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Supervisor dos processos do Chrome lançados pelo scraper
+ * @description Cada Chrome lançado tem o PID registrado em BROWSER_PID_FILE junto com o PID
+ * do Node que o lançou (dono). Com isso:
+ * - ao sair do Node (fim normal, SIGINT/SIGTERM, exceção não capturada), os Chromes ainda
+ *   vivos desta execução são encerrados junto com os processos filhos (renderers, zygote);
+ * - ao iniciar, Chromes de execuções cujo Node já morreu (crash, kill -9) são colhidos;
+ * - travas Singleton* que o Chrome deixa no diretório de dados após um crash são removidas
+ *   quando o processo dono delas não existe mais.
+ *
+ * Funciona em Linux, macOS e Windows: árvore de processos via /proc, `ps` ou `taskkill /t`.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, lstatSync, readlinkSync, rmSync, readdirSync } from 'fs';
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { logInfo, logErro } from '../scraper/utils.js';
+
+// Travas criadas pelo Chrome no diretório de dados (symlinks no Linux/macOS, lockfile no Windows)
+const TRAVAS_PERFIL = ['SingletonLock', 'SingletonSocket', 'SingletonCookie', 'lockfile'];
+
+/**
+ * Linha de comando do processo, ou null se não for possível obtê-la
+ * @param {number} pid
+ * @param {string} [plataforma=process.platform]
+ * @returns {string|null}
+ */
+export function comandoDoProcesso(pid, plataforma = process.platform) {
+  try {
+    if (existsSync(`/proc/${pid}/cmdline`)) {
+      return readFileSync(`/proc/${pid}/cmdline`, 'utf-8').split('\0').join(' ').trim();
+    }
+    if (plataforma === 'win32') {
+      const saida = spawnSync('tasklist', ['/fi', `PID eq ${pid}`, '/fo', 'csv', '/nh'], { encoding: 'utf-8' });
+      return saida.stdout?.includes(`"${pid}"`) ? saida.stdout.trim() : null;
+    }
+    const saida = spawnSync('ps', ['-p', String(pid), '-o', 'command='], { encoding: 'utf-8' });
+    return saida.status === 0 ? saida.stdout.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verifica se o processo existe; zumbis (já encerrados, aguardando o pai) contam como mortos
+ * @param {number} pid
+ * @returns {boolean}
+ */
+export function processoAtivo(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    // EPERM: o processo existe, mas pertence a outro usuário
+    return error.code === 'EPERM';
+  }
+  try {
+    const estado = readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    return estado.slice(estado.lastIndexOf(')') + 2, estado.lastIndexOf(')') + 3) !== 'Z';
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Pares [pid, ppid] de todos os processos visíveis (/proc ou `ps`)
+ * @returns {Array<[number, number]>}
+ */
+function listarPaisDeProcessos() {
+  if (existsSync('/proc/self/stat')) {
+    const pares = [];
+    for (const entrada of readdirSync('/proc')) {
+      if (!/^\d+$/.test(entrada)) continue;
+      try {
+        const estado = readFileSync(`/proc/${entrada}/stat`, 'utf-8');
+        const campos = estado.slice(estado.lastIndexOf(')') + 2).split(' ');
+        pares.push([Number(entrada), Number(campos[1])]);
+      } catch {
+        // Processo terminou durante a leitura
+      }
+    }
+    return pares;
+  }
+
+  const saida = spawnSync('ps', ['-A', '-o', 'pid=', '-o', 'ppid='], { encoding: 'utf-8' });
+  if (saida.status !== 0) return [];
+  return saida.stdout.trim().split('\n')
+    .map(linha => linha.trim().split(/\s+/).map(Number))
+    .filter(([pid, ppid]) => pid > 0 && ppid >= 0);
+}
+
+/**
+ * Descendentes do processo (filhos, netos...), do mais próximo ao mais distante
+ * @param {number} pid
+ * @returns {Array<number>}
+ */
+export function listarDescendentes(pid) {
+  const filhosPorPai = new Map();
+  for (const [filho, pai] of listarPaisDeProcessos()) {
+    if (!filhosPorPai.has(pai)) filhosPorPai.set(pai, []);
+    filhosPorPai.get(pai).push(filho);
+  }
+
+  const descendentes = [];
+  const fila = [pid];
+  while (fila.length > 0) {
+    for (const filho of filhosPorPai.get(fila.shift()) || []) {
+      if (!descendentes.includes(filho)) {
+        descendentes.push(filho);
+        fila.push(filho);
+      }
+    }
+  }
+  return descendentes;
+}
+
+/**
+ * Encerra à força o processo e todos os descendentes (síncrono: pode rodar no evento 'exit')
+ * @param {number} pid
+ * @param {string} [plataforma=process.platform]
+ * @returns {boolean} true se o processo existia e foi sinalizado
+ */
+export function encerrarArvoreProcessos(pid, plataforma = process.platform) {
+  if (!processoAtivo(pid)) return false;
+
+  if (plataforma === 'win32') {
+    const saida = spawnSync('taskkill', ['/pid', String(pid), '/t', '/f'], { stdio: 'ignore' });
+    return saida.status === 0;
+  }
+
+  // Coletar a árvore antes: sem o pai, os filhos passam para o init e se perdem
+  const arvore = [pid, ...listarDescendentes(pid)];
+  let encerrou = false;
+  for (const alvo of arvore) {
+    try {
+      process.kill(alvo, 'SIGKILL');
+      encerrou = true;
+    } catch {
+      // Já encerrado
+    }
+  }
+  return encerrou;
+}
+
+/**
+ * Remove travas Singleton* deixadas por um Chrome que não existe mais
+ * A trava aponta para "<host>-<pid>"; travas de outra máquina ou de Chrome vivo são mantidas
+ * @param {string} diretorio - Diretório de dados do Chrome
+ * @param {string} [hostname=os.hostname()]
+ * @returns {Array<string>} Travas removidas
+ */
+export function limparTravasPerfil(diretorio, hostname = os.hostname()) {
+  if (!diretorio || !existsSync(diretorio)) return [];
+
+  const caminhoTrava = path.join(diretorio, 'SingletonLock');
+  let donoTrava = null;
+  try {
+    const alvo = readlinkSync(caminhoTrava);
+    const separador = alvo.lastIndexOf('-');
+    donoTrava = { host: alvo.slice(0, separador), pid: Number(alvo.slice(separador + 1)) };
+  } catch {
+    // Sem SingletonLock (ou Windows, onde a trava é um arquivo comum)
+  }
+
+  if (donoTrava && (donoTrava.host !== hostname || processoAtivo(donoTrava.pid))) {
+    return [];
+  }
+
+  const removidas = [];
+  for (const nome of TRAVAS_PERFIL) {
+    const caminho = path.join(diretorio, nome);
+    try {
+      lstatSync(caminho);
+    } catch {
+      continue;
+    }
+    try {
+      rmSync(caminho, { force: true });
+      removidas.push(nome);
+    } catch {
+      // lockfile do Windows em uso por um Chrome vivo
+    }
+  }
+  return removidas;
+}
+
+/**
+ * Registro dos Chromes lançados e encerramento na saída do Node
+ */
+export class SupervisorProcessos {
+  /**
+   * @param {Object} [opcoes={}]
+   * @param {string} [opcoes.arquivo='pids/chrome.json'] - Registro compartilhado entre execuções
+   * @param {number} [opcoes.donoPid=process.pid] - PID do Node que lança os Chromes
+   */
+  constructor(opcoes = {}) {
+    this.arquivo = opcoes.arquivo || 'pids/chrome.json';
+    this.donoPid = opcoes.donoPid || process.pid;
+    this.encerramentoInstalado = false;
+  }
+
+  lerRegistro() {
+    try {
+      const conteudo = JSON.parse(readFileSync(this.arquivo, 'utf-8'));
+      return Array.isArray(conteudo.processos) ? conteudo.processos : [];
+    } catch {
+      return [];
+    }
+  }
+
+  gravarRegistro(processos) {
+    try {
+      mkdirSync(path.dirname(this.arquivo), { recursive: true });
+      writeFileSync(this.arquivo, JSON.stringify({ processos }, null, 2));
+    } catch (error) {
+      logErro(`⚠️ Erro ao gravar registro de processos (${this.arquivo}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra um Chrome lançado por este Node
+   * @param {number} pid
+   * @param {Object} [dados={}] - executavel, userDataDir
+   */
+  registrar(pid, dados = {}) {
+    const processos = this.lerRegistro().filter(entrada => entrada.pid !== pid);
+    processos.push({
+      pid,
+      dono: this.donoPid,
+      executavel: dados.executavel || '',
+      userDataDir: dados.userDataDir || '',
+      iniciadoEm: new Date().toISOString()
+    });
+    this.gravarRegistro(processos);
+  }
+
+  remover(pid) {
+    this.gravarRegistro(this.lerRegistro().filter(entrada => entrada.pid !== pid));
+  }
+
+  /**
+   * Confere pela linha de comando que o PID ainda é o Chrome registrado (PIDs são reutilizados)
+   */
+  ehProcessoRegistrado(entrada) {
+    const comando = comandoDoProcesso(entrada.pid);
+    if (!comando) return false;
+    const executavel = path.basename(entrada.executavel || '').toLowerCase();
+    return /chrom/i.test(comando) || (executavel !== '' && comando.toLowerCase().includes(executavel));
+  }
+
+  /**
+   * Encerra os Chromes registrados por execuções cujo Node não existe mais
+   * e remove as travas deixadas nos diretórios de dados deles
+   * @returns {{encerrados: Array<number>, travasRemovidas: Array<string>}}
+   */
+  colherOrfaos() {
+    const encerrados = [];
+    const travasRemovidas = [];
+    const mantidos = [];
+
+    for (const entrada of this.lerRegistro()) {
+      if (entrada.dono !== this.donoPid && processoAtivo(entrada.dono)) {
+        mantidos.push(entrada);
+        continue;
+      }
+      if (processoAtivo(entrada.pid) && this.ehProcessoRegistrado(entrada)) {
+        encerrarArvoreProcessos(entrada.pid);
+        encerrados.push(entrada.pid);
+      }
+      if (entrada.userDataDir) {
+        travasRemovidas.push(...limparTravasPerfil(entrada.userDataDir).map(trava => path.join(entrada.userDataDir, trava)));
+      }
+    }
+
+    this.gravarRegistro(mantidos);
+    return { encerrados, travasRemovidas };
+  }
+
+  /**
+   * Encerra os Chromes ainda vivos lançados por este Node (síncrono)
+   * @returns {Array<number>} PIDs encerrados
+   */
+  encerrarTodos() {
+    const encerrados = [];
+    const restantes = [];
+    for (const entrada of this.lerRegistro()) {
+      if (entrada.dono !== this.donoPid) {
+        restantes.push(entrada);
+      } else if (processoAtivo(entrada.pid) && encerrarArvoreProcessos(entrada.pid)) {
+        encerrados.push(entrada.pid);
+      }
+    }
+    this.gravarRegistro(restantes);
+    return encerrados;
+  }
+
+  /**
+   * Força o encerramento de um Chrome (fallback quando browser.close() falha)
+   * @param {Browser} browser - Instância do puppeteer
+   * @returns {boolean}
+   */
+  encerrarNavegador(browser) {
+    const pid = browser?.process?.()?.pid;
+    if (!pid) return false;
+    const encerrou = encerrarArvoreProcessos(pid);
+    this.remover(pid);
+    return encerrou;
+  }
+
+  /**
+   * Registra o Chrome do browser e o tira do registro quando ele termina
+   * @param {Browser} browser - Instância do puppeteer
+   * @param {Object} [dados={}] - executavel, userDataDir
+   * @returns {number|null} PID registrado
+   */
+  acompanharNavegador(browser, dados = {}) {
+    const processo = browser?.process?.();
+    if (!processo?.pid) return null;
+
+    this.registrar(processo.pid, { executavel: processo.spawnfile, ...dados });
+    processo.once('exit', () => this.remover(processo.pid));
+    this.instalarEncerramento();
+    return processo.pid;
+  }
+
+  /**
+   * Encerra os Chromes desta execução quando o Node sair, por qualquer caminho
+   * (process.exit nos handlers de SIGINT/SIGTERM/uncaughtException ou fim normal)
+   */
+  instalarEncerramento() {
+    if (this.encerramentoInstalado) return;
+    this.encerramentoInstalado = true;
+    process.once('exit', () => {
+      const encerrados = this.encerrarTodos();
+      if (encerrados.length > 0) {
+        console.log(`🧹 Chrome(s) encerrado(s) na saída: ${encerrados.join(', ')}`);
+      }
+    });
+  }
+}
+
+let supervisorGlobal = null;
+
+/**
+ * Supervisor da execução, criado a partir do CONFIG na primeira chamada
+ * @returns {SupervisorProcessos}
+ */
+export function obterSupervisorProcessos() {
+  if (!supervisorGlobal) {
+    supervisorGlobal = new SupervisorProcessos({ arquivo: CONFIG.browser.pidFile });
+  }
+  return supervisorGlobal;
+}
+
+/**
+ * Colhe Chromes órfãos e travas antigas antes de lançar um novo browser
+ * @param {string} [userDataDir] - Diretório de dados que o novo Chrome vai usar
+ */
+export function prepararLancamento(userDataDir) {
+  try {
+    const supervisor = obterSupervisorProcessos();
+    const { encerrados, travasRemovidas } = supervisor.colherOrfaos();
+    if (userDataDir) {
+      travasRemovidas.push(...limparTravasPerfil(userDataDir).map(trava => path.join(userDataDir, trava)));
+    }
+    if (encerrados.length > 0) {
+      logInfo(`🧟 Chrome(s) órfão(s) de execuções anteriores encerrado(s): ${encerrados.join(', ')}`);
+    }
+    if (travasRemovidas.length > 0) {
+      logInfo(`🔓 Travas antigas do Chrome removidas: ${[...new Set(travasRemovidas)].join(', ')}`);
+    }
+  } catch (error) {
+    logErro(`⚠️ Erro ao colher processos órfãos: ${error.message}`);
+  }
+}